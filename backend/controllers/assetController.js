@@ -1,186 +1,745 @@
-const Plant = require('../models/Plant');
-const Pipeline = require('../models/Pipeline');
-const DemandCenter = require('../models/DemandCenter');
-const Storage = require('../models/Storage');
-const RegulatoryZone = require('../models/RegulatoryZone');
+const { ASSET_TYPES, assetTypeFromPath, toFeature, toFeatureCollection, fromFeature } = require('../utils/geojson');
+const {
+  parseBbox,
+  splitBbox,
+  parseZoom,
+  bboxToPolygon,
+  degreesPerPixel,
+  simplifyGeometry,
+  nearestPointOnLine
+} = require('../utils/geometry');
+const {
+  buildAttributeFilter,
+  parseSort,
+  parsePagination,
+  encodeCursor,
+  cursorFilter
+} = require('../utils/assetQuery');
+const { parseExportFormat, exportFeatures } = require('../utils/exporters');
+const { snapshotOf, recordChange } = require('../utils/history');
+const { LIFECYCLE_STATES, TRANSITION_DATES } = require('../utils/lifecycle');
+const { parseYear, baseYearOf, projectDemand, projectionSeries } = require('../utils/projection');
+const { mergeCustomFields } = require('../utils/annotations');
+const { findSuspectedDuplicates } = require('../utils/duplicates');
 
 /**
  * Asset Controllers - Handle CRUD operations for infrastructure assets
  * All responses return GeoJSON format for easy map integration
  */
 
+// Last year of a demand projection series unless `to` is given
+const DEFAULT_PROJECTION_HORIZON = 2050;
+
+// Point layers at or below this zoom are aggregated when they are too dense to draw
+const CLUSTER_MAX_ZOOM = 7;
+// Minimum number of matching points before a layer is aggregated
+const CLUSTER_MIN_FEATURES = 500;
+// Approximate on-screen size of one aggregation cell
+const CLUSTER_CELL_PIXELS = 64;
+
+// Asset collections searched by the nearest endpoint
+const NEAREST_TYPES = ['plants', 'pipelines', 'demand-centers', 'storage'];
+const NEAREST_DEFAULT_K = 5;
+const NEAREST_MAX_K = 50;
+
+/**
+ * Build the mongo filter for an asset listing
+ * Combines the `bbox=west,south,east,north` viewport, which selects assets within
+ * (points) or crossing (lines, polygons) the box, with the attribute filters
+ * from buildAttributeFilter. Attribute filters override `baseFilter` defaults.
+ * A box crossing the antimeridian matches either of its halves
+ * @param {string} assetType - Key of ASSET_TYPES
+ * @param {Object} query - Express request query
+ * @param {Object} baseFilter - Default mongo filter
+ * @returns {Object} Mongo filter
+ */
+function buildAssetFilter(assetType, query, baseFilter = {}) {
+  const { geometryField, geometryType } = ASSET_TYPES[assetType];
+  const bbox = parseBbox(query.bbox);
+
+  const filter = { ...baseFilter, ...buildAttributeFilter(assetType, query) };
+  if (bbox) {
+    const operator = geometryType === 'Point' ? '$geoWithin' : '$geoIntersects';
+    const conditions = splitBbox(bbox).map(box => ({
+      [geometryField]: { [operator]: { $geometry: bboxToPolygon(box) } }
+    }));
+    if (conditions.length === 1) Object.assign(filter, conditions[0]);
+    else filter.$or = conditions;
+  }
+  return filter;
+}
+
+/**
+ * Query an asset collection for a listing or map viewport
+ * Accepts the filters of buildAssetFilter plus:
+ * - sort: field name, prefixed with `-` for descending (default `name`)
+ * - limit / cursor: cursor pagination; `nextCursor` in the response fetches the next page
+ * - zoom: simplifies line and polygon geometries to roughly one pixel of detail,
+ *   and aggregates dense point layers into grid cell counts at low zoom
+ *   (unpaginated requests only)
+ * @param {string} assetType - Key of ASSET_TYPES
+ * @param {Object} query - Express request query
+ * @param {Object} baseFilter - Default mongo filter
+ * @returns {Promise<Object>} GeoJSON FeatureCollection with totalCount and nextCursor
+ */
+async function findAssets(assetType, query, baseFilter = {}) {
+  const { model: Model, geometryField, geometryType } = ASSET_TYPES[assetType];
+  const zoom = parseZoom(query.zoom);
+  const sort = parseSort(assetType, query.sort);
+  const pagination = parsePagination(query);
+
+  const filter = buildAssetFilter(assetType, query, baseFilter);
+  const totalCount = await Model.countDocuments(filter);
+
+  if (!pagination && zoom !== null && zoom <= CLUSTER_MAX_ZOOM && geometryType === 'Point' &&
+      totalCount > CLUSTER_MIN_FEATURES) {
+    return clusterAssets(Model, geometryField, filter, zoom, totalCount);
+  }
+
+  const pageFilter = pagination && pagination.cursor
+    ? { $and: [filter, cursorFilter(pagination.cursor, sort)] }
+    : filter;
+
+  let docsQuery = Model.find(pageFilter).sort({ [sort.field]: sort.direction, _id: sort.direction });
+  if (pagination) {
+    // Fetch one extra document to learn whether another page exists
+    docsQuery = docsQuery.limit(pagination.limit + 1);
+  }
+  const docs = await docsQuery;
+
+  let nextCursor = null;
+  if (pagination && docs.length > pagination.limit) {
+    docs.length = pagination.limit;
+    nextCursor = encodeCursor(docs[docs.length - 1], sort);
+  }
+
+  const geojson = {
+    ...toFeatureCollection(assetType, docs),
+    totalCount,
+    nextCursor
+  };
+
+  if (zoom !== null && geometryType !== 'Point') {
+    const tolerance = degreesPerPixel(zoom);
+    geojson.features.forEach(feature => {
+      feature.geometry = simplifyGeometry(feature.geometry, tolerance);
+    });
+  }
+
+  return geojson;
+}
+
 /**
- * Get all plants as GeoJSON
+ * Aggregate point assets into grid cells sized for the zoom level
+ * Each cell becomes a Point Feature at the mean position of its assets
+ * with `cluster: true` and the number of assets in `count`
+ * @returns {Promise<Object>} GeoJSON FeatureCollection with `aggregated: true`
+ */
+async function clusterAssets(Model, geometryField, filter, zoom, totalCount) {
+  const cellSize = degreesPerPixel(zoom) * CLUSTER_CELL_PIXELS;
+  const lng = { $arrayElemAt: [`$${geometryField}.coordinates`, 0] };
+  const lat = { $arrayElemAt: [`$${geometryField}.coordinates`, 1] };
+
+  const cells = await Model.aggregate([
+    { $match: filter },
+    {
+      $group: {
+        _id: {
+          x: { $floor: { $divide: [lng, cellSize] } },
+          y: { $floor: { $divide: [lat, cellSize] } }
+        },
+        count: { $sum: 1 },
+        lng: { $avg: lng },
+        lat: { $avg: lat }
+      }
+    }
+  ]);
+
+  return {
+    type: 'FeatureCollection',
+    aggregated: true,
+    totalCount,
+    nextCursor: null,
+    features: cells.map(cell => ({
+      type: 'Feature',
+      properties: {
+        cluster: true,
+        count: cell.count
+      },
+      geometry: {
+        type: 'Point',
+        coordinates: [cell.lng, cell.lat]
+      }
+    }))
+  };
+}
+
+/**
+ * Respond to an asset listing request
+ * Without `format` the listing is returned as GeoJSON (see findAssets). With
+ * `format=geojson|csv|kml|gpx|gpkg` the same filters, sort and pagination are
+ * applied and the result is sent as a file download. Exports always carry full
+ * geometry detail, so `zoom` is ignored
+ * @param {Object} res - Express response
+ * @param {string} assetType - Key of ASSET_TYPES
+ * @param {Object} query - Express request query
+ * @param {Object} baseFilter - Default mongo filter
+ */
+async function sendAssets(res, assetType, query, baseFilter = {}) {
+  const format = parseExportFormat(query.format);
+  if (!format) {
+    return res.json(await findAssets(assetType, query, baseFilter));
+  }
+
+  const { zoom, ...exportQuery } = query;
+  const collection = await findAssets(assetType, exportQuery, baseFilter);
+  const file = await exportFeatures(format, assetType, collection);
+
+  res.set({
+    'Content-Type': file.contentType,
+    'Content-Disposition': `attachment; filename="${file.filename}"`,
+    'X-Total-Count': collection.totalCount
+  });
+  if (collection.nextCursor) res.set('X-Next-Cursor', collection.nextCursor);
+  res.send(file.body);
+}
+
+/**
+ * Send an error response for a failed listing query
+ * Invalid query parameters are reported as 400
+ */
+function sendListError(res, error, label) {
+  if (error.status === 400) {
+    return res.status(400).json({
+      error: 'Invalid query parameters',
+      message: error.message
+    });
+  }
+
+  console.error(`Error fetching ${label}:`, error);
+  res.status(500).json({
+    error: `Failed to fetch ${label}`,
+    message: error.message
+  });
+}
+
+/**
+ * Get plants as GeoJSON
+ * Query: see sendAssets
  */
 const getPlants = async (req, res) => {
   try {
-    const plants = await Plant.find({});
-    
-    // Convert to GeoJSON FeatureCollection format
-    const geojson = {
-      type: 'FeatureCollection',
-      features: plants.map(plant => ({
-        type: 'Feature',
-        properties: {
-          id: plant._id,
-          name: plant.name,
-          capacity: plant.capacity,
-          status: plant.status,
-          createdAt: plant.createdAt,
-          updatedAt: plant.updatedAt
-        },
-        geometry: plant.location
-      }))
-    };
-    
-    res.json(geojson);
+    await sendAssets(res, 'plants', req.query);
   } catch (error) {
-    console.error('Error fetching plants:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch plants',
-      message: error.message 
-    });
+    sendListError(res, error, 'plants');
   }
 };
 
 /**
- * Get all pipelines as GeoJSON
+ * Get pipelines as GeoJSON
+ * Query: see sendAssets
  */
 const getPipelines = async (req, res) => {
   try {
-    const pipelines = await Pipeline.find({});
-    
-    // Convert to GeoJSON FeatureCollection format
-    const geojson = {
-      type: 'FeatureCollection',
-      features: pipelines.map(pipeline => ({
-        type: 'Feature',
-        properties: {
-          id: pipeline._id,
-          name: pipeline.name,
-          capacity: pipeline.capacity,
-          status: pipeline.status,
-          createdAt: pipeline.createdAt,
-          updatedAt: pipeline.updatedAt
-        },
-        geometry: pipeline.path
-      }))
-    };
-    
-    res.json(geojson);
+    await sendAssets(res, 'pipelines', req.query);
   } catch (error) {
-    console.error('Error fetching pipelines:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch pipelines',
-      message: error.message 
-    });
+    sendListError(res, error, 'pipelines');
   }
 };
 
 /**
- * Get all demand centers as GeoJSON
+ * Get demand centers as GeoJSON
+ * Query: see sendAssets
  */
 const getDemandCenters = async (req, res) => {
   try {
-    const demandCenters = await DemandCenter.find({});
-    
-    // Convert to GeoJSON FeatureCollection format
-    const geojson = {
-      type: 'FeatureCollection',
-      features: demandCenters.map(center => ({
-        type: 'Feature',
-        properties: {
-          id: center._id,
-          name: center.name,
-          demand: center.demand,
-          type: center.type,
-          createdAt: center.createdAt,
-          updatedAt: center.updatedAt
-        },
-        geometry: center.location
-      }))
-    };
-    
-    res.json(geojson);
+    await sendAssets(res, 'demandCenters', req.query);
   } catch (error) {
-    console.error('Error fetching demand centers:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch demand centers',
-      message: error.message 
-    });
+    sendListError(res, error, 'demand centers');
   }
 };
 
 /**
- * Get all storage facilities as GeoJSON
+ * Get storage facilities as GeoJSON
+ * Query: see sendAssets
  */
 const getStorage = async (req, res) => {
   try {
-    const storage = await Storage.find({});
-    
-    // Convert to GeoJSON FeatureCollection format
-    const geojson = {
-      type: 'FeatureCollection',
-      features: storage.map(facility => ({
-        type: 'Feature',
-        properties: {
-          id: facility._id,
-          name: facility.name,
-          capacity: facility.capacity,
-          type: facility.type,
-          status: facility.status,
-          createdAt: facility.createdAt,
-          updatedAt: facility.updatedAt
-        },
-        geometry: facility.location
-      }))
-    };
-    
-    res.json(geojson);
+    await sendAssets(res, 'storage', req.query);
   } catch (error) {
-    console.error('Error fetching storage facilities:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch storage facilities',
-      message: error.message 
-    });
+    sendListError(res, error, 'storage facilities');
   }
 };
 
 /**
- * Get all regulatory zones as GeoJSON
+ * Get active regulatory zones as GeoJSON
+ * Query: see sendAssets
  */
 const getRegulatoryZones = async (req, res) => {
   try {
-    const zones = await RegulatoryZone.find({ status: 'active' });
-    
-    // Convert to GeoJSON FeatureCollection format
-    const geojson = {
-      type: 'FeatureCollection',
-      features: zones.map(zone => ({
-        type: 'Feature',
-        properties: {
-          id: zone._id,
-          name: zone.name,
-          type: zone.type,
-          jurisdiction: zone.jurisdiction,
-          policies: zone.policies,
-          restrictions: zone.restrictions,
-          approvalTimeline: zone.approvalTimeline,
-          regulatoryScore: zone.calculateRegulatoryScore(),
-          createdAt: zone.createdAt,
-          updatedAt: zone.updatedAt
-        },
-        geometry: zone.boundary
+    await sendAssets(res, 'regulatoryZones', req.query, ASSET_TYPES.regulatoryZones.baseFilter);
+  } catch (error) {
+    sendListError(res, error, 'regulatory zones');
+  }
+};
+
+/**
+ * Find the k nearest assets of each requested type
+ * GET /api/assets/nearest?lat=&lng=&types=plants,storage,pipelines&k=5&maxDistanceKm=
+ * Distances are in km; for pipelines they are measured to the nearest point on the
+ * LineString, which is returned as `nearestPoint`
+ */
+const getNearestAssets = async (req, res) => {
+  try {
+    const lat = Number(req.query.lat);
+    const lng = Number(req.query.lng);
+
+    // Validate input
+    if (req.query.lat === undefined || req.query.lng === undefined ||
+        !Number.isFinite(lat) || !Number.isFinite(lng)) {
+      return res.status(400).json({
+        error: 'Missing required parameters',
+        message: 'Both lat and lng are required'
+      });
+    }
+
+    // Validate coordinate ranges
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+      return res.status(400).json({
+        error: 'Invalid coordinates',
+        message: 'Latitude must be between -90 and 90, longitude between -180 and 180'
+      });
+    }
+
+    const k = req.query.k === undefined ? NEAREST_DEFAULT_K : Number(req.query.k);
+    if (!Number.isInteger(k) || k < 1 || k > NEAREST_MAX_K) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        message: `k must be an integer between 1 and ${NEAREST_MAX_K}`
+      });
+    }
+
+    const maxDistanceKm = req.query.maxDistanceKm === undefined ? null : Number(req.query.maxDistanceKm);
+    if (maxDistanceKm !== null && (!Number.isFinite(maxDistanceKm) || maxDistanceKm <= 0)) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        message: 'maxDistanceKm must be a positive number'
+      });
+    }
+
+    const types = req.query.types
+      ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean)
+      : NEAREST_TYPES;
+    const unknownTypes = types.filter(type => !NEAREST_TYPES.includes(type));
+    if (unknownTypes.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        message: `Unknown types: ${unknownTypes.join(', ')}. Allowed types: ${NEAREST_TYPES.join(', ')}`
+      });
+    }
+
+    const results = {};
+    for (const path of types) {
+      results[path] = await findNearest(assetTypeFromPath(path), lat, lng, k, maxDistanceKm);
+    }
+
+    res.json({
+      location: { lat, lng },
+      k,
+      maxDistanceKm,
+      results,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error finding nearest assets:', error);
+    res.status(500).json({
+      error: 'Failed to find nearest assets',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * List the tags in use with the number of assets carrying each
+ * GET /api/assets/tags?search=mou
+ * Tags are sorted by use, most used first
+ */
+const getTags = async (req, res) => {
+  try {
+    const search = req.query.search ? String(req.query.search).trim().toLowerCase() : '';
+    const tags = new Map();
+
+    await Promise.all(Object.values(ASSET_TYPES).map(async ({ model: Model, path }) => {
+      const rows = await Model.aggregate([
+        { $match: { 'tags.0': { $exists: true } } },
+        { $unwind: '$tags' },
+        { $group: { _id: '$tags', count: { $sum: 1 } } }
+      ]);
+      rows.forEach(row => {
+        const entry = tags.get(row._id) || { tag: row._id, count: 0, collections: {} };
+        entry.count += row.count;
+        entry.collections[path] = row.count;
+        tags.set(row._id, entry);
+      });
+    }));
+
+    const results = [...tags.values()]
+      .filter(entry => !search || entry.tag.toLowerCase().includes(search))
+      .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+
+    res.json({ count: results.length, tags: results });
+  } catch (error) {
+    console.error('Error fetching tags:', error);
+    res.status(500).json({
+      error: 'Failed to fetch tags',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Run a $geoNear query for one asset type
+ * @returns {Promise<Object>} GeoJSON FeatureCollection ordered by distance,
+ *   each Feature carrying `distanceKm` in its properties
+ */
+async function findNearest(assetType, lat, lng, k, maxDistanceKm) {
+  const { model: Model, geometryField, geometryType } = ASSET_TYPES[assetType];
+
+  const geoNear = {
+    near: { type: 'Point', coordinates: [lng, lat] },
+    key: geometryField,
+    distanceField: 'distanceMeters',
+    spherical: true
+  };
+  if (maxDistanceKm !== null) geoNear.maxDistance = maxDistanceKm * 1000;
+
+  const rows = await Model.aggregate([{ $geoNear: geoNear }, { $limit: k }]);
+
+  const features = rows.map(row => {
+    const feature = toFeature(assetType, Model.hydrate(row));
+    if (geometryType === 'LineString') {
+      const nearest = nearestPointOnLine(lat, lng, row[geometryField].coordinates);
+      feature.properties.distanceKm = nearest.distanceKm;
+      feature.properties.nearestPoint = nearest.coordinates;
+    } else {
+      feature.properties.distanceKm = Math.round(row.distanceMeters / 10) / 100;
+    }
+    return feature;
+  });
+
+  // Planar segment distances can differ slightly from the index's ordering
+  features.sort((a, b) => a.properties.distanceKm - b.properties.distanceKm);
+
+  return { type: 'FeatureCollection', features };
+}
+
+/**
+ * Send an error response for a failed write operation
+ * Mongoose validation and cast errors are reported as 400 with field details
+ * @param {Object} res - Express response
+ * @param {Error} error - Error thrown by the handler
+ * @param {string} action - Verb for the error message, e.g. 'create'
+ * @param {string} label - Human readable asset label
+ */
+function sendWriteError(res, error, action, label) {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: `Invalid ${label}`,
+      message: error.message,
+      details: Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
       }))
-    };
-    
-    res.json(geojson);
+    });
+  }
+
+  if (error.name === 'CastError') {
+    return res.status(400).json({
+      error: `Invalid ${label}`,
+      message: `Invalid value for ${error.path}`
+    });
+  }
+
+  if (error.status === 400) {
+    return res.status(400).json({
+      error: `Invalid ${label}`,
+      message: error.message
+    });
+  }
+
+  console.error(`Error trying to ${action} ${label}:`, error);
+  res.status(500).json({
+    error: `Failed to ${action} ${label}`,
+    message: error.message
+  });
+}
+
+/**
+ * Send a 404 response for a missing asset
+ */
+function sendNotFound(res, label, id) {
+  return res.status(404).json({
+    error: `${label.charAt(0).toUpperCase()}${label.slice(1)} not found`,
+    message: `No ${label} exists with id ${id}`
+  });
+}
+
+/**
+ * Build a handler that returns a single asset as a GeoJSON Feature
+ * GET /api/assets/:collection/:id
+ * @param {string} assetType - Key of ASSET_TYPES
+ */
+const getAssetById = (assetType) => async (req, res) => {
+  const { model: Model, label } = ASSET_TYPES[assetType];
+
+  try {
+    const doc = await Model.findById(req.params.id);
+    if (!doc) return sendNotFound(res, label, req.params.id);
+
+    res.json(toFeature(assetType, doc));
   } catch (error) {
-    console.error('Error fetching regulatory zones:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch regulatory zones',
-      message: error.message 
+    sendWriteError(res, error, 'fetch', label);
+  }
+};
+
+/**
+ * Build a handler that creates an asset from a GeoJSON Feature
+ * POST /api/assets/:collection
+ * Body: GeoJSON Feature
+ * The created Feature lists the assets it probably duplicates in
+ * `suspectedDuplicates` (see utils/duplicates); the asset is created either way
+ * @param {string} assetType - Key of ASSET_TYPES
+ */
+const createAsset = (assetType) => async (req, res) => {
+  const { model: Model, label } = ASSET_TYPES[assetType];
+
+  try {
+    const doc = new Model(fromFeature(assetType, req.body));
+    await doc.save();
+    await recordChange(assetType, doc, 'create', { user: req.user });
+
+    // The asset is already saved, so a failed check only loses the warning
+    const suspectedDuplicates = await findSuspectedDuplicates(assetType, doc).catch(error => {
+      console.error(`Error checking new ${label} ${doc._id} for duplicates:`, error);
+      return [];
     });
+
+    res.status(201).json({ ...toFeature(assetType, doc), suspectedDuplicates });
+  } catch (error) {
+    sendWriteError(res, error, 'create', label);
+  }
+};
+
+/**
+ * Build a handler that replaces an asset with a GeoJSON Feature
+ * PUT /api/assets/:collection/:id
+ * Body: GeoJSON Feature (all required fields and geometry)
+ * @param {string} assetType - Key of ASSET_TYPES
+ */
+const replaceAsset = (assetType) => async (req, res) => {
+  const { model: Model, label } = ASSET_TYPES[assetType];
+
+  try {
+    const fields = fromFeature(assetType, req.body);
+
+    const doc = await Model.findById(req.params.id);
+    if (!doc) return sendNotFound(res, label, req.params.id);
+
+    // Build the replacement through the model so schema defaults apply,
+    // keeping the original id and creation time. Custom fields of
+    // organizations the body leaves out are kept
+    const before = snapshotOf(doc);
+    fields.customFields = mergeCustomFields(doc.customFields, fields.customFields || {}, { replace: true });
+    const replacement = new Model({ ...fields, _id: doc._id }).toObject();
+    doc.overwrite({ ...replacement, createdAt: doc.createdAt });
+    await doc.save();
+    await recordChange(assetType, doc, 'update', { before, user: req.user });
+
+    res.json(toFeature(assetType, doc));
+  } catch (error) {
+    sendWriteError(res, error, 'update', label);
+  }
+};
+
+/**
+ * Build a handler that partially updates an asset
+ * PATCH /api/assets/:collection/:id
+ * Body: GeoJSON Feature with the properties (and optionally geometry) to change
+ * @param {string} assetType - Key of ASSET_TYPES
+ */
+const patchAsset = (assetType) => async (req, res) => {
+  const { model: Model, label } = ASSET_TYPES[assetType];
+
+  try {
+    const fields = fromFeature(assetType, req.body, { partial: true });
+
+    const doc = await Model.findById(req.params.id);
+    if (!doc) return sendNotFound(res, label, req.params.id);
+
+    const before = snapshotOf(doc);
+    if (fields.customFields) {
+      fields.customFields = mergeCustomFields(doc.customFields, fields.customFields);
+    }
+    doc.set(fields);
+    await doc.save();
+    await recordChange(assetType, doc, 'update', { before, user: req.user });
+
+    res.json(toFeature(assetType, doc));
+  } catch (error) {
+    sendWriteError(res, error, 'update', label);
+  }
+};
+
+/**
+ * Build a handler that deletes an asset
+ * DELETE /api/assets/:collection/:id
+ * Responds with the deleted asset as a GeoJSON Feature
+ * @param {string} assetType - Key of ASSET_TYPES
+ */
+const deleteAsset = (assetType) => async (req, res) => {
+  const { model: Model, label } = ASSET_TYPES[assetType];
+
+  try {
+    const doc = await Model.findByIdAndDelete(req.params.id);
+    if (!doc) return sendNotFound(res, label, req.params.id);
+    await recordChange(assetType, doc, 'delete', { user: req.user });
+
+    res.json(toFeature(assetType, doc));
+  } catch (error) {
+    sendWriteError(res, error, 'delete', label);
+  }
+};
+
+/**
+ * Build a handler that moves an asset to another lifecycle status
+ * POST /api/assets/:collection/:id/transition
+ * Body: { status, date? } where date (ISO 8601, default now) is recorded as the
+ * construction start, commissioning or decommissioning date for the new status
+ * Only transitions allowed by utils/lifecycle are accepted
+ * @param {string} assetType - Key of ASSET_TYPES
+ */
+const transitionAsset = (assetType) => async (req, res) => {
+  const { model: Model, label } = ASSET_TYPES[assetType];
+
+  try {
+    const { status, date } = req.body || {};
+    if (!status) {
+      return res.status(400).json({
+        error: 'Missing required parameters',
+        message: 'status is required'
+      });
+    }
+    if (!LIFECYCLE_STATES.includes(status)) {
+      return res.status(400).json({
+        error: `Invalid ${label}`,
+        message: `status must be one of: ${LIFECYCLE_STATES.join(', ')}`
+      });
+    }
+
+    const transitionDate = date === undefined ? new Date() : new Date(date);
+    if (Number.isNaN(transitionDate.getTime())) {
+      return res.status(400).json({
+        error: `Invalid ${label}`,
+        message: 'date must be a valid ISO 8601 date'
+      });
+    }
+
+    const doc = await Model.findById(req.params.id);
+    if (!doc) return sendNotFound(res, label, req.params.id);
+
+    if (doc.status === status) {
+      return res.status(400).json({
+        error: `Invalid ${label}`,
+        message: `${label.charAt(0).toUpperCase()}${label.slice(1)} is already ${status}`
+      });
+    }
+
+    const before = snapshotOf(doc);
+    doc.status = status;
+    if (TRANSITION_DATES[status]) {
+      doc.set(`lifecycle.${TRANSITION_DATES[status]}`, transitionDate);
+    }
+    await doc.save();
+    await recordChange(assetType, doc, 'update', { before, user: req.user });
+
+    res.json(toFeature(assetType, doc));
+  } catch (error) {
+    sendWriteError(res, error, 'update', label);
+  }
+};
+
+/**
+ * Get the projected demand of demand centers in a planning year
+ * GET /api/assets/demand-centers/projection?year=2035
+ * Accepts the filters of buildAssetFilter; minDemand and maxDemand apply to
+ * current demand. Each Feature gets `projectedDemand` in tonnes per year
+ */
+const getDemandProjection = async (req, res) => {
+  try {
+    const year = parseYear(req.query.year);
+    if (year === null) {
+      return res.status(400).json({
+        error: 'Missing required parameters',
+        message: 'year is required'
+      });
+    }
+
+    const centers = await ASSET_TYPES.demandCenters.model
+      .find(buildAssetFilter('demandCenters', req.query))
+      .sort({ name: 1 });
+    const collection = toFeatureCollection('demandCenters', centers);
+    collection.features.forEach((feature, index) => {
+      feature.properties.projectedDemand = projectDemand(centers[index], year);
+    });
+
+    const sum = values => Math.round(values.reduce((total, value) => total + value, 0) * 100) / 100;
+    res.json({
+      year,
+      count: centers.length,
+      currentDemand: sum(centers.map(center => center.demand)),
+      projectedDemand: sum(collection.features.map(feature => feature.properties.projectedDemand)),
+      ...collection
+    });
+  } catch (error) {
+    sendListError(res, error, 'demand projections');
+  }
+};
+
+/**
+ * Get the projected demand of one demand center for a range of years
+ * GET /api/assets/demand-centers/:id/projection?from=2025&to=2050
+ * `from` defaults to the center's base year and `to` to 2050
+ */
+const getDemandCenterProjection = async (req, res) => {
+  const { model: Model, label } = ASSET_TYPES.demandCenters;
+
+  try {
+    const from = parseYear(req.query.from, 'from');
+    const to = parseYear(req.query.to, 'to');
+
+    const center = await Model.findById(req.params.id);
+    if (!center) return sendNotFound(res, label, req.params.id);
+
+    const baseYear = baseYearOf(center);
+    const fromYear = from === null ? baseYear : from;
+    const toYear = to === null ? Math.max(DEFAULT_PROJECTION_HORIZON, fromYear) : to;
+
+    res.json({
+      id: center._id,
+      name: center.name,
+      demand: center.demand,
+      baseYear,
+      growthRate: center.demandProjection && center.demandProjection.growthRate,
+      projection: projectionSeries(center, fromYear, toYear)
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        message: error.message
+      });
+    }
+    sendWriteError(res, error, 'fetch', label);
   }
 };
 
@@ -189,5 +748,15 @@ module.exports = {
   getPipelines,
   getDemandCenters,
   getStorage,
-  getRegulatoryZones
+  getRegulatoryZones,
+  getNearestAssets,
+  getTags,
+  getAssetById,
+  createAsset,
+  replaceAsset,
+  patchAsset,
+  deleteAsset,
+  transitionAsset,
+  getDemandProjection,
+  getDemandCenterProjection
 };
@@ -0,0 +1,260 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Attachment = require('../models/Attachment');
+const { ASSET_TYPES } = require('../utils/geojson');
+const { userRef } = require('../utils/history');
+const { getStore } = require('../utils/attachmentStore');
+
+/**
+ * Attachment Controller - Document files linked to assets
+ * Files are kept by the configured attachment store; their metadata by the
+ * Attachment model. Attachments outlive the deletion of their asset, so they
+ * are still there when the asset is restored from its history
+ */
+
+/**
+ * Attachment metadata as an API object, with its download URL
+ */
+function toAttachment(doc, path) {
+  return {
+    id: doc._id,
+    fileName: doc.fileName,
+    contentType: doc.contentType,
+    size: doc.size,
+    checksum: doc.checksum,
+    documentType: doc.documentType,
+    description: doc.description,
+    uploadedAt: doc.uploadedAt,
+    uploadedBy: doc.uploadedBy && doc.uploadedBy.name ? doc.uploadedBy : null,
+    url: `/api/assets/${path}/${doc.assetId}/attachments/${doc._id}`
+  };
+}
+
+/**
+ * Check the :id and :attachmentId route parameters
+ * @returns {string|null} Error message, or null when the parameters are valid
+ */
+function invalidParams(params) {
+  const invalid = ['id', 'attachmentId'].find(key => params[key] !== undefined &&
+    !mongoose.Types.ObjectId.isValid(params[key]));
+  return invalid ? `${params[invalid]} is not a valid id` : null;
+}
+
+/**
+ * Send an error response for a failed attachment request
+ */
+function sendAttachmentError(res, error, action, label) {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Invalid attachment',
+      message: error.message,
+      details: Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+    });
+  }
+
+  console.error(`Error trying to ${action} ${label} attachment:`, error);
+  res.status(500).json({
+    error: `Failed to ${action} attachment`,
+    message: error.message
+  });
+}
+
+/**
+ * Send a 404 response for a missing attachment
+ */
+function sendAttachmentNotFound(res, label, params) {
+  return res.status(404).json({
+    error: 'Attachment not found',
+    message: `No attachment with id ${params.attachmentId} exists for ${label} ${params.id}`
+  });
+}
+
+/**
+ * Content-Disposition header that offers a file for download under its name
+ * Names outside printable ASCII are sent in the RFC 5987 `filename*` form
+ */
+function contentDisposition(fileName) {
+  const fallback = fileName.replace(/[^\x20-\x7e]|["\\]/g, '_');
+  return `attachment; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(fileName)}`;
+}
+
+/**
+ * Build a handler that lists the attachments of an asset, newest first
+ * GET /api/assets/:collection/:id/attachments
+ * @param {string} assetType - Key of ASSET_TYPES
+ */
+const listAttachments = (assetType) => async (req, res) => {
+  const { path, label } = ASSET_TYPES[assetType];
+
+  try {
+    const message = invalidParams(req.params);
+    if (message) {
+      return res.status(400).json({ error: 'Invalid query parameters', message });
+    }
+
+    const attachments = await Attachment.find({ assetType, assetId: req.params.id })
+      .sort({ uploadedAt: -1 });
+
+    res.json({
+      collection: path,
+      assetId: req.params.id,
+      count: attachments.length,
+      attachments: attachments.map(doc => toAttachment(doc, path))
+    });
+  } catch (error) {
+    sendAttachmentError(res, error, 'fetch', label);
+  }
+};
+
+/**
+ * Build a handler that uploads a file and links it to an asset
+ * POST /api/assets/:collection/:id/attachments?fileName=&documentType=&description=
+ * Body: the raw file, sent with its own Content-Type
+ * @param {string} assetType - Key of ASSET_TYPES
+ */
+const uploadAttachment = (assetType) => async (req, res) => {
+  const { model: Model, path, label } = ASSET_TYPES[assetType];
+
+  try {
+    const message = invalidParams(req.params);
+    if (message) {
+      return res.status(400).json({ error: 'Invalid query parameters', message });
+    }
+
+    const { fileName, documentType, description } = req.query;
+    if (!fileName) {
+      return res.status(400).json({
+        error: 'Missing required parameters',
+        message: 'fileName is required'
+      });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid attachment',
+        message: 'Send the file as the request body with its Content-Type, e.g. application/pdf'
+      });
+    }
+
+    if (!await Model.exists({ _id: req.params.id })) {
+      return res.status(404).json({
+        error: `${label.charAt(0).toUpperCase()}${label.slice(1)} not found`,
+        message: `No ${label} exists with id ${req.params.id}`
+      });
+    }
+
+    const { name: storeName, store } = getStore();
+    const attachment = new Attachment({
+      assetType,
+      assetId: req.params.id,
+      fileName,
+      contentType: req.get('Content-Type') || 'application/octet-stream',
+      size: req.body.length,
+      checksum: crypto.createHash('sha256').update(req.body).digest('hex'),
+      documentType,
+      description,
+      store: storeName,
+      uploadedBy: userRef(req.user)
+    });
+    attachment.storageKey = `${path}/${req.params.id}/${attachment._id}`;
+
+    // Check the metadata before writing the file, and drop the file if the
+    // record cannot be saved
+    await attachment.validate();
+    await store.save(attachment.storageKey, req.body, { contentType: attachment.contentType });
+    try {
+      await attachment.save();
+    } catch (error) {
+      await store.remove(attachment.storageKey).catch(() => {});
+      throw error;
+    }
+
+    res.status(201).json(toAttachment(attachment, path));
+  } catch (error) {
+    sendAttachmentError(res, error, 'upload', label);
+  }
+};
+
+/**
+ * Build a handler that downloads the file of an attachment
+ * GET /api/assets/:collection/:id/attachments/:attachmentId
+ * @param {string} assetType - Key of ASSET_TYPES
+ */
+const downloadAttachment = (assetType) => async (req, res) => {
+  const { label } = ASSET_TYPES[assetType];
+
+  try {
+    const message = invalidParams(req.params);
+    if (message) {
+      return res.status(400).json({ error: 'Invalid query parameters', message });
+    }
+
+    const attachment = await Attachment.findOne({
+      _id: req.params.attachmentId,
+      assetType,
+      assetId: req.params.id
+    });
+    if (!attachment) return sendAttachmentNotFound(res, label, req.params);
+
+    const { store } = getStore(attachment.store);
+    const stream = await store.read(attachment.storageKey);
+    if (!stream) {
+      return res.status(404).json({
+        error: 'Attachment file not found',
+        message: `The file of attachment ${attachment._id} is missing from the ${attachment.store} store`
+      });
+    }
+
+    res.set({
+      'Content-Type': attachment.contentType,
+      'Content-Length': attachment.size,
+      'Content-Disposition': contentDisposition(attachment.fileName)
+    });
+    stream.on('error', (error) => {
+      console.error(`Error streaming ${label} attachment:`, error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    sendAttachmentError(res, error, 'download', label);
+  }
+};
+
+/**
+ * Build a handler that deletes an attachment and its file
+ * DELETE /api/assets/:collection/:id/attachments/:attachmentId
+ * @param {string} assetType - Key of ASSET_TYPES
+ */
+const deleteAttachment = (assetType) => async (req, res) => {
+  const { path, label } = ASSET_TYPES[assetType];
+
+  try {
+    const message = invalidParams(req.params);
+    if (message) {
+      return res.status(400).json({ error: 'Invalid query parameters', message });
+    }
+
+    const attachment = await Attachment.findOneAndDelete({
+      _id: req.params.attachmentId,
+      assetType,
+      assetId: req.params.id
+    });
+    if (!attachment) return sendAttachmentNotFound(res, label, req.params);
+
+    const { store } = getStore(attachment.store);
+    await store.remove(attachment.storageKey);
+
+    res.json(toAttachment(attachment, path));
+  } catch (error) {
+    sendAttachmentError(res, error, 'delete', label);
+  }
+};
+
+module.exports = {
+  listAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment
+};
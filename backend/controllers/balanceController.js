@@ -0,0 +1,217 @@
+const Plant = require('../models/Plant');
+const Storage = require('../models/Storage');
+const DemandCenter = require('../models/DemandCenter');
+const { LIFECYCLE_STATES } = require('../utils/lifecycle');
+const { parseAssumptions, summarizeBalance } = require('../utils/balance');
+const { parseRegion } = require('../utils/geometry');
+const { badRequest } = require('../utils/assetQuery');
+const { parseYear, projectDemand } = require('../utils/projection');
+
+/**
+ * Balance Controller - Regional hydrogen supply-demand balance
+ * Production capacity (MW) is converted to tonnes/year with the request's
+ * capacityFactor and efficiency assumptions, see utils/balance
+ */
+
+// Region name reported for assets without a state
+const UNASSIGNED_REGION = 'Unassigned';
+
+/**
+ * Read the plant and storage status filter
+ * Defaults to every status except decommissioned
+ * @returns {Array} Lifecycle statuses to include
+ * @throws {Error} With status 400 for unknown statuses
+ */
+function parseStatuses(value) {
+  if (value === undefined || value === '') {
+    return LIFECYCLE_STATES.filter(status => status !== 'decommissioned');
+  }
+  const statuses = (Array.isArray(value) ? value : String(value).split(','))
+    .map(status => String(status).trim())
+    .filter(Boolean);
+  const invalid = statuses.filter(status => !LIFECYCLE_STATES.includes(status));
+  if (statuses.length === 0 || invalid.length > 0) {
+    throw badRequest(`Invalid status: ${invalid.join(', ') || value}. Allowed values: ${LIFECYCLE_STATES.join(', ')}`);
+  }
+  return statuses;
+}
+
+/**
+ * Sum projected demand per state (or in total when groupByState is false)
+ * Projections are computed per center, so this runs in the application
+ * rather than as a Mongo aggregation
+ * @returns {Promise<Array>} Rows shaped like a $group result: { _id, count, total }
+ */
+async function sumProjectedDemand(match, groupByState, year) {
+  const centers = await DemandCenter.find(match).select('state demand demandProjection createdAt');
+  const rows = new Map();
+  centers.forEach(center => {
+    const id = groupByState ? (center.state || null) : null;
+    if (!rows.has(id)) rows.set(id, { _id: id, count: 0, total: 0 });
+    rows.get(id).count += 1;
+    rows.get(id).total += projectDemand(center, year);
+  });
+  return [...rows.values()];
+}
+
+/**
+ * Sum production, storage and demand per state (or in total when groupByState is false)
+ * @param {Object} match - Extra Mongo filter applied to all three collections, e.g. a region
+ * @param {Array} statuses - Plant and storage statuses to include
+ * @param {boolean} groupByState - Group the totals by the assets' state field
+ * @param {number|null} year - Planning year for projected demand; null for current demand
+ * @returns {Promise<Map>} Region name (or null) to raw totals for summarizeBalance
+ */
+async function aggregateTotals(match, statuses, groupByState, year = null) {
+  const groupId = groupByState ? '$state' : null;
+  const sum = (Model, field, extra = {}) => Model.aggregate([
+    { $match: { ...match, ...extra } },
+    { $group: { _id: groupId, count: { $sum: 1 }, total: { $sum: `$${field}` } } }
+  ]);
+
+  const [plants, storage, demand] = await Promise.all([
+    sum(Plant, 'capacity', { status: { $in: statuses } }),
+    sum(Storage, 'capacity', { status: { $in: statuses } }),
+    year === null ? sum(DemandCenter, 'demand') : sumProjectedDemand(match, groupByState, year)
+  ]);
+
+  const regions = new Map();
+  const region = id => {
+    const key = groupByState ? (id || UNASSIGNED_REGION) : null;
+    if (!regions.has(key)) {
+      regions.set(key, {
+        plants: 0,
+        productionCapacityMW: 0,
+        storageFacilities: 0,
+        storageCapacityTonnes: 0,
+        demandCenters: 0,
+        demandTonnesPerYear: 0
+      });
+    }
+    return regions.get(key);
+  };
+
+  plants.forEach(row => {
+    region(row._id).plants += row.count;
+    region(row._id).productionCapacityMW += row.total;
+  });
+  storage.forEach(row => {
+    region(row._id).storageFacilities += row.count;
+    region(row._id).storageCapacityTonnes += row.total;
+  });
+  demand.forEach(row => {
+    region(row._id).demandCenters += row.count;
+    region(row._id).demandTonnesPerYear += row.total;
+  });
+
+  return regions;
+}
+
+/**
+ * Add up raw totals of several regions
+ */
+function combineTotals(list) {
+  return list.reduce((combined, totals) => {
+    Object.keys(combined).forEach(key => { combined[key] += totals[key]; });
+    return combined;
+  }, {
+    plants: 0,
+    productionCapacityMW: 0,
+    storageFacilities: 0,
+    storageCapacityTonnes: 0,
+    demandCenters: 0,
+    demandTonnesPerYear: 0
+  });
+}
+
+/**
+ * Send an error response for a failed balance request
+ */
+function sendBalanceError(res, error) {
+  if (error.status === 400) {
+    return res.status(400).json({
+      error: 'Invalid query parameters',
+      message: error.message
+    });
+  }
+
+  console.error('Error calculating supply-demand balance:', error);
+  res.status(500).json({
+    error: 'Failed to calculate supply-demand balance',
+    message: error.message
+  });
+}
+
+/**
+ * Get the supply-demand balance of every state
+ * GET /api/balance/states?capacityFactor=0.5&efficiency=0.7&status=operational,planned&year=2035
+ * Assets without a state are reported under "Unassigned". Regions are sorted
+ * by surplus, largest deficit first. With `year`, demand is the projected
+ * demand of that year (see utils/projection)
+ */
+const getStateBalance = async (req, res) => {
+  try {
+    const assumptions = parseAssumptions(req.query);
+    const statuses = parseStatuses(req.query.status);
+    const year = parseYear(req.query.year);
+
+    const regions = await aggregateTotals({}, statuses, true, year);
+    const states = [...regions.entries()]
+      .map(([state, totals]) => ({ state, ...summarizeBalance(totals, assumptions) }))
+      .sort((a, b) => a.surplusTonnesPerYear - b.surplusTonnesPerYear || a.state.localeCompare(b.state));
+
+    res.json({
+      assumptions,
+      statuses,
+      year,
+      states,
+      totals: summarizeBalance(combineTotals([...regions.values()]), assumptions),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendBalanceError(res, error);
+  }
+};
+
+/**
+ * Get the supply-demand balance inside a user-drawn region
+ * POST /api/balance/region
+ * Body: {
+ *   region: GeoJSON Polygon | MultiPolygon | [[lat, lng], ...],
+ *   capacityFactor?, efficiency?, status?, year?
+ * }
+ */
+const getRegionBalance = async (req, res) => {
+  try {
+    const { region: rawRegion, ...options } = req.body || {};
+    if (!rawRegion) {
+      return res.status(400).json({
+        error: 'Missing required parameters',
+        message: 'region is required as a GeoJSON Polygon or an array of [lat, lng] points'
+      });
+    }
+
+    const region = parseRegion(rawRegion);
+    const assumptions = parseAssumptions(options);
+    const statuses = parseStatuses(options.status);
+    const year = parseYear(options.year);
+
+    const regions = await aggregateTotals({ location: { $geoWithin: { $geometry: region } } }, statuses, false, year);
+
+    res.json({
+      assumptions,
+      statuses,
+      year,
+      region,
+      ...summarizeBalance(combineTotals([...regions.values()]), assumptions),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    sendBalanceError(res, error);
+  }
+};
+
+module.exports = {
+  getStateBalance,
+  getRegionBalance
+};
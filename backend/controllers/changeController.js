@@ -0,0 +1,103 @@
+const { ASSET_TYPES, toFeature } = require('../utils/geojson');
+const { assetChanges } = require('../utils/changes');
+
+/**
+ * Change Controller - Live feed of asset writes over Server-Sent Events
+ * Events come from the in-process change bus in utils/changes, so writes made
+ * by other server processes or directly in MongoDB are not broadcast, and
+ * neither are attachment and measurement rows (see utils/changes)
+ */
+
+// Recent events kept so that reconnecting clients can catch up via Last-Event-ID
+const REPLAY_SIZE = 500;
+
+// Comment line sent periodically so that proxies keep idle connections open
+const HEARTBEAT_MS = 25000;
+
+// Reconnection delay suggested to clients
+const RETRY_MS = 5000;
+
+let lastEventId = 0;
+const recentEvents = [];
+
+/**
+ * Whether an asset is shown by its type's listing without attribute filters,
+ * i.e. matches the type's `baseFilter` (equality conditions only)
+ */
+function isListed(assetType, doc) {
+  const { baseFilter = {} } = ASSET_TYPES[assetType];
+  return Object.entries(baseFilter).every(([field, value]) => doc.get(field) === value);
+}
+
+/**
+ * Format an event in the text/event-stream wire format
+ */
+function formatEvent(event) {
+  return `id: ${event.id}\nevent: asset-change\ndata: ${JSON.stringify(event)}\n\n`;
+}
+
+// Turn every asset write into a numbered feed event
+assetChanges.on('change', ({ modelName, action, id, doc }) => {
+  const assetType = Object.keys(ASSET_TYPES).find(key => ASSET_TYPES[key].model.modelName === modelName);
+  if (!assetType) return;
+
+  const event = {
+    id: ++lastEventId,
+    assetType,
+    collection: ASSET_TYPES[assetType].path,
+    action,
+    assetId: id,
+    // Deleted assets are identified by id only
+    feature: action === 'delete' ? null : toFeature(assetType, doc),
+    // False when the asset has left the default listing, e.g. a zone that is no longer active
+    listed: action !== 'delete' && isListed(assetType, doc),
+    timestamp: new Date().toISOString()
+  };
+  const message = formatEvent(event);
+
+  recentEvents.push({ id: event.id, message });
+  if (recentEvents.length > REPLAY_SIZE) recentEvents.shift();
+
+  assetChanges.emit('feed', message);
+});
+
+/**
+ * Stream asset create, update and delete events
+ * GET /api/changes
+ * Each `asset-change` event carries { id, assetType, collection, action,
+ * assetId, feature, listed, timestamp }; feature is the asset as a GeoJSON
+ * Feature, or null for deletes. listed tells whether the asset passes the
+ * default filter of its listing (see baseFilter in utils/geojson). A reconnecting EventSource sends Last-Event-ID and
+ * receives the events it missed, as long as they are still buffered
+ */
+const streamChanges = (req, res) => {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    // no-transform keeps compressing proxies from buffering the stream
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${RETRY_MS}\n\n`);
+
+  const since = Number(req.get('Last-Event-ID') || req.query.lastEventId);
+  if (Number.isInteger(since) && since >= 0) {
+    recentEvents
+      .filter(event => event.id > since)
+      .forEach(event => res.write(event.message));
+  }
+
+  const send = message => res.write(message);
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), HEARTBEAT_MS);
+  assetChanges.on('feed', send);
+
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    assetChanges.off('feed', send);
+  });
+};
+
+module.exports = {
+  streamChanges
+};
@@ -0,0 +1,322 @@
+const mongoose = require('mongoose');
+const Company = require('../models/Company');
+const { ASSET_TYPES, toFeatureCollection } = require('../utils/geojson');
+const { buildAttributeFilter, badRequest, escapeRegex } = require('../utils/assetQuery');
+
+/**
+ * Company Controller - Asset owners and their portfolios
+ * Portfolios are the plants, pipelines and storage facilities whose `owner`
+ * references the company
+ */
+
+// Asset types a company can own
+const OWNED_TYPES = Object.keys(ASSET_TYPES).filter(assetType => ASSET_TYPES[assetType].owned);
+
+// Name of the summed capacity of each owned type in portfolio summaries
+const CAPACITY_KEYS = {
+  plants: 'capacityMW',
+  pipelines: 'capacity',
+  storage: 'capacityTonnes'
+};
+
+// Company fields that can be set through the API
+const EDITABLE_FIELDS = ['name', 'type', 'country', 'website', 'description', 'contacts'];
+
+/**
+ * Company document as an API object
+ */
+function toCompany(doc) {
+  return {
+    id: doc._id,
+    name: doc.name,
+    type: doc.type,
+    country: doc.country,
+    website: doc.website,
+    description: doc.description,
+    contacts: doc.contacts,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+}
+
+/**
+ * Empty portfolio summary: asset count, summed capacity and count per status
+ * for each owned type
+ */
+function emptyPortfolio() {
+  const portfolio = { assetCount: 0 };
+  OWNED_TYPES.forEach(assetType => {
+    portfolio[assetType] = { count: 0, [CAPACITY_KEYS[assetType]]: 0, byStatus: {} };
+  });
+  return portfolio;
+}
+
+/**
+ * Summarize the portfolios of several companies
+ * @param {Array} companyIds - Company ObjectIds
+ * @param {Object} query - Attribute filters applied to the assets, see buildAttributeFilter
+ * @returns {Promise<Map>} Company id string to portfolio summary
+ */
+async function summarizePortfolios(companyIds, query = {}) {
+  const portfolios = new Map(companyIds.map(id => [String(id), emptyPortfolio()]));
+
+  await Promise.all(OWNED_TYPES.map(async assetType => {
+    const { model: Model } = ASSET_TYPES[assetType];
+    const rows = await Model.aggregate([
+      { $match: { ...buildAttributeFilter(assetType, query), owner: { $in: companyIds } } },
+      {
+        $group: {
+          _id: { owner: '$owner', status: '$status' },
+          count: { $sum: 1 },
+          capacity: { $sum: '$capacity' }
+        }
+      }
+    ]);
+
+    rows.forEach(row => {
+      const portfolio = portfolios.get(String(row._id.owner));
+      const summary = portfolio[assetType];
+      summary.count += row.count;
+      summary[CAPACITY_KEYS[assetType]] += row.capacity;
+      summary.byStatus[row._id.status] = (summary.byStatus[row._id.status] || 0) + row.count;
+      portfolio.assetCount += row.count;
+    });
+  }));
+
+  return portfolios;
+}
+
+/**
+ * Send an error response for a failed company request
+ */
+function sendCompanyError(res, error, action) {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Invalid company',
+      message: error.message,
+      details: Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+    });
+  }
+
+  if (error.name === 'CastError' || error.status === 400) {
+    return res.status(400).json({
+      error: 'Invalid company',
+      message: error.name === 'CastError' ? `Invalid value for ${error.path}` : error.message
+    });
+  }
+
+  // Duplicate key on the unique name index
+  if (error.code === 11000) {
+    return res.status(409).json({
+      error: 'Company already exists',
+      message: `A company named ${error.keyValue && error.keyValue.name} already exists`
+    });
+  }
+
+  console.error(`Error trying to ${action} company:`, error);
+  res.status(500).json({
+    error: `Failed to ${action} company`,
+    message: error.message
+  });
+}
+
+/**
+ * Send a 404 response for a missing company
+ */
+function sendNotFound(res, id) {
+  return res.status(404).json({
+    error: 'Company not found',
+    message: `No company exists with id ${id}`
+  });
+}
+
+/**
+ * Copy the editable fields present in a request body
+ */
+function editableFields(body) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw badRequest('Send the company as a JSON object');
+  }
+  const fields = {};
+  EDITABLE_FIELDS.forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+}
+
+/**
+ * List companies with a summary of their portfolios
+ * GET /api/companies?type=utility&search=adani
+ */
+const getCompanies = async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.type) {
+      const types = String(req.query.type).split(',').map(v => v.trim()).filter(Boolean);
+      const allowed = Company.schema.path('type').enumValues;
+      const invalid = types.filter(type => !allowed.includes(type));
+      if (invalid.length > 0) {
+        throw badRequest(`Invalid type: ${invalid.join(', ')}. Allowed values: ${allowed.join(', ')}`);
+      }
+      filter.type = { $in: types };
+    }
+    if (req.query.search) {
+      filter.name = { $regex: escapeRegex(String(req.query.search).trim()), $options: 'i' };
+    }
+
+    const companies = await Company.find(filter).sort({ name: 1 });
+    const portfolios = await summarizePortfolios(companies.map(company => company._id));
+
+    res.json({
+      count: companies.length,
+      companies: companies.map(company => ({
+        ...toCompany(company),
+        portfolio: portfolios.get(String(company._id))
+      }))
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        message: error.message
+      });
+    }
+    sendCompanyError(res, error, 'fetch');
+  }
+};
+
+/**
+ * Get one company with a summary of its portfolio
+ * GET /api/companies/:id
+ */
+const getCompanyById = async (req, res) => {
+  try {
+    const company = await Company.findById(req.params.id);
+    if (!company) return sendNotFound(res, req.params.id);
+
+    const portfolios = await summarizePortfolios([company._id]);
+    res.json({ ...toCompany(company), portfolio: portfolios.get(String(company._id)) });
+  } catch (error) {
+    sendCompanyError(res, error, 'fetch');
+  }
+};
+
+/**
+ * Get the assets a company owns, with aggregate capacity
+ * GET /api/companies/:id/portfolio?status=operational
+ * Accepts the attribute filters of the asset listings (status, minCapacity,
+ * search, ...); filters a type does not support are ignored for it.
+ * Each owned type is returned as a GeoJSON FeatureCollection
+ */
+const getCompanyPortfolio = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        message: `${req.params.id} is not a valid id`
+      });
+    }
+    const company = await Company.findById(req.params.id);
+    if (!company) return sendNotFound(res, req.params.id);
+
+    // Build every filter first so invalid parameters fail before any query starts
+    const filters = OWNED_TYPES.map(assetType => buildAttributeFilter(assetType, req.query));
+
+    const [portfolios, ...collections] = await Promise.all([
+      summarizePortfolios([company._id], req.query),
+      ...OWNED_TYPES.map((assetType, index) => ASSET_TYPES[assetType].model
+        .find({ ...filters[index], owner: company._id })
+        .sort({ name: 1 })
+        .then(docs => toFeatureCollection(assetType, docs)))
+    ]);
+
+    const assets = {};
+    OWNED_TYPES.forEach((assetType, index) => { assets[assetType] = collections[index]; });
+
+    res.json({
+      company: toCompany(company),
+      totals: portfolios.get(String(company._id)),
+      ...assets
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        message: error.message
+      });
+    }
+    sendCompanyError(res, error, 'fetch');
+  }
+};
+
+/**
+ * Create a company
+ * POST /api/companies
+ * Body: { name, type?, country?, website?, description?, contacts?: [{ name, role?, email?, phone? }] }
+ */
+const createCompany = async (req, res) => {
+  try {
+    const company = await Company.create(editableFields(req.body));
+    res.status(201).json(toCompany(company));
+  } catch (error) {
+    sendCompanyError(res, error, 'create');
+  }
+};
+
+/**
+ * Update selected fields of a company
+ * PATCH /api/companies/:id
+ * Body: any of the fields accepted by createCompany; contacts replace the existing list
+ */
+const updateCompany = async (req, res) => {
+  try {
+    const fields = editableFields(req.body);
+    const company = await Company.findById(req.params.id);
+    if (!company) return sendNotFound(res, req.params.id);
+
+    company.set(fields);
+    await company.save();
+    res.json(toCompany(company));
+  } catch (error) {
+    sendCompanyError(res, error, 'update');
+  }
+};
+
+/**
+ * Delete a company
+ * DELETE /api/companies/:id
+ * Companies that still own assets are not deleted; reassign or clear the
+ * assets' owner first
+ */
+const deleteCompany = async (req, res) => {
+  try {
+    const company = await Company.findById(req.params.id);
+    if (!company) return sendNotFound(res, req.params.id);
+
+    const portfolio = (await summarizePortfolios([company._id])).get(String(company._id));
+    if (portfolio.assetCount > 0) {
+      return res.status(409).json({
+        error: 'Company owns assets',
+        message: `${company.name} still owns ${portfolio.assetCount} assets. Reassign or clear their owner first`,
+        portfolio
+      });
+    }
+
+    await company.deleteOne();
+    res.json(toCompany(company));
+  } catch (error) {
+    sendCompanyError(res, error, 'delete');
+  }
+};
+
+module.exports = {
+  getCompanies,
+  getCompanyById,
+  getCompanyPortfolio,
+  createCompany,
+  updateCompany,
+  deleteCompany
+};
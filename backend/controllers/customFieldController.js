@@ -0,0 +1,230 @@
+const CustomField = require('../models/CustomField');
+const { ASSET_TYPES } = require('../utils/geojson');
+const { badRequest } = require('../utils/assetQuery');
+const { snapshotOf, recordChange } = require('../utils/history');
+const { emitAssetChange } = require('../utils/changes');
+const { DEFAULT_ORGANIZATION, ORGANIZATION_PATTERN, organizationOf } = require('../utils/annotations');
+
+/**
+ * Custom Field Controller - Typed asset attributes defined per organization
+ * Definitions are read by anyone and written by the admins and analysts of
+ * the organization that owns them
+ */
+
+// Definition fields that can be set through the API; key and type are fixed
+// once created, since stored values depend on them
+const EDITABLE_FIELDS = ['label', 'options', 'assetTypes', 'description'];
+
+/**
+ * Custom field definition as an API object
+ */
+function toCustomField(doc) {
+  return {
+    id: doc._id,
+    organization: doc.organization,
+    key: doc.key,
+    label: doc.label,
+    type: doc.type,
+    options: doc.options,
+    assetTypes: doc.assetTypes,
+    description: doc.description,
+    createdAt: doc.createdAt,
+    updatedAt: doc.updatedAt
+  };
+}
+
+/**
+ * Send an error response for a failed custom field request
+ */
+function sendCustomFieldError(res, error, action) {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Invalid custom field',
+      message: error.message,
+      details: Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+    });
+  }
+
+  if (error.name === 'CastError' || error.status === 400) {
+    return res.status(400).json({
+      error: 'Invalid custom field',
+      message: error.name === 'CastError' ? `Invalid value for ${error.path}` : error.message
+    });
+  }
+
+  // Duplicate key on the unique organization + key index
+  if (error.code === 11000) {
+    return res.status(409).json({
+      error: 'Custom field already exists',
+      message: `${error.keyValue && error.keyValue.organization} already has a custom field ${error.keyValue && error.keyValue.key}`
+    });
+  }
+
+  console.error(`Error trying to ${action} custom field:`, error);
+  res.status(500).json({
+    error: `Failed to ${action} custom field`,
+    message: error.message
+  });
+}
+
+/**
+ * Find a definition of the signed-in user's organization, or send a 404
+ */
+async function findOwnField(req, res) {
+  const organization = organizationOf(req.user);
+  const field = await CustomField.findOne({ _id: req.params.id, organization });
+  if (!field) {
+    res.status(404).json({
+      error: 'Custom field not found',
+      message: `No custom field of ${organization} exists with id ${req.params.id}`
+    });
+  }
+  return field;
+}
+
+/**
+ * Copy the editable fields present in a request body
+ */
+function editableFields(body, extra = []) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    throw badRequest('Send the custom field as a JSON object');
+  }
+  const fields = {};
+  [...EDITABLE_FIELDS, ...extra].forEach(field => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+}
+
+/**
+ * List the custom fields of an organization
+ * GET /api/custom-fields?organization=acme-energy&assetType=plants
+ * Without `organization`, the default organization's fields are listed
+ */
+const getCustomFields = async (req, res) => {
+  try {
+    const organization = req.query.organization ? String(req.query.organization) : DEFAULT_ORGANIZATION;
+    if (!ORGANIZATION_PATTERN.test(organization)) {
+      throw badRequest(`Invalid organization: ${organization}`);
+    }
+
+    const filter = { organization };
+    if (req.query.assetType) {
+      if (!ASSET_TYPES[req.query.assetType]) {
+        throw badRequest(`Invalid assetType: ${req.query.assetType}. Allowed values: ${Object.keys(ASSET_TYPES).join(', ')}`);
+      }
+      // Fields without asset types apply to every type
+      filter.$or = [{ assetTypes: req.query.assetType }, { assetTypes: { $size: 0 } }];
+    }
+
+    const fields = await CustomField.find(filter).sort({ label: 1 });
+    res.json({
+      organization,
+      count: fields.length,
+      fields: fields.map(toCustomField)
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        message: error.message
+      });
+    }
+    sendCustomFieldError(res, error, 'fetch');
+  }
+};
+
+/**
+ * Define a custom field for the signed-in user's organization
+ * POST /api/custom-fields
+ * Body: { key, label, type: string|number|boolean|date|enum, options?, assetTypes?, description? }
+ */
+const createCustomField = async (req, res) => {
+  try {
+    const field = await CustomField.create({
+      ...editableFields(req.body, ['key', 'type']),
+      organization: organizationOf(req.user)
+    });
+    res.status(201).json(toCustomField(field));
+  } catch (error) {
+    sendCustomFieldError(res, error, 'create');
+  }
+};
+
+/**
+ * Update the label, options, asset types or description of a custom field
+ * PATCH /api/custom-fields/:id
+ */
+const updateCustomField = async (req, res) => {
+  try {
+    const changed = ['key', 'type'].filter(name => req.body && req.body[name] !== undefined);
+    const fields = editableFields(req.body);
+    const field = await findOwnField(req, res);
+    if (!field) return;
+
+    const fixed = changed.filter(name => req.body[name] !== field[name]);
+    if (fixed.length > 0) {
+      throw badRequest(`${fixed.join(' and ')} cannot be changed; define a new field instead`);
+    }
+
+    field.set(fields);
+    await field.save();
+    res.json(toCustomField(field));
+  } catch (error) {
+    sendCustomFieldError(res, error, 'update');
+  }
+};
+
+/**
+ * Delete a custom field and remove its values from every asset
+ * DELETE /api/custom-fields/:id
+ * Values are removed with one bulk update per collection; each affected asset
+ * then gets an `update` history version and change event like any other edit
+ */
+const deleteCustomField = async (req, res) => {
+  try {
+    const field = await findOwnField(req, res);
+    if (!field) return;
+
+    const organizationPath = `customFields.${field.organization}`;
+    const path = `${organizationPath}.${field.key}`;
+    let valuesRemoved = 0;
+    for (const [assetType, { model: Model }] of Object.entries(ASSET_TYPES)) {
+      const affected = await Model.find({ [path]: { $exists: true } });
+      if (affected.length === 0) continue;
+
+      const ids = affected.map(doc => doc._id);
+      await Model.updateMany({ _id: { $in: ids } }, { $unset: { [path]: '' } });
+      // Drop objects left empty, as saving an asset does (see annotationsPlugin)
+      await Model.updateMany({ _id: { $in: ids }, [organizationPath]: {} }, { $unset: { [organizationPath]: '' } });
+      await Model.updateMany({ _id: { $in: ids }, customFields: {} }, { $unset: { customFields: '' } });
+      valuesRemoved += affected.length;
+
+      // Bulk updates run no document hooks, so record and emit each change here
+      const updated = await Model.find({ _id: { $in: ids } });
+      for (const doc of updated) {
+        const before = snapshotOf(affected.find(old => old._id.equals(doc._id)));
+        await recordChange(assetType, doc, 'update', { before, user: req.user });
+        emitAssetChange(doc, 'update');
+      }
+    }
+    await field.deleteOne();
+
+    res.json({
+      ...toCustomField(field),
+      valuesRemoved
+    });
+  } catch (error) {
+    sendCustomFieldError(res, error, 'delete');
+  }
+};
+
+module.exports = {
+  getCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField
+};
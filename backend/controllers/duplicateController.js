@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const Attachment = require('../models/Attachment');
+const Measurement = require('../models/Measurement');
+const { ASSET_TYPES, assetTypeFromPath, toFeature } = require('../utils/geojson');
+const { snapshotOf, recordChange } = require('../utils/history');
+const { TIME_SERIES_METRICS } = require('../utils/timeseries');
+const {
+  comparableTypes,
+  parseDuplicateOptions,
+  findDuplicatePairs,
+  mergeSnapshots
+} = require('../utils/duplicates');
+
+/**
+ * Duplicate Controller - Reports suspected duplicate assets and merges them
+ * Detection rules live in utils/duplicates
+ */
+
+// Collections checked by the report
+const DUPLICATE_COLLECTIONS = Object.keys(ASSET_TYPES)
+  .filter(assetType => comparableTypes(assetType).length > 0)
+  .map(assetType => ASSET_TYPES[assetType].path);
+
+const DUPLICATE_KINDS = ['duplicate', 'conflict'];
+
+/**
+ * List every pair of suspected duplicates
+ * GET /api/assets/duplicates?types=plants,storage&distance=250&similarity=0.6&kind=duplicate
+ * distance is in meters and similarity is the minimum name similarity (0-1)
+ * of assets further apart than a few meters. `kind=duplicate` keeps pairs of
+ * the same type, `kind=conflict` pairs of different types at one site
+ */
+const getDuplicates = async (req, res) => {
+  try {
+    const { distance, similarity } = parseDuplicateOptions(req.query);
+
+    const types = req.query.types
+      ? String(req.query.types).split(',').map(type => type.trim()).filter(Boolean)
+      : DUPLICATE_COLLECTIONS;
+    const unknownTypes = types.filter(type => !DUPLICATE_COLLECTIONS.includes(type));
+    if (unknownTypes.length > 0) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        message: `Unknown types: ${unknownTypes.join(', ')}. Allowed types: ${DUPLICATE_COLLECTIONS.join(', ')}`
+      });
+    }
+
+    const kind = req.query.kind;
+    if (kind !== undefined && !DUPLICATE_KINDS.includes(kind)) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        message: `kind must be one of: ${DUPLICATE_KINDS.join(', ')}`
+      });
+    }
+
+    const pairs = (await findDuplicatePairs(types.map(assetTypeFromPath), { distance, similarity }))
+      .filter(pair => !kind || pair.kind === kind);
+
+    res.json({
+      types,
+      distance,
+      similarity,
+      count: pairs.length,
+      pairs,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        message: error.message
+      });
+    }
+
+    console.error('Error finding duplicate assets:', error);
+    res.status(500).json({
+      error: 'Failed to find duplicate assets',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Build a handler that merges a duplicate into an asset of the same type
+ * POST /api/assets/:collection/:id/merge
+ * Body: { duplicateId }
+ * The asset keeps its name, geometry and values and gains the fields it lacks
+ * from the duplicate, the tags of both and their custom fields. Attachments and
+ * measurements of the duplicate move to the asset, and the duplicate is deleted.
+ * Both keep their history: the asset records a `merge` version with `mergedFrom`
+ * and the duplicate a final `merge` version with `mergedInto`, from which it can
+ * still be restored
+ * @param {string} assetType - Key of ASSET_TYPES
+ */
+const mergeAsset = (assetType) => async (req, res) => {
+  const { model: Model, label, path } = ASSET_TYPES[assetType];
+
+  try {
+    const { duplicateId } = req.body || {};
+    if (!duplicateId) {
+      return res.status(400).json({
+        error: 'Missing required parameters',
+        message: 'duplicateId is required'
+      });
+    }
+    const invalidId = [req.params.id, duplicateId].find(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalidId) {
+      return res.status(400).json({
+        error: `Invalid ${label}`,
+        message: `${invalidId} is not a valid id`
+      });
+    }
+    if (String(duplicateId) === String(req.params.id)) {
+      return res.status(400).json({
+        error: `Invalid ${label}`,
+        message: `A ${label} cannot be merged into itself`
+      });
+    }
+
+    const [doc, duplicate] = await Promise.all([Model.findById(req.params.id), Model.findById(duplicateId)]);
+    const missingId = !doc ? req.params.id : !duplicate ? duplicateId : null;
+    if (missingId) {
+      return res.status(404).json({
+        error: `${label.charAt(0).toUpperCase()}${label.slice(1)} not found`,
+        message: `No ${label} exists with id ${missingId}`
+      });
+    }
+
+    const before = snapshotOf(doc);
+    doc.set(mergeSnapshots(before, snapshotOf(duplicate)));
+    await doc.save();
+
+    await Model.findByIdAndDelete(duplicate._id);
+    // Repointed attachments and measurements are not streamed (see utils/changes)
+    const attachments = await Attachment.updateMany(
+      { assetType, assetId: duplicate._id },
+      { $set: { assetId: doc._id } }
+    );
+    const measurements = TIME_SERIES_METRICS[assetType]
+      ? await Measurement.updateMany(
+        { 'meta.assetType': assetType, 'meta.assetId': duplicate._id },
+        { $set: { 'meta.assetId': doc._id } }
+      )
+      : { modifiedCount: 0 };
+
+    await recordChange(assetType, doc, 'merge', { before, user: req.user, mergedFrom: duplicate._id });
+    await recordChange(assetType, duplicate, 'merge', { user: req.user, mergedInto: doc._id });
+
+    res.json({
+      ...toFeature(assetType, doc),
+      mergedFrom: {
+        collection: path,
+        id: duplicate._id,
+        name: duplicate.name,
+        attachmentsMoved: attachments.modifiedCount,
+        measurementsMoved: measurements.modifiedCount
+      }
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        error: `Invalid ${label}`,
+        message: error.message,
+        details: Object.values(error.errors).map(err => ({
+          field: err.path,
+          message: err.message
+        }))
+      });
+    }
+
+    console.error(`Error trying to merge ${label}:`, error);
+    res.status(500).json({
+      error: `Failed to merge ${label}`,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getDuplicates,
+  mergeAsset
+};
@@ -0,0 +1,167 @@
+const mongoose = require('mongoose');
+const AssetHistory = require('../models/AssetHistory');
+const { ASSET_TYPES, toFeature } = require('../utils/geojson');
+const { snapshotOf, recordChange } = require('../utils/history');
+
+/**
+ * History Controller - Audit trail and restore for asset documents
+ * Versions are recorded by utils/history whenever an asset is written
+ */
+
+/**
+ * Send an error response for a failed history request
+ * Malformed ids and invalid restored documents are reported as 400
+ */
+function sendHistoryError(res, error, action, label) {
+  if (error.name === 'ValidationError' || error.name === 'CastError') {
+    return res.status(400).json({
+      error: `Invalid ${label}`,
+      message: error.message
+    });
+  }
+
+  console.error(`Error trying to ${action} ${label} history:`, error);
+  res.status(500).json({
+    error: `Failed to ${action} ${label} history`,
+    message: error.message
+  });
+}
+
+/**
+ * Parse and check the :id and :version route parameters
+ * @returns {string|null} Error message, or null when the parameters are valid
+ */
+function invalidParams(params) {
+  if (!mongoose.Types.ObjectId.isValid(params.id)) {
+    return `${params.id} is not a valid id`;
+  }
+  if (params.version !== undefined && !(Number.isInteger(Number(params.version)) && Number(params.version) >= 1)) {
+    return 'version must be a positive integer';
+  }
+  return null;
+}
+
+/**
+ * Build a handler that lists the versions of an asset, newest first
+ * GET /api/assets/:collection/:id/history
+ * Snapshots are left out; fetch a single version to see one
+ * Available for deleted assets too
+ * @param {string} assetType - Key of ASSET_TYPES
+ */
+const getAssetHistory = (assetType) => async (req, res) => {
+  const { path, label } = ASSET_TYPES[assetType];
+
+  try {
+    const message = invalidParams(req.params);
+    if (message) {
+      return res.status(400).json({ error: 'Invalid query parameters', message });
+    }
+
+    const versions = await AssetHistory.find({ assetType, assetId: req.params.id })
+      .sort({ version: -1 })
+      .select('-snapshot -assetType -__v');
+
+    if (versions.length === 0) {
+      return res.status(404).json({
+        error: 'History not found',
+        message: `No history is recorded for ${label} ${req.params.id}`
+      });
+    }
+
+    res.json({
+      collection: path,
+      assetId: req.params.id,
+      count: versions.length,
+      versions
+    });
+  } catch (error) {
+    sendHistoryError(res, error, 'fetch', label);
+  }
+};
+
+/**
+ * Build a handler that returns one version of an asset, including its snapshot
+ * GET /api/assets/:collection/:id/history/:version
+ * @param {string} assetType - Key of ASSET_TYPES
+ */
+const getAssetVersion = (assetType) => async (req, res) => {
+  const { label } = ASSET_TYPES[assetType];
+
+  try {
+    const message = invalidParams(req.params);
+    if (message) {
+      return res.status(400).json({ error: 'Invalid query parameters', message });
+    }
+
+    const entry = await AssetHistory.findOne({
+      assetType,
+      assetId: req.params.id,
+      version: Number(req.params.version)
+    }).select('-__v');
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Version not found',
+        message: `${label} ${req.params.id} has no version ${req.params.version}`
+      });
+    }
+
+    res.json(entry);
+  } catch (error) {
+    sendHistoryError(res, error, 'fetch', label);
+  }
+};
+
+/**
+ * Build a handler that restores an asset to an earlier version
+ * POST /api/assets/:collection/:id/history/:version/restore
+ * The asset's fields are replaced with the version's snapshot; a deleted asset
+ * is recreated with its original id. Lifecycle transition rules are not applied,
+ * so a restore can undo a status change. The restore is recorded as a new
+ * version and the restored asset is returned as a GeoJSON Feature
+ * @param {string} assetType - Key of ASSET_TYPES
+ */
+const restoreAssetVersion = (assetType) => async (req, res) => {
+  const { model: Model, label } = ASSET_TYPES[assetType];
+
+  try {
+    const message = invalidParams(req.params);
+    if (message) {
+      return res.status(400).json({ error: 'Invalid query parameters', message });
+    }
+
+    const version = Number(req.params.version);
+    const entry = await AssetHistory.findOne({ assetType, assetId: req.params.id, version });
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Version not found',
+        message: `${label} ${req.params.id} has no version ${version}`
+      });
+    }
+
+    let doc = await Model.findById(req.params.id);
+    let before = null;
+    if (doc) {
+      before = snapshotOf(doc);
+      doc.overwrite({ ...entry.snapshot, _id: doc._id, createdAt: doc.createdAt });
+    } else {
+      doc = new Model({ ...entry.snapshot, _id: entry.assetId });
+    }
+    doc.$locals.skipLifecycleCheck = true;
+    await doc.save();
+    await recordChange(assetType, doc, 'restore', {
+      before,
+      user: req.user,
+      restoredFrom: version
+    });
+
+    res.json(toFeature(assetType, doc));
+  } catch (error) {
+    sendHistoryError(res, error, 'restore', label);
+  }
+};
+
+module.exports = {
+  getAssetHistory,
+  getAssetVersion,
+  restoreAssetVersion
+};
@@ -0,0 +1,157 @@
+const { ASSET_TYPES, assetTypeFromPath } = require('../utils/geojson');
+const { parseCsv } = require('../utils/csv');
+const { rowsToFeatures, importFeatures } = require('../utils/importer');
+const { convertZoneFile } = require('../utils/zoneConverter');
+const { isEnabled } = require('../utils/assetQuery');
+
+/**
+ * Import Controller - Bulk load assets from GeoJSON and CSV files
+ * Rows are validated with the mongoose schemas and reported individually
+ */
+
+/**
+ * Import assets into a collection
+ * POST /api/assets/import/:collection?dryRun=true&upsert=true&repair=true
+ * Body: GeoJSON FeatureCollection (application/json or application/geo+json)
+ *       or CSV with a header row (text/csv)
+ * `repair` fixes invalid regulatory zone boundaries instead of rejecting the row
+ */
+const importAssets = async (req, res) => {
+  try {
+    const assetType = assetTypeFromPath(req.params.collection);
+    if (!assetType) {
+      return res.status(404).json({
+        error: 'Unknown collection',
+        message: `Cannot import into ${req.params.collection}. Use one of: ${Object.values(ASSET_TYPES).map(t => t.path).join(', ')}`
+      });
+    }
+
+    let features;
+    if (typeof req.body === 'string') {
+      const { rows } = parseCsv(req.body);
+      features = rowsToFeatures(rows);
+    } else if (req.body && req.body.type === 'FeatureCollection' && Array.isArray(req.body.features)) {
+      features = req.body.features;
+    } else {
+      return res.status(400).json({
+        error: 'Invalid import file',
+        message: 'Send a GeoJSON FeatureCollection as JSON or a CSV file as text/csv'
+      });
+    }
+
+    if (features.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid import file',
+        message: 'The file contains no rows to import'
+      });
+    }
+
+    const report = await importFeatures(assetType, features, {
+      dryRun: isEnabled(req.query.dryRun),
+      upsert: isEnabled(req.query.upsert),
+      repair: isEnabled(req.query.repair),
+      user: req.user
+    });
+
+    res.json({
+      collection: req.params.collection,
+      ...report,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: 'Invalid import file',
+        message: error.message
+      });
+    }
+
+    console.error('Error importing assets:', error);
+    res.status(500).json({
+      error: 'Failed to import assets',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Parse an optional JSON object query parameter such as `mapping`
+ */
+function parseJsonParam(name, value) {
+  if (value === undefined || value === '') return {};
+  let parsed;
+  try {
+    parsed = JSON.parse(value);
+  } catch (error) {
+    parsed = null;
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    const error = new Error(`${name} must be a JSON object`);
+    error.status = 400;
+    throw error;
+  }
+  return parsed;
+}
+
+/**
+ * Import regulatory zone boundaries from KML, KMZ or a zipped Shapefile
+ * POST /api/regulatory/zones/import?format=&sourceCrs=&mapping=&defaults=&dryRun=&upsert=&repair=
+ * Body: the raw file. Shapefile zips may hold several layers, each with its
+ *       .shp, .dbf and optional .prj and .cpg
+ * Query:
+ *   format    - kml, kmz or shapefile (detected from the file when omitted)
+ *   sourceCrs - projection for layers without a .prj, e.g. EPSG:3857
+ *   mapping   - JSON { schemaPath: sourceField }, e.g. {"name":"ZONE_NM","policies.taxIncentives":"TAX_INC"}
+ *   defaults  - JSON { schemaPath: value } applied when a field is missing,
+ *               e.g. {"type":"federal","jurisdiction":"Alberta","effectiveDate":"2024-01-01"}
+ *   repair    - true to fix invalid boundaries instead of rejecting them (see utils/zoneGeometry)
+ */
+const importRegulatoryZones = async (req, res) => {
+  try {
+    const { format, features } = await convertZoneFile(req.body, {
+      format: req.query.format,
+      sourceCrs: req.query.sourceCrs,
+      mapping: parseJsonParam('mapping', req.query.mapping),
+      defaults: parseJsonParam('defaults', req.query.defaults)
+    });
+
+    if (features.length === 0) {
+      return res.status(400).json({
+        error: 'Invalid import file',
+        message: 'The file contains no features to import'
+      });
+    }
+
+    const report = await importFeatures('regulatoryZones', features, {
+      dryRun: isEnabled(req.query.dryRun),
+      upsert: isEnabled(req.query.upsert),
+      repair: isEnabled(req.query.repair),
+      user: req.user
+    });
+
+    res.json({
+      collection: ASSET_TYPES.regulatoryZones.path,
+      format,
+      ...report,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: 'Invalid import file',
+        message: error.message
+      });
+    }
+
+    console.error('Error importing regulatory zones:', error);
+    res.status(500).json({
+      error: 'Failed to import regulatory zones',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  importAssets,
+  importRegulatoryZones
+};
@@ -0,0 +1,299 @@
+const {
+  DEFAULT_TOLERANCE_KM,
+  MAX_TOLERANCE_KM,
+  loadNetworkData,
+  buildNetwork,
+  findRoute,
+  networkToGeoJSON
+} = require('../utils/network');
+const { allocateSupply } = require('../utils/flow');
+const { parseAssumptions } = require('../utils/balance');
+const { ASSET_TYPES, assetTypeFromPath } = require('../utils/geojson');
+const { calculateDistance } = require('../utils/scoring');
+const { parseYear } = require('../utils/projection');
+const { isEnabled } = require('../utils/assetQuery');
+
+/**
+ * Network Controller - Pipeline network topology
+ * The graph is rebuilt from the current pipelines and assets on each request
+ */
+
+/**
+ * Read the shared network options from a request query
+ * @returns {Object} { toleranceKm, includeDecommissioned }
+ * @throws {Error} With status 400 for an invalid tolerance
+ */
+function parseNetworkOptions(query) {
+  const toleranceKm = query.toleranceKm === undefined ? DEFAULT_TOLERANCE_KM : Number(query.toleranceKm);
+  if (!Number.isFinite(toleranceKm) || toleranceKm <= 0 || toleranceKm > MAX_TOLERANCE_KM) {
+    const error = new Error(`toleranceKm must be a number greater than 0 and at most ${MAX_TOLERANCE_KM}`);
+    error.status = 400;
+    throw error;
+  }
+  return {
+    toleranceKm,
+    includeDecommissioned: isEnabled(query.includeDecommissioned)
+  };
+}
+
+/**
+ * Get the pipeline network graph with connectivity and topology issues
+ * GET /api/network?toleranceKm=0.5&includeDecommissioned=false
+ * Pipeline vertices within toleranceKm of a plant, storage facility or demand
+ * center are snapped to it; vertices of different pipelines within
+ * toleranceKm of each other are joined. Decommissioned assets are left out
+ * unless includeDecommissioned=true
+ */
+const getNetwork = async (req, res) => {
+  try {
+    const { toleranceKm, includeDecommissioned } = parseNetworkOptions(req.query);
+
+    const data = await loadNetworkData({ includeDecommissioned });
+    const network = buildNetwork(data, toleranceKm);
+
+    res.json({
+      toleranceKm,
+      includeDecommissioned,
+      ...networkToGeoJSON(network),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        message: error.message
+      });
+    }
+
+    console.error('Error building pipeline network:', error);
+    res.status(500).json({
+      error: 'Failed to build pipeline network',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Parse a route endpoint such as `plants:<id>` or `demand-centers:<id>` into a node id
+ * Both API paths and collection keys are accepted before the colon
+ * @returns {string|null} Node id as used by buildNetwork, or null when malformed
+ */
+function parseNodeId(value) {
+  const match = /^([\w-]+):([0-9a-fA-F]{24})$/.exec(String(value || ''));
+  if (!match) return null;
+  const assetType = ASSET_TYPES[match[1]] ? match[1] : assetTypeFromPath(match[1]);
+  if (!['plants', 'storage', 'demandCenters'].includes(assetType)) return null;
+  return `${assetType}:${match[2]}`;
+}
+
+/**
+ * Summarize a route endpoint node for the response
+ */
+function endpointSummary(node) {
+  return {
+    id: node.id,
+    assetType: node.assetType,
+    assetId: node.assetId,
+    name: node.name,
+    coordinates: node.coordinates
+  };
+}
+
+/**
+ * Find the shortest hydrogen route between two assets
+ * GET /api/network/route?from=plants:<id>&to=demand-centers:<id>&minCapacity=&toleranceKm=
+ * Runs a shortest-path search over the pipeline network. When no pipeline path
+ * exists (or none with at least minCapacity), the route is a single straight-line
+ * trucking leg. The route is a FeatureCollection of legs with `mode`
+ * ('pipeline' or 'truck'), `lengthKm` and `capacity`
+ */
+const getRoute = async (req, res) => {
+  try {
+    const { toleranceKm, includeDecommissioned } = parseNetworkOptions(req.query);
+
+    const fromId = parseNodeId(req.query.from);
+    const toId = parseNodeId(req.query.to);
+    if (!fromId || !toId) {
+      return res.status(400).json({
+        error: 'Missing required parameters',
+        message: 'from and to are required as <collection>:<id>, e.g. plants:64f1c2... or demand-centers:64f1c2...'
+      });
+    }
+    if (fromId === toId) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        message: 'from and to must be different assets'
+      });
+    }
+
+    const minCapacity = req.query.minCapacity === undefined ? 0 : Number(req.query.minCapacity);
+    if (!Number.isFinite(minCapacity) || minCapacity < 0) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        message: 'minCapacity must be a non-negative number'
+      });
+    }
+
+    const network = buildNetwork(await loadNetworkData({ includeDecommissioned }), toleranceKm);
+    const from = network.nodes.find(node => node.id === fromId);
+    const to = network.nodes.find(node => node.id === toId);
+    const missing = [[fromId, from], [toId, to]].find(([, node]) => !node);
+    if (missing) {
+      return res.status(404).json({
+        error: 'Asset not found',
+        message: `${missing[0]} does not exist or is decommissioned`
+      });
+    }
+
+    const path = findRoute(network, fromId, toId, { minCapacity });
+    let route;
+    if (path) {
+      route = {
+        mode: 'pipeline',
+        lengthKm: path.lengthKm,
+        bottleneckCapacity: path.bottleneckCapacity,
+        nodeIds: path.nodeIds,
+        features: path.legs.map(leg => ({
+          type: 'Feature',
+          properties: {
+            mode: 'pipeline',
+            edgeId: leg.id,
+            pipelineId: leg.pipelineId,
+            name: leg.name,
+            status: leg.status,
+            capacity: leg.capacity,
+            lengthKm: leg.lengthKm
+          },
+          geometry: { type: 'LineString', coordinates: leg.coordinates }
+        }))
+      };
+    } else {
+      const lengthKm = calculateDistance(from.coordinates[1], from.coordinates[0], to.coordinates[1], to.coordinates[0]);
+      route = {
+        mode: 'truck',
+        lengthKm,
+        bottleneckCapacity: null,
+        nodeIds: [fromId, toId],
+        features: [{
+          type: 'Feature',
+          properties: {
+            mode: 'truck',
+            name: `Trucking from ${from.name} to ${to.name}`,
+            capacity: null,
+            lengthKm
+          },
+          geometry: { type: 'LineString', coordinates: [from.coordinates, to.coordinates] }
+        }]
+      };
+    }
+
+    res.json({
+      from: endpointSummary(from),
+      to: endpointSummary(to),
+      mode: route.mode,
+      lengthKm: route.lengthKm,
+      bottleneckCapacity: route.bottleneckCapacity,
+      nodeIds: route.nodeIds,
+      route: { type: 'FeatureCollection', features: route.features },
+      toleranceKm,
+      minCapacity,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        message: error.message
+      });
+    }
+
+    console.error('Error finding route:', error);
+    res.status(500).json({
+      error: 'Failed to find route',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Allocate plant supply to demand centers with a maximum-flow solver
+ * GET /api/network/allocation?includePlanned=false&toleranceKm=0.5&year=2035&capacityFactor=0.5&efficiency=0.7
+ * Plants supply their electrolyzer capacity converted to hydrogen output with
+ * capacityFactor and efficiency (as in the balance report), demand centers draw
+ * up to their demand and pipelines carry up to their capacity, all as hydrogen
+ * flows in MW at the lower heating value. Only operational plants,
+ * pipelines and storage take part unless includePlanned=true, which adds planned
+ * and under-construction assets (and decommissioned ones with includeDecommissioned=true).
+ * With `year`, demand centers draw their projected demand of that year
+ */
+const getAllocation = async (req, res) => {
+  try {
+    const { toleranceKm, includeDecommissioned } = parseNetworkOptions(req.query);
+    const includePlanned = isEnabled(req.query.includePlanned);
+    const year = parseYear(req.query.year);
+    const assumptions = parseAssumptions(req.query);
+
+    const data = await loadNetworkData({ includeDecommissioned, operationalOnly: !includePlanned, year });
+    const allocation = allocateSupply(buildNetwork(data, toleranceKm), assumptions);
+
+    // A pipeline is saturated when any of its segments runs at capacity
+    const saturatedPipelines = [];
+    allocation.edges.filter(edge => edge.saturated).forEach(edge => {
+      if (saturatedPipelines.some(pipeline => pipeline.id === edge.pipelineId)) return;
+      saturatedPipelines.push({ id: edge.pipelineId, name: edge.name, capacity: edge.capacity });
+    });
+
+    res.json({
+      totals: allocation.totals,
+      demandCenters: allocation.demandCenters,
+      plants: allocation.plants,
+      saturatedPipelines,
+      flows: {
+        type: 'FeatureCollection',
+        features: allocation.edges.map(edge => ({
+          type: 'Feature',
+          properties: {
+            edgeId: edge.id,
+            pipelineId: edge.pipelineId,
+            name: edge.name,
+            status: edge.status,
+            capacity: edge.capacity,
+            lengthKm: edge.lengthKm,
+            flowMW: edge.flowMW,
+            utilization: edge.utilization,
+            saturated: edge.saturated,
+            flowFrom: edge.flowFrom,
+            flowTo: edge.flowTo
+          },
+          geometry: { type: 'LineString', coordinates: edge.coordinates }
+        }))
+      },
+      toleranceKm,
+      includePlanned,
+      includeDecommissioned: includePlanned && includeDecommissioned,
+      year,
+      assumptions,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        message: error.message
+      });
+    }
+
+    console.error('Error allocating supply:', error);
+    res.status(500).json({
+      error: 'Failed to allocate supply',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  parseNetworkOptions,
+  getNetwork,
+  getRoute,
+  getAllocation
+};
@@ -1,4 +1,6 @@
 const RegulatoryZone = require('../models/RegulatoryZone');
+const { checkBoundary, repairBoundary } = require('../utils/zoneGeometry');
+const { isEnabled } = require('../utils/assetQuery');
 
 /**
  * Regulatory Zone Controller - Handle regulatory zone operations
@@ -328,8 +330,38 @@ function analyzeRegulatoryEnvironment(zones, lat, lng) {
   };
 }
 
+/**
+ * Check a zone boundary before it is saved, optionally repairing it
+ * POST /api/regulatory/zones/validate-geometry?repair=true
+ * Body: GeoJSON Polygon or MultiPolygon, bare or as a Feature
+ * Responds with `valid` and the `issues` found; with `repair=true` also the
+ * repaired `geometry` and the `repairs` made, leaving in `issues` only what
+ * could not be fixed
+ */
+const validateZoneGeometry = (req, res) => {
+  try {
+    const body = req.body || {};
+    const geometry = body.type === 'Feature' ? body.geometry : body;
+    if (!geometry || !geometry.type) {
+      return res.status(400).json({
+        error: 'Missing required parameters',
+        message: 'Send a GeoJSON Polygon or MultiPolygon, or a Feature with one'
+      });
+    }
+
+    res.json(isEnabled(req.query.repair) ? repairBoundary(geometry) : checkBoundary(geometry));
+  } catch (error) {
+    console.error('Error validating zone geometry:', error);
+    res.status(500).json({
+      error: 'Failed to validate zone geometry',
+      message: error.message
+    });
+  }
+};
+
 module.exports = {
   getRegulatoryZones,
   getZonesContainingPoint,
-  getRegulatoryStats
+  getRegulatoryStats,
+  validateZoneGeometry
 };
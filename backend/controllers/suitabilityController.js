@@ -1,20 +1,92 @@
 const DemandCenter = require('../models/DemandCenter');
 const RegulatoryZone = require('../models/RegulatoryZone');
-const { calculateDistance, calculateSuitabilityScore, generateWindSpeed, generateInfrastructureAccess } = require('../utils/scoring');
+const {
+  SCORING_DATA_VERSION,
+  normalizeWeights,
+  calculateDistance,
+  calculateSuitabilityScore,
+  generateWindSpeed,
+  generateInfrastructureAccess
+} = require('../utils/scoring');
+const { parseYear, projectDemand } = require('../utils/projection');
 
 /**
  * Suitability Controller - Calculate site suitability scores
  * Uses geospatial queries and mock data for hackathon demo
  */
 
+// Nearest demand centers checked for one with demand in a planning year
+const PROJECTION_CANDIDATES = 25;
+
+/**
+ * Work out the factor weights of a suitability request
+ * `weights` are validated and normalized; `weightProfile` names one of the
+ * signed-in user's saved profiles. Without either the default weights apply
+ * @param {Object} req - Express request
+ * @returns {Object} { weights, weightProfile } where weightProfile is the profile name or null
+ * @throws {Error} With status 400 for unusable weights or unknown profiles, 401 when
+ *   a profile is requested without signing in
+ */
+function resolveWeights(req) {
+  const { weights, weightProfile } = req.body;
+  const fail = (status, message) => {
+    const error = new Error(message);
+    error.status = status;
+    throw error;
+  };
+
+  if (weightProfile === undefined || weightProfile === null) {
+    return { weights: normalizeWeights(weights), weightProfile: null };
+  }
+  if (weights !== undefined && weights !== null) {
+    fail(400, 'Send either weights or weightProfile, not both');
+  }
+  if (!req.user) {
+    fail(401, 'Sign in to use a saved weight profile');
+  }
+
+  const profile = (req.user.weightProfiles || []).find(saved => saved.name === String(weightProfile).trim());
+  if (!profile) {
+    fail(400, `You have no weight profile named ${weightProfile}`);
+  }
+  return { weights: normalizeWeights(profile.weights.toObject()), weightProfile: profile.name };
+}
+
+/**
+ * Send the response for a suitability request that failed on its input
+ * @returns {boolean} Whether a response was sent
+ */
+function sendInputError(res, error) {
+  if (error.status === 400) {
+    res.status(400).json({
+      error: 'Invalid query parameters',
+      message: error.message
+    });
+    return true;
+  }
+  if (error.status === 401) {
+    res.status(401).json({
+      success: false,
+      error: 'Authentication required',
+      message: error.message
+    });
+    return true;
+  }
+  return false;
+}
+
 /**
  * Calculate suitability score for a given location
  * POST /api/suitability
- * Body: { lat: number, lng: number }
+ * Body: { lat: number, lng: number, year?: number, weights?: object, weightProfile?: string }
+ * With `year`, only demand centers with projected demand in that year count.
+ * `weights` or a saved `weightProfile` set the points of each factor (see resolveWeights)
  */
 const calculateSuitability = async (req, res) => {
   try {
     const { lat, lng } = req.body;
+    const year = parseYear(req.body.year);
+    const { weights, weightProfile } = resolveWeights(req);
     
     // Validate input
     if (!lat || !lng) {
@@ -33,7 +105,7 @@ const calculateSuitability = async (req, res) => {
     }
     
     // Find nearest demand center using MongoDB geospatial query
-    const nearestDemandCenter = await DemandCenter.findOne({
+    const candidates = await DemandCenter.find({
       location: {
         $near: {
           $geometry: {
@@ -42,7 +114,8 @@ const calculateSuitability = async (req, res) => {
           }
         }
       }
-    });
+    }).limit(year === null ? 1 : PROJECTION_CANDIDATES);
+    const nearestDemandCenter = candidates.find(center => projectDemand(center, year) > 0) || null;
     
     let distanceToDemand = 100; // Default fallback distance (km)
     let nearestDemandInfo = null;
@@ -54,7 +127,7 @@ const calculateSuitability = async (req, res) => {
       
       nearestDemandInfo = {
         name: nearestDemandCenter.name,
-        demand: nearestDemandCenter.demand,
+        demand: projectDemand(nearestDemandCenter, year),
         type: nearestDemandCenter.type,
         coordinates: [demandLng, demandLat]
       };
@@ -77,10 +150,12 @@ const calculateSuitability = async (req, res) => {
     const regulatoryAnalysis = analyzeRegulatoryEnvironment(regulatoryZones, lat, lng);
     
     // Calculate suitability score (now includes regulatory factor)
-    const result = calculateSuitabilityScore(lat, lng, distanceToDemand, regulatoryAnalysis.overallScore);
+    const result = calculateSuitabilityScore(lat, lng, distanceToDemand, regulatoryAnalysis.overallScore, weights);
     
     // Add additional context information
     result.location = { lat, lng };
+    result.year = year;
+    result.weightProfile = weightProfile;
     result.nearestDemandCenter = nearestDemandInfo;
     result.regulatoryAnalysis = regulatoryAnalysis;
     result.timestamp = new Date().toISOString();
@@ -91,6 +166,8 @@ const calculateSuitability = async (req, res) => {
     res.json(result);
     
   } catch (error) {
+    if (sendInputError(res, error)) return;
+
     console.error('Error calculating suitability:', error);
     res.status(500).json({
       error: 'Failed to calculate suitability score',
@@ -144,12 +221,19 @@ function getScoreInterpretation(score) {
  * Body: { 
  *   bounds: { north, south, east, west },
  *   polygon: [[lat, lng], ...],
- *   gridResolution?: number 
+ *   gridResolution?: number,
+ *   year?: number,
+ *   weights?: object,
+ *   weightProfile?: string
  * }
+ * With `year`, only demand centers with projected demand in that year count.
+ * Every site is scored with the same weights (see resolveWeights)
  */
 const analyzeArea = async (req, res) => {
   try {
     const { bounds, polygon, gridResolution = 20 } = req.body;
+    const year = parseYear(req.body.year);
+    const { weights, weightProfile } = resolveWeights(req);
     
     // Validate input
     if (!bounds || !polygon) {
@@ -184,13 +268,12 @@ const analyzeArea = async (req, res) => {
     const centerLat = (north + south) / 2;
     const centerLng = (east + west) / 2;
     
+    // $nearSphere returns them nearest first, so every run sees the same centers in the same order
     const demandCenters = await DemandCenter.find({
       location: {
-        $geoWithin: {
-          $centerSphere: [
-            [centerLng, centerLat], 
-            100 / 6378.1 // 100km radius in radians
-          ]
+        $nearSphere: {
+          $geometry: { type: 'Point', coordinates: [centerLng, centerLat] },
+          $maxDistance: 100 * 1000 // 100km radius in meters
         }
       }
     }).limit(20); // Limit to 20 nearest centers to improve performance
@@ -198,7 +281,7 @@ const analyzeArea = async (req, res) => {
     console.log(`Found ${demandCenters.length} demand centers in region`);
     
     // Pre-calculate demand center coordinates for faster access
-    const demandCenterCoords = demandCenters.map(center => ({
+    const demandCenterCoords = demandCenters.filter(center => projectDemand(center, year) > 0).map(center => ({
       lat: center.location.coordinates[1],
       lng: center.location.coordinates[0]
     }));
@@ -225,7 +308,7 @@ const analyzeArea = async (req, res) => {
           }
           
           // Calculate suitability score for this point
-          const siteResult = calculateSuitabilityScore(lat, lng, minDistance);
+          const siteResult = calculateSuitabilityScore(lat, lng, minDistance, undefined, weights);
           siteResult.location = { lat, lng };
           siteResult.interpretation = getScoreInterpretation(siteResult.score);
           
@@ -251,9 +334,13 @@ const analyzeArea = async (req, res) => {
       sites: sites.slice(0, 10), // Return top 10 sites
       areaStats,
       timestamp: new Date().toISOString(),
+      dataVersion: SCORING_DATA_VERSION,
+      weights,
+      weightProfile,
       gridResolution: actualGridResolution,
       totalSitesAnalyzed: sites.length,
-      analysisType: 'square'
+      analysisType: 'square',
+      year
     };
     
     console.log(`Analysis complete: Found ${sites.length} sites, best score: ${bestSite?.score || 0}`);
@@ -261,6 +348,8 @@ const analyzeArea = async (req, res) => {
     res.json(result);
     
   } catch (error) {
+    if (sendInputError(res, error)) return;
+
     console.error('Error analyzing area:', error);
     res.status(500).json({
       error: 'Failed to analyze area',
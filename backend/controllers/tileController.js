@@ -0,0 +1,57 @@
+const { ASSET_TYPES, assetTypeFromPath } = require('../utils/geojson');
+const { parseTileCoordinates, getTile } = require('../utils/tiles');
+
+/**
+ * Tile Controller - Mapbox Vector Tiles for the asset layers
+ */
+
+// Browsers may reuse a tile this long; the server cache is cleared on writes
+const TILE_MAX_AGE_SECONDS = 60;
+
+/**
+ * Get one vector tile of an asset layer
+ * GET /tiles/:layer/:z/:x/:y.mvt
+ * :layer is a collection path (plants, pipelines, demand-centers, storage,
+ * regulatory-zones) and is also the name of the layer inside the tile.
+ * The attribute filters of the listing endpoints (status, type, minCapacity, ...)
+ * may be passed in the query; without them a layer shows what its listing shows,
+ * e.g. only active regulatory zones. Empty tiles are answered with 204 No Content
+ */
+const getVectorTile = async (req, res) => {
+  try {
+    const assetType = assetTypeFromPath(req.params.layer);
+    if (!assetType) {
+      return res.status(404).json({
+        error: 'Layer not found',
+        message: `${req.params.layer} is not a tile layer`
+      });
+    }
+
+    const coordinates = parseTileCoordinates(req.params);
+    const { tile, cached } = await getTile(assetType, coordinates, req.query, ASSET_TYPES[assetType].baseFilter);
+
+    res.set('Cache-Control', `public, max-age=${TILE_MAX_AGE_SECONDS}`);
+    res.set('X-Tile-Cache', cached ? 'HIT' : 'MISS');
+    if (!tile) {
+      return res.status(204).end();
+    }
+    res.type('application/vnd.mapbox-vector-tile').send(tile);
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        message: error.message
+      });
+    }
+
+    console.error('Error generating vector tile:', error);
+    res.status(500).json({
+      error: 'Failed to generate vector tile',
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  getVectorTile
+};
@@ -0,0 +1,143 @@
+const mongoose = require('mongoose');
+const { ASSET_TYPES } = require('../utils/geojson');
+const {
+  TIME_SERIES_METRICS,
+  parseMeasurements,
+  ingestMeasurements,
+  parseResampleOptions,
+  resampleMeasurements
+} = require('../utils/timeseries');
+const { isEnabled } = require('../utils/assetQuery');
+
+/**
+ * Time Series Controller - Measured plant production and storage fill levels
+ * Readings are stored in the measurements time-series collection and
+ * resampled on request
+ */
+
+/**
+ * Build a handler that stores a batch of measurements
+ * POST /api/assets/:collection/timeseries?dryRun=true     - Readings of several assets
+ * POST /api/assets/:collection/:id/timeseries?dryRun=true - Readings of one asset
+ * Body: JSON array of { assetId, timestamp, value }, { measurements: [...] },
+ *       or CSV with assetId, timestamp and value columns (text/csv).
+ *       assetId may be omitted when posting to a single asset
+ * Rows that fail validation are reported and the rest are stored
+ * @param {string} assetType - plants or storage
+ */
+const ingestTimeSeries = (assetType) => async (req, res) => {
+  const { path, label } = ASSET_TYPES[assetType];
+  const { metric, unit } = TIME_SERIES_METRICS[assetType];
+
+  try {
+    if (req.params.id !== undefined && !mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        error: 'Invalid measurement batch',
+        message: `${req.params.id} is not a valid id`
+      });
+    }
+
+    const { records, errors: invalid } = parseMeasurements(req.body, req.params.id);
+    const dryRun = isEnabled(req.query.dryRun);
+    const { inserted, duplicates, errors } = records.length > 0
+      ? await ingestMeasurements(assetType, records, { dryRun })
+      : { inserted: 0, duplicates: 0, errors: [] };
+
+    res.status(inserted > 0 && !dryRun ? 201 : 200).json({
+      collection: path,
+      metric,
+      unit,
+      dryRun,
+      received: records.length + invalid.length,
+      inserted,
+      duplicates,
+      rejected: invalid.length + errors.length,
+      errors: [...invalid, ...errors].sort((a, b) => a.row - b.row),
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: 'Invalid measurement batch',
+        message: error.message
+      });
+    }
+
+    console.error(`Error ingesting ${label} measurements:`, error);
+    res.status(500).json({
+      error: `Failed to ingest ${label} measurements`,
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Build a handler that returns an asset's resampled measurements
+ * GET /api/assets/:collection/:id/timeseries?interval=day&from=&to=
+ * Storage points also give the resampled fill level as a percentage of the
+ * facility's capacity
+ * @param {string} assetType - plants or storage
+ */
+const getTimeSeries = (assetType) => async (req, res) => {
+  const { model: Model, path, label } = ASSET_TYPES[assetType];
+  const { metric, label: metricLabel, unit, aggregation } = TIME_SERIES_METRICS[assetType];
+
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        message: `${req.params.id} is not a valid id`
+      });
+    }
+    const options = parseResampleOptions(req.query);
+
+    const asset = await Model.findById(req.params.id).select('name capacity');
+    if (!asset) {
+      return res.status(404).json({
+        error: `${label.charAt(0).toUpperCase()}${label.slice(1)} not found`,
+        message: `No ${label} exists with id ${req.params.id}`
+      });
+    }
+
+    let points = await resampleMeasurements(assetType, req.params.id, options);
+    if (assetType === 'storage' && asset.capacity > 0) {
+      points = points.map(point => ({
+        ...point,
+        percentOfCapacity: Math.round((point.value / asset.capacity) * 1000) / 10
+      }));
+    }
+
+    res.json({
+      collection: path,
+      assetId: req.params.id,
+      name: asset.name,
+      metric,
+      label: metricLabel,
+      unit,
+      aggregation,
+      interval: options.interval,
+      from: options.from.toISOString(),
+      to: options.to.toISOString(),
+      count: points.length,
+      points
+    });
+  } catch (error) {
+    if (error.status === 400) {
+      return res.status(400).json({
+        error: 'Invalid query parameters',
+        message: error.message
+      });
+    }
+
+    console.error(`Error fetching ${label} measurements:`, error);
+    res.status(500).json({
+      error: `Failed to fetch ${label} measurements`,
+      message: error.message
+    });
+  }
+};
+
+module.exports = {
+  ingestTimeSeries,
+  getTimeSeries
+};
@@ -0,0 +1,135 @@
+const { DEFAULT_WEIGHTS, normalizeWeights } = require('../utils/scoring');
+
+/**
+ * Weight Profile Controller - Named suitability factor weights saved on a user's account
+ * A profile is used by passing its name as `weightProfile` to the suitability endpoints
+ */
+
+// Profiles a single account can keep
+const MAX_WEIGHT_PROFILES = 20;
+
+/**
+ * Weight profile as an API object
+ */
+function toWeightProfile(profile) {
+  return {
+    name: profile.name,
+    weights: normalizeWeights(profile.weights.toObject()),
+    updatedAt: profile.updatedAt
+  };
+}
+
+/**
+ * Send an error response for a failed weight profile request
+ */
+function sendWeightProfileError(res, error, action) {
+  if (error.name === 'ValidationError') {
+    return res.status(400).json({
+      error: 'Invalid weight profile',
+      message: error.message,
+      details: Object.values(error.errors).map(err => ({
+        field: err.path,
+        message: err.message
+      }))
+    });
+  }
+
+  if (error.status === 400) {
+    return res.status(400).json({
+      error: 'Invalid weight profile',
+      message: error.message
+    });
+  }
+
+  console.error(`Error trying to ${action} weight profile:`, error);
+  res.status(500).json({
+    error: `Failed to ${action} weight profile`,
+    message: error.message
+  });
+}
+
+/**
+ * List the signed-in user's weight profiles and the default weights
+ * GET /api/suitability/weight-profiles
+ */
+const getWeightProfiles = async (req, res) => {
+  try {
+    const profiles = (req.user.weightProfiles || []).map(toWeightProfile);
+    res.json({
+      defaults: { ...DEFAULT_WEIGHTS },
+      count: profiles.length,
+      profiles
+    });
+  } catch (error) {
+    sendWeightProfileError(res, error, 'fetch');
+  }
+};
+
+/**
+ * Create or replace a weight profile of the signed-in user
+ * PUT /api/suitability/weight-profiles/:name
+ * Body: { weights: { renewable?, demand?, grid?, regulatory? } }
+ * Weights are stored normalized to a total of 100
+ */
+const saveWeightProfile = async (req, res) => {
+  try {
+    const name = String(req.params.name).trim();
+    if (!req.body || req.body.weights === undefined || req.body.weights === null) {
+      return res.status(400).json({
+        error: 'Missing required parameters',
+        message: 'weights is required'
+      });
+    }
+    const weights = normalizeWeights(req.body.weights);
+
+    const user = req.user;
+    const existing = user.weightProfiles.find(profile => profile.name === name);
+    if (existing) {
+      existing.weights = weights;
+      existing.updatedAt = new Date();
+    } else {
+      if (user.weightProfiles.length >= MAX_WEIGHT_PROFILES) {
+        return res.status(400).json({
+          error: 'Invalid weight profile',
+          message: `An account can keep at most ${MAX_WEIGHT_PROFILES} weight profiles; delete one first`
+        });
+      }
+      user.weightProfiles.push({ name, weights });
+    }
+    await user.save();
+
+    const saved = user.weightProfiles.find(profile => profile.name === name);
+    res.status(existing ? 200 : 201).json(toWeightProfile(saved));
+  } catch (error) {
+    sendWeightProfileError(res, error, 'save');
+  }
+};
+
+/**
+ * Delete a weight profile of the signed-in user
+ * DELETE /api/suitability/weight-profiles/:name
+ */
+const deleteWeightProfile = async (req, res) => {
+  try {
+    const user = req.user;
+    const profile = user.weightProfiles.find(saved => saved.name === String(req.params.name).trim());
+    if (!profile) {
+      return res.status(404).json({
+        error: 'Weight profile not found',
+        message: `You have no weight profile named ${req.params.name}`
+      });
+    }
+
+    user.weightProfiles = user.weightProfiles.filter(saved => saved !== profile);
+    await user.save();
+    res.json(toWeightProfile(profile));
+  } catch (error) {
+    sendWeightProfileError(res, error, 'delete');
+  }
+};
+
+module.exports = {
+  getWeightProfiles,
+  saveWeightProfile,
+  deleteWeightProfile
+};
@@ -0,0 +1,67 @@
+const mongoose = require('mongoose');
+
+/**
+ * AssetHistory Model - One version of an asset document
+ * Written on every create, update, delete, restore and merge of plants,
+ * pipelines, demand centers, storage facilities and regulatory zones
+ */
+const assetHistorySchema = new mongoose.Schema({
+  // Key of ASSET_TYPES, e.g. 'plants' or 'regulatoryZones'
+  assetType: {
+    type: String,
+    required: true,
+    enum: ['plants', 'pipelines', 'demandCenters', 'storage', 'regulatoryZones']
+  },
+  assetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Increments from 1 for each asset
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  action: {
+    type: String,
+    required: true,
+    enum: ['create', 'update', 'delete', 'restore', 'merge']
+  },
+  // Changed fields as dotted paths with their old and new values
+  changes: [{
+    _id: false,
+    path: { type: String, required: true },
+    from: mongoose.Schema.Types.Mixed,
+    to: mongoose.Schema.Types.Mixed
+  }],
+  // Asset fields after the change (for deletes, the last state before removal)
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  // Version whose snapshot was restored, for restore entries
+  restoredFrom: {
+    type: Number
+  },
+  // For merge entries: the duplicate merged into this asset, on the kept asset,
+  // and the asset it was merged into, on the removed duplicate
+  mergedFrom: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  mergedInto: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  user: {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: String,
+    email: String
+  }
+}, {
+  timestamps: { createdAt: 'timestamp', updatedAt: false },
+  minimize: false
+});
+
+// Versions of an asset are listed newest first and must not repeat
+assetHistorySchema.index({ assetType: 1, assetId: 1, version: -1 }, { unique: true });
+
+module.exports = mongoose.model('AssetHistory', assetHistorySchema);
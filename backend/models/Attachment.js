@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+/**
+ * Attachment Model - A document file linked to an asset
+ * Feasibility studies, clearances, permits and other files uploaded for plants,
+ * pipelines, demand centers, storage facilities and regulatory zones. The file
+ * itself is kept by an attachment store (see utils/attachmentStore)
+ */
+const attachmentSchema = new mongoose.Schema({
+  // Key of ASSET_TYPES, e.g. 'plants' or 'regulatoryZones'
+  assetType: {
+    type: String,
+    required: true,
+    enum: ['plants', 'pipelines', 'demandCenters', 'storage', 'regulatoryZones']
+  },
+  assetId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  fileName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  contentType: {
+    type: String,
+    required: true
+  },
+  // Bytes
+  size: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // SHA-256 of the file, hex encoded
+  checksum: {
+    type: String,
+    required: true
+  },
+  documentType: {
+    type: String,
+    enum: ['feasibility-study', 'environmental-clearance', 'permit', 'technical-drawing', 'contract', 'other'],
+    default: 'other'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  // Name of the store holding the file and its key there
+  store: {
+    type: String,
+    required: true
+  },
+  storageKey: {
+    type: String,
+    required: true
+  },
+  uploadedBy: {
+    id: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    name: String,
+    email: String
+  }
+}, {
+  timestamps: { createdAt: 'uploadedAt', updatedAt: false }
+});
+
+// Attachments of an asset are listed newest first
+attachmentSchema.index({ assetType: 1, assetId: 1, uploadedAt: -1 });
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
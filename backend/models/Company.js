@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * Company Model - Developer, utility or other operator that owns assets
+ * A company's portfolio is the plants, pipelines and storage facilities whose
+ * `owner` references it; see GET /api/companies/:id/portfolio
+ */
+const companySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  type: {
+    type: String,
+    enum: ['developer', 'utility', 'oil-and-gas', 'industrial', 'investor', 'government', 'other'],
+    default: 'developer'
+  },
+  country: {
+    type: String,
+    trim: true
+  },
+  website: {
+    type: String,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  contacts: [{
+    _id: false,
+    name: {
+      type: String,
+      required: true,
+      trim: true
+    },
+    role: {
+      type: String,
+      trim: true
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    phone: {
+      type: String,
+      trim: true
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+companySchema.index({ type: 1 });
+
+module.exports = mongoose.model('Company', companySchema);
@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+/**
+ * CustomField Model - A typed attribute an organization records on its assets
+ * Values are stored on the assets under `customFields.<organization>.<key>`
+ * and checked against these definitions by utils/annotations
+ */
+const customFieldSchema = new mongoose.Schema({
+  // Organization slug of the users who defined the field (see User.organization)
+  organization: {
+    type: String,
+    required: true,
+    match: [/^[a-z0-9][a-z0-9-]*$/, 'Organization must be a lowercase slug such as acme-energy']
+  },
+  // Name of the value on assets and in `field.<key>` filters
+  key: {
+    type: String,
+    required: true,
+    match: [/^[a-zA-Z][a-zA-Z0-9_]*$/, 'Key must start with a letter and contain only letters, digits and _'],
+    maxlength: 40
+  },
+  label: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 80
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['string', 'number', 'boolean', 'date', 'enum']
+  },
+  // Allowed values of enum fields
+  options: {
+    type: [{ type: String, trim: true }],
+    default: undefined,
+    validate: {
+      validator: function(options) {
+        return this.type !== 'enum' || (Array.isArray(options) && options.length > 0);
+      },
+      message: 'Enum fields need at least one option'
+    }
+  },
+  // Asset types (keys of ASSET_TYPES) the field applies to; empty for all
+  assetTypes: [{
+    type: String,
+    enum: ['plants', 'pipelines', 'demandCenters', 'storage', 'regulatoryZones']
+  }],
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500
+  }
+}, {
+  timestamps: true
+});
+
+// Keys are unique within an organization
+customFieldSchema.index({ organization: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('CustomField', customFieldSchema);
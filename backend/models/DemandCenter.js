@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { changeEventsPlugin } = require('../utils/changes');
+const { annotationsPlugin } = require('../utils/annotations');
 
 /**
  * DemandCenter Model - Represents hydrogen demand/consumption centers
@@ -10,6 +12,11 @@ const demandCenterSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // State or province, used to group assets in regional reports
+  state: {
+    type: String,
+    trim: true
+  },
   location: {
     type: {
       type: String,
@@ -35,6 +42,35 @@ const demandCenterSchema = new mongoose.Schema({
     min: 0,
     description: 'Annual hydrogen demand in tonnes'
   },
+  // Demand in planning years, see utils/projection
+  demandProjection: {
+    // Year in which `demand` applies; the year the center was added when not set
+    baseYear: {
+      type: Number,
+      min: 2000,
+      max: 2100
+    },
+    // Compound annual growth after the last known year, e.g. 0.08 for 8% a year
+    growthRate: {
+      type: Number,
+      min: -0.5,
+      max: 1
+    },
+    // Directly entered annual demand in tonnes for specific years
+    years: {
+      type: [{
+        _id: false,
+        year: { type: Number, required: true, min: 2000, max: 2100 },
+        demand: { type: Number, required: true, min: 0 }
+      }],
+      validate: {
+        validator: function(v) {
+          return new Set(v.map(entry => entry.year)).size === v.length;
+        },
+        message: 'Each projection year may only be entered once'
+      }
+    }
+  },
   type: {
     type: String,
     enum: ['industrial', 'transport', 'residential', 'mixed'],
@@ -44,7 +80,14 @@ const demandCenterSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Tags and organization-defined custom fields
+demandCenterSchema.plugin(annotationsPlugin, { assetType: 'demandCenters' });
+
+// Notify listeners such as the tile cache of writes
+demandCenterSchema.plugin(changeEventsPlugin);
+
 // Create 2dsphere index for geospatial queries
 demandCenterSchema.index({ location: '2dsphere' });
+demandCenterSchema.index({ state: 1 });
 
 module.exports = mongoose.model('DemandCenter', demandCenterSchema);
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+/**
+ * Measurement Model - One measured value of a plant or storage facility
+ * Stored in a MongoDB time-series collection, bucketed by asset and metric.
+ * Plants record hydrogen `production` (tonnes produced in the interval since
+ * the previous reading); storage facilities record `fillLevel` (tonnes held)
+ */
+const measurementSchema = new mongoose.Schema({
+  timestamp: {
+    type: Date,
+    required: true
+  },
+  meta: {
+    // Key of ASSET_TYPES
+    assetType: {
+      type: String,
+      required: true,
+      enum: ['plants', 'storage']
+    },
+    assetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true
+    },
+    metric: {
+      type: String,
+      required: true,
+      enum: ['production', 'fillLevel']
+    }
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, {
+  timeseries: {
+    timeField: 'timestamp',
+    metaField: 'meta',
+    granularity: 'hours'
+  },
+  versionKey: false
+});
+
+// Series of one asset in time order
+measurementSchema.index({ 'meta.assetId': 1, 'meta.metric': 1, timestamp: 1 });
+
+module.exports = mongoose.model('Measurement', measurementSchema);
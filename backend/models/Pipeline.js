@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { LIFECYCLE_STATES, lifecyclePlugin } = require('../utils/lifecycle');
+const { changeEventsPlugin } = require('../utils/changes');
+const { annotationsPlugin } = require('../utils/annotations');
+const { ownerPlugin } = require('../utils/ownership');
 
 /**
  * Pipeline Model - Represents hydrogen transport pipelines
@@ -41,13 +45,25 @@ const pipelineSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['operational', 'planned', 'under-construction', 'decommissioned'],
+    enum: LIFECYCLE_STATES,
     default: 'planned'
   }
 }, {
   timestamps: true
 });
 
+// Enforce status transitions and record lifecycle dates
+pipelineSchema.plugin(lifecyclePlugin);
+
+// Owning company, checked to exist
+pipelineSchema.plugin(ownerPlugin);
+
+// Tags and organization-defined custom fields
+pipelineSchema.plugin(annotationsPlugin, { assetType: 'pipelines' });
+
+// Notify listeners such as the tile cache of writes
+pipelineSchema.plugin(changeEventsPlugin);
+
 // Create 2dsphere index for geospatial queries
 pipelineSchema.index({ path: '2dsphere' });
 
@@ -1,8 +1,13 @@
 const mongoose = require('mongoose');
+const { LIFECYCLE_STATES, lifecyclePlugin } = require('../utils/lifecycle');
+const { changeEventsPlugin } = require('../utils/changes');
+const { annotationsPlugin } = require('../utils/annotations');
+const { ownerPlugin } = require('../utils/ownership');
 
 /**
  * Plant Model - Represents hydrogen production plants
- * Includes GeoJSON Point location for spatial queries
+ * Includes GeoJSON Point location for spatial queries and the electrolyzer,
+ * water and power supply details used to compare plants
  */
 const plantSchema = new mongoose.Schema({
   name: {
@@ -10,6 +15,11 @@ const plantSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // State or province, used to group assets in regional reports
+  state: {
+    type: String,
+    trim: true
+  },
   capacity: {
     type: Number,
     required: true,
@@ -17,9 +27,50 @@ const plantSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['operational', 'planned', 'under-construction', 'decommissioned'],
+    enum: LIFECYCLE_STATES,
     default: 'planned'
   },
+  technology: {
+    type: String,
+    enum: ['PEM', 'alkaline', 'SOEC', 'AEM']
+  },
+  // Electricity used per kilogram of hydrogen produced, in kWh/kg
+  specificEnergyConsumption: {
+    type: Number,
+    min: 0
+  },
+  water: {
+    source: {
+      type: String,
+      enum: ['municipal', 'groundwater', 'surface-water', 'desalination', 'recycled']
+    },
+    // Annual water withdrawal in cubic metres
+    consumption: {
+      type: Number,
+      min: 0
+    }
+  },
+  // Renewable generation feeding the electrolyzers
+  renewableSupply: {
+    name: {
+      type: String,
+      trim: true
+    },
+    source: {
+      type: String,
+      enum: ['solar', 'wind', 'hybrid', 'hydro', 'grid-renewable']
+    },
+    // Installed generation capacity in MW
+    capacity: {
+      type: Number,
+      min: 0
+    }
+  },
+  // Hydrogen production in tonnes per year
+  annualOutput: {
+    type: Number,
+    min: 0
+  },
   location: {
     type: {
       type: String,
@@ -43,7 +94,20 @@ const plantSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Enforce status transitions and record lifecycle dates
+plantSchema.plugin(lifecyclePlugin);
+
+// Owning company, checked to exist
+plantSchema.plugin(ownerPlugin);
+
+// Tags and organization-defined custom fields
+plantSchema.plugin(annotationsPlugin, { assetType: 'plants' });
+
+// Notify listeners such as the tile cache of writes
+plantSchema.plugin(changeEventsPlugin);
+
 // Create 2dsphere index for geospatial queries
 plantSchema.index({ location: '2dsphere' });
+plantSchema.index({ state: 1 });
 
 module.exports = mongoose.model('Plant', plantSchema);
@@ -1,4 +1,7 @@
 const mongoose = require('mongoose');
+const { changeEventsPlugin } = require('../utils/changes');
+const { annotationsPlugin } = require('../utils/annotations');
+const { boundaryCheckPlugin } = require('../utils/zoneGeometry');
 
 /**
  * RegulatoryZone Model - Represents regulatory boundaries and policies
@@ -36,7 +39,8 @@ const regulatoryZoneSchema = new mongoose.Schema({
       required: true
     },
     coordinates: {
-      type: [[[Number]]], // Polygon coordinates or MultiPolygon coordinates
+      // Mixed so that both Polygon ([[[lng, lat]]]) and MultiPolygon ([[[[lng, lat]]]]) nest correctly
+      type: mongoose.Schema.Types.Mixed,
       required: true,
       validate: {
         validator: function(v) {
@@ -121,6 +125,15 @@ const regulatoryZoneSchema = new mongoose.Schema({
   timestamps: true
 });
 
+// Tags and organization-defined custom fields
+regulatoryZoneSchema.plugin(annotationsPlugin, { assetType: 'regulatoryZones' });
+
+// Reject boundaries the 2dsphere index cannot store, repairing them on request
+regulatoryZoneSchema.plugin(boundaryCheckPlugin, { path: 'boundary' });
+
+// Notify listeners such as the tile cache of writes
+regulatoryZoneSchema.plugin(changeEventsPlugin);
+
 // Create 2dsphere index for geospatial queries
 regulatoryZoneSchema.index({ boundary: '2dsphere' });
 
@@ -1,4 +1,8 @@
 const mongoose = require('mongoose');
+const { LIFECYCLE_STATES, lifecyclePlugin } = require('../utils/lifecycle');
+const { changeEventsPlugin } = require('../utils/changes');
+const { annotationsPlugin } = require('../utils/annotations');
+const { ownerPlugin } = require('../utils/ownership');
 
 /**
  * Storage Model - Represents hydrogen storage facilities
@@ -10,6 +14,11 @@ const storageSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
+  // State or province, used to group assets in regional reports
+  state: {
+    type: String,
+    trim: true
+  },
   capacity: {
     type: Number,
     required: true,
@@ -42,14 +51,27 @@ const storageSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['operational', 'planned', 'under-construction', 'decommissioned'],
+    enum: LIFECYCLE_STATES,
     default: 'planned'
   }
 }, {
   timestamps: true
 });
 
+// Enforce status transitions and record lifecycle dates
+storageSchema.plugin(lifecyclePlugin);
+
+// Owning company, checked to exist
+storageSchema.plugin(ownerPlugin);
+
+// Tags and organization-defined custom fields
+storageSchema.plugin(annotationsPlugin, { assetType: 'storage' });
+
+// Notify listeners such as the tile cache of writes
+storageSchema.plugin(changeEventsPlugin);
+
 // Create 2dsphere index for geospatial queries
 storageSchema.index({ location: '2dsphere' });
+storageSchema.index({ state: 1 });
 
 module.exports = mongoose.model('Storage', storageSchema);
@@ -35,6 +35,35 @@ const userSchema = new mongoose.Schema({
     enum: ['admin', 'analyst', 'viewer'],
     default: 'analyst'
   },
+  // Team whose custom field definitions the user works with (see CustomField)
+  organization: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    match: [/^[a-z0-9][a-z0-9-]*$/, 'Organization must be a slug such as acme-energy'],
+    maxlength: [50, 'Organization cannot be longer than 50 characters'],
+    default: 'default'
+  },
+  // Named suitability factor weights, normalized to 100 points (see utils/scoring)
+  weightProfiles: [{
+    _id: false,
+    name: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [50, 'Profile names cannot be longer than 50 characters']
+    },
+    weights: {
+      renewable: { type: Number, min: 0, required: true },
+      demand: { type: Number, min: 0, required: true },
+      grid: { type: Number, min: 0, required: true },
+      regulatory: { type: Number, min: 0, required: true }
+    },
+    updatedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   avatar: {
     type: String,
     default: function() {
@@ -5,14 +5,40 @@ const {
   getPipelines,
   getDemandCenters,
   getStorage,
-  getRegulatoryZones
+  getRegulatoryZones,
+  getNearestAssets,
+  getTags,
+  getAssetById,
+  createAsset,
+  replaceAsset,
+  patchAsset,
+  deleteAsset,
+  transitionAsset,
+  getDemandProjection,
+  getDemandCenterProjection
 } = require('../controllers/assetController');
+const { importAssets } = require('../controllers/importController');
+const { getDuplicates, mergeAsset } = require('../controllers/duplicateController');
+const { getAssetHistory, getAssetVersion, restoreAssetVersion } = require('../controllers/historyController');
+const { ingestTimeSeries, getTimeSeries } = require('../controllers/timeseriesController');
+const {
+  listAttachments,
+  uploadAttachment,
+  downloadAttachment,
+  deleteAttachment
+} = require('../controllers/attachmentController');
+const { TIME_SERIES_METRICS } = require('../utils/timeseries');
+const { ASSET_TYPES } = require('../utils/geojson');
+const { authenticateToken, requireRole } = require('../middleware/auth');
 
 /**
  * Asset Routes - RESTful endpoints for hydrogen infrastructure assets
  * All responses are in GeoJSON format for easy map integration
  */
 
+// Write operations are limited to signed-in admins and analysts
+const canEdit = [authenticateToken, requireRole(['admin', 'analyst'])];
+
 // GET /api/assets/plants - Get all hydrogen production plants
 router.get('/plants', getPlants);
 
@@ -28,4 +54,114 @@ router.get('/storage', getStorage);
 // GET /api/assets/regulatory-zones - Get all regulatory zones
 router.get('/regulatory-zones', getRegulatoryZones);
 
+// GET /api/assets/nearest - k nearest assets of each type to a point
+// Query: lat, lng, types=plants,pipelines,demand-centers,storage, k=5, maxDistanceKm
+router.get('/nearest', getNearestAssets);
+
+// GET /api/assets/tags - Tags in use with asset counts, most used first
+// Query: search
+router.get('/tags', getTags);
+
+// GET /api/assets/duplicates - Pairs of assets that are probably the same site
+// Query: types=plants,pipelines,demand-centers,storage, distance=250 (meters), similarity=0.6, kind=duplicate|conflict
+router.get('/duplicates', getDuplicates);
+
+// GET /api/assets/demand-centers/projection - Demand of every demand center in a planning year
+// Query: year (required), plus the demand center list filters
+router.get('/demand-centers/projection', getDemandProjection);
+
+// GET /api/assets/demand-centers/:id/projection - Yearly demand of one demand center
+// Query: from (default: base year), to (default: 2050)
+router.get('/demand-centers/:id/projection', getDemandCenterProjection);
+
+/**
+ * Single-asset and write endpoints
+ * GET    /api/assets/{collection}/:id - Get one asset as a GeoJSON Feature
+ * POST   /api/assets/{collection}     - Create an asset from a GeoJSON Feature
+ * PUT    /api/assets/{collection}/:id - Replace an asset with a GeoJSON Feature
+ * PATCH  /api/assets/{collection}/:id - Update selected properties and/or geometry
+ * DELETE /api/assets/{collection}/:id - Delete an asset, returns the deleted Feature
+ * POST   /api/assets/{collection}/:id/transition - Change lifecycle status (plants, pipelines, storage)
+ * POST   /api/assets/{collection}/:id/merge      - Merge a duplicate ({ duplicateId }) into the asset
+ * Write access: admin, analyst
+ */
+const editableCollections = {
+  plants: 'plants',
+  pipelines: 'pipelines',
+  'demand-centers': 'demandCenters',
+  storage: 'storage'
+};
+
+/**
+ * POST /api/assets/import/{collection} - Bulk import a GeoJSON FeatureCollection or CSV file
+ * Query: dryRun=true validates without saving, upsert=true updates assets with the same name
+ * Collections: plants, pipelines, demand-centers, storage, regulatory-zones
+ * Write access: admin, analyst
+ */
+router.post(
+  '/import/:collection',
+  canEdit,
+  express.json({ type: 'application/geo+json', limit: '10mb' }),
+  express.text({ type: ['text/csv', 'application/csv'], limit: '10mb' }),
+  importAssets
+);
+
+Object.entries(editableCollections).forEach(([path, assetType]) => {
+  router.get(`/${path}/:id`, getAssetById(assetType));
+  router.post(`/${path}`, canEdit, createAsset(assetType));
+  router.put(`/${path}/:id`, canEdit, replaceAsset(assetType));
+  router.patch(`/${path}/:id`, canEdit, patchAsset(assetType));
+  router.delete(`/${path}/:id`, canEdit, deleteAsset(assetType));
+  if (ASSET_TYPES[assetType].lifecycle) {
+    router.post(`/${path}/:id/transition`, canEdit, transitionAsset(assetType));
+  }
+  router.post(`/${path}/:id/merge`, canEdit, mergeAsset(assetType));
+});
+
+/**
+ * Change history for every collection, including regulatory-zones
+ * GET  /api/assets/{collection}/:id/history                  - List versions, newest first
+ * GET  /api/assets/{collection}/:id/history/:version         - One version with its snapshot
+ * POST /api/assets/{collection}/:id/history/:version/restore - Restore (or undelete) a version
+ * Write access: admin, analyst
+ */
+Object.entries(ASSET_TYPES).forEach(([assetType, { path }]) => {
+  router.get(`/${path}/:id/history`, getAssetHistory(assetType));
+  router.get(`/${path}/:id/history/:version`, getAssetVersion(assetType));
+  router.post(`/${path}/:id/history/:version/restore`, canEdit, restoreAssetVersion(assetType));
+});
+
+/**
+ * Document attachments for every collection, including regulatory-zones
+ * GET    /api/assets/{collection}/:id/attachments               - List attachments, newest first
+ * POST   /api/assets/{collection}/:id/attachments               - Upload a file as the raw request body
+ * GET    /api/assets/{collection}/:id/attachments/:attachmentId - Download a file
+ * DELETE /api/assets/{collection}/:id/attachments/:attachmentId - Delete an attachment
+ * Query (upload): fileName (required), documentType, description
+ * Write access: admin, analyst
+ */
+const attachmentUpload = express.raw({ type: () => true, limit: '25mb' });
+Object.entries(ASSET_TYPES).forEach(([assetType, { path }]) => {
+  router.get(`/${path}/:id/attachments`, listAttachments(assetType));
+  router.post(`/${path}/:id/attachments`, canEdit, attachmentUpload, uploadAttachment(assetType));
+  router.get(`/${path}/:id/attachments/:attachmentId`, downloadAttachment(assetType));
+  router.delete(`/${path}/:id/attachments/:attachmentId`, canEdit, deleteAttachment(assetType));
+});
+
+/**
+ * Measured production (plants) and fill levels (storage)
+ * POST /api/assets/{collection}/timeseries     - Ingest a JSON or CSV batch for several assets
+ * POST /api/assets/{collection}/:id/timeseries - Ingest a JSON or CSV batch for one asset
+ * GET  /api/assets/{collection}/:id/timeseries - Resampled series
+ * Query: interval=hour|day|month, from, to (ISO 8601 or epoch ms); dryRun=true when ingesting
+ * Write access: admin, analyst
+ */
+const measurementUpload = express.text({ type: ['text/csv', 'application/csv'], limit: '10mb' });
+Object.keys(TIME_SERIES_METRICS).forEach(assetType => {
+  const { path } = ASSET_TYPES[assetType];
+  router.post(`/${path}/timeseries`, canEdit, measurementUpload, ingestTimeSeries(assetType));
+  router.post(`/${path}/:id/timeseries`, canEdit, measurementUpload, ingestTimeSeries(assetType));
+  router.get(`/${path}/:id/timeseries`, getTimeSeries(assetType));
+});
+
 module.exports = router;
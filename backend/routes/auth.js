@@ -9,7 +9,7 @@ const JWT_SECRET = process.env.JWT_SECRET || 'h2-optimize-demo-secret';
 // Register endpoint
 router.post('/register', async (req, res) => {
   try {
-    const { email, password, name } = req.body;
+    const { email, password, name, organization } = req.body;
 
     if (!email || !password) {
       return res.status(400).json({ 
@@ -39,7 +39,8 @@ router.post('/register', async (req, res) => {
       email: email.toLowerCase(),
       name: name || email.split('@')[0],
       password: password,
-      role: 'analyst'
+      role: 'analyst',
+      organization: organization || undefined
     });
 
     await user.save();
@@ -59,13 +60,21 @@ router.post('/register', async (req, res) => {
         id: user._id,
         email: user.email,
         name: user.name,
-        role: user.role
+        role: user.role,
+        organization: user.organization
       },
       token
     });
 
   } catch (error) {
     console.error('Registration error:', error);
+
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        error: Object.values(error.errors).map(err => err.message).join(', ')
+      });
+    }
     
     if (error.code === 11000) {
       return res.status(400).json({
@@ -129,7 +138,8 @@ router.post('/login', async (req, res) => {
         id: user._id,
         email: user.email,
         name: user.name,
-        role: user.role
+        role: user.role,
+        organization: user.organization
       },
       token
     });
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const { getStateBalance, getRegionBalance } = require('../controllers/balanceController');
+
+/**
+ * Balance Routes - Regional hydrogen supply-demand balance
+ */
+
+// GET /api/balance/states - Production, storage, demand and surplus or deficit per state
+// Query: capacityFactor=0.5, efficiency=0.7, status (plant and storage statuses, comma-separated),
+//        year (projected demand)
+router.get('/states', getStateBalance);
+
+// POST /api/balance/region - Balance inside a user-drawn region
+// Body: { region: GeoJSON Polygon | [[lat, lng], ...], capacityFactor?, efficiency?, status?, year? }
+router.post('/region', getRegionBalance);
+
+module.exports = router;
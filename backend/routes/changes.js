@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { streamChanges } = require('../controllers/changeController');
+
+/**
+ * Change Routes - Live asset change feed
+ */
+
+// GET /api/changes - Server-Sent Events stream of asset create, update and delete events
+// Headers: Last-Event-ID (sent by EventSource on reconnect) to replay missed events
+router.get('/', streamChanges);
+
+module.exports = router;
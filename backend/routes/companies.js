@@ -0,0 +1,41 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCompanies,
+  getCompanyById,
+  getCompanyPortfolio,
+  createCompany,
+  updateCompany,
+  deleteCompany
+} = require('../controllers/companyController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+
+/**
+ * Company Routes - Asset owners and their portfolios
+ */
+
+// Write operations are limited to signed-in admins and analysts
+const canEdit = [authenticateToken, requireRole(['admin', 'analyst'])];
+
+// GET /api/companies - List companies with portfolio summaries
+// Query: type (comma-separated), search
+router.get('/', getCompanies);
+
+// GET /api/companies/:id - One company with its portfolio summary
+router.get('/:id', getCompanyById);
+
+// GET /api/companies/:id/portfolio - Owned plants, pipelines and storage with aggregate capacity
+// Query: asset list filters such as status=operational or minCapacity
+router.get('/:id/portfolio', getCompanyPortfolio);
+
+/**
+ * POST   /api/companies     - Create a company
+ * PATCH  /api/companies/:id - Update selected fields
+ * DELETE /api/companies/:id - Delete a company that owns no assets
+ * Write access: admin, analyst
+ */
+router.post('/', canEdit, createCompany);
+router.patch('/:id', canEdit, updateCompany);
+router.delete('/:id', canEdit, deleteCompany);
+
+module.exports = router;
@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const {
+  getCustomFields,
+  createCustomField,
+  updateCustomField,
+  deleteCustomField
+} = require('../controllers/customFieldController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
+
+/**
+ * Custom Field Routes - Typed asset attributes defined per organization
+ */
+
+// Write operations are limited to signed-in admins and analysts, and apply to
+// the fields of their own organization
+const canEdit = [authenticateToken, requireRole(['admin', 'analyst'])];
+
+// GET /api/custom-fields - Custom field definitions of an organization
+// Query: organization (default: default), assetType
+router.get('/', getCustomFields);
+
+/**
+ * POST   /api/custom-fields     - Define a field for the user's organization
+ * PATCH  /api/custom-fields/:id - Update label, options, asset types or description
+ * DELETE /api/custom-fields/:id - Delete a field and its values on every asset
+ * Write access: admin, analyst
+ */
+router.post('/', canEdit, createCustomField);
+router.patch('/:id', canEdit, updateCustomField);
+router.delete('/:id', canEdit, deleteCustomField);
+
+module.exports = router;
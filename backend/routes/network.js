@@ -0,0 +1,21 @@
+const express = require('express');
+const router = express.Router();
+const { getNetwork, getRoute, getAllocation } = require('../controllers/networkController');
+
+/**
+ * Network Routes - Pipeline network topology
+ */
+
+// GET /api/network - Pipeline network as nodes, edges, components and topology issues
+// Query: toleranceKm=0.5 (snapping distance), includeDecommissioned=false
+router.get('/', getNetwork);
+
+// GET /api/network/route - Shortest pipeline route between two assets, or a trucking leg
+// Query: from=plants:<id>, to=demand-centers:<id>, minCapacity, toleranceKm, includeDecommissioned
+router.get('/route', getRoute);
+
+// GET /api/network/allocation - Maximum-flow allocation of plant supply to demand centers
+// Query: includePlanned=false, includeDecommissioned, toleranceKm, year (projected demand)
+router.get('/allocation', getAllocation);
+
+module.exports = router;
@@ -3,8 +3,11 @@ const router = express.Router();
 const { 
   getRegulatoryZones, 
   getZonesContainingPoint, 
-  getRegulatoryStats 
+  getRegulatoryStats,
+  validateZoneGeometry
 } = require('../controllers/regulatoryController');
+const { importRegulatoryZones } = require('../controllers/importController');
+const { authenticateToken, requireRole } = require('../middleware/auth');
 
 /**
  * Regulatory Zone Routes
@@ -27,6 +30,40 @@ router.get('/zones', getRegulatoryZones);
  */
 router.post('/zones/containing-point', getZonesContainingPoint);
 
+/**
+ * @route   POST /api/regulatory/zones/validate-geometry
+ * @desc    Check a zone boundary for problems, optionally repairing it
+ * @query   repair
+ * @body    GeoJSON Polygon or MultiPolygon, or a Feature with one
+ * @access  Public
+ */
+router.post('/zones/validate-geometry', validateZoneGeometry);
+
+/**
+ * @route   POST /api/regulatory/zones/import
+ * @desc    Create zones from a KML, KMZ or zipped Shapefile upload
+ * @query   format, sourceCrs, mapping, defaults, dryRun, upsert, repair
+ * @access  Admin, analyst
+ */
+router.post(
+  '/zones/import',
+  authenticateToken,
+  requireRole(['admin', 'analyst']),
+  express.raw({
+    type: [
+      'application/vnd.google-earth.kml+xml',
+      'application/vnd.google-earth.kmz',
+      'application/zip',
+      'application/x-zip-compressed',
+      'application/octet-stream',
+      'application/xml',
+      'text/xml'
+    ],
+    limit: '50mb'
+  }),
+  importRegulatoryZones
+);
+
 /**
  * @route   GET /api/regulatory/stats
  * @desc    Get regulatory zone statistics
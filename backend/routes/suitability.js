@@ -1,19 +1,37 @@
 const express = require('express');
 const router = express.Router();
 const { calculateSuitability, analyzeArea } = require('../controllers/suitabilityController');
+const {
+  getWeightProfiles,
+  saveWeightProfile,
+  deleteWeightProfile
+} = require('../controllers/weightProfileController');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
 
 /**
  * Suitability Routes - Endpoints for site suitability analysis
  */
 
 // POST /api/suitability - Calculate suitability score for a location
-// Body: { lat: number, lng: number }
-// Response: { score: number, details: {...}, location: {...}, ... }
-router.post('/', calculateSuitability);
+// Body: { lat: number, lng: number, year?: number, weights?: {...}, weightProfile?: string }
+// Response: { score: number, details: {...}, location: {...}, weights: {...}, ... }
+// Signing in is only needed to use a saved weightProfile
+router.post('/', optionalAuth, calculateSuitability);
 
 // POST /api/suitability/area - Analyze area defined by 4 points
-// Body: { bounds: { north, south, east, west }, polygon: [[lat, lng], ...], gridResolution?: number }
-// Response: { bestSite: {...}, sites: [...], areaStats: {...}, ... }
-router.post('/area', analyzeArea);
+// Body: { bounds: { north, south, east, west }, polygon: [[lat, lng], ...], gridResolution?: number, year?: number,
+//         weights?: {...}, weightProfile?: string }
+// Response: { bestSite: {...}, sites: [...], areaStats: {...}, weights: {...}, ... }
+router.post('/area', optionalAuth, analyzeArea);
+
+/**
+ * GET    /api/suitability/weight-profiles       - The user's weight profiles and the defaults
+ * PUT    /api/suitability/weight-profiles/:name - Create or replace a profile
+ * DELETE /api/suitability/weight-profiles/:name - Delete a profile
+ * Access: signed-in users, for their own profiles
+ */
+router.get('/weight-profiles', authenticateToken, getWeightProfiles);
+router.put('/weight-profiles/:name', authenticateToken, saveWeightProfile);
+router.delete('/weight-profiles/:name', authenticateToken, deleteWeightProfile);
 
 module.exports = router;
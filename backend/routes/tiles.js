@@ -0,0 +1,13 @@
+const express = require('express');
+const router = express.Router();
+const { getVectorTile } = require('../controllers/tileController');
+
+/**
+ * Tile Routes - Mapbox Vector Tiles for the asset layers
+ */
+
+// GET /tiles/:layer/:z/:x/:y.mvt - Vector tile of plants, pipelines, demand-centers, storage or regulatory-zones
+// Query: attribute filters as for the asset listings, e.g. status=operational
+router.get('/:layer/:z/:x/:y.mvt', getVectorTile);
+
+module.exports = router;
@@ -20,7 +20,8 @@ const mockData = {
       location: {
         type: "Point",
         coordinates: [70.0667, 22.4697] // Jamnagar, Gujarat
-      }
+      },
+      state: "Gujarat"
     },
     {
       name: "Kutch Solar H2 Facility",
@@ -29,7 +30,8 @@ const mockData = {
       location: {
         type: "Point",
         coordinates: [69.8597, 23.7337] // Kutch, Gujarat
-      }
+      },
+      state: "Gujarat"
     },
     {
       name: "Ahmedabad Industrial H2 Center",
@@ -38,7 +40,8 @@ const mockData = {
       location: {
         type: "Point",
         coordinates: [72.5714, 23.0225] // Ahmedabad, Gujarat
-      }
+      },
+      state: "Gujarat"
     },
     {
       name: "Kandla Port H2 Production Unit",
@@ -47,7 +50,8 @@ const mockData = {
       location: {
         type: "Point",
         coordinates: [70.2167, 23.0333] // Kandla Port, Gujarat
-      }
+      },
+      state: "Gujarat"
     },
     {
       name: "Mumbai Green Energy Hub",
@@ -56,7 +60,8 @@ const mockData = {
       location: {
         type: "Point",
         coordinates: [72.8777, 19.0760] // Mumbai, Maharashtra
-      }
+      },
+      state: "Maharashtra"
     },
     {
       name: "Chennai Renewable H2 Plant",
@@ -65,7 +70,8 @@ const mockData = {
       location: {
         type: "Point",
         coordinates: [80.2707, 13.0827] // Chennai, Tamil Nadu
-      }
+      },
+      state: "Tamil Nadu"
     }
   ],
 
@@ -73,11 +79,20 @@ const mockData = {
     {
       name: "Reliance Jamnagar Refinery",
       demand: 3500, // tonnes/year
+      demandProjection: {
+        baseYear: 2024,
+        growthRate: 0.04, // after 2035
+        years: [
+          { year: 2030, demand: 12000 },
+          { year: 2035, demand: 20000 }
+        ]
+      },
       type: "industrial",
       location: {
         type: "Point",
         coordinates: [70.0667, 22.4697] // Jamnagar, Gujarat
-      }
+      },
+      state: "Gujarat"
     },
     {
       name: "GIDC Ankleshwar Industrial Complex",
@@ -86,16 +101,22 @@ const mockData = {
       location: {
         type: "Point",
         coordinates: [72.9881, 21.6279] // Ankleshwar, Gujarat
-      }
+      },
+      state: "Gujarat"
     },
     {
       name: "Kandla Port Authority",
       demand: 1800,
+      demandProjection: {
+        baseYear: 2024,
+        growthRate: 0.12
+      },
       type: "transport",
       location: {
         type: "Point",
         coordinates: [70.2167, 23.0333] // Kandla Port, Gujarat
-      }
+      },
+      state: "Gujarat"
     },
     {
       name: "Tata Steel Jamshedpur",
@@ -104,7 +125,8 @@ const mockData = {
       location: {
         type: "Point",
         coordinates: [86.1844, 22.8046] // Jamshedpur, Jharkhand
-      }
+      },
+      state: "Jharkhand"
     },
     {
       name: "Mumbai Port Trust",
@@ -113,7 +135,8 @@ const mockData = {
       location: {
         type: "Point",
         coordinates: [72.8777, 19.0760] // Mumbai, Maharashtra
-      }
+      },
+      state: "Maharashtra"
     },
     {
       name: "Delhi NCR Transport Hub",
@@ -122,7 +145,8 @@ const mockData = {
       location: {
         type: "Point",
         coordinates: [77.1025, 28.7041] // Delhi, NCR
-      }
+      },
+      state: "Delhi"
     },
     {
       name: "Pune Automotive Cluster",
@@ -131,7 +155,8 @@ const mockData = {
       location: {
         type: "Point",
         coordinates: [73.8567, 18.5204] // Pune, Maharashtra
-      }
+      },
+      state: "Maharashtra"
     },
     {
       name: "Hyderabad Pharma City",
@@ -140,7 +165,8 @@ const mockData = {
       location: {
         type: "Point",
         coordinates: [78.4867, 17.3850] // Hyderabad, Telangana
-      }
+      },
+      state: "Telangana"
     }
   ],
 
@@ -153,7 +179,8 @@ const mockData = {
       location: {
         type: "Point",
         coordinates: [72.1262, 22.3072] // Vadodara, Gujarat
-      }
+      },
+      state: "Gujarat"
     },
     {
       name: "Kutch Salt Cavern Storage",
@@ -163,7 +190,8 @@ const mockData = {
       location: {
         type: "Point",
         coordinates: [69.8597, 23.7337] // Kutch, Gujarat
-      }
+      },
+      state: "Gujarat"
     },
     {
       name: "Mumbai Industrial Storage",
@@ -173,7 +201,8 @@ const mockData = {
       location: {
         type: "Point",
         coordinates: [72.8777, 19.0760] // Mumbai, Maharashtra
-      }
+      },
+      state: "Maharashtra"
     },
     {
       name: "Chennai Port Storage Facility",
@@ -183,7 +212,8 @@ const mockData = {
       location: {
         type: "Point",
         coordinates: [80.2707, 13.0827] // Chennai, Tamil Nadu
-      }
+      },
+      state: "Tamil Nadu"
     },
     {
       name: "Delhi NCR Central Storage",
@@ -193,7 +223,8 @@ const mockData = {
       location: {
         type: "Point",
         coordinates: [77.1025, 28.7041] // Delhi, NCR
-      }
+      },
+      state: "Delhi"
     }
   ],
 
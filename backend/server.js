@@ -16,6 +16,12 @@ const assetRoutes = require('./routes/assets');
 const suitabilityRoutes = require('./routes/suitability');
 const authRoutes = require('./routes/auth');
 const regulatoryRoutes = require('./routes/regulatory');
+const networkRoutes = require('./routes/network');
+const balanceRoutes = require('./routes/balance');
+const tileRoutes = require('./routes/tiles');
+const changeRoutes = require('./routes/changes');
+const companyRoutes = require('./routes/companies');
+const customFieldRoutes = require('./routes/customFields');
 
 // Middleware
 app.use(cors({
@@ -27,8 +33,13 @@ app.use(cors({
   credentials: true
 }));
 
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Attachment uploads are read as raw bytes by their route whatever their
+// Content-Type, so a JSON or form document must not be parsed here first
+const isAttachmentUpload = req => req.method === 'POST' && /^\/api\/assets\/[^/]+\/[^/]+\/attachments\/?$/.test(req.path);
+const skipAttachmentUploads = parser => (req, res, next) => (isAttachmentUpload(req) ? next() : parser(req, res, next));
+
+app.use(skipAttachmentUploads(express.json({ limit: '10mb' })));
+app.use(skipAttachmentUploads(express.urlencoded({ extended: true, limit: '10mb' })));
 
 // Request logging middleware (for development)
 app.use((req, res, next) => {
@@ -64,6 +75,12 @@ app.use('/api/assets', assetRoutes);
 app.use('/api/suitability', suitabilityRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/regulatory', regulatoryRoutes);
+app.use('/api/network', networkRoutes);
+app.use('/api/balance', balanceRoutes);
+app.use('/tiles', tileRoutes);
+app.use('/api/changes', changeRoutes);
+app.use('/api/companies', companyRoutes);
+app.use('/api/custom-fields', customFieldRoutes);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
@@ -93,14 +110,68 @@ app.get('/api', (req, res) => {
         pipelines: 'GET /api/assets/pipelines',
         demandCenters: 'GET /api/assets/demand-centers',
         storage: 'GET /api/assets/storage',
-        regulatoryZones: 'GET /api/assets/regulatory-zones'
+        regulatoryZones: 'GET /api/assets/regulatory-zones',
+        export: 'GET /api/assets/{collection}?format=geojson|csv|kml|gpx|gpkg',
+        nearest: 'GET /api/assets/nearest?lat=&lng=&types=&k=&maxDistanceKm=',
+        getOne: 'GET /api/assets/{plants|pipelines|demand-centers|storage}/:id',
+        create: 'POST /api/assets/{plants|pipelines|demand-centers|storage}',
+        replace: 'PUT /api/assets/{plants|pipelines|demand-centers|storage}/:id',
+        update: 'PATCH /api/assets/{plants|pipelines|demand-centers|storage}/:id',
+        delete: 'DELETE /api/assets/{plants|pipelines|demand-centers|storage}/:id',
+        import: 'POST /api/assets/import/{collection}?dryRun=&upsert=&repair=',
+        transition: 'POST /api/assets/{plants|pipelines|storage}/:id/transition',
+        history: 'GET /api/assets/{collection}/:id/history[/:version]',
+        restore: 'POST /api/assets/{collection}/:id/history/:version/restore',
+        attachments: 'GET /api/assets/{collection}/:id/attachments',
+        uploadAttachment: 'POST /api/assets/{collection}/:id/attachments?fileName=&documentType=&description=',
+        attachment: 'GET|DELETE /api/assets/{collection}/:id/attachments/:attachmentId',
+        ingestTimeSeries: 'POST /api/assets/{plants|storage}[/:id]/timeseries?dryRun=',
+        timeSeries: 'GET /api/assets/{plants|storage}/:id/timeseries?interval=hour|day|month&from=&to=',
+        demandProjection: 'GET /api/assets/demand-centers/projection?year=',
+        demandCenterProjection: 'GET /api/assets/demand-centers/:id/projection?from=&to=',
+        tags: 'GET /api/assets/tags?search=',
+        duplicates: 'GET /api/assets/duplicates?types=&distance=&similarity=&kind=',
+        merge: 'POST /api/assets/{plants|pipelines|demand-centers|storage}/:id/merge'
       },
       regulatory: {
         zones: 'GET /api/regulatory/zones',
         containingPoint: 'POST /api/regulatory/zones/containing-point',
+        validateGeometry: 'POST /api/regulatory/zones/validate-geometry?repair=',
+        import: 'POST /api/regulatory/zones/import?format=&sourceCrs=&mapping=&defaults=&dryRun=&upsert=&repair=',
         stats: 'GET /api/regulatory/stats'
       },
-      suitability: 'POST /api/suitability',
+      network: {
+        graph: 'GET /api/network?toleranceKm=&includeDecommissioned=',
+        route: 'GET /api/network/route?from=&to=&minCapacity=',
+        allocation: 'GET /api/network/allocation?includePlanned=&year=&capacityFactor=&efficiency='
+      },
+      balance: {
+        states: 'GET /api/balance/states?capacityFactor=&efficiency=&status=&year=',
+        region: 'POST /api/balance/region'
+      },
+      companies: {
+        list: 'GET /api/companies?type=&search=',
+        getOne: 'GET /api/companies/:id',
+        portfolio: 'GET /api/companies/:id/portfolio?status=',
+        create: 'POST /api/companies',
+        update: 'PATCH /api/companies/:id',
+        delete: 'DELETE /api/companies/:id'
+      },
+      customFields: {
+        list: 'GET /api/custom-fields?organization=&assetType=',
+        create: 'POST /api/custom-fields',
+        update: 'PATCH /api/custom-fields/:id',
+        delete: 'DELETE /api/custom-fields/:id'
+      },
+      tiles: 'GET /tiles/{layer}/{z}/{x}/{y}.mvt',
+      changes: 'GET /api/changes (Server-Sent Events)',
+      suitability: {
+        site: 'POST /api/suitability',
+        area: 'POST /api/suitability/area',
+        weightProfiles: 'GET /api/suitability/weight-profiles',
+        saveWeightProfile: 'PUT /api/suitability/weight-profiles/:name',
+        deleteWeightProfile: 'DELETE /api/suitability/weight-profiles/:name'
+      },
       health: 'GET /health'
     },
     documentation: 'https://github.com/your-repo/h2-optimize#api-documentation'
@@ -0,0 +1,141 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  badRequest,
+  escapeRegex,
+  buildAttributeFilter,
+  parseSort,
+  parsePagination,
+  encodeCursor,
+  cursorFilter
+} = require('../utils/assetQuery');
+
+const isBadRequest = error => error.status === 400;
+
+describe('badRequest', () => {
+  it('creates an error with status 400', () => {
+    const error = badRequest('nope');
+    assert.equal(error.message, 'nope');
+    assert.equal(error.status, 400);
+  });
+});
+
+describe('buildAttributeFilter', () => {
+  it('matches one or several enum values', () => {
+    assert.deepEqual(buildAttributeFilter('plants', { status: 'operational' }), { status: 'operational' });
+    assert.deepEqual(buildAttributeFilter('plants', { status: 'planned, operational' }), {
+      status: { $in: ['planned', 'operational'] }
+    });
+  });
+
+  it('rejects values outside the enum', () => {
+    assert.throws(() => buildAttributeFilter('plants', { status: 'imaginary' }), isBadRequest);
+  });
+
+  it('builds ranges from min and max parameters', () => {
+    assert.deepEqual(buildAttributeFilter('plants', { minCapacity: '100', maxCapacity: '500' }), {
+      capacity: { $gte: 100, $lte: 500 }
+    });
+    assert.deepEqual(buildAttributeFilter('plants', { minCapacity: '100' }), { capacity: { $gte: 100 } });
+  });
+
+  it('rejects non-numeric and inverted ranges', () => {
+    assert.throws(() => buildAttributeFilter('plants', { minCapacity: 'lots' }), isBadRequest);
+    assert.throws(() => buildAttributeFilter('plants', { minCapacity: '500', maxCapacity: '100' }), isBadRequest);
+  });
+
+  it('searches names case-insensitively and literally', () => {
+    assert.deepEqual(buildAttributeFilter('plants', { search: ' a.b ' }), {
+      name: { $regex: 'a\\.b', $options: 'i' }
+    });
+  });
+
+  it('ignores parameters the type does not filter on', () => {
+    assert.deepEqual(buildAttributeFilter('demandCenters', { status: 'operational' }), {});
+  });
+});
+
+describe('escapeRegex', () => {
+  it('escapes every special character', () => {
+    const text = 'a.b*c+d?e^f$g{h}i(j)k|l[m]n\\o';
+    assert.ok(new RegExp(`^${escapeRegex(text)}$`).test(text));
+  });
+});
+
+describe('parseSort', () => {
+  it('defaults to ascending name', () => {
+    assert.deepEqual(parseSort('plants', undefined), { field: 'name', direction: 1 });
+  });
+
+  it('reads a leading minus as descending', () => {
+    assert.deepEqual(parseSort('plants', '-capacity'), { field: 'capacity', direction: -1 });
+    assert.deepEqual(parseSort('plants', 'createdAt'), { field: 'createdAt', direction: 1 });
+  });
+
+  it('rejects fields that are not sortable', () => {
+    assert.throws(() => parseSort('plants', 'password'), isBadRequest);
+  });
+
+  it('rejects a repeated sort parameter', () => {
+    assert.throws(() => parseSort('plants', ['name', '-capacity']), isBadRequest);
+  });
+});
+
+describe('parsePagination', () => {
+  it('leaves listings unpaginated without limit or cursor', () => {
+    assert.equal(parsePagination({}), null);
+  });
+
+  it('uses the default page size with only a cursor', () => {
+    assert.equal(parsePagination({ cursor: 'abc' }).limit, 100);
+  });
+
+  it('rejects limits outside 1 to 1000', () => {
+    ['0', '1001', '2.5', 'all'].forEach(limit => {
+      assert.throws(() => parsePagination({ limit }), isBadRequest, limit);
+    });
+  });
+});
+
+describe('cursors', () => {
+  const sort = { field: 'capacity', direction: -1 };
+  const doc = { _id: '64b000000000000000000001', get: field => ({ capacity: 250 })[field] };
+
+  it('select the documents after the encoded one', () => {
+    const filter = cursorFilter(encodeCursor(doc, sort), sort);
+    assert.deepEqual(filter, {
+      $or: [
+        { capacity: { $lt: 250 } },
+        { capacity: 250, _id: { $lt: '64b000000000000000000001' } },
+        { capacity: null }
+      ]
+    });
+  });
+
+  it('follow null values, which sort first', () => {
+    const missing = { _id: '64b000000000000000000002', get: () => undefined };
+    const ascending = { field: 'capacity', direction: 1 };
+
+    assert.deepEqual(cursorFilter(encodeCursor(missing, ascending), ascending), {
+      $or: [
+        { capacity: null, _id: { $gt: '64b000000000000000000002' } },
+        { capacity: { $ne: null } }
+      ]
+    });
+    assert.deepEqual(cursorFilter(encodeCursor(missing, sort), sort), {
+      $or: [{ capacity: null, _id: { $lt: '64b000000000000000000002' } }]
+    });
+    // Descending pages reach the documents without a value last
+    assert.deepEqual(cursorFilter(encodeCursor(doc, sort), sort).$or[2], { capacity: null });
+  });
+
+  it('must match the sort order they were made for', () => {
+    const cursor = encodeCursor(doc, sort);
+    assert.throws(() => cursorFilter(cursor, { field: 'capacity', direction: 1 }), isBadRequest);
+    assert.throws(() => cursorFilter(cursor, { field: 'name', direction: -1 }), isBadRequest);
+  });
+
+  it('reject garbage', () => {
+    assert.throws(() => cursorFilter('not a cursor', sort), isBadRequest);
+  });
+});
@@ -0,0 +1,78 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_ASSUMPTIONS,
+  parseAssumptions,
+  mwToTonnesPerYear,
+  tonnesPerYearToElectrolyzerMW,
+  tonnesPerYearToMW,
+  summarizeBalance
+} = require('../utils/balance');
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-9, `${actual} != ${expected}`);
+
+describe('parseAssumptions', () => {
+  it('falls back to the defaults', () => {
+    assert.deepEqual(parseAssumptions({}), DEFAULT_ASSUMPTIONS);
+    assert.deepEqual(parseAssumptions({ capacityFactor: '' }), DEFAULT_ASSUMPTIONS);
+  });
+
+  it('reads query strings as numbers', () => {
+    assert.deepEqual(parseAssumptions({ capacityFactor: '0.9', efficiency: '1' }), { capacityFactor: 0.9, efficiency: 1 });
+  });
+
+  it('rejects values outside (0, 1] with status 400', () => {
+    ['0', '-0.5', '1.5', 'half'].forEach(value => {
+      assert.throws(() => parseAssumptions({ efficiency: value }), error => error.status === 400, value);
+    });
+  });
+});
+
+describe('conversions', () => {
+  const assumptions = { capacityFactor: 0.5, efficiency: 0.7 };
+
+  it('converts electrolyzer capacity to annual hydrogen output', () => {
+    // 1 MW running all year at 100% efficiency produces 8760 MWh / 33.33 kWh/kg
+    close(mwToTonnesPerYear(1, { capacityFactor: 1, efficiency: 1 }), 8760 / 33.33);
+    close(mwToTonnesPerYear(100, assumptions), (100 * 8760 * 0.35) / 33.33);
+  });
+
+  it('inverts the conversion for the capacity a demand needs', () => {
+    close(tonnesPerYearToElectrolyzerMW(mwToTonnesPerYear(42, assumptions), assumptions), 42);
+  });
+
+  it('expresses annual hydrogen as an average flow at the LHV', () => {
+    close(tonnesPerYearToMW(8760), 33.33);
+    close(tonnesPerYearToMW(mwToTonnesPerYear(100, assumptions)), 35);
+  });
+});
+
+describe('summarizeBalance', () => {
+  const totals = {
+    plants: 2,
+    productionCapacityMW: 100,
+    storageFacilities: 1,
+    storageCapacityTonnes: 500,
+    demandCenters: 3,
+    demandTonnesPerYear: 0
+  };
+  const assumptions = { capacityFactor: 1, efficiency: 1 };
+  const production = mwToTonnesPerYear(100, assumptions);
+
+  it('reports a surplus, a deficit or a balance within 5%', () => {
+    assert.equal(summarizeBalance({ ...totals, demandTonnesPerYear: production / 2 }, assumptions).balance, 'surplus');
+    assert.equal(summarizeBalance({ ...totals, demandTonnesPerYear: production * 2 }, assumptions).balance, 'deficit');
+    assert.equal(summarizeBalance({ ...totals, demandTonnesPerYear: production * 1.04 }, assumptions).balance, 'balanced');
+  });
+
+  it('computes self-sufficiency and the surplus', () => {
+    const summary = summarizeBalance({ ...totals, demandTonnesPerYear: production / 2 }, assumptions);
+    assert.equal(summary.selfSufficiency, 2);
+    assert.equal(summary.surplusTonnesPerYear, Math.round((production / 2) * 10) / 10);
+    assert.equal(summary.demandElectrolyzerMW, 50);
+  });
+
+  it('has no self-sufficiency without demand', () => {
+    assert.equal(summarizeBalance(totals, assumptions).selfSufficiency, null);
+  });
+});
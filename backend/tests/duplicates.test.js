@@ -0,0 +1,119 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_DISTANCE_METERS,
+  DEFAULT_NAME_SIMILARITY,
+  comparableTypes,
+  parseDuplicateOptions,
+  nameSimilarity,
+  compareAssets,
+  mergeSnapshots
+} = require('../utils/duplicates');
+
+const point = (lng, lat) => ({ type: 'Point', coordinates: [lng, lat] });
+// About 111 m per 0.001 degree of latitude
+const asset = (assetType, name, lat, lng = 70) => ({ assetType, name, geometry: point(lng, lat) });
+
+describe('parseDuplicateOptions', () => {
+  it('falls back to the defaults', () => {
+    assert.deepEqual(parseDuplicateOptions({}), {
+      distance: DEFAULT_DISTANCE_METERS,
+      similarity: DEFAULT_NAME_SIMILARITY
+    });
+  });
+
+  it('rejects values out of range with status 400', () => {
+    [{ distance: '0' }, { distance: '5001' }, { distance: 'near' }, { similarity: '1.5' }, { similarity: '-1' }]
+      .forEach(query => {
+        assert.throws(() => parseDuplicateOptions(query), error => error.status === 400, JSON.stringify(query));
+      });
+  });
+});
+
+describe('comparableTypes', () => {
+  it('compares point assets across types and pipelines only with pipelines', () => {
+    assert.ok(comparableTypes('storage').includes('plants'));
+    assert.deepEqual(comparableTypes('pipelines'), ['pipelines']);
+    assert.deepEqual(comparableTypes('regulatoryZones'), []);
+  });
+});
+
+describe('nameSimilarity', () => {
+  it('ignores case, accents and punctuation', () => {
+    assert.equal(nameSimilarity('Kutch Solar-H2 Plant', 'kutch solar h2 plant'), 1);
+    assert.equal(nameSimilarity('Pôrto Hub', 'Porto Hub'), 1);
+  });
+
+  it('scores extended and misspelled names high and unrelated names low', () => {
+    assert.ok(nameSimilarity('Kutch Solar H2 Plant', 'Kutch Solar H2 Plant Phase I') > 0.8);
+    assert.ok(nameSimilarity('Kutch Solar H2 Plant', 'Kutch Soalr H2 Plant') > DEFAULT_NAME_SIMILARITY);
+    assert.ok(nameSimilarity('Kutch Solar H2 Plant', 'Chennai Port Storage') < DEFAULT_NAME_SIMILARITY);
+  });
+
+  it('is zero for empty names', () => {
+    assert.equal(nameSimilarity('', 'Plant'), 0);
+    assert.equal(nameSimilarity(undefined, null), 0);
+  });
+});
+
+describe('compareAssets', () => {
+  it('flags similar names within the distance as duplicates', () => {
+    const match = compareAssets(asset('plants', 'Kutch Solar H2', 23), asset('plants', 'Kutch Solar H2 Plant', 23.001));
+    assert.equal(match.kind, 'duplicate');
+    assert.equal(match.reason, 'similar-name');
+    assert.ok(match.distanceMeters > 100 && match.distanceMeters < 120);
+  });
+
+  it('flags assets on the same site whatever their names', () => {
+    const match = compareAssets(asset('storage', 'Tank Farm', 23), asset('demandCenters', 'Refinery', 23.0001));
+    assert.equal(match.kind, 'conflict');
+    assert.equal(match.reason, 'same-site');
+  });
+
+  it('keeps distant, differently named and incomparable assets apart', () => {
+    assert.equal(compareAssets(asset('plants', 'Kutch Solar H2', 23), asset('plants', 'Kutch Solar H2', 23.01)), null);
+    assert.equal(compareAssets(asset('plants', 'Kutch Solar H2', 23), asset('plants', 'Bhuj Wind Park', 23.001)), null);
+    const pipeline = { assetType: 'pipelines', name: 'Kutch Solar H2', geometry: { type: 'LineString', coordinates: [[70, 23], [71, 23]] } };
+    assert.equal(compareAssets(asset('plants', 'Kutch Solar H2', 23), pipeline), null);
+  });
+
+  it('compares pipelines by their end points in either direction', () => {
+    const line = (name, coordinates) => ({ assetType: 'pipelines', name, geometry: { type: 'LineString', coordinates } });
+    const match = compareAssets(
+      line('Coastal Line', [[70, 23], [70.5, 23.2], [71, 23]]),
+      line('Coastal Line', [[71, 23], [70, 23]])
+    );
+    assert.equal(match.distanceMeters, 0);
+  });
+
+  it('applies the given thresholds', () => {
+    const first = asset('plants', 'Kutch Solar H2', 23);
+    const second = asset('plants', 'Kutch Solar H2', 23.003);
+    assert.equal(compareAssets(first, second), null);
+    assert.equal(compareAssets(first, second, { distance: 500, similarity: 0.9 }).reason, 'similar-name');
+  });
+});
+
+describe('mergeSnapshots', () => {
+  it('fills only the fields the kept asset lacks', () => {
+    const fields = mergeSnapshots(
+      { name: 'Kept', capacity: 100, operator: '', location: { state: 'Gujarat' } },
+      { name: 'Gone', capacity: 50, operator: 'GreenCo', location: { state: 'Rajasthan', district: 'Kutch' } }
+    );
+    assert.deepEqual(fields, { operator: 'GreenCo', location: { district: 'Kutch' } });
+  });
+
+  it('combines tags without repeats', () => {
+    const fields = mergeSnapshots({ tags: ['solar', 'Phase 1'] }, { tags: ['phase 1', 'export'] });
+    assert.deepEqual(fields.tags, ['solar', 'Phase 1', 'export']);
+    assert.equal(mergeSnapshots({ tags: ['solar'] }, { tags: ['Solar'] }).tags, undefined);
+  });
+
+  it('merges custom fields per organization, keeping the kept values', () => {
+    const fields = mergeSnapshots(
+      { customFields: { acme: { grade: 'A' } } },
+      { customFields: { acme: { grade: 'B', owner: 'Ravi' }, globex: { code: 7 } } }
+    );
+    assert.deepEqual(fields.customFields, { acme: { grade: 'A', owner: 'Ravi' }, globex: { code: 7 } });
+  });
+});
@@ -0,0 +1,80 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { maxFlow, allocateSupply } = require('../utils/flow');
+
+describe('maxFlow', () => {
+  it('finds the maximum flow of a textbook network', () => {
+    // CLRS figure 26.1: maximum flow 23 from vertex 0 to vertex 5
+    const arcs = [
+      { from: 0, to: 1, capacity: 16 },
+      { from: 0, to: 2, capacity: 13 },
+      { from: 1, to: 3, capacity: 12 },
+      { from: 2, to: 1, capacity: 4 },
+      { from: 2, to: 4, capacity: 14 },
+      { from: 3, to: 2, capacity: 9 },
+      { from: 3, to: 5, capacity: 20 },
+      { from: 4, to: 3, capacity: 7 },
+      { from: 4, to: 5, capacity: 4 }
+    ];
+    const { value, flows } = maxFlow(6, arcs, 0, 5);
+
+    assert.equal(value, 23);
+    arcs.forEach((arc, i) => assert.ok(flows[i] >= 0 && flows[i] <= arc.capacity));
+    // Flow is conserved at every inner vertex
+    [1, 2, 3, 4].forEach(vertex => {
+      const net = arcs.reduce((sum, arc, i) =>
+        sum + (arc.to === vertex ? flows[i] : 0) - (arc.from === vertex ? flows[i] : 0), 0);
+      assert.equal(net, 0);
+    });
+  });
+
+  it('is zero when the sink is unreachable', () => {
+    assert.equal(maxFlow(3, [{ from: 0, to: 1, capacity: 5 }], 0, 2).value, 0);
+  });
+});
+
+describe('allocateSupply', () => {
+  const plant = { id: 'plants:p', type: 'asset', assetType: 'plants', capacity: 100, degree: 1 };
+  // 8760 t/yr at 33.33 kWh/kg is an average flow of 33.33 MW
+  const center = { id: 'demandCenters:d', type: 'asset', assetType: 'demandCenters', demand: 8760, degree: 1 };
+  const pipeline = capacity => ({ id: 'e', pipelineId: 'x', from: 'plants:p', to: 'demandCenters:d', capacity });
+
+  it('converts electrolyzer capacity to hydrogen supply', () => {
+    const { totals, plants } = allocateSupply({ nodes: [plant, center], edges: [pipeline(1000)] });
+
+    // 100 MW x 0.5 capacity factor x 0.7 efficiency
+    assert.equal(totals.capacityMW, 100);
+    assert.equal(totals.supplyMW, 35);
+    assert.equal(plants[0].supplyMW, 35);
+    assert.equal(totals.demandMW, 33.33);
+    assert.equal(totals.servedMW, 33.33);
+    assert.equal(totals.idleMW, 1.67);
+  });
+
+  it('applies the given assumptions', () => {
+    const { totals } = allocateSupply({ nodes: [plant, center], edges: [pipeline(1000)] },
+      { capacityFactor: 0.2, efficiency: 0.5 });
+
+    assert.equal(totals.supplyMW, 10);
+    assert.equal(totals.servedMW, 10);
+    assert.equal(totals.unservedMW, 23.33);
+  });
+
+  it('is limited by pipeline capacity and reports saturated edges', () => {
+    const { totals, edges, demandCenters } = allocateSupply({ nodes: [plant, center], edges: [pipeline(20)] });
+
+    assert.equal(totals.servedMW, 20);
+    assert.equal(totals.saturatedEdges, 1);
+    assert.equal(edges[0].flowFrom, 'plants:p');
+    assert.equal(edges[0].flowTo, 'demandCenters:d');
+    assert.equal(demandCenters[0].servedShare, 0.6);
+  });
+
+  it('carries flow against the stored direction of an edge', () => {
+    const reversed = { ...pipeline(1000), from: 'demandCenters:d', to: 'plants:p' };
+    const { edges } = allocateSupply({ nodes: [plant, center], edges: [reversed] });
+
+    assert.equal(edges[0].flowFrom, 'plants:p');
+    assert.equal(edges[0].flowMW, 33.33);
+  });
+});
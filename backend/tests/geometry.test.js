@@ -0,0 +1,162 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parseBbox,
+  splitBbox,
+  parseZoom,
+  bboxToPolygon,
+  degreesPerPixel,
+  simplifyCoordinates,
+  simplifyGeometry,
+  nearestPointOnLine,
+  parseRegion
+} = require('../utils/geometry');
+
+describe('parseBbox', () => {
+  it('parses a west,south,east,north box', () => {
+    assert.deepEqual(parseBbox('68,20,75,25'), { west: 68, south: 20, east: 75, north: 25 });
+  });
+
+  it('returns null when absent', () => {
+    assert.equal(parseBbox(undefined), null);
+    assert.equal(parseBbox(''), null);
+  });
+
+  it('rejects malformed boxes with status 400', () => {
+    ['1,2,3', 'a,b,c,d', '0,10,5,5', '10,0,10,5'].forEach(value => {
+      assert.throws(() => parseBbox(value), error => error.status === 400, value);
+    });
+  });
+
+  it('clamps viewports panned past the valid ranges', () => {
+    assert.deepEqual(parseBbox('170,-95,190,95'), { west: 170, south: -90, east: 180, north: 90 });
+    assert.deepEqual(parseBbox('-200,0,200,5'), { west: -180, south: 0, east: 180, north: 5 });
+  });
+
+  it('keeps boxes that cross the antimeridian', () => {
+    assert.deepEqual(parseBbox('170,-10,-170,10'), { west: 170, south: -10, east: -170, north: 10 });
+  });
+});
+
+describe('splitBbox', () => {
+  it('leaves ordinary boxes whole', () => {
+    const bbox = { west: 68, south: 20, east: 75, north: 25 };
+    assert.deepEqual(splitBbox(bbox), [bbox]);
+  });
+
+  it('splits a box crossing the antimeridian at 180 degrees', () => {
+    assert.deepEqual(splitBbox({ west: 170, south: -10, east: -170, north: 10 }), [
+      { west: 170, south: -10, east: 180, north: 10 },
+      { west: -180, south: -10, east: -170, north: 10 }
+    ]);
+  });
+
+  it('drops a half without width', () => {
+    assert.deepEqual(splitBbox(parseBbox('190,-10,-170,10')), [{ west: -180, south: -10, east: -170, north: 10 }]);
+  });
+});
+
+describe('parseZoom', () => {
+  it('accepts zoom levels between 0 and 24', () => {
+    assert.equal(parseZoom('6'), 6);
+    assert.equal(parseZoom(undefined), null);
+  });
+
+  it('rejects other values with status 400', () => {
+    ['-1', '25', 'far'].forEach(value => {
+      assert.throws(() => parseZoom(value), error => error.status === 400, value);
+    });
+  });
+});
+
+describe('bboxToPolygon', () => {
+  it('builds a closed counter-clockwise ring with strict winding', () => {
+    const polygon = bboxToPolygon({ west: 0, south: 0, east: 2, north: 1 });
+    const ring = polygon.coordinates[0];
+    assert.deepEqual(ring[0], ring[ring.length - 1]);
+    assert.deepEqual(ring[1], [1, 0]);
+    assert.equal(polygon.crs.properties.name, 'urn:x-mongodb:crs:strictwinding:EPSG:4326');
+
+    // Shoelace area is positive for counter-clockwise rings
+    let area = 0;
+    for (let i = 0; i < ring.length - 1; i++) {
+      area += ring[i][0] * ring[i + 1][1] - ring[i + 1][0] * ring[i][1];
+    }
+    assert.ok(area > 0);
+  });
+
+  it('densifies long edges to at most one degree', () => {
+    const ring = bboxToPolygon({ west: 0, south: 0, east: 10, north: 1 }).coordinates[0];
+    for (let i = 0; i < ring.length - 1; i++) {
+      assert.ok(Math.abs(ring[i + 1][0] - ring[i][0]) <= 1);
+    }
+  });
+
+  it('keeps the edges of a whole-world box apart', () => {
+    const ring = bboxToPolygon({ west: -180, south: -10, east: 180, north: 10 }).coordinates[0];
+    const east = Math.max(...ring.map(([lng]) => lng));
+    assert.ok(east < 180);
+  });
+});
+
+describe('simplification', () => {
+  it('halves degrees per pixel with every zoom level', () => {
+    assert.equal(degreesPerPixel(0), 360 / 256);
+    assert.equal(degreesPerPixel(1), degreesPerPixel(0) / 2);
+  });
+
+  it('drops points within the tolerance and keeps the end points', () => {
+    const coords = [[0, 0], [1, 0.01], [2, -0.01], [3, 0]];
+    assert.deepEqual(simplifyCoordinates(coords, 0.1), [[0, 0], [3, 0]]);
+    assert.deepEqual(simplifyCoordinates(coords, 0.001), coords);
+  });
+
+  it('keeps at least four positions in polygon rings', () => {
+    const ring = [[0, 0], [1, 0.001], [2, 0], [2, 2], [0, 2], [0, 0]];
+    const simplified = simplifyGeometry({ type: 'Polygon', coordinates: [ring] }, 10);
+    assert.ok(simplified.coordinates[0].length >= 4);
+  });
+
+  it('returns points unchanged', () => {
+    const point = { type: 'Point', coordinates: [1, 2] };
+    assert.equal(simplifyGeometry(point, 1), point);
+  });
+});
+
+describe('nearestPointOnLine', () => {
+  it('projects a location onto the closest segment', () => {
+    const { coordinates, distanceKm } = nearestPointOnLine(1, 5, [[0, 0], [10, 0]]);
+    assert.ok(Math.abs(coordinates[0] - 5) < 1e-9);
+    assert.ok(Math.abs(coordinates[1]) < 1e-9);
+    assert.ok(Math.abs(distanceKm - 111.2) < 1);
+  });
+
+  it('stops at the end of the line', () => {
+    const { coordinates } = nearestPointOnLine(0, 20, [[0, 0], [10, 0]]);
+    assert.deepEqual(coordinates.map(n => Math.round(n * 1e6) / 1e6), [10, 0]);
+  });
+});
+
+describe('parseRegion', () => {
+  it('closes area selector points given as [lat, lng]', () => {
+    assert.deepEqual(parseRegion([[0, 0], [0, 1], [1, 1]]), {
+      type: 'Polygon',
+      coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]]
+    });
+  });
+
+  it('accepts GeoJSON Features', () => {
+    const geometry = { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [1, 1], [0, 0]]] };
+    assert.deepEqual(parseRegion({ type: 'Feature', geometry }), geometry);
+  });
+
+  it('rejects other geometries and short rings with status 400', () => {
+    [
+      { type: 'Point', coordinates: [0, 0] },
+      { type: 'Polygon', coordinates: [[[0, 0], [1, 0], [0, 0]]] },
+      [[0, 0], [0, 200], [1, 1]]
+    ].forEach(value => {
+      assert.throws(() => parseRegion(value), error => error.status === 400);
+    });
+  });
+});
@@ -0,0 +1,114 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildNetwork, findRoute } = require('../utils/network');
+
+const plant = { assetType: 'plants', assetId: 'p1', name: 'Plant', coordinates: [0, 0], capacity: 100 };
+const center = { assetType: 'demandCenters', assetId: 'd1', name: 'City', coordinates: [1, 0], demand: 5000 };
+
+// Two pipelines meeting about 100 m apart, well within the default 0.5 km tolerance
+const west = { id: 'a', name: 'West', capacity: 50, status: 'operational', coordinates: [[0, 0.001], [0.5, 0]] };
+const east = { id: 'b', name: 'East', capacity: 80, status: 'operational', coordinates: [[0.5, 0.001], [1, 0]] };
+
+describe('buildNetwork', () => {
+  it('snaps pipeline ends to assets and to each other', () => {
+    const network = buildNetwork({ pipelines: [west, east], assets: [plant, center] });
+
+    assert.deepEqual(network.nodes.map(node => node.id).sort(), ['demandCenters:d1', 'junction:1', 'plants:p1']);
+    assert.equal(network.edges.length, 2);
+    assert.deepEqual(network.edges.map(edge => [edge.from, edge.to]), [
+      ['plants:p1', 'junction:1'],
+      ['junction:1', 'demandCenters:d1']
+    ]);
+    // Edge ends are moved onto the node positions
+    assert.deepEqual(network.edges[0].coordinates[0], [0, 0]);
+    assert.equal(network.components.length, 1);
+    assert.deepEqual(network.issues, []);
+    assert.equal(network.stats.connectedAssets, 2);
+  });
+
+  it('keeps assets beyond the tolerance unconnected', () => {
+    const far = { ...center, assetId: 'd2', coordinates: [3, 3] };
+    const network = buildNetwork({ pipelines: [west, east], assets: [plant, center, far] });
+
+    assert.equal(network.nodes.find(node => node.id === 'demandCenters:d2').degree, 0);
+    assert.equal(network.stats.unconnectedAssets, 1);
+  });
+
+  it('reports dangling ends and disconnected islands', () => {
+    const island = { id: 'c', name: 'Island', capacity: 10, status: 'operational', coordinates: [[5, 5], [5, 6]] };
+    const network = buildNetwork({ pipelines: [west, east, island], assets: [plant, center] });
+
+    const types = network.issues.map(issue => issue.type).sort();
+    assert.deepEqual(types, ['dangling-end', 'dangling-end', 'disconnected-island']);
+    assert.equal(network.components.length, 2);
+    // The longest network comes first
+    assert.ok(network.components[0].lengthKm > network.components[1].lengthKm);
+  });
+
+  it('inserts a tee junction where a pipeline ends on another one', () => {
+    const trunk = { id: 't', name: 'Trunk', capacity: 100, status: 'operational', coordinates: [[0, 0], [1, 0]] };
+    const branch = { id: 'r', name: 'Branch', capacity: 20, status: 'operational', coordinates: [[0.5, 1], [0.5, 0.001]] };
+    const network = buildNetwork({ pipelines: [trunk, branch], assets: [plant, center] });
+
+    // The trunk is split at the tee, so every pipeline end is connected
+    assert.equal(network.edges.filter(edge => edge.pipelineId === 't').length, 2);
+    assert.equal(network.issues.filter(issue => issue.type === 'disconnected-island').length, 0);
+  });
+
+  it('reports pipelines running along each other', () => {
+    const parallel = { id: 'p', name: 'Parallel', capacity: 30, status: 'operational', coordinates: [[0.1, 0.001], [0.4, 0.001]] };
+    const network = buildNetwork({ pipelines: [west, parallel], assets: [] }, 0.5);
+
+    assert.ok(network.issues.some(issue => issue.type === 'overlapping-segments'));
+  });
+});
+
+describe('findRoute', () => {
+  // A -1 km- B -1 km- D is short but thin; A -2 km- C -2 km- D is long but wide
+  const positions = { A: [0, 0], B: [1, 0], C: [1, 1], D: [2, 0], E: [5, 5] };
+  const node = id => ({ id, type: 'junction', coordinates: positions[id] });
+  const edge = (id, from, to, lengthKm, capacity) => ({
+    id, pipelineId: id, name: id, from, to, lengthKm, capacity, coordinates: [positions[from], positions[to]]
+  });
+  const network = {
+    nodes: Object.keys(positions).map(node),
+    edges: [
+      edge('ab', 'A', 'B', 1, 10),
+      edge('bd', 'B', 'D', 1, 10),
+      edge('ac', 'A', 'C', 2, 100),
+      edge('dc', 'D', 'C', 2, 100)
+    ]
+  };
+
+  it('takes the shortest path', () => {
+    const route = findRoute(network, 'A', 'D');
+    assert.deepEqual(route.nodeIds, ['A', 'B', 'D']);
+    assert.equal(route.lengthKm, 2);
+    assert.equal(route.bottleneckCapacity, 10);
+  });
+
+  it('skips edges below the minimum capacity', () => {
+    const route = findRoute(network, 'A', 'D', { minCapacity: 50 });
+    assert.deepEqual(route.nodeIds, ['A', 'C', 'D']);
+    assert.equal(route.lengthKm, 4);
+    assert.equal(route.bottleneckCapacity, 100);
+  });
+
+  it('orients leg coordinates in travel order', () => {
+    const route = findRoute(network, 'A', 'D', { minCapacity: 50 });
+    // dc is stored from D to C but travelled from C to D
+    assert.deepEqual(route.legs[1].coordinates, [[1, 1], [2, 0]]);
+  });
+
+  it('returns null for unreachable and unknown nodes', () => {
+    assert.equal(findRoute(network, 'A', 'E'), null);
+    assert.equal(findRoute(network, 'A', 'Z'), null);
+  });
+
+  it('returns an empty route from a node to itself', () => {
+    const route = findRoute(network, 'A', 'A');
+    assert.deepEqual(route.nodeIds, ['A']);
+    assert.equal(route.lengthKm, 0);
+    assert.equal(route.bottleneckCapacity, null);
+  });
+});
@@ -0,0 +1,76 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseYear, baseYearOf, projectDemand, projectionSeries } = require('../utils/projection');
+
+const center = {
+  demand: 1000,
+  createdAt: '2022-06-01T00:00:00Z',
+  demandProjection: {
+    baseYear: 2024,
+    years: [{ year: 2030, demand: 2200 }],
+    growthRate: 0.1
+  }
+};
+
+describe('parseYear', () => {
+  it('reads whole years in range', () => {
+    assert.equal(parseYear('2035'), 2035);
+    assert.equal(parseYear(undefined), null);
+  });
+
+  it('rejects other values with status 400', () => {
+    ['1999', '2101', '2030.5', 'soon'].forEach(value => {
+      assert.throws(() => parseYear(value), error => error.status === 400, value);
+    });
+  });
+});
+
+describe('baseYearOf', () => {
+  it('uses the saved base year, else the year the center was added', () => {
+    assert.equal(baseYearOf(center), 2024);
+    assert.equal(baseYearOf({ demand: 1, createdAt: '2022-06-01T00:00:00Z' }), 2022);
+  });
+});
+
+describe('projectDemand', () => {
+  it('returns the current demand without a year', () => {
+    assert.equal(projectDemand(center, null), 1000);
+  });
+
+  it('interpolates linearly between known years', () => {
+    assert.equal(projectDemand(center, 2024), 1000);
+    assert.equal(projectDemand(center, 2027), 1600);
+    assert.equal(projectDemand(center, 2030), 2200);
+  });
+
+  it('grows at the growth rate after the last known year', () => {
+    assert.equal(projectDemand(center, 2032), 2662);
+  });
+
+  it('stays flat before the first known year and without a growth rate', () => {
+    assert.equal(projectDemand(center, 2010), 1000);
+    const flat = { ...center, demandProjection: { ...center.demandProjection, growthRate: 0 } };
+    assert.equal(projectDemand(flat, 2040), 2200);
+  });
+
+  it('lets an entered base year value win over demand', () => {
+    const entered = { ...center, demandProjection: { baseYear: 2024, years: [{ year: 2024, demand: 1200 }] } };
+    assert.equal(projectDemand(entered, 2024), 1200);
+  });
+});
+
+describe('projectionSeries', () => {
+  it('labels where each value comes from', () => {
+    const series = projectionSeries(center, 2023, 2031);
+    assert.deepEqual(series.map(point => point.source), [
+      'flat', 'entered', 'interpolated', 'interpolated', 'interpolated',
+      'interpolated', 'interpolated', 'entered', 'growth'
+    ]);
+    assert.deepEqual(series[series.length - 1], { year: 2031, demand: 2420, source: 'growth' });
+  });
+
+  it('rejects inverted and overlong ranges with status 400', () => {
+    assert.throws(() => projectionSeries(center, 2030, 2020), error => error.status === 400);
+    assert.throws(() => projectionSeries(center, 2000, 2100), error => error.status === 400);
+  });
+});
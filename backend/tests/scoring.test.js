@@ -0,0 +1,85 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  SCORING_DATA_VERSION,
+  DEFAULT_WEIGHTS,
+  seededNoise,
+  normalizeWeights,
+  calculateSuitabilityScore
+} = require('../utils/scoring');
+
+describe('seededNoise', () => {
+  it('is the same for the same location and factor', () => {
+    assert.equal(seededNoise(23.0225, 72.5714, 'wind'), seededNoise(23.0225, 72.5714, 'wind'));
+    // Coordinates are keyed to 5 decimal places
+    assert.equal(seededNoise(23.022501, 72.5714, 'wind'), seededNoise(23.0225, 72.5714, 'wind'));
+  });
+
+  it('varies by factor and by location', () => {
+    assert.notEqual(seededNoise(23.0225, 72.5714, 'wind'), seededNoise(23.0225, 72.5714, 'grid'));
+    assert.notEqual(seededNoise(23.0225, 72.5714, 'wind'), seededNoise(23.0226, 72.5714, 'wind'));
+  });
+
+  it('stays within [0, 1) and spreads over neighbouring locations', () => {
+    const values = [];
+    for (let i = 0; i < 1000; i++) values.push(seededNoise(20 + i * 0.001, 78, 'renewable'));
+
+    assert.ok(values.every(value => value >= 0 && value < 1));
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    assert.ok(Math.abs(mean - 0.5) < 0.05, `mean ${mean}`);
+  });
+});
+
+describe('calculateSuitabilityScore', () => {
+  it('gives a location the same score every time', () => {
+    const first = calculateSuitabilityScore(21.1702, 72.8311, 40, 60);
+    const second = calculateSuitabilityScore(21.1702, 72.8311, 40, 60);
+    assert.deepEqual(second, first);
+  });
+
+  it('reports the data version behind the score', () => {
+    assert.equal(calculateSuitabilityScore(21.1702, 72.8311, 40).dataVersion, SCORING_DATA_VERSION);
+  });
+
+  it('scores different locations differently', () => {
+    assert.notEqual(
+      calculateSuitabilityScore(21.1702, 72.8311, 40).score,
+      calculateSuitabilityScore(26.9124, 75.7873, 40).score
+    );
+  });
+});
+
+describe('normalizeWeights', () => {
+  const total = weights => Object.values(weights).reduce((sum, value) => sum + value, 0);
+
+  it('uses the defaults when no weights are given', () => {
+    assert.deepEqual(normalizeWeights(undefined), DEFAULT_WEIGHTS);
+    assert.deepEqual(normalizeWeights({}), DEFAULT_WEIGHTS);
+  });
+
+  it('keeps defaults for factors left out and scales the total to 100', () => {
+    const weights = normalizeWeights({ demand: 75, grid: 0 });
+    assert.deepEqual(weights, { renewable: 24, demand: 60, grid: 0, regulatory: 16 });
+    assert.equal(total(weights), 100);
+  });
+
+  it('rejects unknown factors, bad values and all-zero weights with status 400', () => {
+    [
+      [],
+      { sunshine: 10 },
+      { demand: -5 },
+      { demand: '50' },
+      { renewable: 0, demand: 0, grid: 0, regulatory: 0 }
+    ].forEach(weights => {
+      assert.throws(() => normalizeWeights(weights), error => error.status === 400, JSON.stringify(weights));
+    });
+  });
+
+  it('weights each factor of the score and echoes the weights', () => {
+    const weights = normalizeWeights({ renewable: 0, demand: 0, grid: 0, regulatory: 1 });
+    const result = calculateSuitabilityScore(21.1702, 72.8311, 40, 60, weights);
+    assert.equal(result.score, 60);
+    assert.deepEqual(result.weights, weights);
+    assert.equal(result.details.breakdown.renewableScore, 0);
+  });
+});
@@ -0,0 +1,92 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkBoundary, repairBoundary } = require('../utils/zoneGeometry');
+
+// Counterclockwise unit square and a clockwise hole inside it
+const square = [[0, 0], [1, 0], [1, 1], [0, 1], [0, 0]];
+const hole = [[0.25, 0.25], [0.25, 0.75], [0.75, 0.75], [0.75, 0.25], [0.25, 0.25]];
+const polygon = (...rings) => ({ type: 'Polygon', coordinates: rings });
+const codes = result => result.issues.map(issue => issue.code);
+
+describe('checkBoundary', () => {
+  it('accepts a well-formed polygon', () => {
+    assert.deepEqual(checkBoundary(polygon(square, hole)), { valid: true, issues: [] });
+  });
+
+  it('reports unclosed rings as errors', () => {
+    const result = checkBoundary(polygon(square.slice(0, -1)));
+    assert.equal(result.valid, false);
+    assert.deepEqual(codes(result), ['unclosed-ring']);
+    assert.equal(result.issues[0].message, 'Exterior ring is not closed');
+  });
+
+  it('reports wrong orientation and repeated positions as warnings', () => {
+    const result = checkBoundary(polygon([[0, 0], [0, 1], [0, 1], [1, 1], [1, 0], [0, 0]]));
+    assert.equal(result.valid, true);
+    assert.deepEqual(codes(result).sort(), ['duplicate-vertices', 'wrong-orientation']);
+  });
+
+  it('names rings of multipolygons by polygon', () => {
+    const result = checkBoundary({ type: 'MultiPolygon', coordinates: [[square], [square, [...hole].reverse()]] });
+    assert.equal(result.issues[0].message, 'Hole 1 of polygon 2 is wound counterclockwise');
+    assert.equal(result.issues[0].polygon, 1);
+    assert.equal(result.issues[0].ring, 1);
+  });
+
+  it('rejects other geometry types', () => {
+    const result = checkBoundary({ type: 'Point', coordinates: [0, 0] });
+    assert.deepEqual(codes(result), ['invalid-geometry']);
+  });
+});
+
+describe('repairBoundary', () => {
+  it('returns valid boundaries unchanged', () => {
+    const geometry = polygon(square);
+    assert.equal(repairBoundary(geometry).geometry, geometry);
+  });
+
+  it('closes rings and drops repeated positions', () => {
+    const { valid, geometry, repairs } = repairBoundary(polygon([[0, 0], [1, 0], [1, 0], [1, 1], [0, 1]]));
+    assert.equal(valid, true);
+    assert.deepEqual(geometry, polygon(square));
+    assert.deepEqual(repairs.map(issue => issue.code), ['unclosed-ring', 'duplicate-vertices']);
+  });
+
+  it('rewinds exterior rings counterclockwise and holes clockwise', () => {
+    const { geometry, repairs } = repairBoundary(polygon([...square].reverse(), [...hole].reverse()));
+    assert.deepEqual(repairs.map(issue => issue.code), ['wrong-orientation', 'wrong-orientation']);
+    assert.deepEqual(checkBoundary(geometry).issues, []);
+  });
+
+  it('splits a bow-tie into a multipolygon', () => {
+    const { valid, geometry, repairs } = repairBoundary(polygon([[0, 0], [2, 2], [2, 0], [0, 2], [0, 0]]));
+    assert.equal(valid, true);
+    assert.deepEqual(repairs.map(issue => issue.code), ['self-intersection']);
+    assert.equal(geometry.type, 'MultiPolygon');
+    assert.equal(geometry.coordinates.length, 2);
+    // Both halves are closed triangles through the crossing, wound counterclockwise
+    geometry.coordinates.forEach(([ring]) => {
+      assert.equal(ring.length, 4);
+      assert.deepEqual(ring[0], ring[3]);
+      assert.ok(ring.some(([lng, lat]) => lng === 1 && lat === 1));
+      assert.deepEqual(checkBoundary(polygon(ring)).issues, []);
+    });
+  });
+
+  it('drops holes with too few points', () => {
+    const { valid, geometry, repairs } = repairBoundary(polygon(square, [[0.5, 0.5], [0.6, 0.6], [0.5, 0.5]]));
+    assert.equal(valid, true);
+    assert.deepEqual(geometry, polygon(square));
+    assert.equal(repairs[0].code, 'too-few-points');
+    assert.equal(repairs[0].fix, 'Removed the hole');
+  });
+
+  it('leaves exterior rings with too few points unrepaired', () => {
+    const geometry = polygon([[0, 0], [1, 1], [0, 0]]);
+    const result = repairBoundary(geometry);
+    assert.equal(result.valid, false);
+    assert.equal(result.geometry, geometry);
+    assert.deepEqual(codes(result), ['too-few-points']);
+    assert.equal(result.issues[0].fix, null);
+  });
+});
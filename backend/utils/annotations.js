@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+const CustomField = require('../models/CustomField');
+
+/**
+ * Annotation Utilities for H2 Optimize
+ * Free-form tags and organization-defined custom fields on assets.
+ *
+ * Every asset model has `tags`, a list of short labels such as "MoU signed",
+ * and `customFields`, an object of values per organization:
+ *
+ *   customFields: { 'acme-energy': { offtakerPriority: 'high', mouSigned: true } }
+ *
+ * Each value must match a CustomField definition of that organization, so
+ * teams can record their own attributes without clashing with each other
+ */
+
+// Organization of users and requests that name none
+const DEFAULT_ORGANIZATION = 'default';
+const ORGANIZATION_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const FIELD_KEY_PATTERN = /^[a-zA-Z][a-zA-Z0-9_]*$/;
+
+const MAX_TAGS = 50;
+const MAX_TAG_LENGTH = 50;
+const MAX_STRING_VALUE_LENGTH = 500;
+
+/**
+ * Organization of a signed-in user
+ */
+function organizationOf(user) {
+  return (user && user.organization) || DEFAULT_ORGANIZATION;
+}
+
+// Whether a value is an object of fields rather than a leaf such as a date or id
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && !(value instanceof mongoose.Types.ObjectId);
+
+/**
+ * Clean a list of tags: splits them at commas and semicolons (the separators
+ * of filters and CSV exports), trims them, collapses inner whitespace and
+ * drops empty tags and repeats (ignoring case, keeping the first spelling)
+ * @param {Array|string} tags - Array of tags or a separated string
+ * @returns {Object} { tags } or { error } describing the first problem
+ */
+function normalizeTags(tags) {
+  const list = typeof tags === 'string' ? [tags] : tags;
+  if (!Array.isArray(list)) return { error: 'Tags must be a list of strings' };
+
+  const seen = new Set();
+  const cleaned = [];
+  for (const item of list) {
+    if (typeof item !== 'string') return { error: 'Tags must be a list of strings' };
+    for (const tag of item.split(/[,;]/)) {
+      const text = tag.trim().replace(/\s+/g, ' ');
+      if (!text || seen.has(text.toLowerCase())) continue;
+      if (text.length > MAX_TAG_LENGTH) return { error: `Tags may have at most ${MAX_TAG_LENGTH} characters` };
+      seen.add(text.toLowerCase());
+      cleaned.push(text);
+    }
+  }
+  if (cleaned.length > MAX_TAGS) return { error: `An asset may have at most ${MAX_TAGS} tags` };
+  return { tags: cleaned };
+}
+
+/**
+ * Convert a value to the type of a custom field
+ * Dates are stored as YYYY-MM-DD strings, which sort and compare in date order
+ * @param {Object} field - CustomField definition
+ * @param {*} value - Value as sent, e.g. '42' or 'yes' from a CSV import
+ * @returns {*} Converted value
+ * @throws {Error} When the value does not fit the field
+ */
+function castFieldValue(field, value) {
+  switch (field.type) {
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) {
+        throw new Error(`${field.key} must be a number`);
+      }
+      return number;
+    }
+    case 'boolean': {
+      if (typeof value === 'boolean') return value;
+      const text = String(value).trim().toLowerCase();
+      if (['true', 'yes', '1'].includes(text)) return true;
+      if (['false', 'no', '0'].includes(text)) return false;
+      throw new Error(`${field.key} must be true or false`);
+    }
+    case 'date': {
+      const date = new Date(value);
+      if (typeof value === 'boolean' || Number.isNaN(date.getTime())) {
+        throw new Error(`${field.key} must be a date such as 2030-06-30`);
+      }
+      return date.toISOString().slice(0, 10);
+    }
+    case 'enum': {
+      const text = String(value).trim();
+      if (!field.options.includes(text)) {
+        throw new Error(`${field.key} must be one of ${field.options.join(', ')}`);
+      }
+      return text;
+    }
+    default: {
+      if (isPlainObject(value) || Array.isArray(value)) {
+        throw new Error(`${field.key} must be text`);
+      }
+      const text = String(value).trim();
+      if (text.length > MAX_STRING_VALUE_LENGTH) {
+        throw new Error(`${field.key} may have at most ${MAX_STRING_VALUE_LENGTH} characters`);
+      }
+      return text;
+    }
+  }
+}
+
+/**
+ * Check custom field values against their organizations' definitions
+ * Empty and null values are dropped, as are organizations left without values
+ * @param {string} assetType - Key of ASSET_TYPES
+ * @param {Object} customFields - { organization: { key: value } }
+ * @returns {Promise<Object>} { values, errors } with converted values, and
+ *   errors as [{ path, message, value }] where path is `<organization>.<key>`
+ */
+async function checkCustomFields(assetType, customFields) {
+  if (!isPlainObject(customFields)) {
+    return { values: {}, errors: [{ path: '', message: 'Custom fields must be an object of values per organization' }] };
+  }
+
+  const organizations = Object.keys(customFields);
+  const definitions = organizations.length > 0
+    ? await CustomField.find({ organization: { $in: organizations } })
+    : [];
+
+  const values = {};
+  const errors = [];
+  organizations.forEach(organization => {
+    const entries = customFields[organization];
+    if (entries === null || entries === undefined) return;
+    if (!ORGANIZATION_PATTERN.test(organization) || !isPlainObject(entries)) {
+      errors.push({ path: organization, message: `Custom fields of ${organization} must be an object of values` });
+      return;
+    }
+
+    const cleaned = {};
+    Object.entries(entries).forEach(([key, value]) => {
+      const path = `${organization}.${key}`;
+      const field = definitions.find(d => d.organization === organization && d.key === key);
+      if (!field) {
+        errors.push({ path, message: `No custom field ${key} is defined for ${organization}`, value });
+        return;
+      }
+      if (field.assetTypes.length > 0 && !field.assetTypes.includes(assetType)) {
+        errors.push({ path, message: `Custom field ${key} of ${organization} does not apply to ${assetType}`, value });
+        return;
+      }
+      if (value === null || value === undefined || value === '') return;
+      try {
+        cleaned[key] = castFieldValue(field, value);
+      } catch (error) {
+        errors.push({ path, message: error.message, value });
+      }
+    });
+    if (Object.keys(cleaned).length > 0) values[organization] = cleaned;
+  });
+
+  return { values, errors };
+}
+
+/**
+ * Merge custom field values sent in a write into an asset's current values
+ * Organizations missing from `incoming` keep their values, so one team's
+ * edits never drop another's. A null organization removes its values
+ * @param {Object} current - The asset's current customFields
+ * @param {Object} incoming - customFields from the request
+ * @param {Object} options - { replace: true } replaces each sent organization's
+ *   values (PUT); otherwise keys are merged and null keys removed (PATCH)
+ * @returns {*} Merged values, or `incoming` unchanged when it is not an object
+ */
+function mergeCustomFields(current, incoming, { replace = false } = {}) {
+  if (!isPlainObject(incoming)) return incoming;
+
+  const merged = { ...(isPlainObject(current) ? current : {}) };
+  Object.entries(incoming).forEach(([organization, entries]) => {
+    if (entries === null) {
+      delete merged[organization];
+    } else if (replace || !isPlainObject(entries) || !isPlainObject(merged[organization])) {
+      merged[organization] = entries;
+    } else {
+      merged[organization] = { ...merged[organization], ...entries };
+    }
+  });
+  return merged;
+}
+
+/**
+ * Mongoose plugin adding `tags` and `customFields` to an asset schema
+ * Tags are normalized and custom field values checked and converted on validate
+ * @param {Object} schema - Asset schema
+ * @param {Object} options - { assetType } key of ASSET_TYPES the schema belongs to
+ */
+function annotationsPlugin(schema, { assetType }) {
+  schema.add({
+    tags: {
+      type: [String],
+      default: undefined
+    },
+    customFields: {
+      type: mongoose.Schema.Types.Mixed
+    }
+  });
+  schema.index({ tags: 1 });
+
+  schema.pre('validate', async function() {
+    if (this.isModified('tags') && this.tags) {
+      const { tags, error } = normalizeTags(this.tags);
+      if (error) this.invalidate('tags', error, this.tags);
+      else this.tags = tags;
+    }
+
+    if (this.isModified('customFields') && this.customFields) {
+      const { values, errors } = await checkCustomFields(assetType, this.customFields);
+      errors.forEach(error => {
+        this.invalidate(error.path ? `customFields.${error.path}` : 'customFields', error.message, error.value);
+      });
+      if (errors.length === 0) {
+        this.customFields = Object.keys(values).length > 0 ? values : undefined;
+      }
+    }
+  });
+}
+
+module.exports = {
+  DEFAULT_ORGANIZATION,
+  ORGANIZATION_PATTERN,
+  FIELD_KEY_PATTERN,
+  organizationOf,
+  isPlainObject,
+  normalizeTags,
+  castFieldValue,
+  checkCustomFields,
+  mergeCustomFields,
+  annotationsPlugin
+};
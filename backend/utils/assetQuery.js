@@ -0,0 +1,247 @@
+const mongoose = require('mongoose');
+const { ASSET_TYPES } = require('./geojson');
+const { DEFAULT_ORGANIZATION, ORGANIZATION_PATTERN, FIELD_KEY_PATTERN } = require('./annotations');
+
+/**
+ * Asset Query Utilities for H2 Optimize
+ * Builds mongo filters, sort orders and cursors from listing query parameters
+ */
+
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+/**
+ * Create an Error that handlers report as 400 Bad Request
+ * @param {string} message
+ * @returns {Error}
+ */
+function badRequest(message) {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+}
+
+/**
+ * Parse a boolean query flag such as `dryRun=true`
+ */
+function isEnabled(value) {
+  return value === 'true' || value === '1' || value === '';
+}
+
+/**
+ * Escape a string for literal use inside a regular expression
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Parse an optional numeric query parameter
+ */
+function parseNumber(query, key) {
+  if (query[key] === undefined || query[key] === '') return undefined;
+  const value = Number(query[key]);
+  if (!Number.isFinite(value)) {
+    throw badRequest(`${key} must be a number`);
+  }
+  return value;
+}
+
+/**
+ * Candidate stored values of a custom field filter value
+ * Filters do not know the field's type, so `5` also matches the number 5 and
+ * `true` the boolean; dates are stored as YYYY-MM-DD and match as text
+ */
+function customFieldCandidates(value) {
+  const candidates = [value];
+  if (value !== '' && Number.isFinite(Number(value))) candidates.push(Number(value));
+  if (value === 'true' || value === 'false') candidates.push(value === 'true');
+  return candidates;
+}
+
+/**
+ * Build a mongo filter from attribute query parameters
+ * Supported parameters depend on the asset type (see ASSET_TYPES):
+ * - `<field>=a,b` for each enum filter, e.g. status=planned,operational
+ * - `min<Suffix>` / `max<Suffix>` for each range filter, e.g. minCapacity=100
+ * - `search` for a case-insensitive match on the asset name
+ * - `owner=<companyId>` for owned types, several ids comma-separated
+ * - `tags=a,b` for assets with any of the tags
+ * - `field.<key>=a,b` for custom field values of the `organization` parameter's
+ *   fields (default organization when absent), e.g. field.offtakerPriority=high
+ * @param {string} assetType - Key of ASSET_TYPES
+ * @param {Object} query - Express request query
+ * @returns {Object} Mongo filter
+ */
+function buildAttributeFilter(assetType, query) {
+  const { model: Model, enumFilters = [], rangeFilters = {}, owned } = ASSET_TYPES[assetType];
+  const filter = {};
+
+  enumFilters.forEach(field => {
+    if (!query[field]) return;
+    const values = String(query[field]).split(',').map(v => v.trim()).filter(Boolean);
+    const allowed = Model.schema.path(field).enumValues;
+    const invalid = values.filter(v => !allowed.includes(v));
+    if (invalid.length > 0) {
+      throw badRequest(`Invalid ${field}: ${invalid.join(', ')}. Allowed values: ${allowed.join(', ')}`);
+    }
+    filter[field] = values.length === 1 ? values[0] : { $in: values };
+  });
+
+  Object.entries(rangeFilters).forEach(([field, suffix]) => {
+    const min = parseNumber(query, `min${suffix}`);
+    const max = parseNumber(query, `max${suffix}`);
+    if (min === undefined && max === undefined) return;
+    if (min !== undefined && max !== undefined && min > max) {
+      throw badRequest(`min${suffix} cannot be greater than max${suffix}`);
+    }
+    filter[field] = {};
+    if (min !== undefined) filter[field].$gte = min;
+    if (max !== undefined) filter[field].$lte = max;
+  });
+
+  if (owned && query.owner) {
+    const owners = String(query.owner).split(',').map(v => v.trim()).filter(Boolean);
+    const invalid = owners.filter(id => !mongoose.Types.ObjectId.isValid(id));
+    if (invalid.length > 0) {
+      throw badRequest(`Invalid owner: ${invalid.join(', ')} is not a company id`);
+    }
+    // ObjectIds rather than strings, since aggregation pipelines do not cast
+    const ids = owners.map(id => new mongoose.Types.ObjectId(id));
+    filter.owner = ids.length === 1 ? ids[0] : { $in: ids };
+  }
+
+  if (query.tags) {
+    const tags = String(query.tags).split(',').map(v => v.trim()).filter(Boolean);
+    filter.tags = tags.length === 1 ? tags[0] : { $in: tags };
+  }
+
+  const fieldKeys = Object.keys(query).filter(key => key.startsWith('field.'));
+  if (fieldKeys.length > 0) {
+    const organization = query.organization ? String(query.organization) : DEFAULT_ORGANIZATION;
+    if (!ORGANIZATION_PATTERN.test(organization)) {
+      throw badRequest(`Invalid organization: ${organization}`);
+    }
+    fieldKeys.forEach(param => {
+      const key = param.slice('field.'.length);
+      if (!FIELD_KEY_PATTERN.test(key)) {
+        throw badRequest(`Invalid custom field filter: ${param}`);
+      }
+      const values = String(query[param]).split(',').map(v => v.trim()).filter(Boolean);
+      if (values.length === 0) return;
+      filter[`customFields.${organization}.${key}`] = { $in: values.flatMap(customFieldCandidates) };
+    });
+  }
+
+  if (query.search) {
+    filter.name = { $regex: escapeRegex(String(query.search).trim()), $options: 'i' };
+  }
+
+  return filter;
+}
+
+/**
+ * Parse the `sort` parameter, e.g. `sort=-capacity` or `sort=name`
+ * Sortable fields are name, createdAt, updatedAt and the type's filter fields
+ * @param {string} assetType - Key of ASSET_TYPES
+ * @param {string} value - Raw query parameter
+ * @returns {Object} { field, direction } where direction is 1 or -1
+ */
+function parseSort(assetType, value) {
+  if (!value) return { field: 'name', direction: 1 };
+  // Repeated or bracketed parameters arrive as arrays or objects
+  if (typeof value !== 'string') {
+    throw badRequest('sort must be given once, as a single field name');
+  }
+
+  const { enumFilters = [], rangeFilters = {} } = ASSET_TYPES[assetType];
+  const sortable = ['name', 'createdAt', 'updatedAt', ...enumFilters, ...Object.keys(rangeFilters)];
+
+  const direction = value.startsWith('-') ? -1 : 1;
+  const field = value.replace(/^[-+]/, '');
+  if (!sortable.includes(field)) {
+    throw badRequest(`Cannot sort by ${field}. Sortable fields: ${sortable.join(', ')}`);
+  }
+  return { field, direction };
+}
+
+/**
+ * Encode the position after a document as an opaque cursor
+ * @param {Object} doc - Last document of a page
+ * @param {Object} sort - { field, direction }
+ * @returns {string} base64url cursor
+ */
+function encodeCursor(doc, sort) {
+  // Optional fields may be missing; they are encoded as null so the cursor keeps its place
+  const value = doc.get(sort.field);
+  const payload = { f: sort.field, d: sort.direction, v: value === undefined ? null : value, id: String(doc._id) };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/**
+ * Decode a cursor into a filter selecting documents after it
+ * The cursor must have been produced with the same sort order. MongoDB sorts
+ * null and missing values before all others, so they come first on ascending
+ * sorts and last on descending ones
+ * @param {string} cursor - Value of the `cursor` parameter
+ * @param {Object} sort - { field, direction }
+ * @returns {Object} Mongo filter
+ */
+function cursorFilter(cursor, sort) {
+  let payload;
+  try {
+    payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (error) {
+    throw badRequest('Invalid cursor');
+  }
+
+  if (!payload || payload.f !== sort.field || payload.d !== sort.direction || !payload.id) {
+    throw badRequest('Cursor does not match the requested sort order');
+  }
+
+  const { field, direction } = sort;
+  const op = direction === 1 ? '$gt' : '$lt';
+  const value = payload.v === undefined ? null : payload.v;
+
+  if (value === null) {
+    return {
+      $or: direction === 1
+        ? [{ [field]: null, _id: { [op]: payload.id } }, { [field]: { $ne: null } }]
+        : [{ [field]: null, _id: { [op]: payload.id } }]
+    };
+  }
+
+  const branches = [
+    { [field]: { [op]: value } },
+    { [field]: value, _id: { [op]: payload.id } }
+  ];
+  if (direction === -1) branches.push({ [field]: null });
+  return { $or: branches };
+}
+
+/**
+ * Parse pagination parameters
+ * Listings are only paginated when `limit` or `cursor` is given
+ * @param {Object} query - Express request query
+ * @returns {Object|null} { limit, cursor } or null for an unpaginated listing
+ */
+function parsePagination(query) {
+  if (query.limit === undefined && query.cursor === undefined) return null;
+
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    throw badRequest(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+  }
+  return { limit, cursor: query.cursor || null };
+}
+
+module.exports = {
+  badRequest,
+  isEnabled,
+  escapeRegex,
+  buildAttributeFilter,
+  parseSort,
+  parsePagination,
+  encodeCursor,
+  cursorFilter
+};
@@ -0,0 +1,105 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Attachment Stores for H2 Optimize
+ * Where the files of asset attachments are kept. Files go to local disk by
+ * default; other blob stores (S3, Azure Blob Storage, GridFS, ...) are plugged
+ * in with registerStore and selected with the ATTACHMENT_STORE variable.
+ *
+ * A store is an object with three async methods:
+ * - save(key, buffer, { contentType }) - write a file
+ * - read(key) - resolve to a readable stream of the file, or null when missing
+ * - remove(key) - delete a file; missing files are not an error
+ *
+ * Each attachment records the name of the store that holds it, so files saved
+ * before a switch of ATTACHMENT_STORE stay downloadable while that store is
+ * still registered
+ */
+
+const DEFAULT_STORE = 'local';
+
+// Directory of the local store
+const DEFAULT_ATTACHMENT_DIR = path.join(__dirname, '..', 'uploads');
+
+/**
+ * Store that keeps files in a directory on local disk
+ * Keys are relative paths with `/` separators and may not leave the directory
+ * @param {string} directory - Root directory, created on first save
+ */
+function createLocalStore(directory) {
+  const root = path.resolve(directory);
+
+  const fileFor = (key) => {
+    const file = path.resolve(root, ...key.split('/'));
+    if (!file.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return file;
+  };
+
+  return {
+    async save(key, buffer) {
+      const file = fileFor(key);
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.writeFile(file, buffer);
+    },
+
+    async read(key) {
+      const file = fileFor(key);
+      try {
+        await fs.promises.access(file, fs.constants.R_OK);
+      } catch (error) {
+        if (error.code === 'ENOENT') return null;
+        throw error;
+      }
+      return fs.createReadStream(file);
+    },
+
+    async remove(key) {
+      try {
+        await fs.promises.unlink(fileFor(key));
+      } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+      }
+    }
+  };
+}
+
+const stores = new Map([
+  [DEFAULT_STORE, createLocalStore(process.env.ATTACHMENT_DIR || DEFAULT_ATTACHMENT_DIR)]
+]);
+
+/**
+ * Make a store available under a name
+ * @param {string} name - Name recorded with the attachments it holds
+ * @param {Object} store - Object with save, read and remove, see above
+ */
+function registerStore(name, store) {
+  ['save', 'read', 'remove'].forEach(method => {
+    if (typeof store[method] !== 'function') {
+      throw new Error(`Attachment store ${name} has no ${method} method`);
+    }
+  });
+  stores.set(name, store);
+}
+
+/**
+ * Look up a store by name
+ * @param {string} name - Store name, by default the one named by ATTACHMENT_STORE
+ * @returns {Object} { name, store }
+ * @throws {Error} When no store of that name is registered
+ */
+function getStore(name = process.env.ATTACHMENT_STORE || DEFAULT_STORE) {
+  const store = stores.get(name);
+  if (!store) {
+    throw new Error(`No attachment store named ${name} is registered`);
+  }
+  return { name, store };
+}
+
+module.exports = {
+  createLocalStore,
+  registerStore,
+  getStore
+};
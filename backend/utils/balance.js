@@ -0,0 +1,114 @@
+/**
+ * Balance Utilities for H2 Optimize
+ * Conversion between electrolyzer capacity and hydrogen output, and the
+ * supply-demand summary used by the regional balance report
+ */
+
+// Lower heating value of hydrogen, used to express hydrogen as energy
+const H2_LHV_KWH_PER_KG = 33.33;
+const HOURS_PER_YEAR = 8760;
+
+// Default conversion assumptions: share of the year the electrolyzers run at
+// full load, and electrolyzer efficiency on a lower heating value basis
+const DEFAULT_ASSUMPTIONS = {
+  capacityFactor: 0.5,
+  efficiency: 0.7
+};
+
+// Demand within this share of production counts as balanced
+const BALANCED_TOLERANCE = 0.05;
+
+/**
+ * Read the capacityFactor and efficiency assumptions from a query or body
+ * Both are fractions between 0 (exclusive) and 1
+ * @returns {Object} { capacityFactor, efficiency }
+ * @throws {Error} With status 400 for out-of-range values
+ */
+function parseAssumptions(source = {}) {
+  const assumptions = {};
+  Object.entries(DEFAULT_ASSUMPTIONS).forEach(([key, fallback]) => {
+    const raw = source[key];
+    const value = raw === undefined || raw === '' ? fallback : Number(raw);
+    if (!Number.isFinite(value) || value <= 0 || value > 1) {
+      const error = new Error(`${key} must be a number greater than 0 and at most 1`);
+      error.status = 400;
+      throw error;
+    }
+    assumptions[key] = value;
+  });
+  return assumptions;
+}
+
+/**
+ * Annual hydrogen output in tonnes of electrolyzer capacity in MW
+ * tonnes/yr = MW x 8760 h x capacityFactor x 1000 kWh/MWh x efficiency / LHV kWh/kg / 1000 kg/t
+ */
+function mwToTonnesPerYear(mw, { capacityFactor, efficiency }) {
+  return (mw * HOURS_PER_YEAR * capacityFactor * efficiency) / H2_LHV_KWH_PER_KG;
+}
+
+/**
+ * Electrolyzer capacity in MW needed to produce a hydrogen demand in tonnes per year
+ * Inverse of mwToTonnesPerYear
+ */
+function tonnesPerYearToElectrolyzerMW(tonnes, { capacityFactor, efficiency }) {
+  return (tonnes * H2_LHV_KWH_PER_KG) / (HOURS_PER_YEAR * capacityFactor * efficiency);
+}
+
+/**
+ * Convert a hydrogen amount in tonnes per year to an average flow in MW at the LHV
+ */
+function tonnesPerYearToMW(tonnes) {
+  return (tonnes * 1000 * H2_LHV_KWH_PER_KG) / HOURS_PER_YEAR / 1000;
+}
+
+/**
+ * Round a balance figure for the response
+ */
+function round(value) {
+  return Math.round(value * 10) / 10;
+}
+
+/**
+ * Summarize supply and demand for a region
+ * @param {Object} totals - { plants, productionCapacityMW, storageFacilities,
+ *   storageCapacityTonnes, demandCenters, demandTonnesPerYear }
+ * @param {Object} assumptions - { capacityFactor, efficiency }
+ * @returns {Object} Totals with production in tonnes/year, the surplus (negative
+ *   for a deficit), the balance status and the self-sufficiency ratio
+ */
+function summarizeBalance(totals, assumptions) {
+  const productionTonnesPerYear = mwToTonnesPerYear(totals.productionCapacityMW, assumptions);
+  const surplus = productionTonnesPerYear - totals.demandTonnesPerYear;
+
+  let balance = 'balanced';
+  if (Math.abs(surplus) > BALANCED_TOLERANCE * Math.max(productionTonnesPerYear, totals.demandTonnesPerYear)) {
+    balance = surplus > 0 ? 'surplus' : 'deficit';
+  }
+
+  return {
+    plants: totals.plants,
+    storageFacilities: totals.storageFacilities,
+    demandCenters: totals.demandCenters,
+    productionCapacityMW: round(totals.productionCapacityMW),
+    productionTonnesPerYear: round(productionTonnesPerYear),
+    storageCapacityTonnes: round(totals.storageCapacityTonnes),
+    demandTonnesPerYear: round(totals.demandTonnesPerYear),
+    demandElectrolyzerMW: round(tonnesPerYearToElectrolyzerMW(totals.demandTonnesPerYear, assumptions)),
+    surplusTonnesPerYear: round(surplus),
+    balance,
+    selfSufficiency: totals.demandTonnesPerYear > 0
+      ? Math.round((productionTonnesPerYear / totals.demandTonnesPerYear) * 100) / 100
+      : null
+  };
+}
+
+module.exports = {
+  H2_LHV_KWH_PER_KG,
+  DEFAULT_ASSUMPTIONS,
+  parseAssumptions,
+  mwToTonnesPerYear,
+  tonnesPerYearToMW,
+  tonnesPerYearToElectrolyzerMW,
+  summarizeBalance
+};
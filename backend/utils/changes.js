@@ -0,0 +1,56 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Change Events for H2 Optimize
+ * In-process notifications of asset writes, used to invalidate derived data
+ * such as cached map tiles and to feed the live change stream
+ *
+ * Document saves and findOneAndDelete emit on their own (see changeEventsPlugin).
+ * Query writes such as updateMany, deleteMany and bulkWrite run no document
+ * hooks, so code that changes assets with them must call emitAssetChange for
+ * each affected asset (e.g. deleteCustomField). Attachment and measurement rows
+ * are not assets: moving or deleting them is not streamed
+ */
+
+// Emits 'change' with { modelName, action: 'create' | 'update' | 'delete', id, doc }
+const assetChanges = new EventEmitter();
+assetChanges.setMaxListeners(0);
+
+/**
+ * Emit an asset change
+ * @param {Object} doc - Asset document after the change (the removed document for deletes)
+ * @param {string} action - 'create', 'update' or 'delete'
+ */
+function emitAssetChange(doc, action) {
+  assetChanges.emit('change', {
+    modelName: doc.constructor.modelName,
+    action,
+    id: String(doc._id),
+    doc
+  });
+}
+
+/**
+ * Mongoose plugin that emits an asset change after every save and
+ * findOneAndDelete (including findByIdAndDelete)
+ */
+function changeEventsPlugin(schema) {
+  // isNew is already cleared when post-save hooks run
+  schema.pre('save', function() {
+    this.$locals.createdBySave = this.isNew;
+  });
+
+  schema.post('save', function(doc) {
+    emitAssetChange(doc, doc.$locals.createdBySave ? 'create' : 'update');
+  });
+
+  schema.post('findOneAndDelete', function(doc) {
+    if (doc) emitAssetChange(doc, 'delete');
+  });
+}
+
+module.exports = {
+  assetChanges,
+  emitAssetChange,
+  changeEventsPlugin
+};
@@ -0,0 +1,92 @@
+/**
+ * CSV Utilities for H2 Optimize
+ * Minimal RFC 4180 parsing for asset imports
+ */
+
+/**
+ * Parse CSV text into header names and row objects
+ * Handles quoted fields, escaped quotes ("") and CRLF or LF line endings.
+ * Blank lines are skipped
+ * @param {string} text - CSV document with a header row
+ * @returns {Object} { headers: string[], rows: Object[] } where each row also
+ *   carries its 1-based line number in the file as `__line`
+ * @throws {Error} With status 400 for unterminated quotes or a missing header
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+  let line = 1;
+  let recordLine = 1;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  const input = String(text).replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        if (char === '\n') line++;
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      record.push(field);
+      records.push({ values: record, line: recordLine });
+      record = [];
+      field = '';
+      line++;
+      recordLine = line;
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    const error = new Error(`Unterminated quoted field starting on line ${recordLine}`);
+    error.status = 400;
+    throw error;
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push({ values: record, line: recordLine });
+  }
+
+  const nonEmpty = records.filter(r => r.values.some(value => value.trim() !== ''));
+  if (nonEmpty.length === 0) {
+    const error = new Error('CSV must contain a header row');
+    error.status = 400;
+    throw error;
+  }
+
+  const headers = nonEmpty[0].values.map(header => header.trim());
+  const rows = nonEmpty.slice(1).map(({ values, line: rowLine }) => {
+    const row = { __line: rowLine };
+    headers.forEach((header, index) => {
+      row[header] = values[index] !== undefined ? values[index].trim() : '';
+    });
+    return row;
+  });
+
+  return { headers, rows };
+}
+
+module.exports = {
+  parseCsv
+};
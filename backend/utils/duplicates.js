@@ -0,0 +1,346 @@
+const mongoose = require('mongoose');
+const { ASSET_TYPES } = require('./geojson');
+const { calculateDistance } = require('./scoring');
+const { normalizeTags, isPlainObject } = require('./annotations');
+
+/**
+ * Duplicate Detection Utilities for H2 Optimize
+ * Flags assets that are probably the same real-world site entered twice.
+ *
+ * Two assets are suspected duplicates when they lie within a distance
+ * threshold of each other and either their names are similar or they sit at
+ * practically the same spot. Point assets (plants, demand centers, storage)
+ * are compared by location across types; pipelines are compared with other
+ * pipelines by their end points, in either direction. Pairs of the same type
+ * are `duplicate`s and can be merged; pairs of different types are
+ * `conflict`s, e.g. a storage facility and a demand center on one coordinate
+ */
+
+// Asset types compared with each other
+const DUPLICATE_GROUPS = [
+  ['plants', 'demandCenters', 'storage'],
+  ['pipelines']
+];
+
+const DEFAULT_DISTANCE_METERS = 250;
+const MAX_DISTANCE_METERS = 5000;
+const DEFAULT_NAME_SIMILARITY = 0.6;
+// Assets this close are flagged whatever their names
+const SAME_SITE_METERS = 25;
+// Candidates fetched per type when checking one asset
+const MAX_CANDIDATES = 20;
+
+const METERS_PER_DEGREE_LAT = 111320;
+
+/**
+ * Asset types compared with an asset type, or [] when it is never checked
+ */
+function comparableTypes(assetType) {
+  return DUPLICATE_GROUPS.find(group => group.includes(assetType)) || [];
+}
+
+/**
+ * Parse the `distance` (meters) and `similarity` (0-1) detection options
+ * @param {Object} query - Express request query
+ * @returns {Object} { distance, similarity }
+ * @throws {Error} With status 400 when a value is out of range
+ */
+function parseDuplicateOptions(query = {}) {
+  const fail = message => {
+    const error = new Error(message);
+    error.status = 400;
+    throw error;
+  };
+
+  const distance = query.distance === undefined ? DEFAULT_DISTANCE_METERS : Number(query.distance);
+  if (!Number.isFinite(distance) || distance <= 0 || distance > MAX_DISTANCE_METERS) {
+    fail(`distance must be a number of meters between 0 and ${MAX_DISTANCE_METERS}`);
+  }
+
+  const similarity = query.similarity === undefined ? DEFAULT_NAME_SIMILARITY : Number(query.similarity);
+  if (!Number.isFinite(similarity) || similarity < 0 || similarity > 1) {
+    fail('similarity must be a number between 0 and 1');
+  }
+
+  return { distance, similarity };
+}
+
+/**
+ * Reduce a name to lowercase letters and digits separated by single spaces
+ */
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Similarity of two names from 0 to 1
+ * Dice coefficient of the character pairs of the normalized names, so
+ * "Kutch Solar H2 Plant" and "Kutch Solar H2 Plant Phase I" score high and
+ * small typos barely lower the score
+ */
+function nameSimilarity(a, b) {
+  const first = normalizeName(a);
+  const second = normalizeName(b);
+  if (!first || !second) return 0;
+  if (first === second) return 1;
+
+  const pairsOf = text => {
+    const pairs = new Map();
+    for (let i = 0; i < text.length - 1; i++) {
+      const pair = text.slice(i, i + 2);
+      pairs.set(pair, (pairs.get(pair) || 0) + 1);
+    }
+    return pairs;
+  };
+  const firstPairs = pairsOf(first);
+  const secondPairs = pairsOf(second);
+
+  let shared = 0;
+  firstPairs.forEach((count, pair) => {
+    shared += Math.min(count, secondPairs.get(pair) || 0);
+  });
+  const total = Math.max(first.length - 1, 0) + Math.max(second.length - 1, 0);
+  return total === 0 ? 0 : Math.round((2 * shared / total) * 100) / 100;
+}
+
+/**
+ * Distance in meters between two [lng, lat] positions
+ */
+function metersBetween([lng1, lat1], [lng2, lat2]) {
+  return Math.round(calculateDistance(lat1, lng1, lat2, lng2) * 1000);
+}
+
+/**
+ * Distance between two assets' geometries in meters
+ * Points are compared directly; pipelines by the further apart of their
+ * matching end points, trying both directions
+ * @returns {number|null} Meters, or null when the geometries cannot be compared
+ */
+function geometryDistance(first, second) {
+  if (!first || !second || !Array.isArray(first.coordinates) || !Array.isArray(second.coordinates)) {
+    return null;
+  }
+  if (first.type === 'Point' && second.type === 'Point') {
+    return metersBetween(first.coordinates, second.coordinates);
+  }
+  if (first.type === 'LineString' && second.type === 'LineString' &&
+      first.coordinates.length >= 2 && second.coordinates.length >= 2) {
+    const [a1, a2] = [first.coordinates[0], first.coordinates[first.coordinates.length - 1]];
+    const [b1, b2] = [second.coordinates[0], second.coordinates[second.coordinates.length - 1]];
+    return Math.min(
+      Math.max(metersBetween(a1, b1), metersBetween(a2, b2)),
+      Math.max(metersBetween(a1, b2), metersBetween(a2, b1))
+    );
+  }
+  return null;
+}
+
+/**
+ * Compare two assets
+ * @param {Object} first - { assetType, name, geometry }
+ * @param {Object} second - { assetType, name, geometry }
+ * @param {Object} options - { distance, similarity } from parseDuplicateOptions
+ * @returns {Object|null} { kind: duplicate|conflict, reason: same-site|similar-name,
+ *   distanceMeters, nameSimilarity }, or null when the assets look distinct
+ */
+function compareAssets(first, second, { distance = DEFAULT_DISTANCE_METERS, similarity = DEFAULT_NAME_SIMILARITY } = {}) {
+  if (!comparableTypes(first.assetType).includes(second.assetType)) return null;
+
+  const distanceMeters = geometryDistance(first.geometry, second.geometry);
+  if (distanceMeters === null || distanceMeters > distance) return null;
+
+  const score = nameSimilarity(first.name, second.name);
+  const sameSite = distanceMeters <= Math.min(SAME_SITE_METERS, distance);
+  if (!sameSite && score < similarity) return null;
+
+  return {
+    kind: first.assetType === second.assetType ? 'duplicate' : 'conflict',
+    reason: sameSite ? 'same-site' : 'similar-name',
+    distanceMeters,
+    nameSimilarity: score
+  };
+}
+
+/**
+ * Describe an asset document for comparison
+ */
+function subjectOf(assetType, doc) {
+  return {
+    assetType,
+    id: doc._id,
+    name: doc.name,
+    geometry: doc[ASSET_TYPES[assetType].geometryField]
+  };
+}
+
+/**
+ * Point of an asset's geometry that candidates are searched around
+ */
+function anchorOf(geometry) {
+  if (!geometry || !Array.isArray(geometry.coordinates)) return null;
+  if (geometry.type === 'Point') return geometry.coordinates;
+  if (geometry.type === 'LineString' && geometry.coordinates.length >= 2) return geometry.coordinates[0];
+  return null;
+}
+
+/**
+ * Find stored assets that a new or changed asset probably duplicates
+ * Used when assets are created and imported; the asset itself need not be saved
+ * @param {string} assetType - Key of ASSET_TYPES
+ * @param {Object} doc - Asset document, or an object with name and geometry field
+ * @param {Object} options - { distance, similarity, excludeIds } where
+ *   excludeIds lists assets never to report, such as the asset itself
+ * @returns {Promise<Array>} [{ kind, reason, collection, id, name, distanceMeters,
+ *   nameSimilarity }] closest first
+ */
+async function findSuspectedDuplicates(assetType, doc, { excludeIds = [], ...options } = {}) {
+  const subject = subjectOf(assetType, doc);
+  const anchor = anchorOf(subject.geometry);
+  if (!anchor || !anchor.every(Number.isFinite)) return [];
+
+  const { distance = DEFAULT_DISTANCE_METERS } = options;
+  const excluded = [doc._id, ...excludeIds]
+    .filter(id => id && mongoose.Types.ObjectId.isValid(id))
+    .map(id => new mongoose.Types.ObjectId(String(id)));
+
+  const matches = [];
+  for (const candidateType of comparableTypes(assetType)) {
+    const { model: Model, geometryField, path } = ASSET_TYPES[candidateType];
+    const candidates = await Model.find({
+      _id: { $nin: excluded },
+      [geometryField]: {
+        $nearSphere: {
+          $geometry: { type: 'Point', coordinates: anchor },
+          $maxDistance: distance
+        }
+      }
+    })
+      .select(`name ${geometryField}`)
+      .limit(MAX_CANDIDATES)
+      .lean();
+
+    candidates.forEach(candidate => {
+      const match = compareAssets(subject, subjectOf(candidateType, candidate), options);
+      if (match) {
+        matches.push({ ...match, collection: path, id: candidate._id, name: candidate.name });
+      }
+    });
+  }
+
+  return matches.sort((a, b) => a.distanceMeters - b.distanceMeters || b.nameSimilarity - a.nameSimilarity);
+}
+
+/**
+ * Find every pair of suspected duplicates among stored assets
+ * Assets are swept in latitude order, so only neighbours within the distance
+ * threshold are compared
+ * @param {Array} assetTypes - Keys of ASSET_TYPES to check
+ * @param {Object} options - { distance, similarity } from parseDuplicateOptions
+ * @returns {Promise<Array>} [{ kind, reason, distanceMeters, nameSimilarity,
+ *   assets: [{ collection, id, name }, { collection, id, name }] }] closest first
+ */
+async function findDuplicatePairs(assetTypes, options = {}) {
+  const { distance = DEFAULT_DISTANCE_METERS } = options;
+  const subjects = [];
+
+  for (const assetType of assetTypes.filter(type => comparableTypes(type).length > 0)) {
+    const { model: Model, geometryField } = ASSET_TYPES[assetType];
+    const docs = await Model.find().select(`name ${geometryField}`).lean();
+    docs.forEach(doc => {
+      const subject = subjectOf(assetType, doc);
+      const { coordinates, type } = subject.geometry || {};
+      if (!Array.isArray(coordinates)) return;
+      // Pipelines are swept by their southern end, which stays within the
+      // threshold of a duplicate's southern end whichever way either is drawn
+      const latitudes = type === 'LineString'
+        ? [coordinates[0], coordinates[coordinates.length - 1]].map(point => point[1])
+        : [coordinates[1]];
+      subject.latitude = Math.min(...latitudes);
+      if (Number.isFinite(subject.latitude)) subjects.push(subject);
+    });
+  }
+
+  subjects.sort((a, b) => a.latitude - b.latitude);
+  const window = distance / METERS_PER_DEGREE_LAT;
+  const assetRef = ({ assetType, id, name }) => ({ collection: ASSET_TYPES[assetType].path, id, name });
+
+  const pairs = [];
+  for (let i = 0; i < subjects.length; i++) {
+    for (let j = i + 1; j < subjects.length && subjects[j].latitude - subjects[i].latitude <= window; j++) {
+      const match = compareAssets(subjects[i], subjects[j], options);
+      if (match) {
+        pairs.push({ ...match, assets: [assetRef(subjects[i]), assetRef(subjects[j])] });
+      }
+    }
+  }
+
+  return pairs.sort((a, b) => a.distanceMeters - b.distanceMeters || b.nameSimilarity - a.nameSimilarity);
+}
+
+const isEmpty = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+/**
+ * Fields of `source` that `target` lacks, as a nested object
+ * Nested objects are filled field by field; everything else is taken whole
+ */
+function missingFields(target = {}, source = {}) {
+  const fields = {};
+  Object.entries(source || {}).forEach(([key, value]) => {
+    if (isEmpty(value)) return;
+    const current = target ? target[key] : undefined;
+    if (isPlainObject(value) && isPlainObject(current)) {
+      const nested = missingFields(current, value);
+      if (Object.keys(nested).length > 0) fields[key] = nested;
+    } else if (isEmpty(current)) {
+      fields[key] = value;
+    }
+  });
+  return fields;
+}
+
+/**
+ * Combine the snapshot of a duplicate into the snapshot of the asset it merges into
+ * The kept asset's name, geometry and values win; fields it lacks are taken
+ * from the duplicate, tags are combined and each organization's custom fields
+ * are merged key by key
+ * @param {Object} kept - snapshotOf the asset that is kept
+ * @param {Object} duplicate - snapshotOf the asset that is merged away
+ * @returns {Object} Fields to set on the kept asset
+ */
+function mergeSnapshots(kept, duplicate) {
+  const { tags: keptTags, customFields: keptFields, ...keptRest } = kept;
+  const { tags: duplicateTags, customFields: duplicateFields, ...duplicateRest } = duplicate;
+
+  const fields = missingFields(keptRest, duplicateRest);
+
+  const { tags } = normalizeTags([...(keptTags || []), ...(duplicateTags || [])]);
+  if (tags && tags.length > (keptTags || []).length) fields.tags = tags;
+
+  if (isPlainObject(duplicateFields)) {
+    const customFields = { ...(isPlainObject(keptFields) ? keptFields : {}) };
+    Object.entries(duplicateFields).forEach(([organization, values]) => {
+      customFields[organization] = { ...values, ...customFields[organization] };
+    });
+    if (JSON.stringify(customFields) !== JSON.stringify(keptFields || {})) fields.customFields = customFields;
+  }
+
+  return fields;
+}
+
+module.exports = {
+  DEFAULT_DISTANCE_METERS,
+  DEFAULT_NAME_SIMILARITY,
+  comparableTypes,
+  parseDuplicateOptions,
+  nameSimilarity,
+  compareAssets,
+  findSuspectedDuplicates,
+  findDuplicatePairs,
+  mergeSnapshots
+};
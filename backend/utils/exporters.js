@@ -0,0 +1,486 @@
+const initSqlJs = require('sql.js');
+const { ASSET_TYPES } = require('./geojson');
+const { badRequest } = require('./assetQuery');
+
+/**
+ * Export Utilities for H2 Optimize
+ * Writes asset FeatureCollections as GeoJSON, CSV, KML, GPX or GeoPackage files
+ */
+
+// GeoPackage application id ("GPKG") and version 1.3.0
+const GPKG_APPLICATION_ID = 0x47504b47;
+const GPKG_USER_VERSION = 10300;
+const WGS84_SRS_ID = 4326;
+
+// WKB geometry type codes
+const WKB_TYPES = { Point: 1, LineString: 2, Polygon: 3, MultiPolygon: 6 };
+
+// GeoPackage geometry column type per layer geometry; zones mix Polygon and
+// MultiPolygon so they are all written as MultiPolygon
+const GPKG_GEOMETRY_TYPES = { Point: 'POINT', LineString: 'LINESTRING', Polygon: 'MULTIPOLYGON' };
+
+// sql.js compiles its WebAssembly module once and is reused for every export
+let sqlJsPromise = null;
+
+/**
+ * Round-trip a FeatureCollection through JSON so that mongoose subdocuments,
+ * ObjectIds and Dates become plain values
+ */
+function toPlain(collection) {
+  return JSON.parse(JSON.stringify(collection));
+}
+
+/**
+ * Flatten nested properties into dotted keys, e.g. `policies.subsidyPercentage`
+ * Arrays of plain values are joined with `;` (the separator the importer splits
+ * on); arrays of objects are kept as JSON text
+ * @param {Object} properties - Feature properties
+ * @returns {Object} Flat map of key to string, number or boolean
+ */
+function flattenProperties(properties, prefix = '', flat = {}) {
+  Object.entries(properties || {}).forEach(([key, value]) => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    if (value === null || value === undefined) {
+      flat[path] = '';
+    } else if (Array.isArray(value)) {
+      flat[path] = value.some(item => item !== null && typeof item === 'object')
+        ? JSON.stringify(value)
+        : value.join(';');
+    } else if (typeof value === 'object') {
+      flattenProperties(value, path, flat);
+    } else {
+      flat[path] = value;
+    }
+  });
+  return flat;
+}
+
+/**
+ * Collect the flattened property keys used by any Feature, in first-seen order
+ */
+function collectColumns(rows) {
+  const columns = [];
+  rows.forEach(row => {
+    Object.keys(row).forEach(key => {
+      if (!columns.includes(key)) columns.push(key);
+    });
+  });
+  return columns;
+}
+
+/**
+ * Quote a CSV field when it contains a separator, quote or line break
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Write Features as CSV
+ * Points get `lat` and `lng` columns; other geometries a `geometry` column of
+ * GeoJSON, so the file can be loaded again through the bulk import
+ */
+function toCsv(assetType, collection) {
+  const { geometryType } = ASSET_TYPES[assetType];
+  const rows = collection.features.map(feature => flattenProperties(feature.properties));
+  const columns = collectColumns(rows);
+  const geometryColumns = geometryType === 'Point' ? ['lat', 'lng'] : ['geometry'];
+
+  const lines = [[...columns, ...geometryColumns].map(csvField).join(',')];
+  collection.features.forEach((feature, index) => {
+    const geometry = feature.geometry;
+    const geometryValues = geometryType === 'Point'
+      ? [geometry ? geometry.coordinates[1] : '', geometry ? geometry.coordinates[0] : '']
+      : [geometry ? JSON.stringify(geometry) : ''];
+    lines.push([...columns.map(column => rows[index][column]), ...geometryValues].map(csvField).join(','));
+  });
+
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Escape text for use in XML content and attributes
+ */
+function xmlEscape(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Write KML coordinates for a list of positions
+ */
+function kmlCoordinates(positions) {
+  return `<coordinates>${positions.map(([lng, lat]) => `${lng},${lat}`).join(' ')}</coordinates>`;
+}
+
+/**
+ * Write a KML Polygon from GeoJSON polygon rings
+ */
+function kmlPolygon(rings) {
+  const [outer, ...holes] = rings;
+  return '<Polygon>' +
+    `<outerBoundaryIs><LinearRing>${kmlCoordinates(outer)}</LinearRing></outerBoundaryIs>` +
+    holes.map(hole => `<innerBoundaryIs><LinearRing>${kmlCoordinates(hole)}</LinearRing></innerBoundaryIs>`).join('') +
+    '</Polygon>';
+}
+
+/**
+ * Write a GeoJSON geometry as KML
+ */
+function kmlGeometry(geometry) {
+  if (!geometry) return '';
+  switch (geometry.type) {
+    case 'Point':
+      return `<Point>${kmlCoordinates([geometry.coordinates])}</Point>`;
+    case 'LineString':
+      return `<LineString>${kmlCoordinates(geometry.coordinates)}</LineString>`;
+    case 'Polygon':
+      return kmlPolygon(geometry.coordinates);
+    case 'MultiPolygon':
+      return `<MultiGeometry>${geometry.coordinates.map(kmlPolygon).join('')}</MultiGeometry>`;
+    default:
+      return '';
+  }
+}
+
+/**
+ * Write Features as a KML document with one Placemark per asset
+ * Properties are kept as ExtendedData so they show in Google Earth and QGIS
+ */
+function toKml(assetType, collection) {
+  const placemarks = collection.features.map(feature => {
+    const properties = flattenProperties(feature.properties);
+    const data = Object.entries(properties)
+      .map(([key, value]) => `<Data name="${xmlEscape(key)}"><value>${xmlEscape(value)}</value></Data>`)
+      .join('');
+    return '<Placemark>' +
+      `<name>${xmlEscape(properties.name || '')}</name>` +
+      `<ExtendedData>${data}</ExtendedData>` +
+      kmlGeometry(feature.geometry) +
+      '</Placemark>';
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<kml xmlns="http://www.opengis.net/kml/2.2"><Document>' +
+    `<name>${xmlEscape(ASSET_TYPES[assetType].path)}</name>` +
+    placemarks.join('\n') +
+    '</Document></kml>\n';
+}
+
+/**
+ * Write Features as GPX 1.1
+ * Points become waypoints; pipelines become tracks; zone boundaries become
+ * tracks with one segment per ring, since GPX has no polygons
+ */
+function toGpx(assetType, collection) {
+  const describe = properties => Object.entries(flattenProperties(properties))
+    .filter(([key, value]) => key !== 'name' && value !== '')
+    .map(([key, value]) => `${key}: ${value}`)
+    .join('; ');
+  const point = (tag, [lng, lat]) => `<${tag} lat="${lat}" lon="${lng}"/>`;
+
+  const waypoints = [];
+  const tracks = [];
+  collection.features.forEach(({ properties, geometry }) => {
+    if (!geometry) return;
+    const header = `<name>${xmlEscape(properties.name || '')}</name><desc>${xmlEscape(describe(properties))}</desc>` +
+      `<type>${xmlEscape(ASSET_TYPES[assetType].label)}</type>`;
+
+    if (geometry.type === 'Point') {
+      const [lng, lat] = geometry.coordinates;
+      waypoints.push(`<wpt lat="${lat}" lon="${lng}">${header}</wpt>`);
+      return;
+    }
+
+    let segments = [];
+    if (geometry.type === 'LineString') segments = [geometry.coordinates];
+    else if (geometry.type === 'Polygon') segments = geometry.coordinates;
+    else if (geometry.type === 'MultiPolygon') segments = geometry.coordinates.flat();
+
+    tracks.push(`<trk>${header}${segments
+      .map(segment => `<trkseg>${segment.map(position => point('trkpt', position)).join('')}</trkseg>`)
+      .join('')}</trk>`);
+  });
+
+  return '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    '<gpx version="1.1" creator="H2 Optimize" xmlns="http://www.topografix.com/GPX/1/1">\n' +
+    [...waypoints, ...tracks].join('\n') +
+    '\n</gpx>\n';
+}
+
+/**
+ * Encode a GeoJSON geometry as little-endian WKB
+ * @param {Object} geometry - Point, LineString, Polygon or MultiPolygon
+ * @returns {Buffer} WKB bytes
+ */
+function toWkb(geometry) {
+  const parts = [];
+  const header = type => {
+    const buffer = Buffer.alloc(5);
+    buffer.writeUInt8(1, 0);
+    buffer.writeUInt32LE(WKB_TYPES[type], 1);
+    parts.push(buffer);
+  };
+  const uint32 = value => {
+    const buffer = Buffer.alloc(4);
+    buffer.writeUInt32LE(value, 0);
+    parts.push(buffer);
+  };
+  const positions = list => {
+    const buffer = Buffer.alloc(list.length * 16);
+    list.forEach(([x, y], i) => {
+      buffer.writeDoubleLE(x, i * 16);
+      buffer.writeDoubleLE(y, i * 16 + 8);
+    });
+    parts.push(buffer);
+  };
+  const polygon = rings => {
+    header('Polygon');
+    uint32(rings.length);
+    rings.forEach(ring => {
+      uint32(ring.length);
+      positions(ring);
+    });
+  };
+
+  switch (geometry.type) {
+    case 'Point':
+      header('Point');
+      positions([geometry.coordinates]);
+      break;
+    case 'LineString':
+      header('LineString');
+      uint32(geometry.coordinates.length);
+      positions(geometry.coordinates);
+      break;
+    case 'Polygon':
+      polygon(geometry.coordinates);
+      break;
+    case 'MultiPolygon':
+      header('MultiPolygon');
+      uint32(geometry.coordinates.length);
+      geometry.coordinates.forEach(polygon);
+      break;
+    default:
+      throw new Error(`Cannot encode ${geometry.type} geometry`);
+  }
+
+  return Buffer.concat(parts);
+}
+
+/**
+ * Bounding box of a geometry as [minX, minY, maxX, maxY]
+ */
+function geometryBounds(geometry) {
+  const bounds = [Infinity, Infinity, -Infinity, -Infinity];
+  const visit = coords => {
+    if (typeof coords[0] === 'number') {
+      bounds[0] = Math.min(bounds[0], coords[0]);
+      bounds[1] = Math.min(bounds[1], coords[1]);
+      bounds[2] = Math.max(bounds[2], coords[0]);
+      bounds[3] = Math.max(bounds[3], coords[1]);
+    } else {
+      coords.forEach(visit);
+    }
+  };
+  visit(geometry.coordinates);
+  return bounds;
+}
+
+/**
+ * Encode a geometry as a GeoPackage binary blob: the "GP" header with SRS id
+ * and XY envelope, followed by WKB
+ */
+function toGpkgGeometry(geometry) {
+  const [minX, minY, maxX, maxY] = geometryBounds(geometry);
+  const header = Buffer.alloc(8 + 32);
+  header.write('GP', 0, 'ascii');
+  header.writeUInt8(0, 2);
+  // Flags: little-endian, XY envelope
+  header.writeUInt8(0x03, 3);
+  header.writeInt32LE(WGS84_SRS_ID, 4);
+  header.writeDoubleLE(minX, 8);
+  header.writeDoubleLE(maxX, 16);
+  header.writeDoubleLE(minY, 24);
+  header.writeDoubleLE(maxY, 32);
+  return Buffer.concat([header, toWkb(geometry)]);
+}
+
+/**
+ * Pick a SQLite column type for a property from the values it holds
+ */
+function columnType(rows, column) {
+  const values = rows.map(row => row[column]).filter(value => value !== '' && value !== undefined);
+  if (values.length > 0 && values.every(value => typeof value === 'number')) return 'REAL';
+  if (values.length > 0 && values.every(value => typeof value === 'boolean')) return 'INTEGER';
+  return 'TEXT';
+}
+
+/**
+ * Quote a SQLite identifier
+ */
+function sqlIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Write Features as an OGC GeoPackage (SQLite) with one feature table
+ * The table is named after the collection, e.g. `demand_centers`
+ * @returns {Promise<Buffer>} GeoPackage file
+ */
+async function toGeoPackage(assetType, collection) {
+  if (!sqlJsPromise) sqlJsPromise = initSqlJs();
+  const SQL = await sqlJsPromise;
+
+  const { path, label, geometryType } = ASSET_TYPES[assetType];
+  const tableName = path.replace(/-/g, '_');
+  const gpkgType = GPKG_GEOMETRY_TYPES[geometryType];
+  const features = collection.features.filter(feature => feature.geometry);
+  const rows = features.map(feature => flattenProperties(feature.properties));
+  const columns = collectColumns(rows);
+
+  const db = new SQL.Database();
+  try {
+    db.run(`PRAGMA application_id = ${GPKG_APPLICATION_ID}`);
+    db.run(`PRAGMA user_version = ${GPKG_USER_VERSION}`);
+
+    db.run(`CREATE TABLE gpkg_spatial_ref_sys (
+      srs_name TEXT NOT NULL, srs_id INTEGER NOT NULL PRIMARY KEY, organization TEXT NOT NULL,
+      organization_coordsys_id INTEGER NOT NULL, definition TEXT NOT NULL, description TEXT)`);
+    db.run(`INSERT INTO gpkg_spatial_ref_sys VALUES
+      ('Undefined cartesian SRS', -1, 'NONE', -1, 'undefined', 'undefined cartesian coordinate reference system'),
+      ('Undefined geographic SRS', 0, 'NONE', 0, 'undefined', 'undefined geographic coordinate reference system'),
+      ('WGS 84 geodetic', 4326, 'EPSG', 4326,
+       'GEOGCS["WGS 84",DATUM["WGS_1984",SPHEROID["WGS 84",6378137,298.257223563,AUTHORITY["EPSG","7030"]],AUTHORITY["EPSG","6326"]],PRIMEM["Greenwich",0,AUTHORITY["EPSG","8901"]],UNIT["degree",0.0174532925199433,AUTHORITY["EPSG","9122"]],AUTHORITY["EPSG","4326"]]',
+       'longitude/latitude coordinates in decimal degrees on the WGS 84 spheroid')`);
+
+    db.run(`CREATE TABLE gpkg_contents (
+      table_name TEXT NOT NULL PRIMARY KEY, data_type TEXT NOT NULL, identifier TEXT UNIQUE,
+      description TEXT DEFAULT '', last_change DATETIME NOT NULL DEFAULT (strftime('%Y-%m-%dT%H:%M:%fZ','now')),
+      min_x DOUBLE, min_y DOUBLE, max_x DOUBLE, max_y DOUBLE,
+      srs_id INTEGER, CONSTRAINT fk_gc_r_srs_id FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys(srs_id))`);
+
+    db.run(`CREATE TABLE gpkg_geometry_columns (
+      table_name TEXT NOT NULL, column_name TEXT NOT NULL, geometry_type_name TEXT NOT NULL,
+      srs_id INTEGER NOT NULL, z TINYINT NOT NULL, m TINYINT NOT NULL,
+      CONSTRAINT pk_geom_cols PRIMARY KEY (table_name, column_name),
+      CONSTRAINT fk_gc_tn FOREIGN KEY (table_name) REFERENCES gpkg_contents(table_name),
+      CONSTRAINT fk_gc_srs FOREIGN KEY (srs_id) REFERENCES gpkg_spatial_ref_sys (srs_id))`);
+
+    const columnDefinitions = columns.map(column => `${sqlIdentifier(column)} ${columnType(rows, column)}`);
+    db.run(`CREATE TABLE ${sqlIdentifier(tableName)} (
+      fid INTEGER PRIMARY KEY AUTOINCREMENT, geom ${gpkgType}${columnDefinitions.map(def => `, ${def}`).join('')})`);
+
+    const insert = db.prepare(`INSERT INTO ${sqlIdentifier(tableName)} (geom${columns.map(c => `, ${sqlIdentifier(c)}`).join('')})
+      VALUES (?${columns.map(() => ', ?').join('')})`);
+    const extent = [Infinity, Infinity, -Infinity, -Infinity];
+    features.forEach((feature, index) => {
+      const geometry = feature.geometry.type === 'Polygon' && gpkgType === 'MULTIPOLYGON'
+        ? { type: 'MultiPolygon', coordinates: [feature.geometry.coordinates] }
+        : feature.geometry;
+      const [minX, minY, maxX, maxY] = geometryBounds(geometry);
+      extent[0] = Math.min(extent[0], minX);
+      extent[1] = Math.min(extent[1], minY);
+      extent[2] = Math.max(extent[2], maxX);
+      extent[3] = Math.max(extent[3], maxY);
+
+      const values = columns.map(column => {
+        const value = rows[index][column];
+        if (value === '' || value === undefined) return null;
+        return typeof value === 'boolean' ? Number(value) : value;
+      });
+      insert.run([toGpkgGeometry(geometry), ...values]);
+    });
+    insert.free();
+
+    db.run(
+      `INSERT INTO gpkg_contents (table_name, data_type, identifier, description, min_x, min_y, max_x, max_y, srs_id)
+       VALUES (?, 'features', ?, ?, ?, ?, ?, ?, ?)`,
+      [tableName, tableName, `H2 Optimize ${label} export`,
+        ...(features.length > 0 ? extent : [null, null, null, null]), WGS84_SRS_ID]
+    );
+    db.run('INSERT INTO gpkg_geometry_columns VALUES (?, \'geom\', ?, ?, 0, 0)', [tableName, gpkgType, WGS84_SRS_ID]);
+
+    return Buffer.from(db.export());
+  } finally {
+    db.close();
+  }
+}
+
+/**
+ * Supported export formats
+ * - contentType / extension: used for the download response
+ * - write(assetType, collection): returns the file body (string, Buffer or Promise)
+ */
+const EXPORT_FORMATS = {
+  geojson: {
+    contentType: 'application/geo+json',
+    extension: 'geojson',
+    write: (assetType, collection) => JSON.stringify(collection)
+  },
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    write: toCsv
+  },
+  kml: {
+    contentType: 'application/vnd.google-earth.kml+xml',
+    extension: 'kml',
+    write: toKml
+  },
+  gpx: {
+    contentType: 'application/gpx+xml',
+    extension: 'gpx',
+    write: toGpx
+  },
+  gpkg: {
+    contentType: 'application/geopackage+sqlite3',
+    extension: 'gpkg',
+    write: toGeoPackage
+  }
+};
+
+/**
+ * Parse the `format` query parameter of an asset listing
+ * @param {string} value - Raw query parameter
+ * @returns {string|null} Key of EXPORT_FORMATS, or null for the regular JSON response
+ * @throws {Error} With status 400 for an unknown format
+ */
+function parseExportFormat(value) {
+  if (value === undefined || value === '') return null;
+  const format = String(value).toLowerCase() === 'geopackage' ? 'gpkg' : String(value).toLowerCase();
+  if (!EXPORT_FORMATS[format]) {
+    throw badRequest(`format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+  }
+  return format;
+}
+
+/**
+ * Render a FeatureCollection in an export format
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {string} assetType - Key of ASSET_TYPES
+ * @param {Object} collection - GeoJSON FeatureCollection from findAssets
+ * @returns {Promise<Object>} { body, contentType, filename }
+ */
+async function exportFeatures(format, assetType, collection) {
+  const { contentType, extension, write } = EXPORT_FORMATS[format];
+  const date = new Date().toISOString().slice(0, 10);
+  return {
+    body: await write(assetType, toPlain(collection)),
+    contentType,
+    filename: `${ASSET_TYPES[assetType].path}-${date}.${extension}`
+  };
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  parseExportFormat,
+  exportFeatures,
+  toPlain,
+  flattenProperties
+};
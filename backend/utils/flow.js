@@ -0,0 +1,173 @@
+const { DEFAULT_ASSUMPTIONS, mwToTonnesPerYear, tonnesPerYearToMW } = require('./balance');
+
+/**
+ * Flow Utilities for H2 Optimize
+ * Maximum-flow supply allocation over the pipeline network graph
+ */
+
+// Flows smaller than this are treated as zero
+const EPSILON = 1e-9;
+
+/**
+ * Round a flow for the response
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Edmonds-Karp maximum flow
+ * @param {number} size - Number of vertices
+ * @param {Array} arcs - [{ from, to, capacity }] directed arcs between vertex indices
+ * @param {number} source - Source vertex index
+ * @param {number} sink - Sink vertex index
+ * @returns {Object} { value, flows } where flows[i] is the flow on arcs[i]
+ */
+function maxFlow(size, arcs, source, sink) {
+  // Residual graph: every arc has a paired reverse arc at index ^ 1
+  const to = [];
+  const capacity = [];
+  const adjacency = Array.from({ length: size }, () => []);
+  arcs.forEach(arc => {
+    adjacency[arc.from].push(to.length);
+    to.push(arc.to);
+    capacity.push(arc.capacity);
+    adjacency[arc.to].push(to.length);
+    to.push(arc.from);
+    capacity.push(0);
+  });
+
+  let value = 0;
+  while (true) {
+    const via = new Array(size).fill(-1);
+    const queue = [source];
+    via[source] = -2;
+    while (queue.length > 0 && via[sink] === -1) {
+      const vertex = queue.shift();
+      adjacency[vertex].forEach(index => {
+        if (via[to[index]] === -1 && capacity[index] > EPSILON) {
+          via[to[index]] = index;
+          queue.push(to[index]);
+        }
+      });
+    }
+    if (via[sink] === -1) break;
+
+    let push = Infinity;
+    for (let vertex = sink; vertex !== source; vertex = to[via[vertex] ^ 1]) {
+      push = Math.min(push, capacity[via[vertex]]);
+    }
+    for (let vertex = sink; vertex !== source; vertex = to[via[vertex] ^ 1]) {
+      capacity[via[vertex]] -= push;
+      capacity[via[vertex] ^ 1] += push;
+    }
+    value += push;
+  }
+
+  // Flow on an arc is the capacity accumulated on its reverse arc
+  return { value, flows: arcs.map((arc, i) => capacity[i * 2 + 1]) };
+}
+
+/**
+ * Allocate plant supply to demand centers through the pipeline network
+ * All flows are average hydrogen flows in MW at the LHV. Plants supply their
+ * electrolyzer capacity converted to hydrogen output with the balance
+ * assumptions, demand centers draw up to their demand converted to MW, and
+ * pipeline edges carry up to their capacity in either direction. Storage
+ * facilities and junctions pass flow through
+ * @param {Object} network - Result of buildNetwork
+ * @param {Object} assumptions - { capacityFactor, efficiency }, see utils/balance
+ * @returns {Object} { totals, demandCenters, plants, edges } where edges carry
+ *   flowMW, utilization, saturated and the direction of flow
+ */
+function allocateSupply({ nodes, edges }, assumptions = DEFAULT_ASSUMPTIONS) {
+  const index = new Map(nodes.map((node, i) => [node.id, i]));
+  const source = nodes.length;
+  const sink = nodes.length + 1;
+  const arcs = [];
+
+  const plants = nodes.filter(node => node.type === 'asset' && node.assetType === 'plants');
+  const centers = nodes.filter(node => node.type === 'asset' && node.assetType === 'demandCenters');
+
+  const supplyMW = node => tonnesPerYearToMW(mwToTonnesPerYear(node.capacity || 0, assumptions));
+
+  plants.forEach(node => arcs.push({ from: source, to: index.get(node.id), capacity: supplyMW(node) }));
+  centers.forEach(node => arcs.push({ from: index.get(node.id), to: sink, capacity: tonnesPerYearToMW(node.demand || 0) }));
+
+  // Undirected pipeline edges become a pair of opposite arcs
+  const edgeArcs = edges.map(edge => {
+    const forward = arcs.length;
+    arcs.push({ from: index.get(edge.from), to: index.get(edge.to), capacity: edge.capacity || 0 });
+    arcs.push({ from: index.get(edge.to), to: index.get(edge.from), capacity: edge.capacity || 0 });
+    return forward;
+  });
+
+  const { value, flows } = maxFlow(nodes.length + 2, arcs, source, sink);
+
+  const plantResults = plants.map((node, i) => {
+    const dispatched = flows[i];
+    return {
+      id: node.id,
+      assetId: node.assetId,
+      name: node.name,
+      capacityMW: round(node.capacity || 0),
+      supplyMW: round(supplyMW(node)),
+      dispatchedMW: round(dispatched),
+      idleMW: round(supplyMW(node) - dispatched),
+      connected: node.degree > 0
+    };
+  });
+
+  const centerResults = centers.map((node, i) => {
+    const demandMW = tonnesPerYearToMW(node.demand || 0);
+    const served = flows[plants.length + i];
+    return {
+      id: node.id,
+      assetId: node.assetId,
+      name: node.name,
+      demandTonnesPerYear: node.demand || 0,
+      demandMW: round(demandMW),
+      servedMW: round(served),
+      unservedMW: round(demandMW - served),
+      servedShare: demandMW > 0 ? round(served / demandMW) : 1,
+      connected: node.degree > 0
+    };
+  });
+
+  const edgeResults = edges.map((edge, i) => {
+    const net = flows[edgeArcs[i]] - flows[edgeArcs[i] + 1];
+    const flow = Math.abs(net);
+    const capacity = edge.capacity || 0;
+    return {
+      ...edge,
+      flowMW: round(flow),
+      utilization: capacity > 0 ? round(flow / capacity) : 0,
+      saturated: capacity > 0 && flow >= capacity - EPSILON,
+      flowFrom: flow > EPSILON ? (net > 0 ? edge.from : edge.to) : null,
+      flowTo: flow > EPSILON ? (net > 0 ? edge.to : edge.from) : null
+    };
+  });
+
+  const totalSupplyMW = plants.reduce((sum, node) => sum + supplyMW(node), 0);
+  const demandMW = centers.reduce((sum, node) => sum + tonnesPerYearToMW(node.demand || 0), 0);
+
+  return {
+    totals: {
+      capacityMW: round(plants.reduce((sum, node) => sum + (node.capacity || 0), 0)),
+      supplyMW: round(totalSupplyMW),
+      demandMW: round(demandMW),
+      servedMW: round(value),
+      unservedMW: round(demandMW - value),
+      idleMW: round(totalSupplyMW - value),
+      saturatedEdges: edgeResults.filter(edge => edge.saturated).length
+    },
+    demandCenters: centerResults,
+    plants: plantResults,
+    edges: edgeResults
+  };
+}
+
+module.exports = {
+  maxFlow,
+  allocateSupply
+};
@@ -0,0 +1,220 @@
+const Plant = require('../models/Plant');
+const Pipeline = require('../models/Pipeline');
+const DemandCenter = require('../models/DemandCenter');
+const Storage = require('../models/Storage');
+const RegulatoryZone = require('../models/RegulatoryZone');
+
+/**
+ * GeoJSON Utilities for H2 Optimize
+ * Maps asset documents to GeoJSON Features and back
+ */
+
+/**
+ * Asset type registry
+ * Keyed by the collection name used in frontend state; `path` is the API route segment
+ * - enumFilters: fields filterable by exact value (`?status=planned,operational`)
+ * - rangeFilters: numeric fields filterable by `min<Suffix>`/`max<Suffix>` parameters
+ * - lifecycle: status follows the lifecycle state machine (see utils/lifecycle)
+ * - owned: has an `owner` reference to a Company, filterable with `?owner=<companyId>`
+ * - baseFilter: default filter of the listing and tile endpoints, overridden by attribute filters
+ */
+const ASSET_TYPES = {
+  plants: {
+    model: Plant,
+    label: 'plant',
+    path: 'plants',
+    geometryField: 'location',
+    geometryType: 'Point',
+    enumFilters: ['status', 'technology'],
+    rangeFilters: { capacity: 'Capacity', annualOutput: 'AnnualOutput' },
+    lifecycle: true,
+    owned: true,
+    toProperties: plant => ({
+      id: plant._id,
+      name: plant.name,
+      state: plant.state,
+      owner: plant.owner,
+      capacity: plant.capacity,
+      status: plant.status,
+      lifecycle: plant.lifecycle,
+      technology: plant.technology,
+      specificEnergyConsumption: plant.specificEnergyConsumption,
+      water: plant.water,
+      renewableSupply: plant.renewableSupply,
+      annualOutput: plant.annualOutput,
+      createdAt: plant.createdAt,
+      updatedAt: plant.updatedAt
+    })
+  },
+  pipelines: {
+    model: Pipeline,
+    label: 'pipeline',
+    path: 'pipelines',
+    geometryField: 'path',
+    geometryType: 'LineString',
+    enumFilters: ['status'],
+    rangeFilters: { capacity: 'Capacity' },
+    lifecycle: true,
+    owned: true,
+    toProperties: pipeline => ({
+      id: pipeline._id,
+      name: pipeline.name,
+      owner: pipeline.owner,
+      capacity: pipeline.capacity,
+      status: pipeline.status,
+      lifecycle: pipeline.lifecycle,
+      createdAt: pipeline.createdAt,
+      updatedAt: pipeline.updatedAt
+    })
+  },
+  demandCenters: {
+    model: DemandCenter,
+    label: 'demand center',
+    path: 'demand-centers',
+    geometryField: 'location',
+    geometryType: 'Point',
+    enumFilters: ['type'],
+    rangeFilters: { demand: 'Demand' },
+    toProperties: center => ({
+      id: center._id,
+      name: center.name,
+      state: center.state,
+      demand: center.demand,
+      demandProjection: center.demandProjection,
+      type: center.type,
+      createdAt: center.createdAt,
+      updatedAt: center.updatedAt
+    })
+  },
+  storage: {
+    model: Storage,
+    label: 'storage facility',
+    path: 'storage',
+    geometryField: 'location',
+    geometryType: 'Point',
+    enumFilters: ['status', 'type'],
+    rangeFilters: { capacity: 'Capacity' },
+    lifecycle: true,
+    owned: true,
+    toProperties: facility => ({
+      id: facility._id,
+      name: facility.name,
+      state: facility.state,
+      owner: facility.owner,
+      capacity: facility.capacity,
+      type: facility.type,
+      status: facility.status,
+      lifecycle: facility.lifecycle,
+      createdAt: facility.createdAt,
+      updatedAt: facility.updatedAt
+    })
+  },
+  regulatoryZones: {
+    model: RegulatoryZone,
+    label: 'regulatory zone',
+    path: 'regulatory-zones',
+    geometryField: 'boundary',
+    geometryType: 'Polygon',
+    enumFilters: ['status', 'type', 'jurisdiction'],
+    rangeFilters: { approvalTimeline: 'ApprovalTimeline' },
+    baseFilter: { status: 'active' },
+    toProperties: zone => ({
+      id: zone._id,
+      name: zone.name,
+      type: zone.type,
+      jurisdiction: zone.jurisdiction,
+      policies: zone.policies,
+      restrictions: zone.restrictions,
+      approvalTimeline: zone.approvalTimeline,
+      regulatoryScore: zone.calculateRegulatoryScore(),
+      createdAt: zone.createdAt,
+      updatedAt: zone.updatedAt
+    })
+  }
+};
+
+// Properties that are generated by the server and never written from a Feature
+const READ_ONLY_PROPERTIES = ['id', '_id', '__v', 'createdAt', 'updatedAt', 'regulatoryScore'];
+
+/**
+ * Look up an asset type key from its API route segment, e.g. 'demand-centers'
+ * @param {string} path - Route segment
+ * @returns {string|undefined} Key of ASSET_TYPES
+ */
+function assetTypeFromPath(path) {
+  return Object.keys(ASSET_TYPES).find(key => ASSET_TYPES[key].path === path);
+}
+
+/**
+ * Convert an asset document to a GeoJSON Feature
+ * Every type's properties end with its tags and custom fields (see utils/annotations)
+ * @param {string} assetType - Key of ASSET_TYPES
+ * @param {Object} doc - Mongoose document
+ * @returns {Object} GeoJSON Feature
+ */
+function toFeature(assetType, doc) {
+  const config = ASSET_TYPES[assetType];
+  return {
+    type: 'Feature',
+    properties: {
+      ...config.toProperties(doc),
+      tags: doc.tags,
+      customFields: doc.customFields
+    },
+    geometry: doc[config.geometryField]
+  };
+}
+
+/**
+ * Convert a list of asset documents to a GeoJSON FeatureCollection
+ * @param {string} assetType - Key of ASSET_TYPES
+ * @param {Array} docs - Mongoose documents
+ * @returns {Object} GeoJSON FeatureCollection
+ */
+function toFeatureCollection(assetType, docs) {
+  return {
+    type: 'FeatureCollection',
+    features: docs.map(doc => toFeature(assetType, doc))
+  };
+}
+
+/**
+ * Convert a GeoJSON Feature into a plain object of model fields
+ * Geometry is copied onto the model's geometry field; unknown properties are
+ * left for mongoose strict mode to discard
+ * @param {string} assetType - Key of ASSET_TYPES
+ * @param {Object} feature - GeoJSON Feature
+ * @param {Object} options - { partial: boolean } allows a Feature without geometry
+ * @returns {Object} Document fields
+ * @throws {Error} With status 400 when the input is not a Feature
+ */
+function fromFeature(assetType, feature, { partial = false } = {}) {
+  if (!feature || feature.type !== 'Feature') {
+    const error = new Error('Request body must be a GeoJSON Feature');
+    error.status = 400;
+    throw error;
+  }
+
+  if (!partial && !feature.geometry) {
+    const error = new Error('Feature geometry is required');
+    error.status = 400;
+    throw error;
+  }
+
+  const fields = { ...(feature.properties || {}) };
+  READ_ONLY_PROPERTIES.forEach(key => delete fields[key]);
+
+  if (feature.geometry) {
+    fields[ASSET_TYPES[assetType].geometryField] = feature.geometry;
+  }
+
+  return fields;
+}
+
+module.exports = {
+  ASSET_TYPES,
+  assetTypeFromPath,
+  toFeature,
+  toFeatureCollection,
+  fromFeature
+};
@@ -0,0 +1,320 @@
+const { calculateDistance } = require('./scoring');
+
+/**
+ * Geometry Utilities for H2 Optimize
+ * Viewport parsing, geometry simplification and distance helpers for map queries
+ */
+
+// Longest edge (in degrees) of a bbox polygon before it is densified
+const MAX_EDGE_DEGREES = 1;
+
+// Gap left between the edges of a box that wraps the whole globe
+const WORLD_EDGE_GAP = 1e-6;
+
+// Web Mercator tiles are 256px wide
+const TILE_SIZE = 256;
+
+// Kilometres per degree of latitude
+const KM_PER_DEGREE = 111.32;
+
+/**
+ * Parse a `west,south,east,north` bounding box string
+ * Longitudes and latitudes are clamped to valid ranges so that map
+ * viewports panned past the antimeridian still produce a usable box.
+ * A west edge east of the east edge (e.g. `170,-10,-170,10`) is a box that
+ * crosses the antimeridian; see splitBbox
+ * @param {string} value - Raw query parameter
+ * @returns {Object|null} { west, south, east, north } or null when absent
+ * @throws {Error} With status 400 when the value is malformed
+ */
+function parseBbox(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 4 || parts.some(n => !Number.isFinite(n))) {
+    const error = new Error('bbox must be four numbers: west,south,east,north');
+    error.status = 400;
+    throw error;
+  }
+
+  let [west, south, east, north] = parts;
+  if (east - west >= 360) {
+    west = -180;
+    east = 180;
+  }
+  west = Math.max(-180, Math.min(180, west));
+  east = Math.max(-180, Math.min(180, east));
+  south = Math.max(-90, Math.min(90, south));
+  north = Math.max(-90, Math.min(90, north));
+
+  if (west === east || south >= north) {
+    const error = new Error('bbox must satisfy south < north and have different west and east edges');
+    error.status = 400;
+    throw error;
+  }
+
+  return { west, south, east, north };
+}
+
+/**
+ * Split a bounding box that crosses the antimeridian into the boxes on either side
+ * @param {Object} bbox - Result of parseBbox
+ * @returns {Array} One or two { west, south, east, north } boxes with west < east
+ */
+function splitBbox(bbox) {
+  if (bbox.west < bbox.east) return [bbox];
+  return [
+    { ...bbox, east: 180 },
+    { ...bbox, west: -180 }
+  ].filter(box => box.west < box.east);
+}
+
+/**
+ * Parse a map zoom level
+ * @param {string} value - Raw query parameter
+ * @returns {number|null} Zoom level or null when absent
+ * @throws {Error} With status 400 when the value is not a number between 0 and 24
+ */
+function parseZoom(value) {
+  if (value === undefined || value === null || value === '') return null;
+
+  const zoom = Number(value);
+  if (!Number.isFinite(zoom) || zoom < 0 || zoom > 24) {
+    const error = new Error('zoom must be a number between 0 and 24');
+    error.status = 400;
+    throw error;
+  }
+  return zoom;
+}
+
+/**
+ * Build a GeoJSON Polygon for a bounding box, suitable for $geoWithin and
+ * $geoIntersects. Edges are densified so they follow parallels and meridians
+ * instead of great circles, and the polygon uses MongoDB's strict-winding CRS
+ * so boxes larger than a hemisphere are interpreted correctly
+ * @param {Object} bbox - { west, south, east, north }
+ * @returns {Object} GeoJSON Polygon with custom CRS
+ */
+function bboxToPolygon({ west, south, east, north }) {
+  // A box spanning every longitude would have coincident east and west edges
+  if (east - west >= 360) east = west + 360 - WORLD_EDGE_GAP;
+
+  const ring = [];
+  const edge = (from, to) => {
+    const steps = Math.max(1, Math.ceil(Math.max(
+      Math.abs(to[0] - from[0]),
+      Math.abs(to[1] - from[1])
+    ) / MAX_EDGE_DEGREES));
+    for (let i = 0; i < steps; i++) {
+      ring.push([
+        from[0] + ((to[0] - from[0]) * i) / steps,
+        from[1] + ((to[1] - from[1]) * i) / steps
+      ]);
+    }
+  };
+
+  // Counter-clockwise exterior ring, as required by strict winding
+  edge([west, south], [east, south]);
+  edge([east, south], [east, north]);
+  edge([east, north], [west, north]);
+  edge([west, north], [west, south]);
+  ring.push([west, south]);
+
+  return {
+    type: 'Polygon',
+    coordinates: [ring],
+    crs: {
+      type: 'name',
+      properties: { name: 'urn:x-mongodb:crs:strictwinding:EPSG:4326' }
+    }
+  };
+}
+
+/**
+ * Approximate size of one screen pixel in degrees at a zoom level
+ * @param {number} zoom - Web map zoom level
+ * @returns {number} Degrees of longitude per pixel
+ */
+function degreesPerPixel(zoom) {
+  return 360 / (TILE_SIZE * Math.pow(2, zoom));
+}
+
+/**
+ * Perpendicular distance from a point to a segment, in degrees
+ */
+function segmentDistance(point, start, end) {
+  const dx = end[0] - start[0];
+  const dy = end[1] - start[1];
+  if (dx === 0 && dy === 0) {
+    return Math.hypot(point[0] - start[0], point[1] - start[1]);
+  }
+  const t = Math.max(0, Math.min(1,
+    ((point[0] - start[0]) * dx + (point[1] - start[1]) * dy) / (dx * dx + dy * dy)
+  ));
+  return Math.hypot(point[0] - (start[0] + t * dx), point[1] - (start[1] + t * dy));
+}
+
+/**
+ * Simplify a coordinate list with the Douglas-Peucker algorithm
+ * @param {Array} coords - Array of [lng, lat]
+ * @param {number} tolerance - Maximum deviation in degrees
+ * @param {number} minPoints - Never return fewer points than this
+ * @returns {Array} Simplified coordinates
+ */
+function simplifyCoordinates(coords, tolerance, minPoints = 2) {
+  const points = coords.map(([lng, lat]) => [lng, lat]);
+  if (points.length <= minPoints || tolerance <= 0) return points;
+
+  const keep = new Array(points.length).fill(false);
+  keep[0] = true;
+  keep[points.length - 1] = true;
+
+  const stack = [[0, points.length - 1]];
+  while (stack.length > 0) {
+    const [first, last] = stack.pop();
+    let maxDistance = 0;
+    let index = -1;
+    for (let i = first + 1; i < last; i++) {
+      const distance = segmentDistance(points[i], points[first], points[last]);
+      if (distance > maxDistance) {
+        maxDistance = distance;
+        index = i;
+      }
+    }
+    if (index !== -1 && maxDistance > tolerance) {
+      keep[index] = true;
+      stack.push([first, index], [index, last]);
+    }
+  }
+
+  const simplified = points.filter((_, i) => keep[i]);
+  return simplified.length >= minPoints ? simplified : points;
+}
+
+/**
+ * Simplify a LineString, Polygon or MultiPolygon geometry
+ * Points are returned unchanged; polygon rings keep at least 4 positions
+ * @param {Object} geometry - GeoJSON geometry
+ * @param {number} tolerance - Maximum deviation in degrees
+ * @returns {Object} New GeoJSON geometry
+ */
+function simplifyGeometry(geometry, tolerance) {
+  if (!geometry || !tolerance) return geometry;
+
+  const ring = coords => simplifyCoordinates(coords, tolerance, 4);
+
+  switch (geometry.type) {
+    case 'LineString':
+      return { type: 'LineString', coordinates: simplifyCoordinates(geometry.coordinates, tolerance) };
+    case 'Polygon':
+      return { type: 'Polygon', coordinates: geometry.coordinates.map(ring) };
+    case 'MultiPolygon':
+      return {
+        type: 'MultiPolygon',
+        coordinates: geometry.coordinates.map(polygon => polygon.map(ring))
+      };
+    default:
+      return geometry;
+  }
+}
+
+/**
+ * Find the point on a LineString closest to a location
+ * Segments are projected onto a local equirectangular plane centred on the
+ * location, which is accurate for the distances pipelines span
+ * @param {number} lat - Latitude of the location
+ * @param {number} lng - Longitude of the location
+ * @param {Array} coords - LineString coordinates [[lng, lat], ...]
+ * @returns {Object} { coordinates: [lng, lat], distanceKm }
+ */
+function nearestPointOnLine(lat, lng, coords) {
+  const cosLat = Math.cos(lat * Math.PI / 180);
+  const toPlane = ([pLng, pLat]) => [(pLng - lng) * cosLat * KM_PER_DEGREE, (pLat - lat) * KM_PER_DEGREE];
+  const fromPlane = ([x, y]) => [lng + x / (cosLat * KM_PER_DEGREE), lat + y / KM_PER_DEGREE];
+
+  let best = null;
+  for (let i = 0; i < coords.length - 1; i++) {
+    const [ax, ay] = toPlane(coords[i]);
+    const [bx, by] = toPlane(coords[i + 1]);
+    const dx = bx - ax;
+    const dy = by - ay;
+    const lengthSq = dx * dx + dy * dy;
+    // The location is the origin of the plane
+    const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, -(ax * dx + ay * dy) / lengthSq));
+    const point = [ax + t * dx, ay + t * dy];
+    const planeDistance = Math.hypot(point[0], point[1]);
+    if (!best || planeDistance < best.planeDistance) {
+      best = { point, planeDistance };
+    }
+  }
+
+  const coordinates = best ? fromPlane(best.point) : [coords[0][0], coords[0][1]];
+  return {
+    coordinates,
+    distanceKm: calculateDistance(lat, lng, coordinates[1], coordinates[0])
+  };
+}
+
+/**
+ * Parse a user-drawn region into a GeoJSON geometry for $geoWithin
+ * Accepts a GeoJSON Polygon or MultiPolygon (bare or as a Feature), or an
+ * array of [lat, lng] points as produced by the map's area selector.
+ * Open rings are closed
+ * @param {Object|Array} value - Region from a request body
+ * @returns {Object} GeoJSON Polygon or MultiPolygon
+ * @throws {Error} With status 400 when the region is missing or malformed
+ */
+function parseRegion(value) {
+  const fail = message => {
+    const error = new Error(message);
+    error.status = 400;
+    throw error;
+  };
+
+  const closeRing = ring => {
+    if (!Array.isArray(ring) || ring.some(point => !Array.isArray(point) || point.length < 2
+      || !Number.isFinite(point[0]) || !Number.isFinite(point[1])
+      || Math.abs(point[0]) > 180 || Math.abs(point[1]) > 90)) {
+      fail('Region coordinates must be [lng, lat] pairs within valid ranges');
+    }
+    const points = ring.map(([lng, lat]) => [lng, lat]);
+    const [first, last] = [points[0], points[points.length - 1]];
+    if (points.length > 0 && (first[0] !== last[0] || first[1] !== last[1])) points.push([first[0], first[1]]);
+    if (points.length < 4) fail('Region rings need at least three distinct points');
+    return points;
+  };
+
+  if (Array.isArray(value)) {
+    // Area selector points are [lat, lng]
+    return { type: 'Polygon', coordinates: [closeRing(value.map(point => (Array.isArray(point) ? [point[1], point[0]] : point)))] };
+  }
+
+  const geometry = value && value.type === 'Feature' ? value.geometry : value;
+  if (!geometry || !Array.isArray(geometry.coordinates)) {
+    fail('region must be a GeoJSON Polygon or MultiPolygon, or an array of [lat, lng] points');
+  }
+  const closePolygon = rings => {
+    if (!Array.isArray(rings) || rings.length === 0) fail('Region polygons need at least one ring');
+    return rings.map(closeRing);
+  };
+  if (geometry.type === 'Polygon') {
+    return { type: 'Polygon', coordinates: closePolygon(geometry.coordinates) };
+  }
+  if (geometry.type === 'MultiPolygon') {
+    if (geometry.coordinates.length === 0) fail('Region MultiPolygons need at least one polygon');
+    return { type: 'MultiPolygon', coordinates: geometry.coordinates.map(closePolygon) };
+  }
+  return fail(`region must be a Polygon or MultiPolygon, not ${geometry.type}`);
+}
+
+module.exports = {
+  parseBbox,
+  splitBbox,
+  parseZoom,
+  bboxToPolygon,
+  degreesPerPixel,
+  simplifyCoordinates,
+  simplifyGeometry,
+  nearestPointOnLine,
+  parseRegion
+};
@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const AssetHistory = require('../models/AssetHistory');
+
+/**
+ * History Utilities for H2 Optimize
+ * Records a versioned audit trail of asset changes
+ */
+
+// Fields maintained by mongoose that are not part of an asset's content
+const UNVERSIONED_FIELDS = ['_id', '__v', 'createdAt', 'updatedAt'];
+
+// Attempts at claiming the next version number when concurrent writes to the
+// same asset take it first
+const MAX_VERSION_ATTEMPTS = 5;
+
+/**
+ * Copy the versioned fields of an asset document
+ * @param {Object} doc - Mongoose document
+ * @returns {Object} Plain object without id, version key or timestamps
+ */
+function snapshotOf(doc) {
+  const snapshot = doc.toObject({ depopulate: true });
+  UNVERSIONED_FIELDS.forEach(field => delete snapshot[field]);
+  return snapshot;
+}
+
+/**
+ * Whether a value should be compared as a whole rather than field by field
+ * Arrays (including geometry coordinates), dates and ids are leaves
+ */
+function isLeaf(value) {
+  return value === null || typeof value !== 'object' || Array.isArray(value) ||
+    value instanceof Date || value instanceof mongoose.Types.ObjectId;
+}
+
+/**
+ * List the differences between two snapshots as dotted paths
+ * @param {Object} before - Earlier snapshot ({} for a new asset)
+ * @param {Object} after - Later snapshot
+ * @returns {Array} [{ path, from, to }] with `undefined` sides omitted
+ */
+function diffSnapshots(before = {}, after = {}, prefix = '') {
+  const changes = [];
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+
+  keys.forEach(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+
+    if (from !== undefined && to !== undefined && !isLeaf(from) && !isLeaf(to)) {
+      changes.push(...diffSnapshots(from, to, path));
+    } else if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ path, from, to });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Reference to the acting user stored with each version
+ */
+function userRef(user) {
+  return user ? { id: user._id, name: user.name, email: user.email } : undefined;
+}
+
+/**
+ * Record a new version of an asset
+ * Updates that change nothing are not recorded. The version number is the
+ * latest one plus 1; when a concurrent write to the same asset claims it first,
+ * the unique index rejects the entry and the next number is tried. Failures are
+ * logged rather than thrown, since the asset change itself has already been saved
+ * @param {string} assetType - Key of ASSET_TYPES
+ * @param {Object} doc - Asset document after the change (the removed document for deletes)
+ * @param {string} action - 'create', 'update', 'delete', 'restore' or 'merge'
+ * @param {Object} options - { before: snapshot prior to the change, user, restoredFrom,
+ *   mergedFrom, mergedInto } where a merge is recorded on the kept asset with
+ *   `mergedFrom` and on the removed duplicate with `mergedInto`
+ * @returns {Promise<Object|null>} The history entry, or null when nothing was recorded
+ */
+async function recordChange(assetType, doc, action, { before = null, user = null, restoredFrom, mergedFrom, mergedInto } = {}) {
+  try {
+    const snapshot = snapshotOf(doc);
+    const removed = action === 'delete' || Boolean(mergedInto);
+    const changes = removed ? [] : diffSnapshots(before || {}, snapshot);
+    if (action === 'update' && changes.length === 0) return null;
+
+    for (let attempt = 1; ; attempt++) {
+      const latest = await AssetHistory.findOne({ assetType, assetId: doc._id })
+        .sort({ version: -1 })
+        .select('version');
+
+      try {
+        return await AssetHistory.create({
+          assetType,
+          assetId: doc._id,
+          version: latest ? latest.version + 1 : 1,
+          action,
+          changes,
+          snapshot,
+          restoredFrom,
+          mergedFrom,
+          mergedInto,
+          user: userRef(user)
+        });
+      } catch (error) {
+        // Duplicate key on the unique version index: another write took this version
+        if (error.code !== 11000 || attempt >= MAX_VERSION_ATTEMPTS) throw error;
+      }
+    }
+  } catch (error) {
+    console.error(`Error recording ${action} history for ${assetType} ${doc._id}:`, error);
+    return null;
+  }
+}
+
+module.exports = {
+  snapshotOf,
+  diffSnapshots,
+  userRef,
+  recordChange
+};
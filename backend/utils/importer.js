@@ -0,0 +1,296 @@
+const { ASSET_TYPES } = require('./geojson');
+const { snapshotOf, recordChange } = require('./history');
+const { mergeCustomFields } = require('./annotations');
+const { compareAssets, findSuspectedDuplicates } = require('./duplicates');
+
+/**
+ * Import Utilities for H2 Optimize
+ * Maps imported GeoJSON Features onto asset schemas and saves them with a
+ * per-row validation report
+ */
+
+// Column names recognised as coordinates in tabular imports
+const LATITUDE_COLUMNS = ['lat', 'latitude', 'y'];
+const LONGITUDE_COLUMNS = ['lng', 'lon', 'long', 'longitude', 'x'];
+const GEOMETRY_COLUMNS = ['geometry', 'geojson'];
+
+// Properties that are generated by the server and never imported
+const IGNORED_PROPERTIES = ['id', '_id', '__v', 'createdAt', 'updatedAt', 'regulatoryScore'];
+
+// Flattened custom field columns, as written by the exports
+const CUSTOM_FIELD_COLUMN = /^customFields\.([^.]+)\.([^.]+)$/;
+
+/**
+ * Normalize a property name so that `Approval_Timeline`, `approval timeline`
+ * and `approvalTimeline` all match the same schema path
+ */
+function normalizeKey(key) {
+  return String(key).toLowerCase().replace(/[^a-z0-9.]/g, '');
+}
+
+/**
+ * Build a lookup from normalized names to schema paths for an asset type
+ * Includes leaf paths (`policies.subsidyPercentage`) and their top-level
+ * parents (`policies`), but not the geometry field
+ */
+function buildFieldLookup(assetType) {
+  const { model: Model, geometryField } = ASSET_TYPES[assetType];
+  const lookup = {};
+
+  Model.schema.eachPath(path => {
+    const root = path.split('.')[0];
+    if (root === geometryField || IGNORED_PROPERTIES.includes(root)) return;
+    lookup[normalizeKey(path)] = path;
+    lookup[normalizeKey(root)] = root;
+  });
+
+  return lookup;
+}
+
+/**
+ * Map Feature properties onto model fields
+ * Names are matched case- and punctuation-insensitively; empty values are
+ * skipped and `;`-separated strings are split for array fields.
+ * `customFields.<organization>.<key>` columns are collected into `customFields`
+ * @param {string} assetType - Key of ASSET_TYPES
+ * @param {Object} properties - Feature properties
+ * @param {Object} lookup - Result of buildFieldLookup
+ * @returns {Object} { fields, ignored } with dotted field paths and the
+ *   property names that matched nothing
+ */
+function mapProperties(assetType, properties, lookup) {
+  const { model: Model } = ASSET_TYPES[assetType];
+  const fields = {};
+  const ignored = [];
+
+  Object.entries(properties || {}).forEach(([key, value]) => {
+    if (IGNORED_PROPERTIES.includes(key)) return;
+    if (value === null || value === undefined || value === '') return;
+
+    const customField = key.match(CUSTOM_FIELD_COLUMN);
+    if (customField) {
+      const [, organization, fieldKey] = customField;
+      fields.customFields = fields.customFields || {};
+      fields.customFields[organization] = { ...fields.customFields[organization], [fieldKey]: value };
+      return;
+    }
+
+    const path = lookup[normalizeKey(key)];
+    if (!path) {
+      ignored.push(key);
+      return;
+    }
+
+    const schemaType = Model.schema.path(path);
+    if (schemaType && schemaType.instance === 'Array' && typeof value === 'string') {
+      fields[path] = value.split(';').map(item => item.trim()).filter(Boolean);
+    } else {
+      fields[path] = value;
+    }
+  });
+
+  return { fields, ignored };
+}
+
+/**
+ * Convert CSV rows into GeoJSON Features
+ * Point geometries come from lat/lng columns; other geometries from a
+ * `geometry` column holding GeoJSON
+ * @param {Array} rows - Rows from parseCsv
+ * @returns {Array} Features; rows whose geometry cannot be read get a
+ *   `geometryError` instead of a geometry
+ */
+function rowsToFeatures(rows) {
+  return rows.map(row => {
+    const properties = {};
+    let lat;
+    let lng;
+    let geometryText;
+
+    Object.entries(row).forEach(([key, value]) => {
+      if (key === '__line') return;
+      const normalized = normalizeKey(key);
+      if (LATITUDE_COLUMNS.includes(normalized)) lat = value;
+      else if (LONGITUDE_COLUMNS.includes(normalized)) lng = value;
+      else if (GEOMETRY_COLUMNS.includes(normalized)) geometryText = value;
+      else properties[key] = value;
+    });
+
+    const feature = { type: 'Feature', properties, geometry: null, line: row.__line };
+
+    if (geometryText) {
+      try {
+        feature.geometry = JSON.parse(geometryText);
+      } catch (error) {
+        feature.geometryError = 'geometry column is not valid GeoJSON';
+      }
+    } else if (lat !== undefined && lng !== undefined && lat !== '' && lng !== '') {
+      const latitude = Number(lat);
+      const longitude = Number(lng);
+      if (Number.isFinite(latitude) && Number.isFinite(longitude)) {
+        feature.geometry = { type: 'Point', coordinates: [longitude, latitude] };
+      } else {
+        feature.geometryError = 'lat/lng must be numbers';
+      }
+    } else {
+      feature.geometryError = 'Row needs lat and lng columns or a geometry column';
+    }
+
+    return feature;
+  });
+}
+
+/**
+ * Summarize a mongoose validation error as a list of field messages
+ */
+function validationDetails(error) {
+  if (error.name === 'ValidationError') {
+    return Object.values(error.errors).map(err => ({ field: err.path, message: err.message }));
+  }
+  if (error.name === 'CastError') {
+    return [{ field: error.path, message: `Invalid value for ${error.path}` }];
+  }
+  return [{ field: null, message: error.message }];
+}
+
+/**
+ * Find the assets a valid import row probably duplicates
+ * Earlier rows of the same import are reported by `row`, stored assets by `id`.
+ * Detection problems are logged rather than failing the row
+ */
+async function rowDuplicates(assetType, doc, batch, savedIds) {
+  const subject = { assetType, name: doc.name, geometry: doc[ASSET_TYPES[assetType].geometryField] };
+  const inBatch = batch
+    .map(earlier => {
+      const match = compareAssets(subject, earlier);
+      return match && { ...match, row: earlier.row, name: earlier.name };
+    })
+    .filter(Boolean);
+
+  try {
+    const stored = await findSuspectedDuplicates(assetType, doc, { excludeIds: savedIds });
+    return [...inBatch, ...stored];
+  } catch (error) {
+    console.error(`Error checking ${assetType} import row for duplicates:`, error);
+    return inBatch;
+  }
+}
+
+/**
+ * Validate and save a batch of Features for one asset type
+ * Every Feature is run through the model's validators. Valid rows are saved
+ * unless `dryRun` is set; invalid rows are reported and skipped. Valid rows
+ * that look like duplicates of stored assets or earlier rows are saved too,
+ * and listed with their suspected duplicates in `duplicates`
+ * @param {string} assetType - Key of ASSET_TYPES
+ * @param {Array} features - GeoJSON Features (optionally with `line` and `geometryError`)
+ * @param {Object} options - { dryRun: boolean, upsert: boolean, repair: boolean, user }
+ *   where upsert updates an existing asset with the same name instead of creating
+ *   another, repair fixes zone boundaries (see utils/zoneGeometry) and reports the
+ *   fixes in `geometryRepairs`, and user is recorded in the change history of saved assets
+ * @returns {Promise<Object>} Import report with totals and per-row results
+ */
+async function importFeatures(assetType, features, { dryRun = false, upsert = false, repair = false, user = null } = {}) {
+  const { model: Model, geometryField } = ASSET_TYPES[assetType];
+  const lookup = buildFieldLookup(assetType);
+  const seenNames = new Map();
+  const rows = [];
+  // Valid rows so far, compared with later rows, and the ids they were saved as
+  const batch = [];
+  const savedIds = [];
+
+  for (let index = 0; index < features.length; index++) {
+    const feature = features[index];
+    const result = { row: (feature && feature.line) || index + 1, name: null, action: null, id: null, errors: [], ignoredFields: [], duplicates: [] };
+    rows.push(result);
+
+    if (!feature || feature.type !== 'Feature') {
+      result.action = 'error';
+      result.errors.push({ field: null, message: 'Row is not a GeoJSON Feature' });
+      continue;
+    }
+
+    const { fields, ignored } = mapProperties(assetType, feature.properties, lookup);
+    result.ignoredFields = ignored;
+    result.name = typeof fields.name === 'string' ? fields.name.trim() : null;
+
+    if (feature.geometryError) {
+      result.errors.push({ field: geometryField, message: feature.geometryError });
+    } else if (!feature.geometry) {
+      result.errors.push({ field: geometryField, message: 'Feature geometry is required' });
+    } else {
+      fields[geometryField] = feature.geometry;
+    }
+
+    if (upsert && result.name) {
+      if (seenNames.has(result.name)) {
+        result.errors.push({ field: 'name', message: `Duplicate name, already used on row ${seenNames.get(result.name)}` });
+      } else {
+        seenNames.set(result.name, result.row);
+      }
+    }
+
+    try {
+      let doc = upsert && result.name ? await Model.findOne({ name: result.name }) : null;
+      const before = doc ? snapshotOf(doc) : null;
+      if (doc) {
+        // Custom fields merge into the existing values of each organization
+        if (fields.customFields) {
+          fields.customFields = mergeCustomFields(doc.customFields, fields.customFields);
+        }
+        doc.set(fields);
+        result.action = 'update';
+      } else {
+        doc = new Model(fields);
+        result.action = 'create';
+      }
+      result.id = doc._id;
+
+      if (repair) doc.$locals.repairGeometry = true;
+      await doc.validate();
+      if (doc.$locals.geometryReport) {
+        result.geometryRepairs = doc.$locals.geometryReport.repairs;
+        result.geometryWarnings = doc.$locals.geometryReport.warnings;
+      }
+      if (result.errors.length === 0) {
+        result.duplicates = await rowDuplicates(assetType, doc, batch, savedIds);
+        batch.push({ assetType, row: result.row, name: doc.name, geometry: doc[geometryField] });
+      }
+      if (result.errors.length === 0 && !dryRun) {
+        await doc.save({ validateBeforeSave: false });
+        savedIds.push(doc._id);
+        await recordChange(assetType, doc, result.action, { before, user });
+      }
+    } catch (error) {
+      // A missing geometry was already reported once; skip the schema's sub-path errors for it
+      const hasGeometryError = result.errors.some(err => err.field === geometryField);
+      result.errors.push(...validationDetails(error).filter(err =>
+        !(hasGeometryError && err.field && err.field.startsWith(`${geometryField}.`))
+      ));
+    }
+
+    if (result.errors.length > 0) {
+      result.action = 'error';
+      result.id = null;
+      result.duplicates = [];
+    }
+  }
+
+  return {
+    dryRun,
+    upsert,
+    repair,
+    total: rows.length,
+    created: rows.filter(r => r.action === 'create').length,
+    updated: rows.filter(r => r.action === 'update').length,
+    failed: rows.filter(r => r.action === 'error').length,
+    flagged: rows.filter(r => r.duplicates.length > 0).length,
+    repaired: rows.filter(r => r.action !== 'error' && r.geometryRepairs && r.geometryRepairs.length > 0).length,
+    rows
+  };
+}
+
+module.exports = {
+  rowsToFeatures,
+  importFeatures
+};
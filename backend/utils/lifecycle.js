@@ -0,0 +1,99 @@
+/**
+ * Lifecycle Utilities for H2 Optimize
+ * Status state machine shared by plants, pipelines and storage facilities
+ */
+
+const LIFECYCLE_STATES = ['planned', 'under-construction', 'operational', 'decommissioned'];
+
+// Statuses each status may move to. Planned and under-construction assets
+// can be cancelled straight to decommissioned; decommissioning is final
+const LIFECYCLE_TRANSITIONS = {
+  planned: ['under-construction', 'decommissioned'],
+  'under-construction': ['operational', 'decommissioned'],
+  operational: ['decommissioned'],
+  decommissioned: []
+};
+
+// Date field in `lifecycle` recorded when an asset enters a status, in lifecycle order
+const TRANSITION_DATES = {
+  'under-construction': 'constructionStartDate',
+  operational: 'commissioningDate',
+  decommissioned: 'decommissioningDate'
+};
+
+/**
+ * Whether an asset may move from one status to another
+ */
+function canTransition(from, to) {
+  return (LIFECYCLE_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Mongoose plugin that adds `lifecycle` transition dates to a schema with a
+ * `status` field and enforces LIFECYCLE_TRANSITIONS on every save
+ * - New documents may start in any status
+ * - Entering a status stamps its lifecycle date with the current time unless
+ *   a date was given in the same update
+ * - Lifecycle dates must be in lifecycle order
+ * Set `doc.$locals.skipLifecycleCheck` to allow any status change, e.g. when
+ * restoring an earlier version from the change history
+ */
+function lifecyclePlugin(schema) {
+  schema.add({
+    lifecycle: {
+      constructionStartDate: { type: Date },
+      commissioningDate: { type: Date },
+      decommissioningDate: { type: Date }
+    }
+  });
+
+  // Remember the stored status so that changes can be checked against it
+  schema.post('init', function() {
+    this.$locals.savedStatus = this.status;
+  });
+
+  schema.pre('validate', function() {
+    const from = this.$locals.savedStatus;
+
+    if (!this.isNew && this.isModified('status') && from !== this.status && !this.$locals.skipLifecycleCheck) {
+      if (!canTransition(from, this.status)) {
+        const allowed = LIFECYCLE_TRANSITIONS[from] || [];
+        this.invalidate('status', allowed.length > 0
+          ? `Cannot change status from ${from} to ${this.status}. Allowed: ${allowed.join(', ')}`
+          : `Cannot change status from ${from}; it is final`, this.status);
+        return;
+      }
+
+      const dateField = TRANSITION_DATES[this.status];
+      if (dateField && !this.get(`lifecycle.${dateField}`)) {
+        this.set(`lifecycle.${dateField}`, new Date());
+      }
+    }
+
+    // Each recorded date must not precede the dates of earlier stages
+    const fields = Object.values(TRANSITION_DATES);
+    fields.forEach((field, index) => {
+      const date = this.get(`lifecycle.${field}`);
+      if (!date) return;
+      const earlier = fields.slice(0, index).find(prev => {
+        const prevDate = this.get(`lifecycle.${prev}`);
+        return prevDate && prevDate > date;
+      });
+      if (earlier) {
+        this.invalidate(`lifecycle.${field}`, `${field} cannot be before ${earlier}`, date);
+      }
+    });
+  });
+
+  schema.post('save', function() {
+    this.$locals.savedStatus = this.status;
+  });
+}
+
+module.exports = {
+  LIFECYCLE_STATES,
+  LIFECYCLE_TRANSITIONS,
+  TRANSITION_DATES,
+  canTransition,
+  lifecyclePlugin
+};
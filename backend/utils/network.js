@@ -0,0 +1,490 @@
+const { ASSET_TYPES } = require('./geojson');
+const { calculateDistance } = require('./scoring');
+const { nearestPointOnLine } = require('./geometry');
+const { projectDemand } = require('./projection');
+
+/**
+ * Network Utilities for H2 Optimize
+ * Builds a node/edge graph of the pipeline network by snapping pipeline
+ * vertices to nearby assets and to each other, and reports topology problems
+ */
+
+// Asset collections that can be network nodes
+const NODE_ASSET_TYPES = ['plants', 'storage', 'demandCenters'];
+
+const DEFAULT_TOLERANCE_KM = 0.5;
+const MAX_TOLERANCE_KM = 50;
+
+// Kilometres per degree of latitude, for tolerance prechecks in degrees
+const KM_PER_DEGREE = 111.32;
+
+/**
+ * Whether two positions may be within `toleranceKm` of each other
+ * Cheap degree-based precheck before the haversine distance
+ */
+function roughlyNear([lng1, lat1], [lng2, lat2], toleranceKm) {
+  const latDegrees = toleranceKm / KM_PER_DEGREE;
+  const lngDegrees = latDegrees / Math.max(Math.cos(lat1 * Math.PI / 180), 0.01);
+  return Math.abs(lat1 - lat2) <= latDegrees && Math.abs(lng1 - lng2) <= lngDegrees;
+}
+
+/**
+ * Length of a LineString in km
+ */
+function lineLengthKm(coords) {
+  let length = 0;
+  for (let i = 0; i < coords.length - 1; i++) {
+    length += calculateDistance(coords[i][1], coords[i][0], coords[i + 1][1], coords[i + 1][0]);
+  }
+  return Math.round(length * 100) / 100;
+}
+
+/**
+ * Bounding box of a LineString grown by a tolerance, for overlap prechecks
+ */
+function paddedBounds(coords, toleranceKm) {
+  const lats = coords.map(c => c[1]);
+  const lngs = coords.map(c => c[0]);
+  const latPad = toleranceKm / KM_PER_DEGREE;
+  const lngPad = latPad / Math.max(Math.cos(Math.max(...lats.map(Math.abs)) * Math.PI / 180), 0.01);
+  return {
+    west: Math.min(...lngs) - lngPad,
+    east: Math.max(...lngs) + lngPad,
+    south: Math.min(...lats) - latPad,
+    north: Math.max(...lats) + latPad
+  };
+}
+
+/**
+ * Find stretches of each pipeline that run along another pipeline
+ * A segment overlaps when its ends and midpoint all lie within the tolerance
+ * of the other line and it is longer than the tolerance; consecutive
+ * overlapping segments are reported together
+ * @returns {Array} Topology issues of type 'overlapping-segments'
+ */
+function findOverlaps(pipelines, toleranceKm) {
+  const issues = [];
+  const bounds = pipelines.map(p => paddedBounds(p.coordinates, toleranceKm));
+  const within = (point, box) => point[0] >= box.west && point[0] <= box.east &&
+    point[1] >= box.south && point[1] <= box.north;
+  const nearLine = (point, coords) => nearestPointOnLine(point[1], point[0], coords).distanceKm <= toleranceKm;
+
+  for (let a = 0; a < pipelines.length; a++) {
+    for (let b = a + 1; b < pipelines.length; b++) {
+      const boxA = bounds[a];
+      const boxB = bounds[b];
+      if (boxA.west > boxB.east || boxB.west > boxA.east || boxA.south > boxB.north || boxB.south > boxA.north) {
+        continue;
+      }
+
+      const coords = pipelines[a].coordinates;
+      const other = pipelines[b].coordinates;
+      let run = null;
+      const flush = () => {
+        if (run && lineLengthKm(run) > toleranceKm) {
+          issues.push({
+            type: 'overlapping-segments',
+            message: `${pipelines[a].name} and ${pipelines[b].name} overlap for ${lineLengthKm(run)} km`,
+            pipelineIds: [pipelines[a].id, pipelines[b].id],
+            coordinates: run
+          });
+        }
+        run = null;
+      };
+
+      for (let i = 0; i < coords.length - 1; i++) {
+        const start = coords[i];
+        const end = coords[i + 1];
+        const mid = [(start[0] + end[0]) / 2, (start[1] + end[1]) / 2];
+        const overlapping = within(mid, boxB) && [start, mid, end].every(point => nearLine(point, other));
+        if (overlapping) {
+          run = run ? [...run, end] : [start, end];
+        } else {
+          flush();
+        }
+      }
+      flush();
+    }
+  }
+
+  return issues;
+}
+
+/**
+ * Add a vertex where a pipeline ends on the middle of another pipeline's
+ * segment, so that tee connections snap like any other shared vertex
+ * Ends that are already near an asset or a vertex are left alone
+ * @returns {Array} Pipelines with copied, possibly extended coordinates
+ */
+function insertTeeJunctions(pipelines, assets, toleranceKm) {
+  const result = pipelines.map(pipeline => ({ ...pipeline, coordinates: pipeline.coordinates.slice() }));
+  const isNear = (a, b) => roughlyNear(a, b, toleranceKm) &&
+    calculateDistance(a[1], a[0], b[1], b[0]) <= toleranceKm;
+
+  result.forEach(pipeline => {
+    const ends = [pipeline.coordinates[0], pipeline.coordinates[pipeline.coordinates.length - 1]];
+    ends.forEach(end => {
+      if (assets.some(asset => isNear(end, asset.coordinates))) return;
+      if (result.some(other => other !== pipeline && other.coordinates.some(vertex => isNear(end, vertex)))) return;
+
+      let best = null;
+      result.forEach(other => {
+        if (other === pipeline) return;
+        for (let i = 0; i < other.coordinates.length - 1; i++) {
+          const nearest = nearestPointOnLine(end[1], end[0], [other.coordinates[i], other.coordinates[i + 1]]);
+          if (nearest.distanceKm <= toleranceKm && (!best || nearest.distanceKm < best.distanceKm)) {
+            best = { other, index: i + 1, coordinates: nearest.coordinates, distanceKm: nearest.distanceKm };
+          }
+        }
+      });
+      if (best) best.other.coordinates.splice(best.index, 0, best.coordinates);
+    });
+  });
+
+  return result;
+}
+
+/**
+ * Load the pipelines and node assets that make up the network
+ * @param {Object} options - { includeDecommissioned, operationalOnly, year }
+ *   operationalOnly keeps only operational assets, for questions about what
+ *   the existing network can do; year uses projected demand of that year
+ * @returns {Promise<Object>} { pipelines, assets } as plain records
+ */
+async function loadNetworkData({ includeDecommissioned = false, operationalOnly = false, year = null } = {}) {
+  let activeOnly = includeDecommissioned ? {} : { status: { $ne: 'decommissioned' } };
+  if (operationalOnly) activeOnly = { status: 'operational' };
+
+  const pipelineDocs = await ASSET_TYPES.pipelines.model.find(activeOnly).sort({ _id: 1 });
+  const pipelines = pipelineDocs.map(doc => ({
+    id: String(doc._id),
+    name: doc.name,
+    capacity: doc.capacity,
+    status: doc.status,
+    coordinates: doc.path.coordinates.map(([lng, lat]) => [lng, lat])
+  }));
+
+  const assets = [];
+  for (const assetType of NODE_ASSET_TYPES) {
+    const { model: Model } = ASSET_TYPES[assetType];
+    const filter = Model.schema.path('status') ? activeOnly : {};
+    const docs = await Model.find(filter).sort({ _id: 1 });
+    docs.forEach(doc => {
+      assets.push({
+        assetType,
+        assetId: String(doc._id),
+        name: doc.name,
+        coordinates: [doc.location.coordinates[0], doc.location.coordinates[1]],
+        capacity: doc.capacity,
+        demand: assetType === 'demandCenters' ? projectDemand(doc, year) : doc.demand
+      });
+    });
+  }
+
+  return { pipelines, assets };
+}
+
+/**
+ * Build the pipeline network graph
+ * Every pipeline vertex is snapped to the nearest asset within the tolerance,
+ * or else merged with vertices of other pipelines within the tolerance.
+ * Snapped points become nodes when they are an asset, a pipeline end, or are
+ * shared by two or more pipelines; pipelines are split into edges between
+ * consecutive nodes, with their vertices moved onto the node positions
+ * @param {Object} data - { pipelines, assets } from loadNetworkData
+ * @param {number} toleranceKm - Snapping distance
+ * @returns {Object} { nodes, edges, components, issues, stats }
+ */
+function buildNetwork(data, toleranceKm = DEFAULT_TOLERANCE_KM) {
+  const { assets } = data;
+  const pipelines = insertTeeJunctions(data.pipelines, assets, toleranceKm);
+
+  // Candidate snap points: assets first, then vertex clusters created on demand
+  const points = assets.map(asset => ({
+    kind: 'asset',
+    coordinates: asset.coordinates,
+    asset,
+    pipelines: new Set(),
+    isEnd: false
+  }));
+
+  const snap = coordinates => {
+    let best = null;
+    let bestDistance = Infinity;
+    points.forEach((point, index) => {
+      if (!roughlyNear(coordinates, point.coordinates, toleranceKm)) return;
+      const distance = calculateDistance(coordinates[1], coordinates[0], point.coordinates[1], point.coordinates[0]);
+      // Prefer assets over junctions at equal distance
+      const rank = distance + (point.kind === 'asset' ? 0 : 1e-9);
+      if (distance <= toleranceKm && rank < bestDistance) {
+        best = index;
+        bestDistance = rank;
+      }
+    });
+    if (best === null) {
+      points.push({ kind: 'junction', coordinates, pipelines: new Set(), isEnd: false });
+      best = points.length - 1;
+    }
+    return best;
+  };
+
+  const snapped = pipelines.map(pipeline => pipeline.coordinates.map((coordinates, i) => {
+    const index = snap(coordinates);
+    points[index].pipelines.add(pipeline.id);
+    if (i === 0 || i === pipeline.coordinates.length - 1) points[index].isEnd = true;
+    return index;
+  }));
+
+  // Decide which snap points are graph nodes
+  const nodeIds = new Map();
+  const nodes = [];
+  let junctionCount = 0;
+  points.forEach((point, index) => {
+    const isNode = point.kind === 'asset' || point.isEnd || point.pipelines.size > 1;
+    if (!isNode) return;
+    const id = point.kind === 'asset'
+      ? `${point.asset.assetType}:${point.asset.assetId}`
+      : `junction:${++junctionCount}`;
+    nodeIds.set(index, id);
+    nodes.push({
+      id,
+      type: point.kind,
+      ...(point.kind === 'asset' ? {
+        assetType: point.asset.assetType,
+        assetId: point.asset.assetId,
+        name: point.asset.name,
+        capacity: point.asset.capacity,
+        demand: point.asset.demand
+      } : {}),
+      coordinates: point.coordinates,
+      degree: 0,
+      component: null
+    });
+  });
+  const nodeById = new Map(nodes.map(node => [node.id, node]));
+
+  // Split pipelines into edges between consecutive nodes
+  const edges = [];
+  pipelines.forEach((pipeline, p) => {
+    const indices = snapped[p];
+    let start = 0;
+    let part = 0;
+    for (let i = 1; i < indices.length; i++) {
+      if (!nodeIds.has(indices[i])) continue;
+
+      const coordinates = [];
+      for (let j = start; j <= i; j++) {
+        const point = points[indices[j]];
+        const position = nodeIds.has(indices[j]) ? point.coordinates : pipeline.coordinates[j];
+        const last = coordinates[coordinates.length - 1];
+        if (!last || last[0] !== position[0] || last[1] !== position[1]) coordinates.push(position);
+      }
+
+      const from = nodeIds.get(indices[start]);
+      const to = nodeIds.get(indices[i]);
+      if (from !== to || coordinates.length > 1) {
+        edges.push({
+          id: `${pipeline.id}:${++part}`,
+          pipelineId: pipeline.id,
+          name: pipeline.name,
+          from,
+          to,
+          capacity: pipeline.capacity,
+          status: pipeline.status,
+          lengthKm: lineLengthKm(coordinates),
+          coordinates,
+          component: null
+        });
+        nodeById.get(from).degree++;
+        nodeById.get(to).degree++;
+      }
+      start = i;
+    }
+  });
+
+  // Connected components over nodes that have at least one edge
+  const parent = new Map(nodes.map(node => [node.id, node.id]));
+  const find = id => {
+    while (parent.get(id) !== id) {
+      parent.set(id, parent.get(parent.get(id)));
+      id = parent.get(id);
+    }
+    return id;
+  };
+  edges.forEach(edge => parent.set(find(edge.from), find(edge.to)));
+
+  const groups = new Map();
+  nodes.filter(node => node.degree > 0).forEach(node => {
+    const root = find(node.id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(node);
+  });
+
+  const components = [...groups.values()]
+    .map(members => {
+      const memberIds = new Set(members.map(node => node.id));
+      const componentEdges = edges.filter(edge => memberIds.has(edge.from));
+      const assetCounts = {};
+      members.filter(node => node.type === 'asset').forEach(node => {
+        assetCounts[node.assetType] = (assetCounts[node.assetType] || 0) + 1;
+      });
+      return {
+        members,
+        componentEdges,
+        nodeCount: members.length,
+        edgeCount: componentEdges.length,
+        lengthKm: Math.round(componentEdges.reduce((sum, edge) => sum + edge.lengthKm, 0) * 100) / 100,
+        assets: assetCounts,
+        pipelineIds: [...new Set(componentEdges.map(edge => edge.pipelineId))]
+      };
+    })
+    .sort((a, b) => b.lengthKm - a.lengthKm)
+    .map((component, index) => {
+      const id = index + 1;
+      component.members.forEach(node => { node.component = id; });
+      component.componentEdges.forEach(edge => { edge.component = id; });
+      const { members, componentEdges, ...summary } = component;
+      return { id, ...summary };
+    });
+
+  // Topology problems
+  const issues = [];
+  nodes.filter(node => node.type === 'junction' && node.degree === 1).forEach(node => {
+    const edge = edges.find(e => e.from === node.id || e.to === node.id);
+    issues.push({
+      type: 'dangling-end',
+      message: `${edge.name} has an end that is not within ${toleranceKm} km of any asset or pipeline`,
+      pipelineIds: [edge.pipelineId],
+      nodeId: node.id,
+      coordinates: node.coordinates
+    });
+  });
+
+  components.slice(1).forEach(component => {
+    issues.push({
+      type: 'disconnected-island',
+      message: `Network ${component.id} (${component.lengthKm} km, ${component.edgeCount} edges) is not connected to the main network`,
+      pipelineIds: component.pipelineIds,
+      component: component.id
+    });
+  });
+
+  issues.push(...findOverlaps(pipelines, toleranceKm));
+
+  const assetNodes = nodes.filter(node => node.type === 'asset');
+  return {
+    nodes,
+    edges,
+    components,
+    issues,
+    stats: {
+      nodeCount: nodes.length,
+      edgeCount: edges.length,
+      componentCount: components.length,
+      pipelineCount: pipelines.length,
+      connectedAssets: assetNodes.filter(node => node.degree > 0).length,
+      unconnectedAssets: assetNodes.filter(node => node.degree === 0).length,
+      issueCount: issues.length
+    }
+  };
+}
+
+/**
+ * Find the shortest pipeline route between two nodes (Dijkstra on edge length)
+ * Edges are undirected. Edges below `minCapacity` are skipped
+ * @param {Object} network - Result of buildNetwork
+ * @param {string} fromId - Start node id, e.g. 'plants:<id>'
+ * @param {string} toId - End node id
+ * @param {Object} options - { minCapacity }
+ * @returns {Object|null} { nodeIds, legs, lengthKm, bottleneckCapacity } where each leg
+ *   is an edge with coordinates oriented in travel order, or null when unreachable
+ */
+function findRoute({ nodes, edges }, fromId, toId, { minCapacity = 0 } = {}) {
+  const adjacency = new Map(nodes.map(node => [node.id, []]));
+  edges.forEach(edge => {
+    if ((edge.capacity || 0) < minCapacity) return;
+    adjacency.get(edge.from).push({ edge, next: edge.to });
+    adjacency.get(edge.to).push({ edge, next: edge.from });
+  });
+  if (!adjacency.has(fromId) || !adjacency.has(toId)) return null;
+
+  const distance = new Map([[fromId, 0]]);
+  const previous = new Map();
+  const visited = new Set();
+
+  while (true) {
+    let current = null;
+    distance.forEach((value, id) => {
+      if (!visited.has(id) && (current === null || value < distance.get(current))) current = id;
+    });
+    if (current === null) return null;
+    if (current === toId) break;
+    visited.add(current);
+
+    adjacency.get(current).forEach(({ edge, next }) => {
+      const candidate = distance.get(current) + edge.lengthKm;
+      if (!visited.has(next) && (!distance.has(next) || candidate < distance.get(next))) {
+        distance.set(next, candidate);
+        previous.set(next, { edge, from: current });
+      }
+    });
+  }
+
+  const legs = [];
+  const nodeIds = [toId];
+  for (let id = toId; previous.has(id); id = previous.get(id).from) {
+    const { edge, from } = previous.get(id);
+    legs.unshift({
+      ...edge,
+      coordinates: edge.from === from ? edge.coordinates : edge.coordinates.slice().reverse()
+    });
+    nodeIds.unshift(from);
+  }
+
+  return {
+    nodeIds,
+    legs,
+    lengthKm: Math.round(distance.get(toId) * 100) / 100,
+    bottleneckCapacity: legs.length > 0 ? Math.min(...legs.map(leg => leg.capacity)) : null
+  };
+}
+
+/**
+ * Convert a network to GeoJSON for map display
+ * Nodes become Point Features, edges LineString Features and issues Features
+ * located at the problem (islands have no geometry of their own)
+ * @param {Object} network - Result of buildNetwork
+ * @returns {Object} { nodes, edges, issues } FeatureCollections plus components and stats
+ */
+function networkToGeoJSON({ nodes, edges, components, issues, stats }) {
+  const collection = (items, geometry) => ({
+    type: 'FeatureCollection',
+    features: items.map(({ coordinates, ...properties }) => ({
+      type: 'Feature',
+      properties,
+      geometry: geometry(coordinates)
+    }))
+  });
+
+  return {
+    nodes: collection(nodes, coordinates => ({ type: 'Point', coordinates })),
+    edges: collection(edges, coordinates => ({ type: 'LineString', coordinates })),
+    components,
+    issues: collection(issues, coordinates => {
+      if (!coordinates) return null;
+      return typeof coordinates[0] === 'number'
+        ? { type: 'Point', coordinates }
+        : { type: 'LineString', coordinates };
+    }),
+    stats
+  };
+}
+
+module.exports = {
+  DEFAULT_TOLERANCE_KM,
+  MAX_TOLERANCE_KM,
+  loadNetworkData,
+  buildNetwork,
+  findRoute,
+  networkToGeoJSON
+};
@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+const Company = require('../models/Company');
+
+/**
+ * Ownership Utilities for H2 Optimize
+ * Links assets to the Company that owns them
+ */
+
+/**
+ * Mongoose plugin adding an indexed `owner` reference to a Company
+ * The owner is optional, but when set the company must exist
+ * @param {Object} schema - Asset schema
+ */
+function ownerPlugin(schema) {
+  schema.add({
+    // Developer, utility or other operator that owns the asset
+    owner: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Company',
+      validate: {
+        validator: async function(v) {
+          return !v || Boolean(await Company.exists({ _id: v }));
+        },
+        message: 'No company exists with id {VALUE}'
+      }
+    }
+  });
+  schema.index({ owner: 1 });
+}
+
+module.exports = {
+  ownerPlugin
+};
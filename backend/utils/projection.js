@@ -0,0 +1,123 @@
+const { badRequest } = require('./assetQuery');
+
+/**
+ * Demand Projection Utilities for H2 Optimize
+ * Annual hydrogen demand of a demand center in a planning year, from the
+ * center's current demand, directly entered yearly values and a growth rate
+ */
+
+// Planning years accepted by the API and the DemandCenter schema
+const MIN_PROJECTION_YEAR = 2000;
+const MAX_PROJECTION_YEAR = 2100;
+
+// Longest series returned by one projection request
+const MAX_SERIES_YEARS = 100;
+
+/**
+ * Read an optional planning year from a query or body value
+ * @returns {number|null} Year, or null when no year was given
+ * @throws {Error} With status 400 for anything but a whole year in range
+ */
+function parseYear(value, name = 'year') {
+  if (value === undefined || value === null || value === '') return null;
+  const year = Number(value);
+  if (!Number.isInteger(year) || year < MIN_PROJECTION_YEAR || year > MAX_PROJECTION_YEAR) {
+    throw badRequest(`${name} must be a whole year between ${MIN_PROJECTION_YEAR} and ${MAX_PROJECTION_YEAR}`);
+  }
+  return year;
+}
+
+/**
+ * Year in which a center's `demand` applies
+ * Centers saved without a base year use the year they were added
+ */
+function baseYearOf(center) {
+  const projection = center.demandProjection || {};
+  if (projection.baseYear) return projection.baseYear;
+  return (center.createdAt ? new Date(center.createdAt) : new Date()).getUTCFullYear();
+}
+
+/**
+ * Known demand points of a center in year order: `demand` in the base year
+ * plus the directly entered years, which win over the base year when both
+ * name the same year
+ */
+function demandAnchors(center) {
+  const entered = ((center.demandProjection && center.demandProjection.years) || [])
+    .map(({ year, demand }) => ({ year, demand }));
+  const baseYear = baseYearOf(center);
+  const anchors = entered.some(point => point.year === baseYear)
+    ? entered
+    : [...entered, { year: baseYear, demand: center.demand }];
+  return anchors.sort((a, b) => a.year - b.year);
+}
+
+/**
+ * Annual demand of a center in a planning year, in tonnes
+ * Between known years demand is interpolated linearly. After the last known
+ * year it grows at `growthRate` per year (compound), or stays flat without
+ * one; before the first known year it stays at that year's value
+ * @param {Object} center - Demand center document or plain record
+ * @param {number|null} year - Planning year; null returns the current `demand`
+ * @returns {number} Demand in tonnes per year
+ */
+function projectDemand(center, year) {
+  if (year === null || year === undefined) return center.demand;
+
+  const anchors = demandAnchors(center);
+  const first = anchors[0];
+  const last = anchors[anchors.length - 1];
+  if (year <= first.year) return first.demand;
+
+  if (year >= last.year) {
+    const growthRate = center.demandProjection && center.demandProjection.growthRate;
+    if (!growthRate) return last.demand;
+    return Math.round(last.demand * Math.pow(1 + growthRate, year - last.year) * 100) / 100;
+  }
+
+  const after = anchors.findIndex(point => point.year >= year);
+  const next = anchors[after];
+  const previous = anchors[after - 1];
+  if (next.year === year) return next.demand;
+  const share = (year - previous.year) / (next.year - previous.year);
+  return Math.round((previous.demand + share * (next.demand - previous.demand)) * 100) / 100;
+}
+
+/**
+ * Projected demand of a center for every year in a range
+ * @returns {Array} [{ year, demand, source }] where source is 'entered' for
+ *   base and directly entered years, 'interpolated' between them and
+ *   'growth' or 'flat' outside them
+ * @throws {Error} With status 400 for an invalid or too long range
+ */
+function projectionSeries(center, fromYear, toYear) {
+  if (fromYear > toYear) throw badRequest('from must not be after to');
+  if (toYear - fromYear + 1 > MAX_SERIES_YEARS) {
+    throw badRequest(`Request at most ${MAX_SERIES_YEARS} years at a time`);
+  }
+
+  const anchors = demandAnchors(center);
+  const known = new Set(anchors.map(point => point.year));
+  const first = anchors[0].year;
+  const last = anchors[anchors.length - 1].year;
+  const growthRate = center.demandProjection && center.demandProjection.growthRate;
+
+  const series = [];
+  for (let year = fromYear; year <= toYear; year++) {
+    let source = 'interpolated';
+    if (known.has(year)) source = 'entered';
+    else if (year > last && growthRate) source = 'growth';
+    else if (year < first || year > last) source = 'flat';
+    series.push({ year, demand: projectDemand(center, year), source });
+  }
+  return series;
+}
+
+module.exports = {
+  MIN_PROJECTION_YEAR,
+  MAX_PROJECTION_YEAR,
+  parseYear,
+  baseYearOf,
+  projectDemand,
+  projectionSeries
+};
@@ -35,6 +35,91 @@ function toRad(degrees) {
   return degrees * (Math.PI / 180);
 }
 
+// Version of the mock site data behind the scores. A location always scores the
+// same for one version; bump it when the generators below change
+const SCORING_DATA_VERSION = process.env.SCORING_DATA_VERSION || '2024.1';
+
+/**
+ * Deterministic noise for a location, in place of Math.random()
+ * Keyed on the data version, the generator and the coordinates (to 5 decimal
+ * places, about 1 m), so repeated requests and area analyses give the same
+ * scores and each factor varies independently
+ * @param {number} lat - Latitude
+ * @param {number} lng - Longitude
+ * @param {string} channel - Name of the factor, e.g. 'wind'
+ * @returns {number} Value in [0, 1)
+ */
+function seededNoise(lat, lng, channel) {
+  const key = `${SCORING_DATA_VERSION}:${channel}:${Number(lat).toFixed(5)}:${Number(lng).toFixed(5)}`;
+
+  // FNV-1a hash of the key
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < key.length; i++) {
+    hash ^= key.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+
+  // Final mix (MurmurHash3 fmix32) so neighbouring coordinates spread evenly
+  hash ^= hash >>> 16;
+  hash = Math.imul(hash, 0x85ebca6b);
+  hash ^= hash >>> 13;
+  hash = Math.imul(hash, 0xc2b2ae35);
+  hash ^= hash >>> 16;
+
+  return (hash >>> 0) / 4294967296;
+}
+
+// Factors of the suitability score and the points each is worth by default
+const DEFAULT_WEIGHTS = {
+  renewable: 30,
+  demand: 25,
+  grid: 25,
+  regulatory: 20
+};
+
+/**
+ * Validate suitability factor weights and scale them to add up to 100
+ * Factors left out keep their default weight; a weight of 0 ignores the factor
+ * @param {Object} weights - e.g. { demand: 50, grid: 10 }; defaults when omitted
+ * @returns {Object} Points for every factor of DEFAULT_WEIGHTS, summing to 100
+ * @throws {Error} With status 400 when the weights cannot be used
+ */
+function normalizeWeights(weights) {
+  if (weights === undefined || weights === null) return { ...DEFAULT_WEIGHTS };
+
+  const fail = message => {
+    const error = new Error(message);
+    error.status = 400;
+    throw error;
+  };
+  const factors = Object.keys(DEFAULT_WEIGHTS);
+
+  if (typeof weights !== 'object' || Array.isArray(weights)) {
+    fail(`weights must be an object of points per factor: ${factors.join(', ')}`);
+  }
+  const unknown = Object.keys(weights).filter(factor => !factors.includes(factor));
+  if (unknown.length > 0) {
+    fail(`Unknown weight factors: ${unknown.join(', ')}. Allowed factors: ${factors.join(', ')}`);
+  }
+
+  const merged = { ...DEFAULT_WEIGHTS };
+  Object.entries(weights).forEach(([factor, value]) => {
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      fail(`Weight of ${factor} must be a number of at least 0`);
+    }
+    merged[factor] = value;
+  });
+
+  const total = factors.reduce((sum, factor) => sum + merged[factor], 0);
+  if (total === 0) fail('At least one weight must be above 0');
+
+  const normalized = {};
+  factors.forEach(factor => {
+    normalized[factor] = Math.round((merged[factor] / total) * 10000) / 100;
+  });
+  return normalized;
+}
+
 /**
  * Generate mock renewable energy potential for a given location
  * In a real system, this would query weather/solar irradiance data
@@ -43,7 +128,7 @@ function toRad(degrees) {
  * @returns {number} Renewable potential in kWh/m²/year
  */
 function generateRenewablePotential(lat, lng) {
-  // Base potential with some randomness
+  // Base potential with some location-keyed variation
   let basePotential = 1750; // Average solar potential
   
   // Delhi NCR region (good solar potential)
@@ -66,7 +151,7 @@ function generateRenewablePotential(lat, lng) {
     basePotential = 1870; // Good potential for Haryana
   }
   
-  const randomFactor = Math.random() * 150 - 75; // ±75 variation for more realistic spread
+  const randomFactor = seededNoise(lat, lng, 'renewable') * 150 - 75; // ±75 variation for more realistic spread
   
   // Factor in latitude (closer to equator = higher potential)
   const latitudeFactor = Math.cos(toRad(Math.abs(lat))) * 30; // Reduced impact
@@ -113,8 +198,8 @@ function generateGridDistance(lat, lng) {
     }
   });
   
-  // Add some randomness for more realistic mock data
-  const randomFactor = Math.random() * 10; // 0-10 km variation (reduced from 20)
+  // Add some variation for more realistic mock data
+  const randomFactor = seededNoise(lat, lng, 'grid') * 10; // 0-10 km variation (reduced from 20)
   return Math.round((minDistance + randomFactor) * 100) / 100;
 }
 
@@ -124,9 +209,11 @@ function generateGridDistance(lat, lng) {
  * @param {number} lng - Longitude
  * @param {number} distanceToDemand - Distance to nearest demand center in km
  * @param {number} regulatoryScore - Regulatory score (0-100) from regulatory analysis
- * @returns {Object} Score object with overall score and breakdown
+ * @param {Object} weights - Points per factor from normalizeWeights (default DEFAULT_WEIGHTS)
+ * @returns {Object} Score object with overall score, breakdown, the weights used
+ *   and the data version
  */
-function calculateSuitabilityScore(lat, lng, distanceToDemand, regulatoryScore = 30) {
+function calculateSuitabilityScore(lat, lng, distanceToDemand, regulatoryScore = 30, weights = DEFAULT_WEIGHTS) {
   // Generate renewable potential and grid distance
   const renewablePotential = generateRenewablePotential(lat, lng);
   const distanceToGrid = generateGridDistance(lat, lng);
@@ -135,24 +222,26 @@ function calculateSuitabilityScore(lat, lng, distanceToDemand, regulatoryScore =
   const windSpeed = generateWindSpeed(lat, lng);
   const infrastructureAccess = generateInfrastructureAccess(lat, lng);
   
-  // Calculate score components using updated formula with regulatory factors
-  // Renewable potential: 30 points possible (reduced from 40 to make room for regulatory)
-  const renewableScore = (renewablePotential / 2000) * 30;
+  // Calculate score components; each factor is worth its weight in points
+  // Renewable potential: 30 points by default
+  const renewableScore = (renewablePotential / 2000) * weights.renewable;
   
-  // Demand accessibility: 25 points possible (reduced from 30)
-  const demandScore = Math.max(0, 25 * Math.exp(-distanceToDemand / 100));
+  // Demand accessibility: 25 points by default
+  const demandScore = Math.max(0, weights.demand * Math.exp(-distanceToDemand / 100));
   
-  // Grid accessibility: 25 points possible (reduced from 30)
-  const gridScore = Math.max(0, 25 * Math.exp(-distanceToGrid / 150));
+  // Grid accessibility: 25 points by default
+  const gridScore = Math.max(0, weights.grid * Math.exp(-distanceToGrid / 150));
   
-  // Regulatory environment: 20 points possible (new factor)
-  const regulatoryComponent = (regulatoryScore / 100) * 20;
+  // Regulatory environment: 20 points by default
+  const regulatoryComponent = (regulatoryScore / 100) * weights.regulatory;
   
   // Total score (0-100 scale)
   const totalScore = renewableScore + demandScore + gridScore + regulatoryComponent;
   
   return {
     score: Math.round(totalScore * 100) / 100, // Round to 2 decimal places
+    dataVersion: SCORING_DATA_VERSION,
+    weights: { ...weights },
     details: {
       renewablePotential,
       distanceToDemand: Math.round(distanceToDemand * 100) / 100,
@@ -205,8 +294,8 @@ function generateWindSpeed(lat, lng) {
     baseWindSpeed += 1.2; // Desert wind bonus
   }
   
-  // Add some randomness but keep it realistic
-  const randomFactor = (Math.random() - 0.5) * 2.5; // ±1.25 m/s variation
+  // Add some variation but keep it realistic
+  const randomFactor = (seededNoise(lat, lng, 'wind') - 0.5) * 2.5; // ±1.25 m/s variation
   return Math.max(4.0, Math.min(12.0, Math.round((baseWindSpeed + randomFactor) * 10) / 10));
 }
 
@@ -253,12 +342,16 @@ function generateInfrastructureAccess(lat, lng) {
   }
   
   // Add realistic variation
-  const randomFactor = (Math.random() - 0.5) * 1.5; // ±0.75 variation
+  const randomFactor = (seededNoise(lat, lng, 'infrastructure') - 0.5) * 1.5; // ±0.75 variation
   const finalScore = Math.max(1, Math.min(10, baseScore + randomFactor));
   return Math.round(finalScore * 10) / 10;
 }
 
 module.exports = {
+  SCORING_DATA_VERSION,
+  DEFAULT_WEIGHTS,
+  seededNoise,
+  normalizeWeights,
   calculateDistance,
   calculateSuitabilityScore,
   generateRenewablePotential,
@@ -0,0 +1,177 @@
+const geojsonvt = require('geojson-vt');
+const vtpbf = require('vt-pbf');
+const { ASSET_TYPES, toFeatureCollection } = require('./geojson');
+const { bboxToPolygon } = require('./geometry');
+const { buildAttributeFilter } = require('./assetQuery');
+const { toPlain, flattenProperties } = require('./exporters');
+const { assetChanges } = require('./changes');
+
+/**
+ * Tile Utilities for H2 Optimize
+ * Mapbox Vector Tiles generated from the asset collections, with an in-memory
+ * cache that is cleared for a layer whenever one of its assets is written
+ */
+
+const MAX_TILE_ZOOM = 22;
+
+// Tile coordinate space and the margin kept around each tile, in tile units,
+// so that lines and symbols crossing tile edges render without seams
+const TILE_EXTENT = 4096;
+const TILE_BUFFER = 64;
+
+// Simplification tolerance in tile units, applied by geojson-vt at every zoom
+const SIMPLIFY_TOLERANCE = 3;
+
+// Web Mercator cannot show the poles
+const MAX_LATITUDE = 85.0511287798;
+
+// Cached tiles are kept for at most this long, to pick up writes made outside
+// this process (e.g. by the seed script)
+const CACHE_TTL_MS = 5 * 60 * 1000;
+const CACHE_MAX_TILES = 2000;
+
+// Encoded tiles by `${layer}/${z}/${x}/${y}?${filters}#${baseFilter}`, least recently used first
+const tileCache = new Map();
+
+/**
+ * Parse and check tile coordinates from the route
+ * @param {Object} params - { z, x, y } route parameters
+ * @returns {Object} { z, x, y } as integers
+ * @throws {Error} With status 400 for coordinates outside the tile grid
+ */
+function parseTileCoordinates(params) {
+  const [z, x, y] = [params.z, params.x, params.y].map(Number);
+  if (!Number.isInteger(z) || z < 0 || z > MAX_TILE_ZOOM) {
+    const error = new Error(`z must be an integer between 0 and ${MAX_TILE_ZOOM}`);
+    error.status = 400;
+    throw error;
+  }
+  const size = Math.pow(2, z);
+  if (![x, y].every(n => Number.isInteger(n) && n >= 0 && n < size)) {
+    const error = new Error(`x and y must be integers between 0 and ${size - 1} at zoom ${z}`);
+    error.status = 400;
+    throw error;
+  }
+  return { z, x, y };
+}
+
+/**
+ * Geographic bounds of a Web Mercator tile, widened by the tile buffer
+ * @returns {Object} { west, south, east, north } in degrees
+ */
+function tileBounds(z, x, y) {
+  const size = Math.pow(2, z);
+  const margin = TILE_BUFFER / TILE_EXTENT;
+  const lng = tx => (tx / size) * 360 - 180;
+  const lat = ty => (Math.atan(Math.sinh(Math.PI * (1 - (2 * ty) / size))) * 180) / Math.PI;
+
+  return {
+    west: Math.max(-180, lng(x - margin)),
+    east: Math.min(180, lng(x + 1 + margin)),
+    north: Math.min(MAX_LATITUDE, lat(Math.max(0, y - margin))),
+    south: Math.max(-MAX_LATITUDE, lat(Math.min(size, y + 1 + margin)))
+  };
+}
+
+/**
+ * Vector tile Feature properties: nested fields as dotted keys, empty values dropped
+ */
+function tileProperties(properties) {
+  const flat = flattenProperties(properties);
+  Object.keys(flat).forEach(key => {
+    if (flat[key] === '') delete flat[key];
+  });
+  return flat;
+}
+
+/**
+ * Generate a vector tile for one asset layer
+ * Assets inside (points) or crossing (lines, polygons) the tile are loaded and
+ * cut to the tile by geojson-vt, which simplifies geometries for the zoom level
+ * @param {string} assetType - Key of ASSET_TYPES
+ * @param {Object} coordinates - { z, x, y }
+ * @param {Object} query - Attribute filters, see buildAttributeFilter
+ * @param {Object} baseFilter - Default mongo filter, overridden by the attribute filters
+ * @returns {Promise<Buffer|null>} Encoded tile with one layer named after the
+ *   collection path, or null when the tile is empty
+ */
+async function generateTile(assetType, { z, x, y }, query = {}, baseFilter = {}) {
+  const { model: Model, path, geometryField, geometryType } = ASSET_TYPES[assetType];
+
+  const operator = geometryType === 'Point' ? '$geoWithin' : '$geoIntersects';
+  const filter = {
+    ...baseFilter,
+    ...buildAttributeFilter(assetType, query),
+    [geometryField]: { [operator]: { $geometry: bboxToPolygon(tileBounds(z, x, y)) } }
+  };
+  const docs = await Model.find(filter);
+  if (docs.length === 0) return null;
+
+  const collection = toPlain(toFeatureCollection(assetType, docs));
+  collection.features.forEach(feature => {
+    feature.properties = tileProperties(feature.properties);
+  });
+
+  const index = geojsonvt(collection, {
+    maxZoom: z,
+    indexMaxZoom: 0,
+    extent: TILE_EXTENT,
+    buffer: TILE_BUFFER,
+    tolerance: SIMPLIFY_TOLERANCE
+  });
+  const tile = index.getTile(z, x, y);
+  if (!tile || tile.features.length === 0) return null;
+
+  return Buffer.from(vtpbf.fromGeojsonVt({ [path]: tile }, { version: 2, extent: TILE_EXTENT }));
+}
+
+/**
+ * Get a vector tile from the cache, generating it on a miss
+ * Takes the arguments of generateTile
+ * @returns {Promise<Object>} { tile: Buffer|null, cached: boolean }
+ */
+async function getTile(assetType, coordinates, query = {}, baseFilter = {}) {
+  const filters = Object.keys(query).sort().map(key => `${key}=${query[key]}`).join('&');
+  const key = `${assetType}/${coordinates.z}/${coordinates.x}/${coordinates.y}?${filters}#${JSON.stringify(baseFilter)}`;
+
+  const entry = tileCache.get(key);
+  if (entry && Date.now() - entry.createdAt < CACHE_TTL_MS) {
+    // Move to the most recently used end
+    tileCache.delete(key);
+    tileCache.set(key, entry);
+    return { tile: entry.tile, cached: true };
+  }
+
+  const tile = await generateTile(assetType, coordinates, query, baseFilter);
+  tileCache.delete(key);
+  tileCache.set(key, { tile, createdAt: Date.now(), assetType });
+  while (tileCache.size > CACHE_MAX_TILES) {
+    tileCache.delete(tileCache.keys().next().value);
+  }
+  return { tile, cached: false };
+}
+
+/**
+ * Drop the cached tiles of one layer, or of every layer
+ * @param {string} [assetType] - Key of ASSET_TYPES
+ */
+function clearTileCache(assetType) {
+  tileCache.forEach((entry, key) => {
+    if (!assetType || entry.assetType === assetType) tileCache.delete(key);
+  });
+}
+
+// Any write to an asset can change every tile of its layer
+assetChanges.on('change', ({ modelName }) => {
+  const assetType = Object.keys(ASSET_TYPES).find(key => ASSET_TYPES[key].model.modelName === modelName);
+  if (assetType) clearTileCache(assetType);
+});
+
+module.exports = {
+  MAX_TILE_ZOOM,
+  parseTileCoordinates,
+  tileBounds,
+  generateTile,
+  getTile,
+  clearTileCache
+};
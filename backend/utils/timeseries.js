@@ -0,0 +1,237 @@
+const mongoose = require('mongoose');
+const Measurement = require('../models/Measurement');
+const { ASSET_TYPES } = require('./geojson');
+const { parseCsv } = require('./csv');
+const { badRequest } = require('./assetQuery');
+
+/**
+ * Time Series Utilities for H2 Optimize
+ * Ingestion and resampling of measured plant output and storage fill levels
+ */
+
+// The measured metric of each asset type and how readings combine when resampled:
+// production adds up over a period, fill levels are averaged
+const TIME_SERIES_METRICS = {
+  plants: { metric: 'production', label: 'Hydrogen output', unit: 'tonnes', aggregation: 'sum' },
+  storage: { metric: 'fillLevel', label: 'Fill level', unit: 'tonnes', aggregation: 'mean' }
+};
+
+const RESAMPLE_INTERVALS = ['hour', 'day', 'month'];
+
+// Period shown when a query gives no `from`, by interval
+const DEFAULT_WINDOW_MS = {
+  hour: 2 * 24 * 60 * 60 * 1000,
+  day: 30 * 24 * 60 * 60 * 1000,
+  month: 365 * 24 * 60 * 60 * 1000
+};
+
+// Approximate bucket lengths, used to cap the size of a response
+const INTERVAL_MS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  month: 31 * 24 * 60 * 60 * 1000
+};
+const MAX_POINTS = 5000;
+
+const MAX_BATCH_SIZE = 50000;
+
+/**
+ * Parse a date from a query, body or CSV value
+ * Numbers are taken as Unix epoch milliseconds
+ * @returns {Date|null} Date, or null when the value is not a valid date
+ */
+function parseDate(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = typeof value === 'number' || /^\d+$/.test(String(value))
+    ? new Date(Number(value))
+    : new Date(String(value));
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Read measurement records from a request body
+ * Accepts CSV text with assetId, timestamp and value columns, a JSON array of
+ * { assetId, timestamp, value } objects, or { measurements: [...] }.
+ * assetId may be left out when the batch is for a single asset
+ * @param {string|Object|Array} body - Parsed request body
+ * @param {string} [assetId] - Asset the whole batch belongs to
+ * @returns {Object} { records: [{ row, assetId, timestamp, value }], errors: [{ row, message }] }
+ * @throws {Error} With status 400 when the body is not a measurement batch
+ */
+function parseMeasurements(body, assetId) {
+  let rows;
+  if (typeof body === 'string') {
+    rows = parseCsv(body).rows;
+  } else if (Array.isArray(body)) {
+    rows = body;
+  } else if (body && Array.isArray(body.measurements)) {
+    rows = body.measurements;
+  } else {
+    throw badRequest('Send measurements as a JSON array, as { measurements: [...] } or as CSV with assetId, timestamp and value columns');
+  }
+
+  if (rows.length === 0) throw badRequest('The batch contains no measurements');
+  if (rows.length > MAX_BATCH_SIZE) throw badRequest(`Send at most ${MAX_BATCH_SIZE} measurements per batch`);
+
+  const records = [];
+  const errors = [];
+  rows.forEach((raw, index) => {
+    const row = raw && raw.__line ? raw.__line : index + 1;
+    const messages = [];
+
+    const id = String((raw && raw.assetId) || assetId || '').trim();
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      messages.push(id ? `${id} is not a valid assetId` : 'assetId is required');
+    } else if (assetId && id !== String(assetId)) {
+      messages.push(`assetId ${id} does not match the asset in the URL`);
+    }
+
+    const timestamp = parseDate(raw && raw.timestamp);
+    if (!timestamp) messages.push('timestamp must be an ISO 8601 date or epoch milliseconds');
+
+    const value = raw && raw.value !== '' && raw.value !== null ? Number(raw.value) : NaN;
+    if (!Number.isFinite(value) || value < 0) messages.push('value must be a non-negative number');
+
+    if (messages.length > 0) {
+      errors.push({ row, message: messages.join('; ') });
+    } else {
+      records.push({ row, assetId: id, timestamp, value });
+    }
+  });
+
+  return { records, errors };
+}
+
+/**
+ * Store measurement records for one asset type
+ * Records for unknown assets are rejected. A reading for an asset at a
+ * timestamp that is already stored, or repeated within the batch, is skipped
+ * as a duplicate, so that re-sending a batch is harmless
+ * @param {string} assetType - plants or storage
+ * @param {Array} records - From parseMeasurements
+ * @param {Object} options - { dryRun }
+ * @returns {Promise<Object>} { inserted, duplicates, errors: [{ row, message }] }
+ */
+async function ingestMeasurements(assetType, records, { dryRun = false } = {}) {
+  const { metric } = TIME_SERIES_METRICS[assetType];
+  const { model: Model, label } = ASSET_TYPES[assetType];
+  const errors = [];
+
+  const assetIds = [...new Set(records.map(record => record.assetId))];
+  const existing = await Model.find({ _id: { $in: assetIds } }).select('_id');
+  const known = new Set(existing.map(doc => String(doc._id)));
+
+  // Readings already stored in the batch's time range
+  const times = records.map(record => record.timestamp.getTime());
+  const stored = await Measurement.find({
+    'meta.assetId': { $in: assetIds.filter(id => known.has(id)) },
+    'meta.metric': metric,
+    timestamp: { $gte: new Date(Math.min(...times)), $lte: new Date(Math.max(...times)) }
+  }).select('meta.assetId timestamp').lean();
+  const seen = new Set(stored.map(m => `${m.meta.assetId}@${m.timestamp.getTime()}`));
+
+  let duplicates = 0;
+  const documents = [];
+  records.forEach(record => {
+    if (!known.has(record.assetId)) {
+      errors.push({ row: record.row, message: `No ${label} exists with id ${record.assetId}` });
+      return;
+    }
+    const key = `${record.assetId}@${record.timestamp.getTime()}`;
+    if (seen.has(key)) {
+      duplicates += 1;
+      return;
+    }
+    seen.add(key);
+    documents.push({
+      timestamp: record.timestamp,
+      meta: { assetType, assetId: record.assetId, metric },
+      value: record.value
+    });
+  });
+
+  if (!dryRun && documents.length > 0) {
+    await Measurement.insertMany(documents, { ordered: false });
+  }
+
+  return { inserted: documents.length, duplicates, errors };
+}
+
+/**
+ * Read the resampling options of a time-series query
+ * @param {Object} query - { interval, from, to }
+ * @returns {Object} { interval, from, to } with Dates; `to` defaults to now
+ *   and `from` to a window that suits the interval
+ * @throws {Error} With status 400 for invalid options or too many points
+ */
+function parseResampleOptions(query) {
+  const interval = query.interval || 'day';
+  if (!RESAMPLE_INTERVALS.includes(interval)) {
+    throw badRequest(`interval must be one of: ${RESAMPLE_INTERVALS.join(', ')}`);
+  }
+
+  const to = query.to === undefined ? new Date() : parseDate(query.to);
+  const from = query.from === undefined ? (to && new Date(to.getTime() - DEFAULT_WINDOW_MS[interval])) : parseDate(query.from);
+  if (!from || !to) throw badRequest('from and to must be ISO 8601 dates or epoch milliseconds');
+  if (from >= to) throw badRequest('from must be before to');
+  if ((to - from) / INTERVAL_MS[interval] > MAX_POINTS) {
+    throw badRequest(`The range is too long for ${interval} intervals; use a coarser interval or a shorter range`);
+  }
+
+  return { interval, from, to };
+}
+
+/**
+ * Resample an asset's measurements into hour, day or month buckets (UTC)
+ * Each point has the bucket start as `timestamp`, the resampled `value` (sum
+ * for production, mean for fill levels), the `min` and `max` readings, the
+ * `last` reading and the number of readings in `count`. Buckets without
+ * readings are left out
+ * @param {string} assetType - plants or storage
+ * @param {string} assetId - Asset id
+ * @param {Object} options - { interval, from, to } from parseResampleOptions
+ * @returns {Promise<Array>} Points in time order
+ */
+async function resampleMeasurements(assetType, assetId, { interval, from, to }) {
+  const { metric, aggregation } = TIME_SERIES_METRICS[assetType];
+
+  const buckets = await Measurement.aggregate([
+    {
+      $match: {
+        'meta.assetId': new mongoose.Types.ObjectId(assetId),
+        'meta.metric': metric,
+        timestamp: { $gte: from, $lt: to }
+      }
+    },
+    { $sort: { timestamp: 1 } },
+    {
+      $group: {
+        _id: { $dateTrunc: { date: '$timestamp', unit: interval, timezone: 'UTC' } },
+        value: aggregation === 'sum' ? { $sum: '$value' } : { $avg: '$value' },
+        min: { $min: '$value' },
+        max: { $max: '$value' },
+        last: { $last: '$value' },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { _id: 1 } }
+  ]);
+
+  return buckets.map(({ _id, value, min, max, last, count }) => ({
+    timestamp: _id,
+    value: Math.round(value * 1000) / 1000,
+    min,
+    max,
+    last,
+    count
+  }));
+}
+
+module.exports = {
+  TIME_SERIES_METRICS,
+  RESAMPLE_INTERVALS,
+  parseMeasurements,
+  ingestMeasurements,
+  parseResampleOptions,
+  resampleMeasurements
+};
@@ -0,0 +1,328 @@
+const path = require('path');
+const AdmZip = require('adm-zip');
+const proj4 = require('proj4');
+const shapefile = require('shapefile');
+const { DOMParser } = require('@xmldom/xmldom');
+const { kml } = require('@tmcw/togeojson');
+const { badRequest } = require('./assetQuery');
+
+/**
+ * Zone Converter Utilities for H2 Optimize
+ * Converts KML, KMZ and zipped Shapefile boundaries into GeoJSON Features
+ * ready for the regulatory zone importer
+ */
+
+const WGS84 = 'EPSG:4326';
+const SUPPORTED_FORMATS = ['kml', 'kmz', 'shapefile'];
+
+// DBF text encoding when a layer has no .cpg, as the Shapefile format specifies
+const DEFAULT_DBF_ENCODING = 'windows-1252';
+
+// Encodings of the numeric code pages found in .cpg files
+const CODE_PAGES = {
+  866: 'ibm866',
+  874: 'windows-874',
+  932: 'shift_jis',
+  936: 'gbk',
+  949: 'euc-kr',
+  950: 'big5',
+  65001: 'utf-8'
+};
+
+/**
+ * Entries of a zip archive
+ * @param {Buffer} buffer - Zip archive
+ * @returns {Array} AdmZip entries
+ * @throws {Error} With status 400 when the archive is truncated or corrupt
+ */
+function zipEntries(buffer) {
+  try {
+    return new AdmZip(buffer).getEntries();
+  } catch (error) {
+    throw badRequest('File is not a valid zip archive');
+  }
+}
+
+/**
+ * Uncompressed contents of a zip entry
+ * @param {Object} entry - AdmZip entry
+ * @returns {Buffer} Contents
+ * @throws {Error} With status 400 when the entry is damaged
+ */
+function entryData(entry) {
+  try {
+    return entry.getData();
+  } catch (error) {
+    throw badRequest(`File is not a valid zip archive: ${entry.entryName} cannot be read`);
+  }
+}
+
+/**
+ * Work out the file format from an explicit hint or the file contents
+ * Zip archives are treated as KMZ when they contain a .kml document and as
+ * Shapefiles when they contain a .shp
+ * @param {Buffer} buffer - Uploaded file
+ * @param {string} hint - Optional `format` parameter
+ * @returns {string} One of SUPPORTED_FORMATS
+ */
+function detectFormat(buffer, hint) {
+  if (hint) {
+    const format = String(hint).toLowerCase() === 'shp' ? 'shapefile' : String(hint).toLowerCase();
+    if (!SUPPORTED_FORMATS.includes(format)) {
+      throw badRequest(`Unsupported format ${hint}. Use one of: ${SUPPORTED_FORMATS.join(', ')}`);
+    }
+    return format;
+  }
+
+  // Zip archives start with "PK"
+  if (buffer.length > 1 && buffer[0] === 0x50 && buffer[1] === 0x4b) {
+    const names = zipEntries(buffer).map(entry => entry.entryName.toLowerCase());
+    if (names.some(name => name.endsWith('.shp'))) return 'shapefile';
+    if (names.some(name => name.endsWith('.kml'))) return 'kmz';
+    throw badRequest('Zip archive contains neither a .shp nor a .kml file');
+  }
+
+  if (buffer.toString('utf8', 0, 1024).includes('<kml')) return 'kml';
+
+  throw badRequest('Could not detect the file format. Pass format=kml, kmz or shapefile');
+}
+
+/**
+ * Parse a KML document into GeoJSON Features
+ * @param {string} text - KML XML
+ * @returns {Array} Features
+ */
+function parseKml(text) {
+  // Malformed XML is rejected rather than read as far as the parser gets
+  let problem = null;
+  let doc;
+  try {
+    doc = new DOMParser({
+      onError: (level, message) => {
+        if (level !== 'warning' && !problem) problem = message;
+      }
+    }).parseFromString(text, 'text/xml');
+  } catch (error) {
+    problem = problem || error.message;
+  }
+  if (problem) {
+    throw badRequest(`File is not a valid KML document: ${problem}`);
+  }
+  if (!doc || doc.getElementsByTagName('kml').length === 0) {
+    throw badRequest('File is not a valid KML document');
+  }
+  return kml(doc).features;
+}
+
+/**
+ * Parse a KMZ archive, using doc.kml or else the first .kml it contains
+ * @param {Buffer} buffer - KMZ file
+ * @returns {Array} Features
+ */
+function parseKmz(buffer) {
+  const entries = zipEntries(buffer).filter(entry => entry.entryName.toLowerCase().endsWith('.kml'));
+  if (entries.length === 0) {
+    throw badRequest('KMZ archive does not contain a .kml document');
+  }
+  const main = entries.find(entry => path.basename(entry.entryName).toLowerCase() === 'doc.kml') || entries[0];
+  return parseKml(entryData(main).toString('utf8'));
+}
+
+/**
+ * Work out the DBF text encoding from the contents of a .cpg file
+ * Accepts encoding labels (`UTF-8`, `ISO-8859-1`) and the bare code pages
+ * ArcGIS writes (`1252`, `88591`)
+ * @param {string} [cpg] - .cpg file contents; windows-1252 when missing
+ * @returns {string} Encoding label for TextDecoder
+ * @throws {Error} With status 400 for unknown encodings
+ */
+function dbfEncoding(cpg) {
+  const value = cpg === undefined ? '' : cpg.trim();
+  if (!value) return DEFAULT_DBF_ENCODING;
+
+  let label = value;
+  const codePage = Number(value);
+  const iso = value.match(/^(?:iso)?[\s_-]*8859[\s_-]*(\d{1,2})$/i);
+  if (iso) {
+    label = `iso-8859-${iso[1]}`;
+  } else if (Number.isInteger(codePage)) {
+    if (CODE_PAGES[codePage]) label = CODE_PAGES[codePage];
+    else if (codePage >= 1250 && codePage <= 1258) label = `windows-${codePage}`;
+    else if (codePage >= 28591 && codePage <= 28605) label = `iso-8859-${codePage - 28590}`;
+  }
+
+  try {
+    new TextDecoder(label);
+  } catch (error) {
+    throw badRequest(`Unsupported Shapefile encoding in .cpg: ${value}`);
+  }
+  return label;
+}
+
+/**
+ * Parse every Shapefile in a zip archive
+ * Each .shp is read with its .dbf for attributes, .cpg for the text
+ * encoding (see dbfEncoding) and .prj for reprojection to WGS84
+ * @param {Buffer} buffer - Zip archive
+ * @param {string} sourceCrs - Projection to assume when a layer has no .prj
+ * @returns {Promise<Array>} Features in WGS84
+ */
+async function parseShapefileZip(buffer, sourceCrs) {
+  const entries = zipEntries(buffer);
+  const byName = {};
+  entries.forEach(entry => {
+    byName[entry.entryName.toLowerCase()] = entry;
+  });
+
+  const shpEntries = entries.filter(entry => entry.entryName.toLowerCase().endsWith('.shp'));
+  if (shpEntries.length === 0) {
+    throw badRequest('Zip archive does not contain a .shp file');
+  }
+
+  const features = [];
+  for (const shpEntry of shpEntries) {
+    const base = shpEntry.entryName.toLowerCase().replace(/\.shp$/, '');
+    const dbfEntry = byName[`${base}.dbf`];
+    const prjEntry = byName[`${base}.prj`];
+    const cpgEntry = byName[`${base}.cpg`];
+
+    const collection = await shapefile.read(
+      entryData(shpEntry),
+      dbfEntry ? entryData(dbfEntry) : undefined,
+      { encoding: dbfEncoding(cpgEntry ? entryData(cpgEntry).toString('utf8') : undefined) }
+    );
+
+    const projection = prjEntry ? entryData(prjEntry).toString('utf8') : sourceCrs;
+    features.push(...reprojectFeatures(collection.features, projection));
+  }
+
+  return features;
+}
+
+/**
+ * Reproject Feature geometries to WGS84 longitude/latitude
+ * @param {Array} features - GeoJSON Features
+ * @param {string} projection - WKT, proj4 string or EPSG code; WGS84 when empty
+ * @returns {Array} Features with transformed coordinates
+ */
+function reprojectFeatures(features, projection) {
+  if (!projection || projection === WGS84) return features;
+
+  let converter;
+  try {
+    converter = proj4(projection, WGS84);
+  } catch (error) {
+    throw badRequest(`Unsupported projection: ${error.message || projection}`);
+  }
+
+  const transform = coords => (typeof coords[0] === 'number'
+    ? converter.forward([coords[0], coords[1]])
+    : coords.map(transform));
+
+  return features.map(feature => ({
+    ...feature,
+    geometry: feature.geometry && feature.geometry.coordinates
+      ? { ...feature.geometry, coordinates: transform(feature.geometry.coordinates) }
+      : feature.geometry
+  }));
+}
+
+/**
+ * Reduce a geometry to a 2D Polygon or MultiPolygon
+ * KML MultiGeometry (GeometryCollection) of polygons becomes a MultiPolygon
+ * @param {Object} geometry - GeoJSON geometry
+ * @returns {Object|null} Zone boundary, or null when the geometry has no polygons
+ */
+function toZoneBoundary(geometry) {
+  if (!geometry) return null;
+
+  const flatten = coords => (typeof coords[0] === 'number' ? [coords[0], coords[1]] : coords.map(flatten));
+
+  if (geometry.type === 'Polygon' || geometry.type === 'MultiPolygon') {
+    return { type: geometry.type, coordinates: flatten(geometry.coordinates) };
+  }
+
+  if (geometry.type === 'GeometryCollection') {
+    const polygons = [];
+    geometry.geometries.forEach(part => {
+      const boundary = toZoneBoundary(part);
+      if (!boundary) return;
+      if (boundary.type === 'Polygon') polygons.push(boundary.coordinates);
+      else polygons.push(...boundary.coordinates);
+    });
+    if (polygons.length === 0) return null;
+    return polygons.length === 1
+      ? { type: 'Polygon', coordinates: polygons[0] }
+      : { type: 'MultiPolygon', coordinates: polygons };
+  }
+
+  return null;
+}
+
+/**
+ * Apply a field mapping and default values to Feature properties
+ * @param {Object} properties - Source attributes (DBF fields or KML data)
+ * @param {Object} mapping - { schemaPath: sourceField }, e.g.
+ *   { "name": "ZONE_NM", "policies.subsidyPercentage": "SUBSIDY_PC" }
+ * @param {Object} defaults - { schemaPath: value } used when a field is missing
+ * @returns {Object} Properties keyed for the importer; mapped values win over
+ *   same-named source fields, which win over defaults
+ */
+function mapZoneProperties(properties, mapping = {}, defaults = {}) {
+  const source = { ...(properties || {}) };
+  const mapped = {};
+
+  Object.entries(mapping).forEach(([schemaPath, sourceField]) => {
+    if (source[sourceField] !== undefined && source[sourceField] !== null && source[sourceField] !== '') {
+      mapped[schemaPath] = source[sourceField];
+    }
+    delete source[sourceField];
+  });
+
+  return { ...defaults, ...source, ...mapped };
+}
+
+/**
+ * Convert an uploaded boundary file into zone Features
+ * @param {Buffer} buffer - Uploaded KML, KMZ or zipped Shapefile
+ * @param {Object} options - { format, sourceCrs, mapping, defaults }
+ * @returns {Promise<Object>} { format, features } where Features without a
+ *   polygon boundary carry a `geometryError` for the import report
+ */
+async function convertZoneFile(buffer, { format, sourceCrs, mapping, defaults } = {}) {
+  if (!Buffer.isBuffer(buffer) || buffer.length === 0) {
+    throw badRequest('Upload the KML, KMZ or zipped Shapefile as the request body');
+  }
+
+  const detected = detectFormat(buffer, format);
+
+  let features;
+  if (detected === 'kml') {
+    features = parseKml(buffer.toString('utf8'));
+  } else if (detected === 'kmz') {
+    features = parseKmz(buffer);
+  } else {
+    features = await parseShapefileZip(buffer, sourceCrs);
+  }
+
+  return {
+    format: detected,
+    features: features.map(feature => {
+      const boundary = toZoneBoundary(feature.geometry);
+      const converted = {
+        type: 'Feature',
+        properties: mapZoneProperties(feature.properties, mapping, defaults),
+        geometry: boundary
+      };
+      if (!boundary) {
+        converted.geometryError = `Only polygon boundaries can be imported as zones (got ${feature.geometry ? feature.geometry.type : 'no geometry'})`;
+      }
+      return converted;
+    })
+  };
+}
+
+module.exports = {
+  SUPPORTED_FORMATS,
+  convertZoneFile
+};
@@ -0,0 +1,357 @@
+/**
+ * Zone Geometry Utilities for H2 Optimize
+ * Checks regulatory zone boundaries for problems that make the 2dsphere index
+ * reject them or `$geoIntersects` misread them, and repairs them.
+ *
+ * Each problem is reported as an issue:
+ *   { code, severity, message, fix, polygon, ring }
+ * - severity `error`: the boundary cannot be stored as is (unclosed, self-crossing
+ *   or degenerate rings, invalid positions)
+ * - severity `warning`: the boundary is stored but breaks GeoJSON conventions
+ *   (clockwise exterior rings, counterclockwise holes, repeated positions)
+ * - fix: what a repair does about it, or null when it cannot be repaired
+ * - polygon, ring: 0-based indexes; ring 0 is the exterior ring
+ *
+ * Rings are examined in the plane of longitude and latitude, which matches the
+ * 2dsphere index closely for zones of regional size
+ */
+
+const samePosition = (a, b) => a[0] === b[0] && a[1] === b[1];
+
+const isPosition = (position) => Array.isArray(position) && position.length >= 2 &&
+  Number.isFinite(position[0]) && Number.isFinite(position[1]) &&
+  Math.abs(position[0]) <= 180 && Math.abs(position[1]) <= 90;
+
+/**
+ * Twice the signed area of an open ring; positive when counterclockwise
+ */
+function signedArea(vertices) {
+  let area = 0;
+  for (let i = 0; i < vertices.length; i++) {
+    const [x1, y1] = vertices[i];
+    const [x2, y2] = vertices[(i + 1) % vertices.length];
+    area += x1 * y2 - x2 * y1;
+  }
+  return area;
+}
+
+/**
+ * Which side of the line a→b the position c lies on (positive for the left)
+ */
+function turn(a, b, c) {
+  return (b[0] - a[0]) * (c[1] - a[1]) - (b[1] - a[1]) * (c[0] - a[0]);
+}
+
+function withinBox(a, b, p) {
+  return Math.min(a[0], b[0]) <= p[0] && p[0] <= Math.max(a[0], b[0]) &&
+    Math.min(a[1], b[1]) <= p[1] && p[1] <= Math.max(a[1], b[1]);
+}
+
+/**
+ * Position where the segments a→b and c→d cross or touch, or null
+ */
+function segmentIntersection(a, b, c, d) {
+  const d1 = turn(c, d, a);
+  const d2 = turn(c, d, b);
+  const d3 = turn(a, b, c);
+  const d4 = turn(a, b, d);
+
+  if (((d1 > 0 && d2 < 0) || (d1 < 0 && d2 > 0)) && ((d3 > 0 && d4 < 0) || (d3 < 0 && d4 > 0))) {
+    const t = d1 / (d1 - d2);
+    return [a[0] + t * (b[0] - a[0]), a[1] + t * (b[1] - a[1])];
+  }
+  if (d1 === 0 && withinBox(c, d, a)) return a;
+  if (d2 === 0 && withinBox(c, d, b)) return b;
+  if (d3 === 0 && withinBox(a, b, c)) return c;
+  if (d4 === 0 && withinBox(a, b, d)) return d;
+  return null;
+}
+
+/**
+ * Drop positions that repeat the one before, including across the ring's end
+ * @param {Array} vertices - Open ring (first position not repeated at the end)
+ * @returns {Array} Open ring without repeats
+ */
+function withoutRepeats(vertices) {
+  const kept = vertices.filter((position, index) => index === 0 || !samePosition(position, vertices[index - 1]));
+  while (kept.length > 1 && samePosition(kept[0], kept[kept.length - 1])) kept.pop();
+  return kept;
+}
+
+/**
+ * Find the first place where two non-adjacent edges of an open ring cross or touch
+ * @returns {Object|null} { i, j, position } for edges i and j (i < j)
+ */
+function findSelfIntersection(vertices) {
+  const count = vertices.length;
+  for (let i = 0; i < count; i++) {
+    const a = vertices[i];
+    const b = vertices[(i + 1) % count];
+    for (let j = i + 2; j < count; j++) {
+      // The last edge closes the ring at the first position
+      if (i === 0 && j === count - 1) continue;
+      const position = segmentIntersection(a, b, vertices[j], vertices[(j + 1) % count]);
+      if (position) return { i, j, position };
+    }
+  }
+  return null;
+}
+
+/**
+ * Split an open ring at its self-intersections into simple rings
+ * A bow-tie becomes its two triangles; rings that pass through the same
+ * position twice become one ring per loop. Pieces without area are dropped
+ * @param {Array} vertices - Open ring
+ * @returns {Array} Open rings that neither cross nor touch themselves
+ */
+function splitRing(vertices) {
+  const pieces = [];
+  const pending = [vertices];
+
+  while (pending.length > 0) {
+    const ring = withoutRepeats(pending.pop());
+    if (ring.length < 3) continue;
+
+    const crossing = findSelfIntersection(ring);
+    if (!crossing) {
+      if (signedArea(ring) !== 0) pieces.push(ring);
+      continue;
+    }
+
+    // Both loops through the crossing are shorter than the ring, so this ends
+    const { i, j, position } = crossing;
+    pending.push([position, ...ring.slice(i + 1, j + 1)]);
+    pending.push([...ring.slice(0, i + 1), position, ...ring.slice(j + 1)]);
+  }
+
+  return pieces;
+}
+
+/**
+ * Whether a position lies inside an open ring (even-odd rule)
+ */
+function containsPosition(vertices, [x, y]) {
+  let inside = false;
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const [xi, yi] = vertices[i];
+    const [xj, yj] = vertices[j];
+    if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Human readable name of a ring, e.g. "Hole 2 of polygon 3"
+ */
+function ringName(polygon, ring, multi) {
+  const name = ring === 0 ? 'exterior ring' : `hole ${ring}`;
+  const full = multi ? `${name} of polygon ${polygon + 1}` : name;
+  return full.charAt(0).toUpperCase() + full.slice(1);
+}
+
+/**
+ * Examine one ring and work out its repaired form
+ * @returns {Object} { issues, rings } where rings are the repaired open rings,
+ *   or null when the ring cannot be repaired
+ */
+function inspectRing(ring, { polygon, index, multi }) {
+  const name = ringName(polygon, index, multi);
+  const isHole = index > 0;
+  const issues = [];
+  const report = (code, severity, message, fix) => {
+    issues.push({ code, severity, message: `${name} ${message}`, fix, polygon, ring: index });
+  };
+  // Holes that are beyond saving are dropped; exterior rings cannot be
+  const unrepairable = (code, message) => {
+    report(code, 'error', message, isHole ? 'Removed the hole' : null);
+    return { issues, rings: isHole ? [] : null };
+  };
+
+  if (!Array.isArray(ring) || !ring.every(isPosition)) {
+    return unrepairable('invalid-coordinates', 'has positions that are not [lng, lat] pairs within valid ranges');
+  }
+
+  const positions = ring.map(([lng, lat]) => [lng, lat]);
+  const closed = positions.length > 1 && samePosition(positions[0], positions[positions.length - 1]);
+  if (!closed) {
+    report('unclosed-ring', 'error', 'is not closed', 'Repeated the first position at the end');
+  }
+
+  const open = closed ? positions.slice(0, -1) : positions;
+  const vertices = withoutRepeats(open);
+  if (vertices.length < open.length) {
+    const repeats = open.length - vertices.length;
+    report('duplicate-vertices', 'warning', `repeats ${repeats} position${repeats === 1 ? '' : 's'} in a row`,
+      'Removed the repeated positions');
+  }
+
+  if (vertices.length < 3) {
+    return unrepairable('too-few-points', 'has fewer than 3 distinct positions');
+  }
+
+  // GeoJSON (RFC 7946) winds exterior rings counterclockwise and holes clockwise
+  const wound = piece => ((signedArea(piece) > 0) === isHole ? [...piece].reverse() : piece);
+
+  if (findSelfIntersection(vertices)) {
+    // The loops of a crossing ring wind opposite ways, so each is rewound as part of the split
+    const pieces = splitRing(vertices);
+    if (pieces.length === 0) {
+      return unrepairable('self-intersection', 'crosses itself and has no area left once split');
+    }
+    report('self-intersection', 'error', 'crosses or touches itself',
+      `Split into ${pieces.length} ${isHole ? 'holes' : 'polygons'} at the crossings`);
+    return { issues, rings: pieces.map(wound) };
+  }
+
+  if (signedArea(vertices) === 0) {
+    return unrepairable('degenerate-ring', 'has no area');
+  }
+
+  if (wound(vertices) !== vertices) {
+    report('wrong-orientation', 'warning', `is wound ${isHole ? 'counterclockwise' : 'clockwise'}`,
+      `Reversed to ${isHole ? 'clockwise' : 'counterclockwise'}`);
+  }
+  return { issues, rings: [wound(vertices)] };
+}
+
+/**
+ * Examine a zone boundary and work out its repaired form
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {Object} { issues, geometry } where geometry is the repaired
+ *   boundary, or null when it cannot be repaired
+ */
+function inspectBoundary(geometry) {
+  const invalid = message => ({
+    issues: [{ code: 'invalid-geometry', severity: 'error', message, fix: null, polygon: null, ring: null }],
+    geometry: null
+  });
+
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) {
+    return invalid(`Boundary must be a Polygon or MultiPolygon, not ${geometry && geometry.type ? geometry.type : 'nothing'}`);
+  }
+  const multi = geometry.type === 'MultiPolygon';
+  const polygons = multi ? geometry.coordinates : [geometry.coordinates];
+  if (!Array.isArray(polygons) || polygons.length === 0 ||
+      !polygons.every(rings => Array.isArray(rings) && rings.length > 0)) {
+    return invalid('Boundary needs at least one polygon with an exterior ring');
+  }
+
+  const issues = [];
+  const repaired = [];
+  let repairable = true;
+
+  polygons.forEach((rings, polygon) => {
+    const [exterior, ...holes] = rings.map((ring, index) => {
+      const result = inspectRing(ring, { polygon, index, multi });
+      issues.push(...result.issues);
+      return result.rings;
+    });
+    if (!exterior) {
+      repairable = false;
+      return;
+    }
+
+    // Holes go with the piece of a split exterior ring that contains them
+    const shells = exterior.map(shell => [shell]);
+    holes.flat().forEach(hole => {
+      const shell = shells.find(([outer]) => containsPosition(outer, hole[0])) || shells[0];
+      shell.push(hole);
+    });
+    repaired.push(...shells);
+  });
+
+  if (!repairable) return { issues, geometry: null };
+
+  const close = ring => [...ring, ring[0]];
+  const coordinates = repaired.map(rings => rings.map(close));
+  return {
+    issues,
+    geometry: coordinates.length === 1
+      ? { type: 'Polygon', coordinates: coordinates[0] }
+      : { type: 'MultiPolygon', coordinates }
+  };
+}
+
+/**
+ * Check a zone boundary without changing it
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {Object} { valid, issues } where valid means no issue is an error
+ */
+function checkBoundary(geometry) {
+  const { issues } = inspectBoundary(geometry);
+  return {
+    valid: issues.every(issue => issue.severity !== 'error'),
+    issues
+  };
+}
+
+/**
+ * Repair a zone boundary
+ * Rings are closed, repeated positions removed, self-crossing rings split into
+ * simple ones, rings rewound to GeoJSON orientation and unusable holes dropped
+ * @param {Object} geometry - GeoJSON Polygon or MultiPolygon
+ * @returns {Object} { valid, geometry, repairs, issues } where repairs lists the
+ *   issues that were fixed and issues those that could not be. geometry is
+ *   returned unchanged when it cannot be repaired
+ */
+function repairBoundary(geometry) {
+  const result = inspectBoundary(geometry);
+  if (!result.geometry) {
+    return {
+      valid: false,
+      geometry,
+      repairs: [],
+      issues: result.issues
+    };
+  }
+  return {
+    valid: true,
+    geometry: result.issues.length > 0 ? result.geometry : geometry,
+    repairs: result.issues,
+    issues: []
+  };
+}
+
+/**
+ * Mongoose plugin checking a boundary field whenever it changes
+ * Boundaries with errors fail validation. Documents whose `$locals.repairGeometry`
+ * is set are repaired first. What was found and changed is left in
+ * `$locals.geometryReport` as { repairs, warnings }
+ * @param {Object} schema - Zone schema
+ * @param {Object} options - { path } of the GeoJSON boundary (default 'boundary')
+ */
+function boundaryCheckPlugin(schema, { path = 'boundary' } = {}) {
+  schema.pre('validate', function() {
+    if (!this.isModified(path)) return;
+    const geometry = { type: this.get(`${path}.type`), coordinates: this.get(`${path}.coordinates`) };
+    // Missing boundaries are reported by the required validators
+    if (!geometry.type || geometry.coordinates === undefined || geometry.coordinates === null) return;
+
+    let issues;
+    let repairs = [];
+    if (this.$locals.repairGeometry) {
+      const repaired = repairBoundary(geometry);
+      ({ issues, repairs } = repaired);
+      if (repairs.length > 0) this.set(path, repaired.geometry);
+    } else {
+      ({ issues } = checkBoundary(geometry));
+    }
+
+    const errors = issues.filter(issue => issue.severity === 'error');
+    this.$locals.geometryReport = {
+      repairs,
+      warnings: issues.filter(issue => issue.severity === 'warning')
+    };
+
+    if (errors.length > 0) {
+      const hint = errors.every(issue => issue.fix) ? '. These problems can be repaired automatically' : '';
+      this.invalidate(path, `Invalid boundary: ${errors.map(issue => issue.message).join('; ')}${hint}`);
+    }
+  });
+}
+
+module.exports = {
+  checkBoundary,
+  repairBoundary,
+  boundaryCheckPlugin
+};
@@ -0,0 +1,73 @@
+import React, { useState, useEffect } from 'react';
+import { PaperClipIcon } from '@heroicons/react/24/outline';
+import { attachmentsAPI, attachmentUrl } from '../services/api';
+
+/**
+ * AssetAttachments Component - Files attached to an asset, such as permits and
+ * feasibility studies, listed with download links inside asset popups
+ */
+
+const formatSize = (bytes) => {
+  if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  if (bytes >= 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${bytes} B`;
+};
+
+const AssetAttachments = ({ collection, assetId, onLoad }) => {
+  const [attachments, setAttachments] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setError(null);
+    attachmentsAPI.list(collection, assetId)
+      .then(data => {
+        if (!cancelled) setAttachments(data.attachments);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [collection, assetId]);
+
+  // Let the popup resize around the loaded list
+  useEffect(() => {
+    if (onLoad && (attachments || error)) onLoad();
+  }, [attachments, error, onLoad]);
+
+  // Assets without files keep their popup unchanged
+  if (error || !attachments || attachments.length === 0) return null;
+
+  return (
+    <div className="mt-3 pt-2 border-t border-gray-100">
+      <p className="text-xs font-medium text-gray-700 mb-1">Documents</p>
+      <ul className="space-y-1">
+        {attachments.map(attachment => (
+          <li key={attachment.id} className="flex items-start text-xs">
+            <PaperClipIcon className="w-3 h-3 mt-0.5 mr-1 flex-shrink-0 text-gray-400" />
+            <div className="min-w-0">
+              <a
+                href={attachmentUrl(attachment)}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-hydrogen-700 hover:underline break-all"
+              >
+                {attachment.fileName}
+              </a>
+              <p className="text-gray-400">
+                {attachment.documentType.replace(/-/g, ' ')}
+                {' · '}{formatSize(attachment.size)}
+                {' · '}{new Date(attachment.uploadedAt).toLocaleDateString()}
+                {attachment.uploadedBy && ` · ${attachment.uploadedBy.name}`}
+              </p>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default AssetAttachments;
@@ -0,0 +1,116 @@
+import React, { useState, useEffect } from 'react';
+import { AreaChart, Area, YAxis, Tooltip } from 'recharts';
+import { timeseriesAPI } from '../services/api';
+
+/**
+ * AssetSparkline Component - Small chart of a plant's measured production or
+ * a storage facility's fill level, shown inside asset popups
+ */
+
+const intervals = [
+  { value: 'hour', label: '48h' },
+  { value: 'day', label: '30d' },
+  { value: 'month', label: '12m' }
+];
+
+const formatBucket = (timestamp, interval) => {
+  const date = new Date(timestamp);
+  if (interval === 'hour') {
+    return date.toLocaleString(undefined, { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' });
+  }
+  if (interval === 'month') {
+    return date.toLocaleDateString(undefined, { month: 'short', year: 'numeric' });
+  }
+  return date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+};
+
+const AssetSparkline = ({ collection, assetId, onLoad }) => {
+  const [range, setRange] = useState('day');
+  const [series, setSeries] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    setError(null);
+    timeseriesAPI.getSeries(collection, assetId, { interval: range })
+      .then(data => {
+        if (!cancelled) setSeries(data);
+      })
+      .catch(err => {
+        if (!cancelled) setError(err.message);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, [collection, assetId, range]);
+
+  // Let the popup resize around the loaded chart
+  useEffect(() => {
+    if (onLoad && (series || error)) onLoad();
+  }, [series, error, onLoad]);
+
+  if (error) {
+    return <p className="text-xs text-gray-400">Measurements unavailable</p>;
+  }
+  if (!series) {
+    return <p className="text-xs text-gray-400">Loading measurements...</p>;
+  }
+
+  const latest = series.points[series.points.length - 1];
+  const color = collection === 'storage' ? '#0ea5e9' : '#22c55e';
+
+  return (
+    <div>
+      <div className="flex items-center justify-between">
+        <span className="text-xs font-medium text-gray-700">{series.label}</span>
+        <div className="flex space-x-1">
+          {intervals.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => setRange(option.value)}
+              className={`px-1.5 text-xs rounded ${range === option.value
+                ? 'bg-hydrogen-100 text-hydrogen-700'
+                : 'text-gray-500 hover:text-gray-700'}`}
+            >
+              {option.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {series.points.length === 0 ? (
+        <p className="text-xs text-gray-400 mt-1">No measurements in this period</p>
+      ) : (
+        <>
+          <AreaChart width={240} height={48} data={series.points} margin={{ top: 4, right: 0, bottom: 0, left: 0 }}>
+            <YAxis hide domain={[0, 'auto']} />
+            <Tooltip
+              labelFormatter={(_, payload) => payload && payload[0]
+                ? formatBucket(payload[0].payload.timestamp, series.interval)
+                : ''}
+              formatter={(value) => [`${value.toLocaleString()} ${series.unit}`, series.label]}
+              contentStyle={{ fontSize: '0.7rem', padding: '2px 6px' }}
+            />
+            <Area
+              type="monotone"
+              dataKey="value"
+              stroke={color}
+              fill={color}
+              fillOpacity={0.2}
+              strokeWidth={1.5}
+              isAnimationActive={false}
+            />
+          </AreaChart>
+          <p className="text-xs text-gray-500">
+            Latest: {latest.value.toLocaleString()} {series.unit}
+            {latest.percentOfCapacity != null && ` (${latest.percentOfCapacity}% full)`}
+            {series.aggregation === 'sum' && ` per ${series.interval}`}
+          </p>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AssetSparkline;
@@ -0,0 +1,203 @@
+import React, { useState, useEffect } from 'react';
+import {
+  BarChart,
+  Bar,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ResponsiveContainer
+} from 'recharts';
+import { ScaleIcon, ExclamationTriangleIcon } from '@heroicons/react/24/outline';
+import { balanceAPI } from '../services/api';
+
+/**
+ * BalancePanel Component - Hydrogen production vs demand per state, and for
+ * the area selected on the map, under adjustable conversion assumptions
+ */
+
+// Wait for the sliders to settle before asking the server again
+const FETCH_DELAY_MS = 300;
+
+// Planning years with projected demand; '' uses current demand
+const planningYears = ['', 2030, 2035, 2040, 2045, 2050];
+
+const balanceColors = {
+  surplus: 'text-green-600',
+  deficit: 'text-red-600',
+  balanced: 'text-gray-600'
+};
+
+const formatTonnes = (value) =>
+  Math.round(value).toLocaleString(undefined, { maximumFractionDigits: 0 });
+
+const formatSurplus = (value) =>
+  `${value > 0 ? '+' : ''}${formatTonnes(value)} t/yr`;
+
+const BalancePanel = ({ region = null, className = "" }) => {
+  // Assumptions are edited in percent and sent as fractions
+  const [capacityFactor, setCapacityFactor] = useState(50);
+  const [efficiency, setEfficiency] = useState(70);
+  const [year, setYear] = useState('');
+  const [stateBalance, setStateBalance] = useState(null);
+  const [regionBalance, setRegionBalance] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+    const assumptions = {
+      capacityFactor: capacityFactor / 100,
+      efficiency: efficiency / 100,
+      ...(year ? { year } : {})
+    };
+
+    const timer = setTimeout(async () => {
+      setLoading(true);
+      try {
+        const [states, area] = await Promise.all([
+          balanceAPI.getStateBalance(assumptions),
+          region ? balanceAPI.getRegionBalance(region, assumptions) : Promise.resolve(null)
+        ]);
+        if (cancelled) return;
+        setStateBalance(states);
+        setRegionBalance(area);
+        setError(null);
+      } catch (err) {
+        if (cancelled) return;
+        console.error('Error loading supply-demand balance:', err);
+        setError('Failed to load supply-demand balance');
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    }, FETCH_DELAY_MS);
+
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [capacityFactor, efficiency, year, region]);
+
+  const chartData = (stateBalance?.states || []).map(state => ({
+    name: state.state,
+    production: state.productionTonnesPerYear,
+    demand: state.demandTonnesPerYear
+  }));
+
+  const renderSlider = (label, value, onChange, min, max) => (
+    <label className="block text-sm text-gray-600">
+      <div className="flex justify-between mb-1">
+        <span className="font-medium">{label}</span>
+        <span>{value}%</span>
+      </div>
+      <input
+        type="range"
+        min={min}
+        max={max}
+        value={value}
+        onChange={(e) => onChange(Number(e.target.value))}
+        className="w-full accent-hydrogen-600"
+      />
+    </label>
+  );
+
+  const renderSummary = (title, balance) => (
+    <div className="p-3 bg-white/60 rounded-lg border border-gray-200 text-sm space-y-1">
+      <p className="font-medium text-gray-800">{title}</p>
+      <p><span className="font-medium">Production:</span> {formatTonnes(balance.productionTonnesPerYear)} t/yr ({balance.productionCapacityMW} MW)</p>
+      <p><span className="font-medium">Demand{year ? ` (${year})` : ''}:</span> {formatTonnes(balance.demandTonnesPerYear)} t/yr</p>
+      <p><span className="font-medium">Storage:</span> {formatTonnes(balance.storageCapacityTonnes)} t</p>
+      <p className={`font-semibold ${balanceColors[balance.balance]}`}>
+        {balance.balance === 'balanced' ? 'Balanced' : formatSurplus(balance.surplusTonnesPerYear)}
+      </p>
+    </div>
+  );
+
+  return (
+    <div className={`bg-white rounded-lg p-4 border border-gray-200 ${className}`}>
+      <h3 className="text-lg font-semibold text-gray-800 mb-4 flex items-center">
+        <ScaleIcon className="w-5 h-5 text-hydrogen-600 mr-2" />
+        Supply-Demand Balance
+        {loading && <span className="ml-2 text-xs font-normal text-gray-400">Updating...</span>}
+      </h3>
+
+      {/* Conversion assumptions */}
+      <div className="space-y-3 mb-4">
+        {renderSlider('Capacity Factor', capacityFactor, setCapacityFactor, 5, 100)}
+        {renderSlider('Electrolyzer Efficiency (LHV)', efficiency, setEfficiency, 30, 100)}
+        <label className="flex justify-between items-center text-sm text-gray-600">
+          <span className="font-medium">Demand Year</span>
+          <select
+            value={year}
+            onChange={(e) => setYear(e.target.value ? Number(e.target.value) : '')}
+            className="px-2 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-hydrogen-500"
+          >
+            {planningYears.map(option => (
+              <option key={option} value={option}>{option || 'Current'}</option>
+            ))}
+          </select>
+        </label>
+      </div>
+
+      {error && (
+        <div className="flex items-start space-x-2 mb-3 text-sm text-red-600">
+          <ExclamationTriangleIcon className="w-5 h-5 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {/* Selected area */}
+      {regionBalance && (
+        <div className="mb-4">
+          {renderSummary('Selected Area', regionBalance)}
+        </div>
+      )}
+
+      {/* Per-state chart */}
+      {chartData.length > 0 && (
+        <ResponsiveContainer width="100%" height={220}>
+          <BarChart data={chartData}>
+            <CartesianGrid strokeDasharray="3 3" stroke="#f3f4f6" />
+            <XAxis dataKey="name" tick={{ fontSize: 11 }} stroke="#6b7280" />
+            <YAxis tick={{ fontSize: 11 }} stroke="#6b7280" />
+            <Tooltip
+              formatter={(value, name) => [`${formatTonnes(value)} t/yr`, name]}
+              contentStyle={{
+                backgroundColor: 'rgba(255, 255, 255, 0.95)',
+                border: '1px solid #e5e7eb',
+                borderRadius: '8px',
+                boxShadow: '0 4px 6px -1px rgba(0, 0, 0, 0.1)'
+              }}
+            />
+            <Legend wrapperStyle={{ fontSize: 12 }} />
+            <Bar dataKey="production" name="Production" fill="#22c55e" radius={[4, 4, 0, 0]} />
+            <Bar dataKey="demand" name="Demand" fill="#8b5cf6" radius={[4, 4, 0, 0]} />
+          </BarChart>
+        </ResponsiveContainer>
+      )}
+
+      {/* Surplus or deficit per state */}
+      {stateBalance && (
+        <div className="mt-3 space-y-1 text-sm">
+          {stateBalance.states.map(state => (
+            <div key={state.state} className="flex justify-between">
+              <span className="text-gray-700">{state.state}</span>
+              <span className={balanceColors[state.balance]}>
+                {state.balance === 'balanced' ? 'Balanced' : formatSurplus(state.surplusTonnesPerYear)}
+              </span>
+            </div>
+          ))}
+          <div className="flex justify-between pt-1 border-t border-gray-200 font-semibold">
+            <span className="text-gray-800">Total</span>
+            <span className={balanceColors[stateBalance.totals.balance]}>
+              {formatSurplus(stateBalance.totals.surplusTonnesPerYear)}
+            </span>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BalancePanel;
@@ -19,6 +19,7 @@ import {
   MapPinIcon,
   SignalIcon
 } from '@heroicons/react/24/outline';
+import BalancePanel from './BalancePanel';
 
 /**
  * Dashboard Component - Charts and suitability score display
@@ -265,6 +266,9 @@ const Dashboard = ({
           </div>
         ) : null}
 
+        {/* Regional Supply-Demand Balance */}
+        <BalancePanel region={areaAnalysisResult?.polygon || null} />
+
         {/* Asset Distribution Chart */}
         <div className="bg-white rounded-lg p-4 border border-gray-200">
           <h3 className="text-lg font-semibold text-gray-800 mb-4">
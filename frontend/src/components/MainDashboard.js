@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { motion } from 'framer-motion';
 import { ExclamationTriangleIcon, ArrowRightOnRectangleIcon } from '@heroicons/react/24/outline';
 import { useAuth } from '../contexts/AuthContext';
@@ -9,15 +9,52 @@ import Sidebar from './Sidebar';
 import Dashboard from './Dashboard';
 
 // Services
-import { assetsAPI } from '../services/api';
+import { assetsAPI, changesAPI, companiesAPI, customFieldsAPI } from '../services/api';
 
 /**
  * Main Dashboard Component - Protected Map View
  * Shows after user authentication
  */
 
+// Layers whose assets have an owning company, narrowed by the operator filter
+const OWNED_LAYERS = ['plants', 'pipelines', 'storage'];
+
+// Sidebar filters: operator (company id), any of several tags, and one custom
+// field value of the user's organization
+const NO_FILTERS = { owner: '', tags: [], fieldKey: '', fieldValue: '' };
+
+/**
+ * Query parameters of the sidebar filters, as accepted by the asset listings and tiles
+ */
+const filterParams = (filters, organization) => {
+  const params = {};
+  if (filters.owner) params.owner = filters.owner;
+  if (filters.tags.length > 0) params.tags = filters.tags.join(',');
+  if (filters.fieldKey && filters.fieldValue !== '') {
+    params.organization = organization;
+    params[`field.${filters.fieldKey}`] = filters.fieldValue;
+  }
+  return params;
+};
+
+/**
+ * Whether a live-changed feature passes the sidebar filters, mirroring the
+ * server-side filtering of the listings
+ */
+const matchesFilters = (feature, assetType, filters, organization) => {
+  const props = feature.properties;
+  if (filters.owner && OWNED_LAYERS.includes(assetType) && props.owner !== filters.owner) return false;
+  if (filters.tags.length > 0 && !(props.tags || []).some(tag => filters.tags.includes(tag))) return false;
+  if (filters.fieldKey && filters.fieldValue !== '') {
+    const value = props.customFields?.[organization]?.[filters.fieldKey];
+    if (value === undefined || String(value) !== filters.fieldValue) return false;
+  }
+  return true;
+};
+
 const MainDashboard = () => {
   const { user, logout } = useAuth();
+  const organization = user?.organization || 'default';
   
   // Debug: Log user data
   console.log('MainDashboard - User data:', user);
@@ -46,6 +83,20 @@ const MainDashboard = () => {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [showLogoutConfirm, setShowLogoutConfirm] = useState(false);
+  // Draw asset layers from vector tiles instead of downloaded FeatureCollections
+  const [useVectorTiles, setUseVectorTiles] = useState(process.env.REACT_APP_VECTOR_TILES === 'true');
+  // Per-layer count of live changes, so vector tiles can be refetched
+  const [layerRevisions, setLayerRevisions] = useState({});
+  const [companies, setCompanies] = useState([]);
+  const [tags, setTags] = useState([]);
+  const [customFields, setCustomFields] = useState([]);
+  const [filters, setFilters] = useState(NO_FILTERS);
+  const viewportRequestRef = useRef(0);
+  // Last map viewport, filters and organization, read by callbacks that outlive a render
+  const viewportRef = useRef(null);
+  const filtersRef = useRef(NO_FILTERS);
+  const organizationRef = useRef(organization);
+  const useVectorTilesRef = useRef(useVectorTiles);
 
   /**
    * Load all assets from the API on component mount
@@ -96,15 +147,139 @@ const MainDashboard = () => {
     loadAssets();
   }, []);
 
+  /**
+   * Load the companies and tags offered by the sidebar filters
+   */
+  useEffect(() => {
+    companiesAPI.list()
+      .then(data => setCompanies(data.companies))
+      .catch(error => console.error('❌ Failed to load companies:', error));
+    assetsAPI.getTags()
+      .then(data => setTags(data.tags))
+      .catch(error => console.error('❌ Failed to load tags:', error));
+  }, []);
+
+  /**
+   * Load the custom fields of the user's organization
+   */
+  useEffect(() => {
+    organizationRef.current = organization;
+    customFieldsAPI.list(organization)
+      .then(data => setCustomFields(data.fields))
+      .catch(error => console.error('❌ Failed to load custom fields:', error));
+  }, [organization]);
+
+  /**
+   * Fetch assets for a viewport and the sidebar filters, ignoring superseded responses
+   */
+  const refreshAssets = useCallback(async (viewport, activeFilters) => {
+    const requestId = ++viewportRequestRef.current;
+    const assetData = await assetsAPI.getAllAssets({
+      ...viewport,
+      ...filterParams(activeFilters, organizationRef.current)
+    });
+    // Ignore responses for a viewport or filters the user has already left
+    if (requestId === viewportRequestRef.current) {
+      setAssets(assetData);
+    }
+  }, []);
+
+  /**
+   * Refetch assets for the visible map area after the user pans or zooms
+   * Vector tiles load per area on their own, so tile mode only keeps the viewport
+   */
+  const handleViewportChange = useCallback(async (viewport) => {
+    viewportRef.current = viewport;
+    if (useVectorTilesRef.current) return;
+    try {
+      await refreshAssets(viewport, filtersRef.current);
+    } catch (error) {
+      console.error('❌ Failed to refresh assets for viewport:', error);
+    }
+  }, [refreshAssets]);
+
+  /**
+   * Apply new sidebar filters and reload the assets they select
+   */
+  const handleFiltersChange = async (nextFilters) => {
+    setFilters(nextFilters);
+    filtersRef.current = nextFilters;
+    if (useVectorTilesRef.current) return;
+    try {
+      await refreshAssets(viewportRef.current, nextFilters);
+    } catch (error) {
+      console.error('❌ Failed to refresh assets for filters:', error);
+    }
+  };
+
+  /**
+   * Switch between vector tiles and downloaded layers
+   * Downloaded layers are refreshed when switching back, as tile mode leaves
+   * them at the viewport and filters they were last fetched for
+   */
+  const handleVectorTilesChange = async (enabled) => {
+    setUseVectorTiles(enabled);
+    useVectorTilesRef.current = enabled;
+    if (enabled) return;
+    try {
+      await refreshAssets(viewportRef.current, filtersRef.current);
+    } catch (error) {
+      console.error('❌ Failed to refresh assets after leaving vector tiles:', error);
+    }
+  };
+
+  /**
+   * Patch live asset changes from other users into the loaded layers
+   * Changed assets are replaced where they are, new ones appended and deleted
+   * ones removed, as are assets that left the layer's default listing (e.g. a
+   * deactivated zone) or no longer pass the sidebar filters.
+   * Aggregated layers are left for the next viewport refresh
+   */
+  useEffect(() => {
+    const unsubscribe = changesAPI.subscribe((change) => {
+      setAssets(prev => {
+        const collection = prev[change.assetType];
+        if (!collection || collection.aggregated) return prev;
+
+        const index = collection.features.findIndex(feature => String(feature.properties.id) === change.assetId);
+        const features = [...collection.features];
+        const filteredOut = change.feature && (!change.listed ||
+          !matchesFilters(change.feature, change.assetType, filtersRef.current, organizationRef.current));
+        if (change.action === 'delete' || filteredOut) {
+          if (index === -1) return prev;
+          features.splice(index, 1);
+        } else if (index === -1) {
+          features.push(change.feature);
+        } else {
+          features[index] = change.feature;
+        }
+        return { ...prev, [change.assetType]: { ...collection, features } };
+      });
+      setLayerRevisions(prev => ({
+        ...prev,
+        [change.assetType]: (prev[change.assetType] || 0) + 1
+      }));
+    });
+    return unsubscribe;
+  }, []);
+
+  /**
+   * Count the assets in a layer, expanding aggregated clusters
+   */
+  const countFeatures = (collection) => (collection?.features || []).reduce(
+    (total, feature) => total + (feature.properties?.cluster ? feature.properties.count : 1),
+    0
+  );
+
   /**
    * Calculate asset counts for dashboard
    */
   const assetCounts = {
-    plants: assets.plants?.features?.length || 0,
-    pipelines: assets.pipelines?.features?.length || 0,
-    demandCenters: assets.demandCenters?.features?.length || 0,
-    storage: assets.storage?.features?.length || 0,
-    regulatoryZones: assets.regulatoryZones?.features?.length || 0
+    plants: countFeatures(assets.plants),
+    pipelines: countFeatures(assets.pipelines),
+    demandCenters: countFeatures(assets.demandCenters),
+    storage: countFeatures(assets.storage),
+    regulatoryZones: countFeatures(assets.regulatoryZones)
   };
 
   /**
@@ -321,6 +496,11 @@ const MainDashboard = () => {
               areaMode={areaMode}
               onAreaModeToggle={handleAreaModeToggle}
               assetCounts={assetCounts}
+              companies={companies}
+              tags={tags}
+              customFields={customFields}
+              filters={filters}
+              onFiltersChange={handleFiltersChange}
             />
           </div>
         </motion.div>
@@ -340,6 +520,14 @@ const MainDashboard = () => {
               areaMode={areaMode}
               onSuitabilityResult={handleSuitabilityResult}
               onAreaAnalysisResult={handleAreaAnalysisResult}
+              onViewportChange={handleViewportChange}
+              useVectorTiles={useVectorTiles}
+              onVectorTilesChange={handleVectorTilesChange}
+              layerRevisions={layerRevisions}
+              assetFilter={filterParams(filters, organization)}
+              companies={companies}
+              customFields={customFields}
+              organization={organization}
               className="h-full"
             />
           </div>
@@ -1,11 +1,17 @@
 import React, { useState, useRef, useEffect } from 'react';
+import { createRoot } from 'react-dom/client';
 import { MapContainer, TileLayer, GeoJSON, useMapEvents, Popup, Marker } from 'react-leaflet';
 import L from 'leaflet';
 import { motion } from 'framer-motion';
-import { suitabilityAPI } from '../services/api';
+import { ArrowsRightLeftIcon, Squares2X2Icon } from '@heroicons/react/24/outline';
+import { suitabilityAPI, assetsAPI, networkAPI, tileUrl } from '../services/api';
 import PopupInfo from './PopupInfo';
 import AreaSelector from './AreaSelector';
 import AreaAnalysisResult from './AreaAnalysisResult';
+import RoutePanel from './RoutePanel';
+import VectorTileLayer, { unflattenProperties } from './VectorTileLayer';
+import AssetSparkline from './AssetSparkline';
+import AssetAttachments from './AssetAttachments';
 
 /**
  * MapView Component - Interactive Leaflet map with asset layers
@@ -85,6 +91,59 @@ const createBestSiteIcon = () => {
   });
 };
 
+// Escape user-entered text such as names and tags for popup HTML
+const escapeHtml = (text) => String(text).replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+// Popup line for an optional property; empty when the value is missing.
+// Label and value are plain text and escaped here
+const popupRow = (label, value) => (
+  value ? `<p><span class="font-medium">${escapeHtml(label)}:</span> ${escapeHtml(value)}</p>` : ''
+);
+
+// Tags of a feature; vector tile properties carry them as a `;`-joined string
+const featureTags = (props) => {
+  if (Array.isArray(props.tags)) return props.tags;
+  return props.tags ? String(props.tags).split(';').filter(Boolean) : [];
+};
+
+// A custom field value of a feature; vector tile properties use dotted keys
+const customFieldValue = (props, organization, key) => {
+  const nested = props.customFields && props.customFields[organization];
+  const value = nested ? nested[key] : props[`customFields.${organization}.${key}`];
+  return value === undefined || value === null || value === '' ? null : value;
+};
+
+// Cluster marker icon for aggregated low-zoom results
+const createClusterIcon = (color, count) => {
+  const size = count >= 1000 ? 44 : count >= 100 ? 38 : 32;
+
+  return L.divIcon({
+    className: 'cluster-div-icon',
+    html: `
+      <div style="
+        background-color: ${color};
+        width: ${size}px;
+        height: ${size}px;
+        border-radius: 50%;
+        display: flex;
+        align-items: center;
+        justify-content: center;
+        border: 3px solid rgba(255,255,255,0.8);
+        box-shadow: 0 2px 4px rgba(0,0,0,0.3);
+        font-size: 12px;
+        font-weight: 600;
+        color: white;
+      ">
+        ${count}
+      </div>
+    `,
+    iconSize: [size, size],
+    iconAnchor: [size / 2, size / 2],
+  });
+};
+
 // Asset styling configuration
 const assetStyles = {
   plants: {
@@ -117,6 +176,41 @@ const assetStyles = {
   }
 };
 
+// Vector tile layers, bottom to top, with their tile paths and canvas styles.
+// Styles mirror assetStyles; points are drawn as circles instead of icons
+const vectorTileLayers = [
+  {
+    key: 'regulatoryZones',
+    path: 'regulatory-zones',
+    style: (type, props) => {
+      const style = assetStyles.regulatoryZones[props.type] || assetStyles.regulatoryZones['industrial-zone'];
+      return { ...style, weight: 2, opacity: 0.8, dashArray: [5, 5] };
+    }
+  },
+  {
+    key: 'pipelines',
+    path: 'pipelines',
+    style: () => ({
+      color: assetStyles.pipelines.color,
+      weight: assetStyles.pipelines.weight,
+      opacity: assetStyles.pipelines.opacity
+    })
+  },
+  ...['demandCenters', 'storage', 'plants'].map(key => ({
+    key,
+    path: key === 'demandCenters' ? 'demand-centers' : key,
+    style: () => ({ radius: 7, fillColor: assetStyles[key].color, color: '#ffffff', weight: 2 })
+  }))
+];
+
+// Highlight style for route legs; trucking legs are dashed
+const routeStyle = (feature) => ({
+  color: '#f59e0b',
+  weight: 7,
+  opacity: 0.9,
+  dashArray: feature.properties.mode === 'truck' ? '12 10' : null,
+});
+
 // Map click handler component
 function MapClickHandler({ onMapClick, suitabilityMode }) {
   useMapEvents({
@@ -129,6 +223,87 @@ function MapClickHandler({ onMapClick, suitabilityMode }) {
   return null;
 }
 
+// Map viewport handler component - reports the visible bbox and zoom after panning or zooming
+function MapViewportHandler({ onViewportChange }) {
+  const map = useMapEvents({
+    moveend() {
+      const bounds = map.getBounds();
+      onViewportChange({
+        bbox: [bounds.getWest(), bounds.getSouth(), bounds.getEast(), bounds.getNorth()]
+          .map(value => value.toFixed(4))
+          .join(','),
+        zoom: map.getZoom()
+      });
+    },
+  });
+  return null;
+}
+
+// Asset types with measured time series, by popup asset type
+const sparklineCollections = {
+  plants: 'plants',
+  storage: 'storage'
+};
+
+// Collection paths of the asset types that can have attachments, by popup asset type
+const attachmentCollections = {
+  plants: 'plants',
+  pipelines: 'pipelines',
+  demandCenters: 'demand-centers',
+  storage: 'storage',
+  regulatoryZones: 'regulatory-zones'
+};
+
+// React components rendered into popup placeholders, by placeholder attribute
+const popupPanels = {
+  'data-sparkline': AssetSparkline,
+  'data-attachments': AssetAttachments
+};
+
+// Popup panel handler component - renders measurement charts and attachment
+// lists into the placeholders of opened asset popups, for GeoJSON and vector
+// tile layers alike
+function PopupPanels() {
+  const roots = useRef(new Map());
+
+  useMapEvents({
+    popupopen(e) {
+      const { popup } = e;
+      // Leaflet rewrites string content on every update, which would wipe the chart
+      if (typeof popup.getContent() === 'string') {
+        const content = document.createElement('div');
+        content.innerHTML = popup.getContent();
+        popup.setContent(content);
+      }
+
+      const element = popup.getElement();
+      if (!element) return;
+      const onLoad = () => popup.isOpen() && popup.update();
+      const popupRoots = Object.entries(popupPanels).flatMap(([attribute, Panel]) => {
+        const target = element.querySelector(`[${attribute}]`);
+        if (!target) return [];
+        const root = createRoot(target);
+        root.render(
+          <Panel
+            collection={target.dataset.collection}
+            assetId={target.dataset.assetId}
+            onLoad={onLoad}
+          />
+        );
+        return [root];
+      });
+      if (popupRoots.length > 0) roots.current.set(popup, popupRoots);
+    },
+    popupclose(e) {
+      const popupRoots = roots.current.get(e.popup);
+      if (!popupRoots) return;
+      roots.current.delete(e.popup);
+      popupRoots.forEach(root => root.unmount());
+    },
+  });
+  return null;
+}
+
 const MapView = ({ 
   assets, 
   visibleLayers, 
@@ -136,6 +311,14 @@ const MapView = ({
   areaMode = false,
   onSuitabilityResult,
   onAreaAnalysisResult,
+  onViewportChange,
+  useVectorTiles = false,
+  onVectorTilesChange,
+  layerRevisions = {},
+  assetFilter = {},
+  companies = [],
+  customFields = [],
+  organization = 'default',
   className = "" 
 }) => {
   const [loading, setLoading] = useState(false);
@@ -143,8 +326,18 @@ const MapView = ({
   const [popupPosition, setPopupPosition] = useState(null);
   const [areaAnalysisResult, setAreaAnalysisResult] = useState(null);
   const [bestSiteMarker, setBestSiteMarker] = useState(null);
+  const [layerVersion, setLayerVersion] = useState(0);
+  const [routePanelOpen, setRoutePanelOpen] = useState(false);
+  const [route, setRoute] = useState(null);
+  const [routeLoading, setRouteLoading] = useState(false);
+  const [routeError, setRouteError] = useState(null);
   const mapRef = useRef();
 
+  // react-leaflet GeoJSON layers ignore new data, so remount them when assets change
+  useEffect(() => {
+    setLayerVersion(version => version + 1);
+  }, [assets]);
+
   // World map center coordinates
   const worldCenter = [20, 0]; // Center of world map
   const worldZoom = 3; // Zoom level to show entire world
@@ -186,7 +379,8 @@ const MapView = ({
       }
       
       if (onAreaAnalysisResult) {
-        onAreaAnalysisResult(result);
+        // Pass the selected area along so the dashboard can report on it
+        onAreaAnalysisResult({ ...result, polygon: bounds.polygon });
       }
     } catch (error) {
       console.error('Error analyzing area:', error);
@@ -221,6 +415,36 @@ const MapView = ({
     setBestSiteMarker(null);
   };
 
+  /**
+   * Find and highlight the shortest route between two assets
+   */
+  const handleFindRoute = async (from, to) => {
+    setRouteLoading(true);
+    setRouteError(null);
+    try {
+      const result = await networkAPI.getRoute(from, to);
+      setRoute(result);
+
+      if (mapRef.current) {
+        mapRef.current.fitBounds(L.geoJSON(result.route).getBounds(), { padding: [40, 40] });
+      }
+    } catch (error) {
+      console.error('Error finding route:', error);
+      setRoute(null);
+      setRouteError('Could not find a route between these assets');
+    } finally {
+      setRouteLoading(false);
+    }
+  };
+
+  /**
+   * Clear the highlighted route
+   */
+  const handleRouteClear = () => {
+    setRoute(null);
+    setRouteError(null);
+  };
+
   /**
    * Handle map click for suitability scoring
    */
@@ -229,7 +453,17 @@ const MapView = ({
 
     setLoading(true);
     try {
-      const result = await suitabilityAPI.calculateSuitability(latlng.lat, latlng.lng);
+      const [result, nearby] = await Promise.all([
+        suitabilityAPI.calculateSuitability(latlng.lat, latlng.lng),
+        // Nearby infrastructure is optional context, so a failure here is not fatal
+        assetsAPI.getNearest(latlng.lat, latlng.lng, { k: 1 }).catch((error) => {
+          console.warn('Nearest asset lookup failed:', error);
+          return null;
+        })
+      ]);
+      if (nearby) {
+        result.nearbyAssets = nearby.results;
+      }
       
       setPopupData(result);
       setPopupPosition([latlng.lat, latlng.lng]);
@@ -255,6 +489,9 @@ const MapView = ({
    */
   const pointToLayer = (feature, latlng, assetType) => {
     const style = assetStyles[assetType];
+    if (feature.properties.cluster) {
+      return L.marker(latlng, { icon: createClusterIcon(style.color, feature.properties.count) });
+    }
     return L.marker(latlng, { icon: style.icon });
   };
 
@@ -285,14 +522,13 @@ const MapView = ({
   };
 
   /**
-   * Popup content for assets
+   * Popup HTML for an asset's properties
    */
-  const onEachFeature = (feature, layer, assetType) => {
-    const props = feature.properties;
-    
+  const popupContentFor = (props, assetType) => {
+    const operator = props.owner && companies.find(company => company.id === props.owner);
     let popupContent = `
       <div class="p-2">
-        <h3 class="font-bold text-lg text-gray-800">${props.name}</h3>
+        <h3 class="font-bold text-lg text-gray-800">${escapeHtml(props.name)}</h3>
         <div class="mt-2 space-y-1 text-sm text-gray-600">
     `;
 
@@ -300,27 +536,42 @@ const MapView = ({
     switch (assetType) {
       case 'plants':
         popupContent += `
-          <p><span class="font-medium">Capacity:</span> ${props.capacity} MW</p>
-          <p><span class="font-medium">Status:</span> ${props.status}</p>
+          <p><span class="font-medium">Capacity:</span> ${escapeHtml(props.capacity)} MW</p>
+          <p><span class="font-medium">Status:</span> ${escapeHtml(props.status)}</p>
+          ${popupRow('Operator', operator && operator.name)}
+          ${popupRow('Technology', props.technology)}
+          ${popupRow('Annual Output', props.annualOutput != null && `${props.annualOutput.toLocaleString()} tonnes/year`)}
+          ${popupRow('Energy Use', props.specificEnergyConsumption != null && `${props.specificEnergyConsumption} kWh/kg`)}
+          ${popupRow('Water', props.water && [
+            props.water.source && props.water.source.replace(/-/g, ' '),
+            props.water.consumption != null && `${props.water.consumption.toLocaleString()} m³/year`
+          ].filter(Boolean).join(', '))}
+          ${popupRow('Power Supply', props.renewableSupply && [
+            props.renewableSupply.name,
+            props.renewableSupply.source && props.renewableSupply.source.replace(/-/g, ' '),
+            props.renewableSupply.capacity != null && `${props.renewableSupply.capacity} MW`
+          ].filter(Boolean).join(', '))}
         `;
         break;
       case 'storage':
         popupContent += `
-          <p><span class="font-medium">Capacity:</span> ${props.capacity} tonnes</p>
-          <p><span class="font-medium">Type:</span> ${props.type}</p>
-          <p><span class="font-medium">Status:</span> ${props.status}</p>
+          <p><span class="font-medium">Capacity:</span> ${escapeHtml(props.capacity)} tonnes</p>
+          <p><span class="font-medium">Type:</span> ${escapeHtml(props.type)}</p>
+          <p><span class="font-medium">Status:</span> ${escapeHtml(props.status)}</p>
+          ${popupRow('Operator', operator && operator.name)}
         `;
         break;
       case 'demandCenters':
         popupContent += `
-          <p><span class="font-medium">Demand:</span> ${props.demand} tonnes/year</p>
-          <p><span class="font-medium">Type:</span> ${props.type}</p>
+          <p><span class="font-medium">Demand:</span> ${escapeHtml(props.demand)} tonnes/year</p>
+          <p><span class="font-medium">Type:</span> ${escapeHtml(props.type)}</p>
         `;
         break;
       case 'pipelines':
         popupContent += `
-          <p><span class="font-medium">Capacity:</span> ${props.capacity} MW</p>
-          <p><span class="font-medium">Status:</span> ${props.status}</p>
+          <p><span class="font-medium">Capacity:</span> ${escapeHtml(props.capacity)} MW</p>
+          <p><span class="font-medium">Status:</span> ${escapeHtml(props.status)}</p>
+          ${popupRow('Operator', operator && operator.name)}
         `;
         break;
       case 'regulatoryZones':
@@ -330,42 +581,109 @@ const MapView = ({
                           props.regulatoryScore >= 20 ? '#f97316' : '#ef4444';
         
         popupContent += `
-          <p><span class="font-medium">Type:</span> ${props.type.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase())}</p>
-          <p><span class="font-medium">Jurisdiction:</span> ${props.jurisdiction}</p>
+          <p><span class="font-medium">Type:</span> ${escapeHtml(props.type.replace(/-/g, ' ').replace(/\b\w/g, l => l.toUpperCase()))}</p>
+          <p><span class="font-medium">Jurisdiction:</span> ${escapeHtml(props.jurisdiction)}</p>
           <div class="mt-2">
             <p class="font-medium">Regulatory Score:</p>
             <div class="flex items-center mt-1">
               <div class="w-12 h-3 bg-gray-200 rounded-full mr-2">
                 <div 
                   class="h-full rounded-full" 
-                  style="width: ${props.regulatoryScore}%; background-color: ${scoreColor}"
+                  style="width: ${escapeHtml(props.regulatoryScore)}%; background-color: ${scoreColor}"
                 ></div>
               </div>
-              <span class="text-sm font-medium" style="color: ${scoreColor}">${props.regulatoryScore}</span>
+              <span class="text-sm font-medium" style="color: ${scoreColor}">${escapeHtml(props.regulatoryScore)}</span>
             </div>
           </div>
           <div class="mt-2">
             <p class="font-medium text-green-600">Incentives:</p>
             ${props.policies.hydrogenIncentives ? '<p class="text-sm">• Hydrogen development incentives</p>' : ''}
-            ${props.policies.subsidyPercentage > 0 ? `<p class="text-sm">• ${props.policies.subsidyPercentage}% subsidy available</p>` : ''}
+            ${props.policies.subsidyPercentage > 0 ? `<p class="text-sm">• ${escapeHtml(props.policies.subsidyPercentage)}% subsidy available</p>` : ''}
             ${props.policies.fastTrackApproval ? '<p class="text-sm">• Fast-track approval process</p>' : ''}
           </div>
-          <p class="text-sm mt-2"><span class="font-medium">Approval Timeline:</span> ${props.approvalTimeline} days</p>
+          <p class="text-sm mt-2"><span class="font-medium">Approval Timeline:</span> ${escapeHtml(props.approvalTimeline)} days</p>
         `;
         break;
       default:
         popupContent += `
-          <p><span class="font-medium">Type:</span> ${assetType}</p>
+          <p><span class="font-medium">Type:</span> ${escapeHtml(assetType)}</p>
         `;
         break;
     }
 
+    // Tags and the custom field values of the user's organization
+    const tags = featureTags(props);
+    popupContent += popupRow('Tags', tags.length > 0 && tags.join(', '));
+    customFields.forEach(field => {
+      const value = customFieldValue(props, organization, field.key);
+      if (value === null) return;
+      const text = field.type === 'boolean' ? (String(value) === 'true' ? 'Yes' : 'No') : value;
+      popupContent += popupRow(field.label, text);
+    });
+
     popupContent += `
         </div>
+    `;
+
+    if (sparklineCollections[assetType] && props.id) {
+      popupContent += `
+        <div class="mt-3 pt-2 border-t border-gray-100" data-sparkline data-collection="${sparklineCollections[assetType]}" data-asset-id="${escapeHtml(props.id)}"></div>
+      `;
+    }
+
+    if (attachmentCollections[assetType] && props.id) {
+      popupContent += `
+        <div data-attachments data-collection="${attachmentCollections[assetType]}" data-asset-id="${escapeHtml(props.id)}"></div>
+      `;
+    }
+
+    popupContent += `
       </div>
     `;
 
-    layer.bindPopup(popupContent, {
+    return popupContent;
+  };
+
+  /**
+   * Tile URL of a layer with the active attribute filters, plus the layer's
+   * live change count so changed tiles are fetched again
+   */
+  const tileUrlFor = (layer) => {
+    const params = new URLSearchParams(assetFilter);
+    if (layerRevisions[layer.key]) params.set('rev', layerRevisions[layer.key]);
+    const query = params.toString();
+    return query ? `${tileUrl(layer.path)}?${query}` : tileUrl(layer.path);
+  };
+
+  /**
+   * Open the popup of a clicked vector tile feature
+   */
+  const handleTileFeatureClick = (assetType, properties, latlng) => {
+    if (!mapRef.current) return;
+    L.popup({ maxWidth: 300, className: 'custom-popup' })
+      .setLatLng(latlng)
+      .setContent(popupContentFor(unflattenProperties(properties), assetType))
+      .openOn(mapRef.current);
+  };
+
+  /**
+   * Popup content for assets
+   */
+  const onEachFeature = (feature, layer, assetType) => {
+    const props = feature.properties;
+
+    // Aggregated cells zoom in on click instead of showing a popup
+    if (props.cluster) {
+      layer.bindTooltip(`${props.count} assets in this area - click to zoom in`);
+      layer.on('click', (e) => {
+        if (mapRef.current) {
+          mapRef.current.setView(e.latlng, mapRef.current.getZoom() + 2);
+        }
+      });
+      return;
+    }
+
+    layer.bindPopup(popupContentFor(props, assetType), {
       maxWidth: 300,
       className: 'custom-popup'
     });
@@ -428,6 +746,14 @@ const MapView = ({
           suitabilityMode={suitabilityMode && !areaMode}
         />
 
+        {/* Viewport handler - refetches assets for the visible area */}
+        {onViewportChange && (
+          <MapViewportHandler onViewportChange={onViewportChange} />
+        )}
+
+        {/* Measurement sparklines and attachment lists in asset popups */}
+        <PopupPanels />
+
         {/* Area Selector */}
         {areaMode && (
           <AreaSelector
@@ -452,51 +778,80 @@ const MapView = ({
         )}
 
         {/* Asset layers */}
-        {assets.plants && visibleLayers.plants && (
+        {!useVectorTiles && assets.plants && visibleLayers.plants && (
           <GeoJSON
-            key="plants"
+            key={`plants-${layerVersion}`}
             data={assets.plants}
             pointToLayer={(feature, latlng) => pointToLayer(feature, latlng, 'plants')}
             onEachFeature={(feature, layer) => onEachFeature(feature, layer, 'plants')}
           />
         )}
 
-        {assets.storage && visibleLayers.storage && (
+        {!useVectorTiles && assets.storage && visibleLayers.storage && (
           <GeoJSON
-            key="storage"
+            key={`storage-${layerVersion}`}
             data={assets.storage}
             pointToLayer={(feature, latlng) => pointToLayer(feature, latlng, 'storage')}
             onEachFeature={(feature, layer) => onEachFeature(feature, layer, 'storage')}
           />
         )}
 
-        {assets.demandCenters && visibleLayers.demandCenters && (
+        {!useVectorTiles && assets.demandCenters && visibleLayers.demandCenters && (
           <GeoJSON
-            key="demandCenters"
+            key={`demandCenters-${layerVersion}`}
             data={assets.demandCenters}
             pointToLayer={(feature, latlng) => pointToLayer(feature, latlng, 'demandCenters')}
             onEachFeature={(feature, layer) => onEachFeature(feature, layer, 'demandCenters')}
           />
         )}
 
-        {assets.pipelines && visibleLayers.pipelines && (
+        {!useVectorTiles && assets.pipelines && visibleLayers.pipelines && (
           <GeoJSON
-            key="pipelines"
+            key={`pipelines-${layerVersion}`}
             data={assets.pipelines}
             style={pipelineStyle}
             onEachFeature={(feature, layer) => onEachFeature(feature, layer, 'pipelines')}
           />
         )}
 
-        {assets.regulatoryZones && visibleLayers.regulatoryZones && (
+        {!useVectorTiles && assets.regulatoryZones && visibleLayers.regulatoryZones && (
           <GeoJSON
-            key="regulatoryZones"
+            key={`regulatoryZones-${layerVersion}`}
             data={assets.regulatoryZones}
             style={regulatoryZoneStyle}
             onEachFeature={(feature, layer) => onEachFeature(feature, layer, 'regulatoryZones')}
           />
         )}
 
+        {/* Asset layers drawn from vector tiles */}
+        {useVectorTiles && vectorTileLayers
+          .filter(layer => visibleLayers[layer.key])
+          .map((layer, index) => (
+            <VectorTileLayer
+              key={`tiles-${layer.key}`}
+              url={tileUrlFor(layer)}
+              layerName={layer.path}
+              style={layer.style}
+              zIndex={10 + index}
+              onFeatureClick={(properties, latlng) => handleTileFeatureClick(layer.key, properties, latlng)}
+            />
+          ))}
+
+        {/* Highlighted route */}
+        {route && (
+          <GeoJSON
+            key={`route-${route.timestamp}`}
+            data={route.route}
+            style={routeStyle}
+            onEachFeature={(feature, layer) => {
+              const props = feature.properties;
+              layer.bindTooltip(props.mode === 'truck'
+                ? `${escapeHtml(props.name)}: ${props.lengthKm} km`
+                : `${escapeHtml(props.name)}: ${props.lengthKm} km, ${props.capacity} MW`);
+            }}
+          />
+        )}
+
         {/* Suitability result popup */}
         {popupData && popupPosition && (
           <Popup
@@ -511,6 +866,42 @@ const MapView = ({
         )}
       </MapContainer>
 
+      {/* Route finder and renderer toggle */}
+      <div className="absolute bottom-6 left-4 z-[1000] flex items-end space-x-2">
+        {routePanelOpen ? (
+          <RoutePanel
+            assets={assets}
+            route={route}
+            loading={routeLoading}
+            error={routeError}
+            onFindRoute={handleFindRoute}
+            onClear={handleRouteClear}
+            onClose={() => {
+              setRoutePanelOpen(false);
+              handleRouteClear();
+            }}
+          />
+        ) : (
+          <button
+            onClick={() => setRoutePanelOpen(true)}
+            className="glass-panel px-4 py-2 flex items-center space-x-2 text-sm font-medium text-gray-700 hover:text-hydrogen-700 transition-colors"
+          >
+            <ArrowsRightLeftIcon className="w-5 h-5" />
+            <span>Route</span>
+          </button>
+        )}
+        <button
+          onClick={() => onVectorTilesChange(!useVectorTiles)}
+          title="Draw asset layers from vector tiles, for faster maps with many features"
+          className={`glass-panel px-4 py-2 flex items-center space-x-2 text-sm font-medium transition-colors ${
+            useVectorTiles ? 'text-hydrogen-700' : 'text-gray-700 hover:text-hydrogen-700'
+          }`}
+        >
+          <Squares2X2Icon className="w-5 h-5" />
+          <span>{useVectorTiles ? 'Vector Tiles On' : 'Vector Tiles'}</span>
+        </button>
+      </div>
+
       {/* Area Analysis Results Panel */}
       {areaAnalysisResult && (
         <div className="absolute top-4 right-4 z-[1000] max-w-md">
@@ -15,6 +15,14 @@ import {
  * Shows detailed breakdown of scoring factors and recommendations
  */
 
+// Labels for the nearest-asset collections returned by the API
+const nearbyLabels = {
+  plants: 'Plant',
+  pipelines: 'Pipeline',
+  'demand-centers': 'Demand',
+  storage: 'Storage'
+};
+
 const PopupInfo = ({ data }) => {
   // Handle error state
   if (data?.error) {
@@ -31,7 +39,7 @@ const PopupInfo = ({ data }) => {
     );
   }
 
-  const { score, details, interpretation, location, nearestDemandCenter } = data;
+  const { score, details, interpretation, location, nearestDemandCenter, nearbyAssets } = data;
 
   // Score color based on interpretation
   const scoreColor = interpretation?.color || '#6b7280';
@@ -249,6 +257,31 @@ const PopupInfo = ({ data }) => {
         )}
       </div>
 
+      {/* Nearby Infrastructure */}
+      {nearbyAssets && (
+        <div className="border-t border-gray-200 pt-3 mt-3">
+          <h5 className="text-sm font-semibold text-gray-700 mb-2">
+            Nearby Infrastructure
+          </h5>
+          <div className="space-y-1">
+            {Object.entries(nearbyAssets).map(([collection, result]) => {
+              const nearest = result.features?.[0];
+              if (!nearest) return null;
+              return (
+                <div key={collection} className="flex items-center justify-between text-xs">
+                  <span className="text-gray-600">
+                    {nearbyLabels[collection] || collection}: {nearest.properties.name}
+                  </span>
+                  <span className="font-medium text-gray-800 ml-2">
+                    {nearest.properties.distanceKm?.toFixed(1)} km
+                  </span>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      )}
+
       {/* Recommendations */}
       {score && (
         <div className="border-t border-gray-200 pt-3 mt-3">
@@ -0,0 +1,146 @@
+import React, { useState } from 'react';
+import { motion } from 'framer-motion';
+import {
+  ArrowsRightLeftIcon,
+  TruckIcon,
+  ExclamationTriangleIcon
+} from '@heroicons/react/24/outline';
+
+/**
+ * RoutePanel Component - Pick an origin and destination asset and show the
+ * shortest hydrogen route found over the pipeline network
+ */
+
+// Asset layers that can start or end a route
+const routeLayers = [
+  { key: 'plants', label: 'Plants' },
+  { key: 'storage', label: 'Storage' },
+  { key: 'demandCenters', label: 'Demand Centers' }
+];
+
+// Route endpoint options grouped by layer, skipping aggregated clusters
+const buildOptions = (assets) => routeLayers
+  .map(({ key, label }) => ({
+    label,
+    options: ((assets[key] && assets[key].features) || [])
+      .filter(feature => !feature.properties.cluster)
+      .map(feature => ({
+        value: `${key}:${feature.properties.id}`,
+        name: feature.properties.name
+      }))
+  }))
+  .filter(group => group.options.length > 0);
+
+const RoutePanel = ({
+  assets,
+  route,
+  loading = false,
+  error = null,
+  onFindRoute,
+  onClear,
+  onClose,
+  className = ""
+}) => {
+  const [from, setFrom] = useState('');
+  const [to, setTo] = useState('');
+  const groups = buildOptions(assets);
+
+  const renderSelect = (value, onChange, placeholder) => (
+    <select
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      className="w-full px-3 py-2 text-sm border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-hydrogen-500"
+    >
+      <option value="">{placeholder}</option>
+      {groups.map(group => (
+        <optgroup key={group.label} label={group.label}>
+          {group.options.map(option => (
+            <option key={option.value} value={option.value}>{option.name}</option>
+          ))}
+        </optgroup>
+      ))}
+    </select>
+  );
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      exit={{ opacity: 0, y: -20 }}
+      className={`glass-panel p-4 w-80 ${className}`}
+    >
+      {/* Header */}
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="text-base font-semibold text-gray-800 flex items-center">
+          <ArrowsRightLeftIcon className="w-5 h-5 text-hydrogen-600 mr-2" />
+          Hydrogen Route
+        </h3>
+        <button
+          onClick={onClose}
+          className="p-1 text-gray-400 hover:text-gray-600 transition-colors"
+        >
+          <svg className="w-5 h-5" fill="none" stroke="currentColor" viewBox="0 0 24 24">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+          </svg>
+        </button>
+      </div>
+
+      <div className="space-y-2">
+        {renderSelect(from, setFrom, 'Select origin')}
+        {renderSelect(to, setTo, 'Select destination')}
+      </div>
+
+      <div className="flex space-x-2 mt-3">
+        <button
+          onClick={() => onFindRoute(from, to)}
+          disabled={!from || !to || from === to || loading}
+          className="flex-1 px-4 py-2 bg-hydrogen-600 text-white rounded-lg text-sm font-medium hover:bg-hydrogen-700 transition-colors disabled:opacity-50 disabled:cursor-not-allowed"
+        >
+          {loading ? 'Finding route...' : 'Find Route'}
+        </button>
+        {route && (
+          <button
+            onClick={onClear}
+            className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg text-sm font-medium hover:bg-gray-200 transition-colors"
+          >
+            Clear
+          </button>
+        )}
+      </div>
+
+      {/* Error */}
+      {error && (
+        <div className="flex items-start space-x-2 mt-3 text-sm text-red-600">
+          <ExclamationTriangleIcon className="w-5 h-5 flex-shrink-0" />
+          <span>{error}</span>
+        </div>
+      )}
+
+      {/* Route summary */}
+      {route && !error && (
+        <div className="mt-3 p-3 bg-white/60 rounded-lg text-sm text-gray-700 space-y-1">
+          <p className="font-medium text-gray-800">
+            {route.from.name} → {route.to.name}
+          </p>
+          {route.mode === 'pipeline' ? (
+            <>
+              <p><span className="font-medium">Distance:</span> {route.lengthKm} km by pipeline</p>
+              <p><span className="font-medium">Bottleneck:</span> {route.bottleneckCapacity} MW</p>
+              <p><span className="font-medium">Segments:</span> {route.route.features.length}</p>
+            </>
+          ) : (
+            <>
+              <p className="flex items-center text-amber-600">
+                <TruckIcon className="w-4 h-4 mr-1" />
+                No pipeline connection - trucking leg
+              </p>
+              <p><span className="font-medium">Distance:</span> {route.lengthKm} km (straight line)</p>
+            </>
+          )}
+        </div>
+      )}
+    </motion.div>
+  );
+};
+
+export default RoutePanel;
@@ -1,4 +1,4 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import { motion } from 'framer-motion';
 import { 
   MapPinIcon, 
@@ -11,9 +11,15 @@ import {
 
 /**
  * Sidebar Component - Controls and filters for the map
- * Handles layer toggles and suitability mode activation
+ * Handles layer toggles, the operator, tag and custom field filters and
+ * suitability mode activation
  */
 
+// Most used tags offered as filter chips
+const MAX_TAG_CHIPS = 12;
+
+const selectClassName = 'w-full px-3 py-2 text-sm border border-gray-300 rounded-lg bg-white focus:outline-none focus:ring-2 focus:ring-hydrogen-500';
+
 const Sidebar = ({ 
   visibleLayers, 
   onLayerToggle, 
@@ -21,8 +27,33 @@ const Sidebar = ({
   onSuitabilityToggle,
   areaMode = false,
   onAreaModeToggle,
-  assetCounts 
+  assetCounts,
+  companies = [],
+  tags = [],
+  customFields = [],
+  filters,
+  onFiltersChange
 }) => {
+  const operator = companies.find(company => company.id === filters.owner);
+  const selectedField = customFields.find(field => field.key === filters.fieldKey);
+
+  // Typed custom field values apply when the input is left, not on every keystroke
+  const [fieldDraft, setFieldDraft] = useState(filters.fieldValue);
+  useEffect(() => {
+    setFieldDraft(filters.fieldValue);
+  }, [filters.fieldValue]);
+
+  const setFilter = (changes) => onFiltersChange({ ...filters, ...changes });
+
+  const toggleTag = (tag) => setFilter({
+    tags: filters.tags.includes(tag)
+      ? filters.tags.filter(selected => selected !== tag)
+      : [...filters.tags, tag]
+  });
+
+  const applyFieldDraft = () => {
+    if (fieldDraft.trim() !== filters.fieldValue) setFilter({ fieldValue: fieldDraft.trim() });
+  };
   
   // Layer configuration with icons and descriptions
   const layerConfig = [
@@ -162,6 +193,111 @@ const Sidebar = ({
         )}
       </div>
 
+      {/* Filters */}
+      {(companies.length > 0 || tags.length > 0 || customFields.length > 0) && (
+        <div className="py-4 border-b border-gray-200 space-y-4">
+          {companies.length > 0 && (
+            <div>
+              <label htmlFor="operator-filter" className="block text-sm font-medium text-gray-700 mb-2">
+                Operator
+              </label>
+              <select
+                id="operator-filter"
+                value={filters.owner}
+                onChange={(e) => setFilter({ owner: e.target.value })}
+                className={selectClassName}
+              >
+                <option value="">All operators</option>
+                {companies.map(company => (
+                  <option key={company.id} value={company.id}>{company.name}</option>
+                ))}
+              </select>
+              {operator && (
+                <p className="text-xs text-gray-500 mt-2 px-1">
+                  {operator.portfolio.assetCount} assets
+                  {' · '}{operator.portfolio.plants.capacityMW.toLocaleString()} MW production
+                  {' · '}{operator.portfolio.storage.capacityTonnes.toLocaleString()} t storage.
+                  {' '}Demand centers and zones are not filtered.
+                </p>
+              )}
+            </div>
+          )}
+
+          {tags.length > 0 && (
+            <div>
+              <p className="text-sm font-medium text-gray-700 mb-2">Tags</p>
+              <div className="flex flex-wrap gap-1">
+                {tags.slice(0, MAX_TAG_CHIPS).map(({ tag, count }) => {
+                  const active = filters.tags.includes(tag);
+                  return (
+                    <button
+                      key={tag}
+                      type="button"
+                      onClick={() => toggleTag(tag)}
+                      className={`px-2 py-1 text-xs rounded-full border transition-colors duration-200 ${
+                        active
+                          ? 'bg-hydrogen-100 border-hydrogen-300 text-hydrogen-700'
+                          : 'bg-white border-gray-300 text-gray-600 hover:bg-gray-50'
+                      }`}
+                    >
+                      {tag} <span className="text-gray-400">{count}</span>
+                    </button>
+                  );
+                })}
+              </div>
+              {filters.tags.length > 1 && (
+                <p className="text-xs text-gray-500 mt-2 px-1">Showing assets with any of the selected tags</p>
+              )}
+            </div>
+          )}
+
+          {customFields.length > 0 && (
+            <div>
+              <label htmlFor="custom-field-filter" className="block text-sm font-medium text-gray-700 mb-2">
+                Custom Field
+              </label>
+              <select
+                id="custom-field-filter"
+                value={filters.fieldKey}
+                onChange={(e) => setFilter({ fieldKey: e.target.value, fieldValue: '' })}
+                className={selectClassName}
+              >
+                <option value="">Any value</option>
+                {customFields.map(field => (
+                  <option key={field.key} value={field.key}>{field.label}</option>
+                ))}
+              </select>
+              {selectedField && (
+                selectedField.type === 'enum' || selectedField.type === 'boolean' ? (
+                  <select
+                    value={filters.fieldValue}
+                    onChange={(e) => setFilter({ fieldValue: e.target.value })}
+                    className={`${selectClassName} mt-2`}
+                  >
+                    <option value="">Choose a value</option>
+                    {(selectedField.type === 'enum' ? selectedField.options : ['true', 'false']).map(option => (
+                      <option key={option} value={option}>
+                        {selectedField.type === 'boolean' ? (option === 'true' ? 'Yes' : 'No') : option}
+                      </option>
+                    ))}
+                  </select>
+                ) : (
+                  <input
+                    type={selectedField.type === 'number' ? 'number' : selectedField.type === 'date' ? 'date' : 'text'}
+                    value={fieldDraft}
+                    onChange={(e) => setFieldDraft(e.target.value)}
+                    onBlur={applyFieldDraft}
+                    onKeyDown={(e) => e.key === 'Enter' && applyFieldDraft()}
+                    placeholder="Value"
+                    className={`${selectClassName} mt-2`}
+                  />
+                )
+              )}
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Layer Controls */}
       <div className="flex-1 py-4">
         <h3 className="text-lg font-semibold text-gray-800 mb-4">
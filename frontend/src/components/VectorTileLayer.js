@@ -0,0 +1,218 @@
+import { useEffect, useRef } from 'react';
+import { useMap } from 'react-leaflet';
+import L from 'leaflet';
+import { PbfReader } from 'pbf';
+import { VectorTile } from '@mapbox/vector-tile';
+
+/**
+ * VectorTileLayer Component - Draws one layer of the backend's Mapbox Vector
+ * Tiles onto canvas tiles, as a lighter alternative to GeoJSON layers when
+ * there are many features. Clicking a feature calls onFeatureClick with its
+ * properties; nested fields arrive as dotted keys, see unflattenProperties
+ */
+
+// Extra pixels around points and lines that still count as a click on them
+const HIT_TOLERANCE = 4;
+
+// Vector tile geometry types
+const POINT = 1;
+const LINE = 2;
+const POLYGON = 3;
+
+/**
+ * Rebuild nested objects from dotted tile property keys, e.g. `policies.subsidyPercentage`
+ */
+export const unflattenProperties = (properties) => {
+  const nested = {};
+  Object.entries(properties).forEach(([key, value]) => {
+    const parts = key.split('.');
+    let target = nested;
+    parts.slice(0, -1).forEach(part => {
+      target[part] = target[part] || {};
+      target = target[part];
+    });
+    target[parts[parts.length - 1]] = value;
+  });
+  return nested;
+};
+
+// Distance in pixels from a point to a segment
+const segmentDistance = ([px, py], [ax, ay], [bx, by]) => {
+  const dx = bx - ax;
+  const dy = by - ay;
+  const lengthSq = dx * dx + dy * dy;
+  const t = lengthSq === 0 ? 0 : Math.max(0, Math.min(1, ((px - ax) * dx + (py - ay) * dy) / lengthSq));
+  return Math.hypot(px - (ax + t * dx), py - (ay + t * dy));
+};
+
+// Even-odd point in polygon test over all rings, so holes are excluded
+const insideRings = ([px, py], rings) => rings.reduce((inside, ring) => {
+  let crossings = inside;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > py) !== (yj > py) && px < ((xj - xi) * (py - yi)) / (yj - yi) + xi) {
+      crossings = !crossings;
+    }
+  }
+  return crossings;
+}, false);
+
+const hitsFeature = (point, feature) => {
+  const { type, rings, style } = feature;
+  if (type === POINT) {
+    return rings.some(ring => ring.some(([x, y]) =>
+      Math.hypot(point[0] - x, point[1] - y) <= style.radius + HIT_TOLERANCE));
+  }
+  if (type === LINE) {
+    return rings.some(ring => ring.some((vertex, i) =>
+      i > 0 && segmentDistance(point, ring[i - 1], vertex) <= style.weight / 2 + HIT_TOLERANCE));
+  }
+  return insideRings(point, rings);
+};
+
+const drawFeature = (ctx, { type, rings, style }) => {
+  ctx.beginPath();
+  if (type === POINT) {
+    rings.forEach(ring => ring.forEach(([x, y]) => {
+      ctx.moveTo(x + style.radius, y);
+      ctx.arc(x, y, style.radius, 0, Math.PI * 2);
+    }));
+  } else {
+    rings.forEach(ring => ring.forEach(([x, y], i) => {
+      if (i === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }));
+    if (type === POLYGON) ctx.closePath();
+  }
+
+  if (type !== LINE && style.fillColor) {
+    ctx.globalAlpha = style.fillOpacity ?? 1;
+    ctx.fillStyle = style.fillColor;
+    ctx.fill('evenodd');
+  }
+  if (style.weight) {
+    ctx.globalAlpha = style.opacity ?? 1;
+    ctx.strokeStyle = style.color;
+    ctx.lineWidth = style.weight;
+    ctx.setLineDash(style.dashArray || []);
+    ctx.stroke();
+  }
+  ctx.globalAlpha = 1;
+};
+
+const MvtGridLayer = L.GridLayer.extend({
+  options: {
+    url: null,
+    layerName: null,
+    // (geometryType, properties) => { color, weight, opacity, fillColor, fillOpacity, radius, dashArray }
+    style: null,
+    onFeatureClick: null
+  },
+
+  onAdd(map) {
+    L.GridLayer.prototype.onAdd.call(this, map);
+    map.on('click', this._onClick, this);
+  },
+
+  onRemove(map) {
+    map.off('click', this._onClick, this);
+    L.GridLayer.prototype.onRemove.call(this, map);
+  },
+
+  createTile(coords, done) {
+    const tile = L.DomUtil.create('canvas', 'leaflet-tile');
+    const size = this.getTileSize();
+    tile.width = size.x;
+    tile.height = size.y;
+    tile.features = [];
+
+    fetch(L.Util.template(this.options.url, coords))
+      .then(response => {
+        if (!response.ok) throw new Error(`Tile request failed with status ${response.status}`);
+        // Empty tiles are answered with 204 No Content
+        return response.status === 204 ? null : response.arrayBuffer();
+      })
+      .then(buffer => {
+        if (buffer) this._drawTile(tile, new VectorTile(new PbfReader(buffer)), size);
+        done(null, tile);
+      })
+      .catch(error => done(error, tile));
+
+    return tile;
+  },
+
+  _drawTile(tile, vectorTile, size) {
+    const layer = vectorTile.layers[this.options.layerName];
+    if (!layer) return;
+
+    const ctx = tile.getContext('2d');
+    for (let i = 0; i < layer.length; i++) {
+      const feature = layer.feature(i);
+      const scale = size.x / feature.extent;
+      const drawn = {
+        type: feature.type,
+        properties: feature.properties,
+        rings: feature.loadGeometry().map(ring => ring.map(p => [p.x * scale, p.y * scale])),
+        style: this.options.style(feature.type, feature.properties)
+      };
+      drawFeature(ctx, drawn);
+      tile.features.push(drawn);
+    }
+  },
+
+  /**
+   * Topmost feature drawn under a map position, or null
+   */
+  featureAt(latlng) {
+    if (this._tileZoom === undefined) return null;
+    const size = this.getTileSize();
+    const point = this._map.project(latlng, this._tileZoom);
+    const coords = point.unscaleBy(size).floor();
+    coords.z = this._tileZoom;
+
+    const entry = this._tiles[this._tileCoordsToKey(coords)];
+    if (!entry || !entry.el.features) return null;
+
+    const local = [point.x - coords.x * size.x, point.y - coords.y * size.y];
+    const features = entry.el.features;
+    for (let i = features.length - 1; i >= 0; i--) {
+      if (hitsFeature(local, features[i])) return features[i];
+    }
+    return null;
+  },
+
+  _onClick(e) {
+    if (!this.options.onFeatureClick) return;
+    const feature = this.featureAt(e.latlng);
+    if (feature) this.options.onFeatureClick(feature.properties, e.latlng);
+  }
+});
+
+const VectorTileLayer = ({ url, layerName, style, onFeatureClick, zIndex = 1 }) => {
+  const map = useMap();
+
+  // Keep the latest click handler without rebuilding the layer
+  const clickRef = useRef(onFeatureClick);
+  clickRef.current = onFeatureClick;
+
+  useEffect(() => {
+    const layer = new MvtGridLayer({
+      url,
+      layerName,
+      style,
+      zIndex,
+      onFeatureClick: (properties, latlng) => {
+        if (clickRef.current) clickRef.current(properties, latlng);
+      }
+    });
+    layer.addTo(map);
+    return () => {
+      layer.remove();
+    };
+  }, [map, url, layerName, style, zIndex]);
+
+  return null;
+};
+
+export default VectorTileLayer;
@@ -10,6 +10,20 @@ const BASE_URL = process.env.NODE_ENV === 'production'
   ? process.env.REACT_APP_API_URL || 'http://localhost:5000'
   : '';
 
+/**
+ * URL template of a vector tile layer, for map libraries that fill in {z}/{x}/{y}
+ * @param {string} layer - Collection path, e.g. plants or regulatory-zones
+ * @returns {string} Tile URL template
+ */
+export const tileUrl = (layer) => `${BASE_URL}/tiles/${layer}/{z}/{x}/{y}.mvt`;
+
+/**
+ * Download URL of an asset attachment, for links that open the file directly
+ * @param {Object} attachment - Attachment as returned by attachmentsAPI.list
+ * @returns {string} Absolute or proxied download URL
+ */
+export const attachmentUrl = (attachment) => `${BASE_URL}${attachment.url}`;
+
 // Create axios instance with default configuration
 const api = axios.create({
   baseURL: BASE_URL,
@@ -131,12 +145,13 @@ export const authAPI = {
  */
 export const assetsAPI = {
   /**
-   * Get all hydrogen production plants
+   * Get hydrogen production plants
+   * @param {Object} params - Optional viewport { bbox, zoom }
    * @returns {Promise} GeoJSON FeatureCollection of plants
    */
-  getPlants: async () => {
+  getPlants: async (params = {}) => {
     try {
-      const response = await api.get('/api/assets/plants');
+      const response = await api.get('/api/assets/plants', { params });
       return response.data;
     } catch (error) {
       throw new Error(`Failed to fetch plants: ${error.message}`);
@@ -144,12 +159,13 @@ export const assetsAPI = {
   },
 
   /**
-   * Get all hydrogen pipelines
+   * Get hydrogen pipelines
+   * @param {Object} params - Optional viewport { bbox, zoom }
    * @returns {Promise} GeoJSON FeatureCollection of pipelines
    */
-  getPipelines: async () => {
+  getPipelines: async (params = {}) => {
     try {
-      const response = await api.get('/api/assets/pipelines');
+      const response = await api.get('/api/assets/pipelines', { params });
       return response.data;
     } catch (error) {
       throw new Error(`Failed to fetch pipelines: ${error.message}`);
@@ -157,12 +173,13 @@ export const assetsAPI = {
   },
 
   /**
-   * Get all demand centers
+   * Get demand centers
+   * @param {Object} params - Optional viewport { bbox, zoom }
    * @returns {Promise} GeoJSON FeatureCollection of demand centers
    */
-  getDemandCenters: async () => {
+  getDemandCenters: async (params = {}) => {
     try {
-      const response = await api.get('/api/assets/demand-centers');
+      const response = await api.get('/api/assets/demand-centers', { params });
       return response.data;
     } catch (error) {
       throw new Error(`Failed to fetch demand centers: ${error.message}`);
@@ -170,12 +187,13 @@ export const assetsAPI = {
   },
 
   /**
-   * Get all storage facilities
+   * Get storage facilities
+   * @param {Object} params - Optional viewport { bbox, zoom }
    * @returns {Promise} GeoJSON FeatureCollection of storage facilities
    */
-  getStorage: async () => {
+  getStorage: async (params = {}) => {
     try {
-      const response = await api.get('/api/assets/storage');
+      const response = await api.get('/api/assets/storage', { params });
       return response.data;
     } catch (error) {
       throw new Error(`Failed to fetch storage facilities: ${error.message}`);
@@ -183,30 +201,65 @@ export const assetsAPI = {
   },
 
   /**
-   * Get all regulatory zones
+   * Get regulatory zones
+   * @param {Object} params - Optional viewport { bbox, zoom }
    * @returns {Promise} GeoJSON FeatureCollection of regulatory zones
    */
-  getRegulatoryZones: async () => {
+  getRegulatoryZones: async (params = {}) => {
     try {
-      const response = await api.get('/api/assets/regulatory-zones');
+      const response = await api.get('/api/assets/regulatory-zones', { params });
       return response.data;
     } catch (error) {
       throw new Error(`Failed to fetch regulatory zones: ${error.message}`);
     }
   },
 
+  /**
+   * Get the tags in use across all asset types
+   * @param {Object} params - Optional { search }
+   * @returns {Promise} Tags with asset counts, most used first
+   */
+  getTags: async (params = {}) => {
+    try {
+      const response = await api.get('/api/assets/tags', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch tags: ${error.message}`);
+    }
+  },
+
+  /**
+   * Get the nearest assets of each type to a location
+   * @param {number} lat - Latitude
+   * @param {number} lng - Longitude
+   * @param {Object} options - { types: 'plants,storage', k, maxDistanceKm }
+   * @returns {Promise} Nearest assets keyed by collection, with distanceKm per feature
+   */
+  getNearest: async (lat, lng, options = {}) => {
+    try {
+      const response = await api.get('/api/assets/nearest', {
+        params: { lat, lng, ...options }
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch nearest assets: ${error.message}`);
+    }
+  },
+
   /**
    * Get all assets at once
+   * @param {Object} params - Optional viewport { bbox, zoom } and filters such as owner, tags
+   *   or field.<key> applied to every layer; owner only narrows plants, pipelines and storage
    * @returns {Promise} Object with all asset types
    */
-  getAllAssets: async () => {
+  getAllAssets: async (params = {}) => {
     try {
       const [plants, pipelines, demandCenters, storage, regulatoryZones] = await Promise.all([
-        assetsAPI.getPlants(),
-        assetsAPI.getPipelines(),
-        assetsAPI.getDemandCenters(),
-        assetsAPI.getStorage(),
-        assetsAPI.getRegulatoryZones(),
+        assetsAPI.getPlants(params),
+        assetsAPI.getPipelines(params),
+        assetsAPI.getDemandCenters(params),
+        assetsAPI.getStorage(params),
+        assetsAPI.getRegulatoryZones(params),
       ]);
 
       return {
@@ -287,6 +340,20 @@ export const regulatoryAPI = {
     }
   },
 
+  /**
+   * Get the tags in use across all asset types
+   * @param {Object} params - Optional { search }
+   * @returns {Promise} Tags with asset counts, most used first
+   */
+  getTags: async (params = {}) => {
+    try {
+      const response = await api.get('/api/assets/tags', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch tags: ${error.message}`);
+    }
+  },
+
   /**
    * Get regulatory zones containing a specific point
    * @param {number} lat - Latitude
@@ -319,6 +386,237 @@ export const regulatoryAPI = {
   },
 };
 
+/**
+ * Pipeline network API calls
+ */
+export const networkAPI = {
+  /**
+   * Get the pipeline network graph and topology issues
+   * @param {Object} params - Optional { toleranceKm, includeDecommissioned }
+   * @returns {Promise} Nodes, edges and issues as GeoJSON FeatureCollections
+   */
+  getNetwork: async (params = {}) => {
+    try {
+      const response = await api.get('/api/network', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch pipeline network: ${error.message}`);
+    }
+  },
+
+  /**
+   * Find the shortest hydrogen route between two assets
+   * @param {string} from - Origin as <collection>:<id>, e.g. plants:64f1...
+   * @param {string} to - Destination as <collection>:<id>
+   * @param {Object} options - Optional { minCapacity, toleranceKm }
+   * @returns {Promise} Route legs as GeoJSON with mode, lengthKm and bottleneckCapacity
+   */
+  getRoute: async (from, to, options = {}) => {
+    try {
+      const response = await api.get('/api/network/route', {
+        params: { from, to, ...options }
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to find route: ${error.message}`);
+    }
+  },
+};
+
+/**
+ * Supply-demand balance API calls
+ */
+export const balanceAPI = {
+  /**
+   * Get production, storage and demand with the surplus or deficit of every state
+   * @param {Object} assumptions - Optional { capacityFactor, efficiency } between 0 and 1,
+   *   and a planning year for projected demand
+   * @returns {Promise} States sorted by surplus, totals and the assumptions used
+   */
+  getStateBalance: async (assumptions = {}) => {
+    try {
+      const response = await api.get('/api/balance/states', { params: assumptions });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch state balance: ${error.message}`);
+    }
+  },
+
+  /**
+   * Get the supply-demand balance inside a drawn region
+   * @param {Array} region - Array of [lat, lng] points, or a GeoJSON Polygon
+   * @param {Object} assumptions - Optional { capacityFactor, efficiency } between 0 and 1,
+   *   and a planning year for projected demand
+   * @returns {Promise} Balance totals for the region
+   */
+  getRegionBalance: async (region, assumptions = {}) => {
+    try {
+      const response = await api.post('/api/balance/region', { region, ...assumptions });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch region balance: ${error.message}`);
+    }
+  },
+};
+
+/**
+ * Measured production and storage fill level API calls
+ */
+export const timeseriesAPI = {
+  /**
+   * Get an asset's readings resampled into hour, day or month buckets
+   * @param {string} collection - plants or storage
+   * @param {string} id - Asset id
+   * @param {Object} options - Optional { interval, from, to }
+   * @returns {Promise} Series with points of { timestamp, value, min, max, last, count }
+   */
+  getSeries: async (collection, id, options = {}) => {
+    try {
+      const response = await api.get(`/api/assets/${collection}/${id}/timeseries`, { params: options });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch time series: ${error.message}`);
+    }
+  },
+
+  /**
+   * Upload a batch of readings as JSON records or CSV text
+   * @param {string} collection - plants or storage
+   * @param {Array|string} batch - Array of { assetId, timestamp, value } or CSV text
+   * @param {Object} options - Optional { dryRun }
+   * @returns {Promise} Ingestion report with inserted, duplicates and errors
+   */
+  ingest: async (collection, batch, options = {}) => {
+    try {
+      const response = await api.post(`/api/assets/${collection}/timeseries`, batch, {
+        params: options,
+        headers: typeof batch === 'string' ? { 'Content-Type': 'text/csv' } : undefined
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to ingest time series: ${error.message}`);
+    }
+  },
+};
+
+/**
+ * Asset document attachment API calls
+ */
+export const attachmentsAPI = {
+  /**
+   * Get the files attached to an asset, newest first
+   * @param {string} collection - Collection path, e.g. plants or regulatory-zones
+   * @param {string} id - Asset id
+   * @returns {Promise} Attachments with file name, document type, size, uploader and url
+   */
+  list: async (collection, id) => {
+    try {
+      const response = await api.get(`/api/assets/${collection}/${id}/attachments`);
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch attachments: ${error.message}`);
+    }
+  },
+
+  /**
+   * Upload a file and attach it to an asset
+   * @param {string} collection - Collection path, e.g. plants or regulatory-zones
+   * @param {string} id - Asset id
+   * @param {File} file - File to upload
+   * @param {Object} options - Optional { documentType, description }
+   * @returns {Promise} The new attachment
+   */
+  upload: async (collection, id, file, options = {}) => {
+    try {
+      const response = await api.post(`/api/assets/${collection}/${id}/attachments`, file, {
+        params: { fileName: file.name, ...options },
+        headers: { 'Content-Type': file.type || 'application/octet-stream' },
+        timeout: 120000
+      });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to upload attachment: ${error.message}`);
+    }
+  },
+};
+
+/**
+ * Organization-defined custom field API calls
+ */
+export const customFieldsAPI = {
+  /**
+   * Get the custom field definitions of an organization
+   * @param {string} organization - Organization slug of the signed-in user
+   * @param {Object} params - Optional { assetType }
+   * @returns {Promise} Fields with key, label, type and enum options
+   */
+  list: async (organization, params = {}) => {
+    try {
+      const response = await api.get('/api/custom-fields', { params: { organization, ...params } });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch custom fields: ${error.message}`);
+    }
+  },
+};
+
+/**
+ * Company (asset owner) API calls
+ */
+export const companiesAPI = {
+  /**
+   * Get companies with a summary of their portfolios
+   * @param {Object} params - Optional { type, search }
+   * @returns {Promise} Companies sorted by name, each with asset counts and capacity
+   */
+  list: async (params = {}) => {
+    try {
+      const response = await api.get('/api/companies', { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch companies: ${error.message}`);
+    }
+  },
+
+  /**
+   * Get the plants, pipelines and storage a company owns
+   * @param {string} id - Company id
+   * @param {Object} params - Optional attribute filters such as { status }
+   * @returns {Promise} Company, portfolio totals and a FeatureCollection per asset type
+   */
+  getPortfolio: async (id, params = {}) => {
+    try {
+      const response = await api.get(`/api/companies/${id}/portfolio`, { params });
+      return response.data;
+    } catch (error) {
+      throw new Error(`Failed to fetch company portfolio: ${error.message}`);
+    }
+  },
+};
+
+/**
+ * Live asset change feed
+ */
+export const changesAPI = {
+  /**
+   * Subscribe to asset create, update and delete events
+   * The browser reconnects on its own after network errors and replays missed events
+   * @param {Function} onChange - Called with { assetType, action, assetId, feature, ... }
+   * @returns {Function} Call to unsubscribe
+   */
+  subscribe: (onChange) => {
+    const source = new EventSource(`${BASE_URL}/api/changes`);
+    source.addEventListener('asset-change', (event) => {
+      try {
+        onChange(JSON.parse(event.data));
+      } catch (error) {
+        console.error('Failed to apply asset change:', error);
+      }
+    });
+    return () => source.close();
+  },
+};
+
 /**
  * Health check API call
  */